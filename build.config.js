@@ -51,8 +51,11 @@ class BuildConfig {
           'https://api.openai.com/*',
           'https://api.anthropic.com/*',
           'https://generativelanguage.googleapis.com/*',
+          'https://*.openai.azure.com/*',
           'https://apis.iflow.cn/*',
-          'https://*/*'
+          'https://*/*',
+          'http://localhost/*',
+          'http://127.0.0.1/*'
         ]
       },
       edge: {
@@ -67,8 +70,11 @@ class BuildConfig {
           'https://api.openai.com/*',
           'https://api.anthropic.com/*',
           'https://generativelanguage.googleapis.com/*',
+          'https://*.openai.azure.com/*',
           'https://apis.iflow.cn/*',
-          'https://*/*'
+          'https://*/*',
+          'http://localhost/*',
+          'http://127.0.0.1/*'
         ]
       }
     };
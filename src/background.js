@@ -2,13 +2,18 @@
 // Uses dependency injection for better architecture
 
 import { ServiceContainer } from './core/service-container.js';
-import { StorageManager, AIProviderConfig } from './core/storage-manager.js';
+import { StorageManager, AIProviderConfig, isAutoFeatureEnabled } from './core/storage-manager.js';
 import { SecurityMonitor } from './core/security-monitor.js';
 import { InputValidator } from './core/input-validator.js';
 import { ComprehensiveErrorHandler } from './core/error-handler.js';
 import { RateLimiter } from './core/rate-limiter.js';
 import { AIProviderClient } from './core/api-client.js';
 import { PromptEngineer } from './core/prompt-engineer.js';
+import { ResponseCache } from './core/response-cache.js';
+import { ProblemJournal } from './core/problem-journal.js';
+import { ProgressiveHintSystem } from './core/hint-system.js';
+import { getResponseSchema } from './core/response-schemas.js';
+import { RequestOrchestrator } from './background/request-orchestrator.js';
 
 console.log('LeetPilot background service worker loading...');
 
@@ -23,10 +28,17 @@ function initializeServices() {
   container.register('errorHandler', () => new ComprehensiveErrorHandler());
   container.register('rateLimiter', () => new RateLimiter());
   container.register('promptEngineer', () => new PromptEngineer());
+  container.register('responseCache', () => new ResponseCache());
+  container.register('problemJournal', () => new ProblemJournal());
+  container.register('hintSystem', () => new ProgressiveHintSystem());
+  container.register('requestOrchestrator', () => new RequestOrchestrator());
   
   console.log('Services registered successfully');
 }
 
+// Hours a cached response stays valid when the setting hasn't been changed
+const DEFAULT_CACHE_TTL_HOURS = 24;
+
 // Command name mapping
 const COMMAND_ACTION_MAP = {
   'trigger-completion': 'completion',
@@ -92,6 +104,42 @@ function initializeMessageHandler() {
         case 'testAPIConnection':
           handleTestAPIConnection(request, sendResponse);
           return true;
+          
+        case 'listModels':
+          handleListModels(request, sendResponse);
+          return true;
+        
+        case 'getProfiles':
+        case 'saveProfile':
+        case 'deleteProfile':
+        case 'setActiveProfile':
+        case 'setProfileAssignment':
+        case 'setFallbackChain':
+          handleProfileRequest(request, sendResponse);
+          return true;
+        
+        case 'getPromptTemplates':
+        case 'savePromptTemplate':
+        case 'resetPromptTemplate':
+        case 'previewPromptTemplate':
+          handlePromptTemplateRequest(request, sendResponse);
+          return true;
+        
+        case 'getJournal':
+        case 'getJournalProblem':
+        case 'deleteJournalProblem':
+        case 'clearJournal':
+        case 'exportJournal':
+        case 'journalActivity':
+          handleJournalRequest(request, sendResponse);
+          return true;
+        
+        case 'resetHints':
+        case 'getHintLadder':
+        case 'saveHintLadder':
+        case 'resetHintLadder':
+          handleHintRequest(request, sendResponse);
+          return true;
         
         case 'updateSetting':
           handleUpdateSetting(request, sendResponse);
@@ -104,13 +152,23 @@ function initializeMessageHandler() {
         case 'chatMessage':
           handleChatMessage(request, sendResponse);
           return true;
+        
+        case 'interviewMessage':
+          handleInterviewMessage(request, sendResponse);
+          return true;
           
         case 'completion':
         case 'explanation':
         case 'optimization':
+        case 'complexity':
+        case 'testcases':
         case 'hint':
-          handleAIRequest(request, sendResponse);
+          handleAIRequest(request, sendResponse, sender);
           return true;
+
+        case 'cancelRequest':
+          handleCancelRequest(request, sendResponse, sender);
+          return false;
           
         case 'ping':
           console.log('Ping received, responding with pong');
@@ -251,7 +309,9 @@ async function handleSaveConfiguration(request, sendResponse) {
       validation.sanitized.model,
       validation.sanitized.maxTokens,
       validation.sanitized.temperature,
-      validation.sanitized.customApiUrl
+      validation.sanitized.customApiUrl,
+      null,
+      validation.sanitized.azure || null
     );
     
     // Save configuration
@@ -273,6 +333,201 @@ async function handleSaveConfiguration(request, sendResponse) {
   }
 }
 
+// Handle provider profile requests (list, save, delete, activate, assign)
+async function handleProfileRequest(request, sendResponse) {
+  try {
+    const storageManager = container.get('storageManager');
+    
+    switch (request.type) {
+      case 'getProfiles':
+        break;
+        
+      case 'saveProfile': {
+        const profileConfig = { ...request.config };
+        
+        // Keep the stored key when the popup sends a masked or empty key
+        if (!profileConfig.apiKey || profileConfig.apiKey === '[REDACTED]') {
+          const sourceProfileId = request.profileId || request.sourceProfileId;
+          const existing = sourceProfileId
+            ? await storageManager.retrieveProfile(sourceProfileId)
+            : await storageManager.retrieveConfiguration();
+          profileConfig.apiKey = existing?.apiKey;
+        }
+        
+        const inputValidator = container.get('inputValidator');
+        const validation = inputValidator.validateConfiguration(profileConfig);
+        if (!validation.valid) {
+          throw new Error('Configuration validation failed: ' + validation.errors.join(', '));
+        }
+        
+        const config = new AIProviderConfig(
+          validation.sanitized.provider,
+          validation.sanitized.apiKey,
+          validation.sanitized.model,
+          validation.sanitized.maxTokens,
+          validation.sanitized.temperature,
+          validation.sanitized.customApiUrl,
+          profileConfig.tokenTotalBudget ?? null,
+          validation.sanitized.azure || null
+        );
+        const profileId = await storageManager.saveProfile(request.name, config, request.profileId || null);
+        
+        if (request.activate) {
+          await storageManager.setActiveProfile(profileId);
+        }
+        break;
+      }
+        
+      case 'deleteProfile':
+        await storageManager.deleteProfile(request.profileId);
+        break;
+        
+      case 'setActiveProfile':
+        await storageManager.setActiveProfile(request.profileId);
+        break;
+        
+      case 'setProfileAssignment':
+        await storageManager.setProfileAssignment(request.requestType, request.profileId || null);
+        break;
+        
+      case 'setFallbackChain':
+        await storageManager.setFallbackChain(request.profileIds || []);
+        break;
+    }
+    
+    const profiles = await storageManager.listProfiles();
+    sendResponse({
+      success: true,
+      ...profiles,
+      requestId: request.requestId
+    });
+    
+  } catch (error) {
+    console.error(`Profile request failed (${request.type}):`, error);
+    sendResponse({
+      success: false,
+      error: error.message,
+      requestId: request.requestId
+    });
+  }
+}
+
+// Handle prompt template requests (list, save, reset, preview)
+async function handlePromptTemplateRequest(request, sendResponse) {
+  try {
+    const storageManager = container.get('storageManager');
+    const promptEngineer = container.get('promptEngineer');
+    let validation = null;
+    
+    switch (request.type) {
+      case 'getPromptTemplates':
+        break;
+        
+      case 'savePromptTemplate':
+        validation = promptEngineer.validateTemplate(request.templateType, request.template);
+        if (!validation.valid) {
+          throw new Error(validation.errors.join('. '));
+        }
+        await storageManager.savePromptTemplate(request.templateType, request.template);
+        break;
+        
+      case 'resetPromptTemplate':
+        await storageManager.resetPromptTemplate(request.templateType || null);
+        break;
+        
+      case 'previewPromptTemplate':
+        validation = promptEngineer.validateTemplate(request.templateType, request.template);
+        await applyHintLadder();
+        sendResponse({
+          success: true,
+          prompt: validation.valid
+            ? promptEngineer.previewTemplate(request.templateType, request.template, request.context || {})
+            : null,
+          validation: validation,
+          requestId: request.requestId
+        });
+        return;
+    }
+    
+    const overrides = await storageManager.getPromptTemplates();
+    sendResponse({
+      success: true,
+      templates: promptEngineer.getEditableTemplates().map(template => ({
+        ...template,
+        template: overrides[template.type] ?? null
+      })),
+      validation: validation,
+      requestId: request.requestId
+    });
+    
+  } catch (error) {
+    console.error(`Prompt template request failed (${request.type}):`, error);
+    sendResponse({
+      success: false,
+      error: error.message,
+      requestId: request.requestId
+    });
+  }
+}
+
+// Handle problem journal requests (list, view, delete, clear, export, activity)
+async function handleJournalRequest(request, sendResponse) {
+  try {
+    const problemJournal = container.get('problemJournal');
+    
+    switch (request.type) {
+      case 'getJournal':
+        sendResponse({
+          success: true,
+          problems: await problemJournal.listProblems(),
+          requestId: request.requestId
+        });
+        return;
+        
+      case 'getJournalProblem':
+        sendResponse({
+          success: true,
+          problem: await problemJournal.getProblem(request.problemSlug),
+          requestId: request.requestId
+        });
+        return;
+        
+      case 'deleteJournalProblem':
+        await problemJournal.deleteProblem(request.problemSlug);
+        break;
+        
+      case 'clearJournal':
+        await problemJournal.clear();
+        break;
+        
+      case 'exportJournal':
+        sendResponse({
+          success: true,
+          journal: await problemJournal.exportJournal(),
+          requestId: request.requestId
+        });
+        return;
+        
+      case 'journalActivity':
+        await problemJournal.recordActivity(request.problemSlug, request);
+        break;
+    }
+    
+    sendResponse({
+      success: true,
+      requestId: request.requestId
+    });
+    
+  } catch (error) {
+    console.error(`Journal request failed (${request.type}):`, error);
+    sendResponse({
+      success: false,
+      error: error.message,
+      requestId: request.requestId
+    });
+  }
+}
+
 // Handle API connection test
 async function handleTestAPIConnection(request, sendResponse) {
   try {
@@ -307,20 +562,184 @@ async function handleTestAPIConnection(request, sendResponse) {
   }
 }
 
-async function handleAIRequest(request, sendResponse) {
+// Handle model list requests, served from the cache unless a refresh is asked for
+async function handleListModels(request, sendResponse) {
+  try {
+    const storageManager = container.get('storageManager');
+    const requestConfig = { ...request.config };
+    
+    // Use the stored key when the popup sends a masked or empty key
+    if (!requestConfig.apiKey || requestConfig.apiKey === '[REDACTED]') {
+      const existing = await storageManager.retrieveConfiguration().catch(() => null);
+      if (existing?.provider === requestConfig.provider) {
+        requestConfig.apiKey = existing.apiKey;
+      }
+    }
+    
+    const config = new AIProviderConfig(
+      requestConfig.provider,
+      requestConfig.apiKey,
+      requestConfig.model,
+      requestConfig.maxTokens,
+      requestConfig.temperature,
+      requestConfig.customApiUrl,
+      null,
+      requestConfig.azure || null
+    );
+    
+    const validationErrors = config.validate();
+    if (validationErrors.length > 0) {
+      sendResponse({
+        success: false,
+        error: 'Configuration validation failed: ' + validationErrors.join(', '),
+        requestId: request.requestId
+      });
+      return;
+    }
+    
+    const aiClient = new AIProviderClient(config);
+    const listUrl = aiClient.getModelListUrl();
+    
+    const cached = request.refresh ? null : await storageManager.getCachedModels(listUrl, config.apiKey);
+    if (cached) {
+      sendResponse({ success: true, models: cached.models, fetchedAt: cached.fetchedAt, cached: true, requestId: request.requestId });
+      return;
+    }
+    
+    const models = await aiClient.listModels();
+    await storageManager.cacheModels(listUrl, config.apiKey, models);
+    
+    sendResponse({ success: true, models, fetchedAt: Date.now(), cached: false, requestId: request.requestId });
+    
+  } catch (error) {
+    console.error('Failed to list models:', error);
+    sendResponse({
+      success: false,
+      error: error.message,
+      requestId: request.requestId
+    });
+  }
+}
+
+// Use the user's hint ladder for hint levels and prompt guidance; returns the ladder's preset
+async function applyHintLadder() {
+  const hintSystem = container.get('hintSystem');
+  const ladder = await container.get('storageManager').getHintLadder();
+  
+  hintSystem.setLadder(ladder?.levels || null);
+  container.get('promptEngineer').setHintLadder(hintSystem.getLadder());
+  return ladder && hintSystem.validateLadder(ladder.levels).valid ? ladder.preset : 'progressive';
+}
+
+// Handle hint requests (session reset, hint ladder)
+async function handleHintRequest(request, sendResponse) {
+  try {
+    const hintSystem = container.get('hintSystem');
+    const storageManager = container.get('storageManager');
+    
+    switch (request.type) {
+      case 'resetHints':
+        // Start the problem's hint progression over from level 1
+        await hintSystem.restoreSessions();
+        hintSystem.resetHintSession(request.problemSlug, request.problemTitle);
+        sendResponse({
+          success: true,
+          requestId: request.requestId
+        });
+        return;
+        
+      case 'saveHintLadder': {
+        const validation = hintSystem.validateLadder(request.levels);
+        if (!validation.valid) {
+          throw new Error(validation.errors.join('. '));
+        }
+        await storageManager.saveHintLadder(request.preset, request.levels);
+        break;
+      }
+        
+      case 'resetHintLadder':
+        await storageManager.resetHintLadder();
+        break;
+    }
+    
+    sendResponse({
+      success: true,
+      preset: await applyHintLadder(),
+      levels: hintSystem.getLadder(),
+      presets: hintSystem.getLadderPresets(),
+      requestId: request.requestId
+    });
+    
+  } catch (error) {
+    console.error(`Hint request failed (${request.type}):`, error);
+    sendResponse({
+      success: false,
+      error: error.message,
+      requestId: request.requestId
+    });
+  }
+}
+
+async function handleAIRequest(request, sendResponse, sender) {
+  const requestOrchestrator = container.get('requestOrchestrator');
+  const tabId = sender?.tab?.id;
+
+  // Requests fired while typing respect the feature toggles and rate limits
+  if (request.isAutoTriggered) {
+    const skipResponse = await checkAutoTriggeredRequest(request, tabId);
+    if (skipResponse) {
+      sendResponse({ ...skipResponse, requestId: request.requestId });
+      return;
+    }
+  }
+  const { requestId, signal } = requestOrchestrator.startRequest(request, tabId);
+
   try {
     const storageManager = container.get('storageManager');
     const promptEngineer = container.get('promptEngineer') || new PromptEngineer();
     
-    const config = await storageManager.retrieveConfiguration();
-    if (!config) {
+    const providerChain = await storageManager.retrieveProviderChain(request.type);
+    if (providerChain.length === 0) {
       throw new Error('No AI provider configuration found. Please configure your API key first.');
     }
 
+    promptEngineer.setCustomTemplates(await storageManager.getPromptTemplates());
+
+    // With structured output on, the provider is asked for JSON in the request type's schema
+    const responseSchema = await getStructuredOutputSchema(request.type);
+
+    // Unchanged code gets the cached answer, unless the user asked to regenerate it
+    const responseCache = container.get('responseCache');
+    const cacheKey = await getResponseCacheKey(
+      responseCache, request, providerChain[0].config, promptEngineer.promptTemplates[request.type],
+      responseSchema ? 'json' : 'text'
+    );
+    if (cacheKey && !request.regenerate) {
+      const entry = await responseCache.get(cacheKey);
+      if (entry) {
+        sendResponse({
+          ...entry.response,
+          cached: true,
+          cachedAt: entry.createdAt,
+          requestId: request.requestId
+        });
+        await recordJournalEntry(request, { ...entry.response, cached: true });
+        return;
+      }
+    }
+
     await incrementRequestCount();
     
-    // Create AI client and generate prompt
-    const aiClient = new AIProviderClient(config);
+    // Hints continue the problem's progression, restored from session storage after a worker restart
+    const hintSystem = container.get('hintSystem');
+    let hintLevel = null;
+    if (request.type === 'hint') {
+      await hintSystem.restoreSessions();
+      await applyHintLadder();
+      hintLevel = request.hintLevel || hintSystem.getNextHintLevel(request.problemSlug, request.problemTitle);
+    }
+    
+    // Generate prompt
     let prompt;
     
     switch (request.type) {
@@ -328,39 +747,98 @@ async function handleAIRequest(request, sendResponse) {
         prompt = promptEngineer.createCompletionPrompt(request);
         break;
       case 'explanation':
-        prompt = promptEngineer.createExplanationPrompt(request);
+        // A failed run carries the scraped result, which gets its own targeted prompt
+        prompt = request.failure
+          ? promptEngineer.createErrorExplanationPrompt(request, request.failure)
+          : promptEngineer.createExplanationPrompt(request);
         break;
       case 'optimization':
         prompt = promptEngineer.createOptimizationPrompt(request);
         break;
+      case 'complexity':
+        prompt = promptEngineer.createComplexityPrompt(request);
+        break;
+      case 'testcases':
+        prompt = promptEngineer.createTestcasesPrompt(request);
+        break;
       case 'hint':
         prompt = promptEngineer.createProgressiveHintPrompt(
           request,
-          request.hintLevel || 1,
-          request.hintContext
+          hintLevel,
+          request.hintContext || hintSystem.getHintContext(request.problemSlug, request.problemTitle)
         );
         break;
       default:
         throw new Error(`Unknown AI request type: ${request.type}`);
     }
     
-    // Make the actual API request
-    const response = await aiClient.makeRequest(prompt, request.type);
+    if (responseSchema) {
+      prompt = promptEngineer.addResponseFormat(prompt, request.type);
+    }
+    
+    const { response, answeredBy, failedProviders } = await requestWithFallback(
+      providerChain, prompt, request, tabId, promptEngineer, signal, responseSchema
+    );
     
-    // Filter and sanitize the response
-    const filteredResponse = promptEngineer.filterResponse(response.content, request.type);
-    const sanitizedContent = promptEngineer.sanitizeContent(filteredResponse.content);
+    // Filter and sanitize the response; JSON responses are checked against their schema and filtered by field
+    const structured = responseSchema && !['complexity', 'testcases'].includes(request.type)
+      ? getStructuredResponse(response.content, request, promptEngineer)
+      : null;
+    let sanitizedContent;
+    if (request.type === 'complexity') {
+      sanitizedContent = getComplexityAnalysis(response.content, request, promptEngineer);
+    } else if (request.type === 'testcases') {
+      sanitizedContent = getTestcases(response.content, request, promptEngineer);
+    } else if (structured) {
+      sanitizedContent = structured.content;
+    } else {
+      sanitizedContent = promptEngineer.sanitizeContent(promptEngineer.filterResponse(response.content, request.type).content);
+    }
     
     await incrementTokenCount(response.usage?.total_tokens || 100);
     
-    sendResponse({
+    const result = {
       [request.type === 'completion' ? 'suggestion' : request.type]: sanitizedContent,
       type: request.type,
       provider: response.provider,
+      model: response.model,
+      profileName: answeredBy.name
+    };
+    
+    if (structured) {
+      result.sections = structured.sections;
+    }
+    
+    if (request.type === 'hint') {
+      hintSystem.updateHintSession(request.problemSlug, request.problemTitle, hintLevel, sanitizedContent, request);
+      result.hintLevel = hintLevel;
+      result.maxHintLevel = hintSystem.maxHintLevel;
+    }
+    
+    sendResponse({
+      ...result,
+      fallbackFrom: failedProviders,
       requestId: request.requestId
     });
     
+    if (cacheKey) {
+      await responseCache.set(cacheKey, result);
+    }
+    await recordJournalEntry(request, result);
+    
   } catch (error) {
+    if (signal.aborted) {
+      const reason = requestOrchestrator.getCancelReason(requestId) || 'cancelled';
+      console.log(`AI request ${reason} (${request.type}):`, requestId);
+      sendResponse({
+        cancelled: true,
+        reason: reason,
+        error: 'Request cancelled',
+        requestId: request.requestId
+      });
+      return;
+    }
+
     console.error(`AI request failed (${request.type}):`, error);
     
     const errorResponse = {
@@ -370,15 +848,200 @@ async function handleAIRequest(request, sendResponse) {
     };
     
     sendResponse(errorResponse);
+  } finally {
+    requestOrchestrator.finishRequest(requestId);
+  }
+}
+
+// Validate and filter a structured response, returning its sections and their plain-text form.
+// Returns null when the provider ignored the format, so the response is handled as free text.
+function getStructuredResponse(content, request, promptEngineer) {
+  const inputValidator = container.get('inputValidator');
+  const validation = inputValidator.validateAIResponse(content, getResponseSchema(request.type));
+  if (!validation.valid) {
+    console.warn(`Structured ${request.type} response was invalid, using it as text:`, validation.errors);
+    return null;
+  }
+  
+  const { sections } = promptEngineer.filterStructuredResponse(validation.sanitized, request.type);
+  return {
+    sections: sections,
+    content: promptEngineer.formatStructuredResponse(sections, request.type)
+  };
+}
+
+// Validate a complexity analysis against its response schema, returning the parsed analysis
+function getComplexityAnalysis(content, request, promptEngineer) {
+  const inputValidator = container.get('inputValidator');
+  const validation = inputValidator.validateAIResponse(content, getResponseSchema(request.type));
+  if (!validation.valid) {
+    console.warn('Invalid complexity analysis:', validation.errors);
+    throw new Error(`The complexity analysis was not in the expected format (${validation.errors.slice(0, 3).join('; ')}). Please try again.`);
   }
+  
+  return promptEngineer.normalizeComplexityAnalysis(validation.sanitized, request.currentCode);
+}
+
+// Validate edge-case test inputs against their response schema, keeping the ones in the testcase box format
+function getTestcases(content, request, promptEngineer) {
+  const inputValidator = container.get('inputValidator');
+  const validation = inputValidator.validateAIResponse(content, getResponseSchema(request.type));
+  if (!validation.valid) {
+    console.warn('Invalid test cases:', validation.errors);
+    throw new Error(`The test cases were not in the expected format (${validation.errors.slice(0, 3).join('; ')}). Please try again.`);
+  }
+  
+  const testcases = promptEngineer.normalizeTestcases(validation.sanitized, request.examples);
+  if (testcases.cases.length === 0) {
+    throw new Error('None of the generated test cases matched the problem\'s input format. Please try again.');
+  }
+  return testcases;
+}
+
+// Get a response's text for the journal; structured results are formatted as plain text
+function getJournalContent(type, response) {
+  const promptEngineer = container.get('promptEngineer');
+  switch (type) {
+    case 'complexity':
+      return promptEngineer.formatComplexityAnalysis(response.complexity);
+    case 'testcases':
+      return promptEngineer.formatTestcases(response.testcases);
+    default:
+      return response[type === 'completion' ? 'suggestion' : type];
+  }
+}
+
+// Add a request and its response to the problem's journal (auto-triggered completions are left out)
+async function recordJournalEntry(request, response) {
+  if (!request.problemSlug || (request.isAutoTriggered && request.type === 'completion')) {
+    return;
+  }
+  
+  const problemJournal = container.get('problemJournal');
+  await problemJournal.recordEntry(request.problemSlug, request, {
+    type: request.type,
+    content: getJournalContent(request.type, response),
+    code: request.currentCode,
+    hintLevel: request.type === 'hint' ? response.hintLevel || request.hintLevel || 1 : null,
+    status: request.failure?.status,
+    provider: response.provider,
+    model: response.model,
+    cached: response.cached
+  });
+}
+
+// Get the cache key for a request, or null when its responses aren't cached
+async function getResponseCacheKey(responseCache, request, config, template, format) {
+  const { cacheTtlHours } = await chrome.storage.local.get(['cacheTtlHours']);
+  responseCache.setTTL((cacheTtlHours ?? DEFAULT_CACHE_TTL_HOURS) * 60 * 60 * 1000);
+
+  if (!responseCache.isCacheable(request)) {
+    return null;
+  }
+  return await responseCache.createKey(request, config, template, format);
+}
+
+// Get the response schema to ask the provider for, when structured output is turned on
+async function getStructuredOutputSchema(requestType) {
+  const { structuredOutput } = await chrome.storage.local.get(['structuredOutput']);
+  return structuredOutput ? getResponseSchema(requestType) : null;
+}
+
+// Check whether an auto-triggered request may run; returns a skip response if not
+async function checkAutoTriggeredRequest(request, tabId) {
+  const featureMap = {
+    'completion': 'autoComplete',
+    'hint': 'autoHint',
+    'explanation': 'autoErrorFix',
+    'optimization': 'autoOptimize'
+  };
+  
+  const featureName = featureMap[request.type];
+  if (featureName) {
+    const result = await chrome.storage.local.get([featureName]);
+    if (!isAutoFeatureEnabled(featureName, result[featureName])) {
+      console.log(`Feature ${featureName} is disabled, skipping request`);
+      return {
+        success: false,
+        skipped: true,
+        message: `${request.type} is currently disabled in settings`
+      };
+    }
+  }
+  
+  const rateLimiter = container.get('rateLimiter');
+  const limit = await rateLimiter.checkLimit(request.type, tabId ?? 'global');
+  if (!limit.allowed) {
+    console.log(`Auto-triggered ${request.type} rate limited, retry after ${limit.retryAfter}s`);
+    return {
+      success: false,
+      skipped: true,
+      rateLimited: true,
+      retryAfter: limit.retryAfter,
+      message: 'Rate limit reached for automatic requests'
+    };
+  }
+  
+  return null;
+}
+
+// Try each provider in the chain in order, moving on only for provider-side failures (rate limit, quota, 5xx)
+async function requestWithFallback(providerChain, prompt, request, tabId, promptEngineer, signal, responseSchema = null) {
+  const errorHandler = container.get('errorHandler');
+
+  return await errorHandler.executeWithFallback(providerChain, async (entry) => {
+    const aiClient = new AIProviderClient(entry.config);
+
+    // Stream partial text to the requesting tab when asked, otherwise make a single request.
+    // Structured responses are never streamed: partial JSON can't be shown.
+    return request.stream && tabId && !responseSchema
+      ? await streamAIResponse(aiClient, prompt, request, tabId, promptEngineer, signal)
+      : await aiClient.makeRequest(prompt, request.type, { signal, responseSchema });
+  }, signal);
+}
+
+// Stream an AI response, forwarding filtered partial text to the tab as it arrives
+async function streamAIResponse(aiClient, prompt, request, tabId, promptEngineer, signal) {
+  return await aiClient.makeStreamingRequest(prompt, request.type, {
+    signal: signal,
+    onChunk: (delta, content) => {
+      // Partial text goes through the same filters as the final response
+      const filtered = promptEngineer.filterResponse(content, request.type);
+      chrome.tabs.sendMessage(tabId, {
+        type: 'streamChunk',
+        action: request.type,
+        requestId: request.requestId,
+        content: promptEngineer.sanitizeContent(filtered.content)
+      }).catch(error => {
+        console.warn('Failed to forward stream chunk:', error.message);
+      });
+    }
+  });
+}
+
+// Handle cancellation of in-flight AI requests (a single request, or all of the tab's requests)
+function handleCancelRequest(request, sendResponse, sender) {
+  const requestOrchestrator = container.get('requestOrchestrator');
+  const tabId = sender?.tab?.id;
+
+  const cancelledCount = request.requestId
+    ? Number(requestOrchestrator.cancelRequest(request.requestId))
+    : requestOrchestrator.cancelTabRequests(tabId);
+
+  sendResponse({
+    success: true,
+    cancelled: cancelledCount > 0,
+    cancelledCount: cancelledCount,
+    requestId: request.requestId
+  });
 }
 
 async function handleChatMessage(request, sendResponse) {
   try {
     const storageManager = container.get('storageManager');
     
-    const config = await storageManager.retrieveConfiguration();
-    if (!config) {
+    const providerChain = await storageManager.retrieveProviderChain('chat');
+    if (providerChain.length === 0) {
       sendResponse({
         success: false,
         error: 'No AI provider configuration found. Please configure your API key first.',
@@ -389,9 +1052,18 @@ async function handleChatMessage(request, sendResponse) {
 
     await incrementRequestCount();
 
-    const aiClient = new AIProviderClient(config);
+    const promptEngineer = container.get('promptEngineer');
     
-    const response = await aiClient.makeRequest(request.message, 'chat');
+    // Multi-turn prompt: problem context as the system prompt plus the earlier conversation
+    const prompt = promptEngineer.createChatPrompt(
+      request.problemContext || {},
+      request.history || [],
+      request.message
+    );
+    
+    const { response, answeredBy, failedProviders } = await requestWithFallback(
+      providerChain, prompt, { type: 'chat' }, null, promptEngineer, null
+    );
     
     await incrementTokenCount(response.usage?.total_tokens || 100);
     
@@ -399,6 +1071,9 @@ async function handleChatMessage(request, sendResponse) {
       success: true,
       reply: response.content,
       provider: response.provider,
+      model: response.model,
+      profileName: answeredBy.name,
+      fallbackFrom: failedProviders,
       requestId: request.requestId
     });
     
@@ -412,6 +1087,63 @@ async function handleChatMessage(request, sendResponse) {
   }
 }
 
+// Handle a mock interview turn: the opening question, a reply to the candidate, or the final scorecard
+async function handleInterviewMessage(request, sendResponse) {
+  try {
+    if (!['start', 'message', 'scorecard'].includes(request.stage)) {
+      throw new Error(`Unknown interview stage: ${request.stage}`);
+    }
+    
+    const storageManager = container.get('storageManager');
+    
+    // Interviews are conversations, so they use the chat provider profile
+    const providerChain = await storageManager.retrieveProviderChain('chat');
+    if (providerChain.length === 0) {
+      sendResponse({
+        success: false,
+        error: 'No AI provider configuration found. Please configure your API key first.',
+        requestId: request.requestId
+      });
+      return;
+    }
+
+    await incrementRequestCount();
+
+    const promptEngineer = container.get('promptEngineer');
+    const timing = { elapsedMs: request.elapsedMs, durationMs: request.durationMs };
+    const isScorecard = request.stage === 'scorecard';
+    
+    const prompt = isScorecard
+      ? promptEngineer.createInterviewScorecardPrompt(request.problemContext || {}, request.history || [], timing)
+      : promptEngineer.createInterviewPrompt(request.problemContext || {}, request.history || [], request.message, timing);
+    
+    const { response, answeredBy, failedProviders } = await requestWithFallback(
+      providerChain, prompt, { type: 'interview' }, null, promptEngineer, null
+    );
+    
+    await incrementTokenCount(response.usage?.total_tokens || 100);
+    
+    sendResponse({
+      success: true,
+      stage: request.stage,
+      ...promptEngineer.processInterviewResponse(response.content, request.stage),
+      provider: response.provider,
+      model: response.model,
+      profileName: answeredBy.name,
+      fallbackFrom: failedProviders,
+      requestId: request.requestId
+    });
+    
+  } catch (error) {
+    console.error('Interview message failed:', error);
+    sendResponse({
+      success: false,
+      error: error.message || 'Interview request failed',
+      requestId: request.requestId
+    });
+  }
+}
+
 async function incrementRequestCount() {
   try {
     const result = await chrome.storage.local.get(['requestCount']);
@@ -473,8 +1205,9 @@ async function handleGetSettings(request, sendResponse) {
     
     // Get all settings from chrome.storage.local
     const settingsKeys = [
-      'autoComplete', 'autoHint', 'autoErrorFix', 'autoOptimize',
-      'notifications', 'sound', 'tokenTotalBudget'
+      'autoComplete', 'autoCompleteDebounce', 'autoCompleteMinChars',
+      'autoHint', 'autoErrorFix', 'autoOptimize',
+      'notifications', 'sound', 'tokenTotalBudget', 'cacheTtlHours', 'structuredOutput'
     ];
     
     const result = await chrome.storage.local.get(settingsKeys);
@@ -501,6 +1234,17 @@ async function handleGetSettings(request, sendResponse) {
   }
 }
 
+// Abort any requests still running for a tab that was closed
+chrome.tabs.onRemoved.addListener((tabId) => {
+  contentScriptReady.delete(tabId);
+  if (container.has('rateLimiter')) {
+    container.get('rateLimiter').cleanupTab(tabId);
+  }
+  if (container.has('requestOrchestrator')) {
+    container.get('requestOrchestrator').cancelTabRequests(tabId, 'tab closed');
+  }
+});
+
 // Handle extension suspend - cleanup
 chrome.runtime.onSuspend.addListener(() => {
   console.log('LeetPilot extension suspending - performing cleanup');
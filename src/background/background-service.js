@@ -3,10 +3,15 @@
 
 import { MessageRouter } from './message-router.js';
 import { RequestOrchestrator } from './request-orchestrator.js';
-import { StorageManager, AIProviderConfig } from '../core/storage-manager.js';
+import { StorageManager, AIProviderConfig, isAutoFeatureEnabled } from '../core/storage-manager.js';
 import { SecurityMonitor } from '../core/security-monitor.js';
 import { InputValidator } from '../core/input-validator.js';
 import { ComprehensiveErrorHandler } from '../core/error-handler.js';
+import { RateLimiter } from '../core/rate-limiter.js';
+import { ResponseCache } from '../core/response-cache.js';
+import { ProblemJournal } from '../core/problem-journal.js';
+import { ProgressiveHintSystem } from '../core/hint-system.js';
+import { getResponseSchema } from '../core/response-schemas.js';
 
 /**
  * Background Service
@@ -25,6 +30,10 @@ class BackgroundService {
     this.securityMonitor = null;
     this.inputValidator = null;
     this.errorHandler = null;
+    this.rateLimiter = new RateLimiter();
+    this.responseCache = new ResponseCache();
+    this.problemJournal = new ProblemJournal();
+    this.hintSystem = new ProgressiveHintSystem();
     
     // AI components (will be loaded dynamically)
     this.promptEngineer = null;
@@ -48,6 +57,9 @@ class BackgroundService {
       // Initialize core managers
       await this.initializeManagers();
       
+      // Pick up hint progress from before the service worker was restarted
+      await this.hintSystem.restoreSessions();
+      
       // Initialize routing and orchestration
       this.messageRouter.initialize(this);
       this.requestOrchestrator.initialize(this);
@@ -142,27 +154,137 @@ class BackgroundService {
     });
   }
 
+  /**
+   * Validate and filter a structured response, returning its sections and their plain-text form.
+   * Returns null when the provider ignored the format, so the response is handled as free text.
+   */
+  getStructuredResponse(content, request) {
+    const validation = this.inputValidator.validateAIResponse(content, getResponseSchema(request.type));
+    if (!validation.valid) {
+      console.warn(`Structured ${request.type} response was invalid, using it as text:`, validation.errors);
+      return null;
+    }
+
+    const filtered = this.promptEngineer.filterStructuredResponse(validation.sanitized, request.type);
+    return {
+      ...filtered,
+      content: this.promptEngineer.formatStructuredResponse(filtered.sections, request.type)
+    };
+  }
+
+  /**
+   * Validate a complexity analysis against its response schema, returning the parsed analysis
+   */
+  getComplexityAnalysis(content, request) {
+    const validation = this.inputValidator.validateAIResponse(content, getResponseSchema(request.type));
+    if (!validation.valid) {
+      console.warn('Invalid complexity analysis:', validation.errors);
+      const error = new Error(`The complexity analysis was not in the expected format (${validation.errors.slice(0, 3).join('; ')}). Please try again.`);
+      error.category = 'validation';
+      throw error;
+    }
+
+    return this.promptEngineer.normalizeComplexityAnalysis(validation.sanitized, request.currentCode);
+  }
+
+  /**
+   * Validate edge-case test inputs against their response schema, keeping the ones in the testcase box format
+   */
+  getTestcases(content, request) {
+    const validation = this.inputValidator.validateAIResponse(content, getResponseSchema(request.type));
+    if (!validation.valid) {
+      console.warn('Invalid test cases:', validation.errors);
+      const error = new Error(`The test cases were not in the expected format (${validation.errors.slice(0, 3).join('; ')}). Please try again.`);
+      error.category = 'validation';
+      throw error;
+    }
+
+    const testcases = this.promptEngineer.normalizeTestcases(validation.sanitized, request.examples);
+    if (testcases.cases.length === 0) {
+      const error = new Error('None of the generated test cases matched the problem\'s input format. Please try again.');
+      error.category = 'validation';
+      throw error;
+    }
+    return testcases;
+  }
+
+  /**
+   * Get a response's text for the journal; structured results are formatted as plain text
+   */
+  getJournalContent(type, response) {
+    switch (type) {
+      case 'complexity':
+        return this.promptEngineer.formatComplexityAnalysis(response.complexity);
+      case 'testcases':
+        return this.promptEngineer.formatTestcases(response.testcases);
+      default:
+        return response[type === 'completion' ? 'suggestion' : type];
+    }
+  }
+
+  /**
+   * Add a request and its response to the problem's journal (auto-triggered completions are left out)
+   */
+  async recordJournalEntry(request, response) {
+    if (!request.problemSlug || (request.isAutoTriggered && request.type === 'completion')) {
+      return;
+    }
+
+    await this.problemJournal.recordEntry(request.problemSlug, request, {
+      type: request.type,
+      content: this.getJournalContent(request.type, response),
+      code: request.currentCode,
+      hintLevel: request.type === 'hint' ? response.hintLevel || request.hintLevel || 1 : null,
+      status: request.failure?.status,
+      provider: response.provider,
+      model: response.model,
+      cached: response.cached
+    });
+  }
+
+  /**
+   * Get the cache key for a request, or null when its responses aren't cached
+   */
+  async getResponseCacheKey(request, config, template, format) {
+    const { cacheTtlHours } = await chrome.storage.local.get(['cacheTtlHours']);
+    this.responseCache.setTTL((cacheTtlHours ?? 24) * 60 * 60 * 1000);
+
+    if (!this.responseCache.isCacheable(request)) {
+      return null;
+    }
+    return await this.responseCache.createKey(request, config, template, format);
+  }
+
+  /**
+   * Get the response schema to ask the provider for, when structured output is turned on
+   */
+  async getStructuredOutputSchema(requestType) {
+    const { structuredOutput } = await chrome.storage.local.get(['structuredOutput']);
+    return structuredOutput ? getResponseSchema(requestType) : null;
+  }
+
   /**
    * Check if a feature is enabled in settings
    */
   async isFeatureEnabled(featureName) {
     try {
-      const settingsKey = 'leetpilot_settings';
-      const result = await chrome.storage.local.get(settingsKey);
-      const settings = result[settingsKey] || {};
+      const result = await chrome.storage.local.get([featureName]);
       
-      // Default to true if setting doesn't exist (for backward compatibility)
-      return settings[featureName] !== false;
+      // Unset features default to on (for backward compatibility), except opt-in ones
+      return isAutoFeatureEnabled(featureName, result[featureName]);
     } catch (error) {
       console.error('Error checking feature setting:', error);
-      return true; // Default to enabled on error
+      return isAutoFeatureEnabled(featureName, undefined); // Fall back to the feature's default
     }
   }
 
   /**
-   * Handle AI requests (completion, explanation, optimization, hint)
+   * Handle AI requests (completion, explanation, optimization, complexity, testcases, hint)
    */
   async handleAIRequest(request, sendResponse) {
+    const tabId = request._routing?.sender?.tabId;
+    const { requestId, signal } = this.requestOrchestrator.startRequest(request, tabId);
+
     try {
       console.log('Handling AI request:', request.type);
       
@@ -189,6 +311,20 @@ class BackgroundService {
             return;
           }
         }
+        
+        const limit = await this.rateLimiter.checkLimit(request.type, tabId ?? 'global');
+        if (!limit.allowed) {
+          console.log(`Auto-triggered ${request.type} rate limited, retry after ${limit.retryAfter}s`);
+          sendResponse({
+            success: false,
+            skipped: true,
+            rateLimited: true,
+            retryAfter: limit.retryAfter,
+            message: 'Rate limit reached for automatic requests',
+            requestId: request.requestId
+          });
+          return;
+        }
       }
       
       // Check if modules are loaded
@@ -201,8 +337,10 @@ class BackgroundService {
         throw new Error('Storage manager not initialized');
       }
       
-      const config = await this.storageManager.retrieveConfiguration();
-      if (!config) {
+      // Interviews are conversations, so they use the chat provider profile
+      const profileRequestType = ['chatMessage', 'interviewMessage'].includes(request.type) ? 'chat' : request.type;
+      const providerChain = await this.storageManager.retrieveProviderChain(profileRequestType);
+      if (providerChain.length === 0) {
         const error = new Error('No AI provider configuration found. Please configure your API key first.');
         error.category = 'configuration';
         throw error;
@@ -215,7 +353,7 @@ class BackgroundService {
       
       // If tokenTotalBudget not found in storage, check the config object
       if (totalBudget === undefined || totalBudget === null) {
-        totalBudget = config.tokenTotalBudget;
+        totalBudget = providerChain[0].config.tokenTotalBudget;
       }
       
       // Ensure totalBudget is a number (0 means no limit)
@@ -227,8 +365,39 @@ class BackgroundService {
         throw error;
       }
 
-      // Create AI client and make request
-      const aiClient = new this.AIProviderClient(config);
+      this.promptEngineer.setCustomTemplates(await this.storageManager.getPromptTemplates());
+
+      // With structured output on, the provider is asked for JSON in the request type's schema
+      const responseSchema = await this.getStructuredOutputSchema(request.type);
+
+      // Unchanged code gets the cached answer, unless the user asked to regenerate it
+      const cacheKey = await this.getResponseCacheKey(
+        request, providerChain[0].config, this.promptEngineer.promptTemplates[request.type],
+        responseSchema ? 'json' : 'text'
+      );
+      if (cacheKey && !request.regenerate) {
+        const entry = await this.responseCache.get(cacheKey);
+        if (entry) {
+          sendResponse({
+            ...entry.response,
+            cached: true,
+            cachedAt: entry.createdAt,
+            requestId: request.requestId
+          });
+          await this.recordJournalEntry(request, { ...entry.response, cached: true });
+          return;
+        }
+      }
+
+      // Hints continue the problem's progression unless the request asks for a specific level
+      let hintLevel = null;
+      if (request.type === 'hint') {
+        await this.hintSystem.restoreSessions();
+        await this.applyHintLadder();
+        hintLevel = request.hintLevel || this.hintSystem.getNextHintLevel(request.problemSlug, request.problemTitle);
+      }
+
+      // Build the prompt, then make the request
       let prompt;
       
       switch (request.type) {
@@ -236,54 +405,145 @@ class BackgroundService {
           prompt = this.promptEngineer.createCompletionPrompt(request);
           break;
         case 'explanation':
-          prompt = this.promptEngineer.createExplanationPrompt(request);
+          // A failed run carries the scraped result, which gets its own targeted prompt
+          prompt = request.failure
+            ? this.promptEngineer.createErrorExplanationPrompt(request, request.failure)
+            : this.promptEngineer.createExplanationPrompt(request);
           break;
         case 'optimization':
           prompt = this.promptEngineer.createOptimizationPrompt(request);
           break;
+        case 'complexity':
+          prompt = this.promptEngineer.createComplexityPrompt(request);
+          break;
+        case 'testcases':
+          prompt = this.promptEngineer.createTestcasesPrompt(request);
+          break;
         case 'hint':
           prompt = this.promptEngineer.createProgressiveHintPrompt(
             request, 
-            request.hintLevel || 1, 
-            request.hintContext
+            hintLevel, 
+            request.hintContext || this.hintSystem.getHintContext(request.problemSlug, request.problemTitle)
           );
           break;
         case 'chatMessage':
-          prompt = request.message;
+          prompt = this.promptEngineer.createChatPrompt(
+            request.problemContext || {},
+            request.history || [],
+            request.message
+          );
+          break;
+        case 'interviewMessage': {
+          const timing = { elapsedMs: request.elapsedMs, durationMs: request.durationMs };
+          prompt = request.stage === 'scorecard'
+            ? this.promptEngineer.createInterviewScorecardPrompt(request.problemContext || {}, request.history || [], timing)
+            : this.promptEngineer.createInterviewPrompt(request.problemContext || {}, request.history || [], request.message, timing);
           break;
+        }
         default:
           throw new Error(`Unknown AI request type: ${request.type}`);
       }
       
-      const response = await aiClient.makeRequest(prompt, request.type);
+      if (responseSchema) {
+        prompt = this.promptEngineer.addResponseFormat(prompt, request.type);
+      }
+      
+      const { response, answeredBy, failedProviders } = await this.requestWithFallback(
+        providerChain, prompt, request.type, signal, responseSchema
+      );
       
       // Track output tokens and check budget
       const outputTokens = response.outputTokens || 0;
       await this.trackOutputTokens(outputTokens);
       
-      const filteredResponse = this.promptEngineer.filterResponse(response.content, request.type);
-      const sanitizedContent = this.promptEngineer.sanitizeContent(filteredResponse.content);
+      // JSON responses are checked against their schema and filtered by field instead of the free-text filters
+      const structured = responseSchema && !['complexity', 'testcases'].includes(request.type)
+        ? this.getStructuredResponse(response.content, request)
+        : null;
+      let filteredResponse = { filtered: false, reason: null };
+      let sanitizedContent;
+      if (request.type === 'complexity') {
+        sanitizedContent = this.getComplexityAnalysis(response.content, request);
+      } else if (request.type === 'testcases') {
+        sanitizedContent = this.getTestcases(response.content, request);
+      } else if (structured) {
+        filteredResponse = structured;
+        sanitizedContent = structured.content;
+      } else {
+        filteredResponse = this.promptEngineer.filterResponse(response.content, request.type);
+        sanitizedContent = this.promptEngineer.sanitizeContent(filteredResponse.content);
+      }
       
-      if (request.type === 'chatMessage') {
+      if (request.type === 'interviewMessage') {
+        sendResponse({
+          success: true,
+          stage: request.stage,
+          ...this.promptEngineer.processInterviewResponse(response.content, request.stage),
+          provider: response.provider,
+          model: response.model,
+          profileName: answeredBy.name,
+          fallbackFrom: failedProviders,
+          requestId: request.requestId
+        });
+      } else if (request.type === 'chatMessage') {
         sendResponse({
           success: true,
           reply: sanitizedContent,
           provider: response.provider,
+          model: response.model,
+          profileName: answeredBy.name,
+          fallbackFrom: failedProviders,
           requestId: request.requestId
         });
       } else {
         const responseKey = request.type === 'completion' ? 'suggestion' : request.type;
-        sendResponse({
+        const result = {
           [responseKey]: sanitizedContent,
           type: request.type,
           provider: response.provider,
+          model: response.model,
+          profileName: answeredBy.name,
           filtered: filteredResponse.filtered,
-          filterReason: filteredResponse.reason,
+          filterReason: filteredResponse.reason
+        };
+
+        if (structured) {
+          result.sections = structured.sections;
+        }
+
+        if (request.type === 'hint') {
+          this.hintSystem.updateHintSession(
+            request.problemSlug, request.problemTitle, hintLevel, sanitizedContent, request
+          );
+          result.hintLevel = hintLevel;
+          result.maxHintLevel = this.hintSystem.maxHintLevel;
+        }
+
+        sendResponse({
+          ...result,
+          fallbackFrom: failedProviders,
           requestId: request.requestId
         });
+
+        if (cacheKey) {
+          await this.responseCache.set(cacheKey, result);
+        }
+        await this.recordJournalEntry(request, result);
       }
       
     } catch (error) {
+      if (signal.aborted) {
+        const reason = this.requestOrchestrator.getCancelReason(requestId) || 'cancelled';
+        console.log(`AI request ${reason} (${request.type}):`, requestId);
+        sendResponse({
+          cancelled: true,
+          reason: reason,
+          error: 'Request cancelled',
+          requestId: request.requestId
+        });
+        return;
+      }
+
       console.error(`AI request failed (${request.type}):`, error);
       
       // Use error handler if available
@@ -302,9 +562,21 @@ class BackgroundService {
           requestId: request.requestId
         });
       }
+    } finally {
+      this.requestOrchestrator.finishRequest(requestId);
     }
   }
 
+  /**
+   * Try each provider in the chain in order, moving on only for provider-side failures
+   */
+  async requestWithFallback(providerChain, prompt, requestType, signal, responseSchema = null) {
+    return await this.errorHandler.executeWithFallback(providerChain, async (entry) => {
+      const aiClient = new this.AIProviderClient(entry.config);
+      return await aiClient.makeRequest(prompt, requestType, { signal, responseSchema });
+    }, signal);
+  }
+
   /**
    * Handle configuration requests
    */
@@ -320,12 +592,29 @@ class BackgroundService {
         case 'testAPIConnection':
           await this.handleTestAPIConnection(request, sendResponse);
           break;
+        case 'listModels':
+          await this.handleListModels(request, sendResponse);
+          break;
         case 'updateSetting':
           await this.handleUpdateSetting(request, sendResponse);
           break;
         case 'getSettings':
           await this.handleGetSettings(sendResponse);
           break;
+        case 'getProfiles':
+        case 'saveProfile':
+        case 'deleteProfile':
+        case 'setActiveProfile':
+        case 'setProfileAssignment':
+        case 'setFallbackChain':
+          await this.handleProfileRequest(request, sendResponse);
+          break;
+        case 'getPromptTemplates':
+        case 'savePromptTemplate':
+        case 'resetPromptTemplate':
+        case 'previewPromptTemplate':
+          await this.handlePromptTemplateRequest(request, sendResponse);
+          break;
         default:
           sendResponse({
             error: `Unknown config request: ${request.type}`,
@@ -377,6 +666,7 @@ class BackgroundService {
           maxTokens: config.maxTokens,
           temperature: config.temperature,
           customApiUrl: config.customApiUrl,
+          azure: config.azure,
           tokenTotalBudget: tokenTotalBudget ?? config.tokenTotalBudget,
           timestamp: config.timestamp
         }
@@ -390,6 +680,131 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Handle provider profile requests (list, save, delete, activate, assign)
+   */
+  async handleProfileRequest(request, sendResponse) {
+    try {
+      if (!this.storageManager) {
+        throw new Error('Storage manager not initialized');
+      }
+
+      switch (request.type) {
+        case 'saveProfile': {
+          const config = { ...request.config };
+
+          // Keep the stored key when the popup sends a masked or empty key
+          if (!config.apiKey || config.apiKey === '[REDACTED]') {
+            const sourceProfileId = request.profileId || request.sourceProfileId;
+            const existing = sourceProfileId
+              ? await this.storageManager.retrieveProfile(sourceProfileId)
+              : await this.storageManager.retrieveConfiguration();
+            config.apiKey = existing?.apiKey;
+          }
+
+          const configObj = new AIProviderConfig(
+            config.provider,
+            config.apiKey,
+            config.model,
+            config.maxTokens,
+            config.temperature,
+            config.customApiUrl,
+            config.tokenTotalBudget,
+            config.azure || null
+          );
+          const profileId = await this.storageManager.saveProfile(request.name, configObj, request.profileId || null);
+
+          if (request.activate) {
+            await this.storageManager.setActiveProfile(profileId);
+          }
+          break;
+        }
+        case 'deleteProfile':
+          await this.storageManager.deleteProfile(request.profileId);
+          break;
+        case 'setActiveProfile':
+          await this.storageManager.setActiveProfile(request.profileId);
+          break;
+        case 'setProfileAssignment':
+          await this.storageManager.setProfileAssignment(request.requestType, request.profileId || null);
+          break;
+        case 'setFallbackChain':
+          await this.storageManager.setFallbackChain(request.profileIds || []);
+          break;
+      }
+
+      const profiles = await this.storageManager.listProfiles();
+      sendResponse({
+        success: true,
+        ...profiles,
+        requestId: request.requestId
+      });
+    } catch (error) {
+      console.error(`Profile request failed (${request.type}):`, error);
+      sendResponse({
+        success: false,
+        error: error.message,
+        requestId: request.requestId
+      });
+    }
+  }
+
+  /**
+   * Handle prompt template requests (list, save, reset, preview)
+   */
+  async handlePromptTemplateRequest(request, sendResponse) {
+    try {
+      if (!this.storageManager || !this.promptEngineer) {
+        throw new Error('Prompt templates not available');
+      }
+
+      let validation = null;
+
+      switch (request.type) {
+        case 'savePromptTemplate':
+          validation = this.promptEngineer.validateTemplate(request.templateType, request.template);
+          if (!validation.valid) {
+            throw new Error(validation.errors.join('. '));
+          }
+          await this.storageManager.savePromptTemplate(request.templateType, request.template);
+          break;
+        case 'resetPromptTemplate':
+          await this.storageManager.resetPromptTemplate(request.templateType || null);
+          break;
+        case 'previewPromptTemplate':
+          validation = this.promptEngineer.validateTemplate(request.templateType, request.template);
+          await this.applyHintLadder();
+          sendResponse({
+            success: true,
+            prompt: validation.valid
+              ? this.promptEngineer.previewTemplate(request.templateType, request.template, request.context || {})
+              : null,
+            validation: validation,
+            requestId: request.requestId
+          });
+          return;
+      }
+
+      const overrides = await this.storageManager.getPromptTemplates();
+      sendResponse({
+        success: true,
+        templates: this.promptEngineer.getEditableTemplates().map(template => ({
+          ...template,
+          template: overrides[template.type] ?? null
+        })),
+        validation: validation,
+        requestId: request.requestId
+      });
+    } catch (error) {
+      console.error(`Prompt template request failed (${request.type}):`, error);
+      sendResponse({
+        success: false,
+        error: error.message,
+        requestId: request.requestId
+      });
+    }
+  }
+
   /**
    * Handle save configuration request
    */
@@ -416,7 +831,8 @@ class BackgroundService {
         config.maxTokens,
         config.temperature,
         config.customApiUrl,
-        config.tokenTotalBudget
+        config.tokenTotalBudget,
+        config.azure || null
       );
       
       // Validate the configuration
@@ -480,7 +896,8 @@ class BackgroundService {
         config.maxTokens,
         config.temperature,
         config.customApiUrl,
-        config.tokenTotalBudget
+        config.tokenTotalBudget,
+        config.azure || null
       );
       
       const validationErrors = configObj.validate();
@@ -506,19 +923,79 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Handle model list requests, served from the cache unless a refresh is asked for
+   */
+  async handleListModels(request, sendResponse) {
+    try {
+      if (!this.storageManager) {
+        throw new Error('Storage manager not initialized');
+      }
+
+      if (!this.AIProviderClient) {
+        throw new Error('AI client not loaded');
+      }
+
+      const config = { ...request.config };
+
+      // Use the stored key when the popup sends a masked or empty key
+      if (!config.apiKey || config.apiKey === '[REDACTED]') {
+        const existing = await this.storageManager.retrieveConfiguration().catch(() => null);
+        if (existing?.provider === config.provider) {
+          config.apiKey = existing.apiKey;
+        }
+      }
+
+      const configObj = new AIProviderConfig(
+        config.provider,
+        config.apiKey,
+        config.model,
+        config.maxTokens,
+        config.temperature,
+        config.customApiUrl,
+        config.tokenTotalBudget,
+        config.azure || null
+      );
+
+      const validationErrors = configObj.validate();
+      if (validationErrors.length > 0) {
+        sendResponse({
+          success: false,
+          error: 'Configuration validation failed: ' + validationErrors.join(', ')
+        });
+        return;
+      }
+
+      const aiClient = new this.AIProviderClient(configObj);
+      const listUrl = aiClient.getModelListUrl();
+
+      const cached = request.refresh ? null : await this.storageManager.getCachedModels(listUrl, configObj.apiKey);
+      if (cached) {
+        sendResponse({ success: true, models: cached.models, fetchedAt: cached.fetchedAt, cached: true });
+        return;
+      }
+
+      const models = await aiClient.listModels();
+      await this.storageManager.cacheModels(listUrl, configObj.apiKey, models);
+
+      sendResponse({ success: true, models, fetchedAt: Date.now(), cached: false });
+
+    } catch (error) {
+      console.error('Failed to list models:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   async handleUpdateSetting(request, sendResponse) {
     try {
       const { setting, value } = request;
       console.log(`Updating setting: ${setting} = ${value}`);
       
-      // Store setting in chrome.storage.local
-      const settingsKey = 'leetpilot_settings';
-      const currentSettings = await chrome.storage.local.get(settingsKey);
-      const settings = currentSettings[settingsKey] || {};
-      
-      settings[setting] = value;
-      
-      await chrome.storage.local.set({ [settingsKey]: settings });
+      // Store setting in chrome.storage.local as its own key, where content scripts read it
+      await chrome.storage.local.set({ [setting]: value });
       
       sendResponse({ 
         success: true, 
@@ -536,9 +1013,17 @@ class BackgroundService {
 
   async handleGetSettings(sendResponse) {
     try {
-      const settingsKey = 'leetpilot_settings';
-      const result = await chrome.storage.local.get(settingsKey);
-      const settings = result[settingsKey] || {};
+      const settingsKeys = [
+        'autoComplete', 'autoCompleteDebounce', 'autoCompleteMinChars',
+        'autoHint', 'autoErrorFix', 'autoOptimize',
+        'notifications', 'sound', 'tokenTotalBudget', 'cacheTtlHours', 'structuredOutput'
+      ];
+      const result = await chrome.storage.local.get(settingsKeys);
+      
+      const settings = {};
+      settingsKeys.forEach(key => {
+        settings[key] = result[key];
+      });
       
       sendResponse({ 
         success: true, 
@@ -554,6 +1039,128 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Use the user's hint ladder for hint levels and prompt guidance
+   */
+  async applyHintLadder() {
+    const ladder = await this.storageManager?.getHintLadder();
+    this.hintSystem.setLadder(ladder?.levels || null);
+    this.promptEngineer?.setHintLadder(this.hintSystem.getLadder());
+    return ladder && this.hintSystem.validateLadder(ladder.levels).valid ? ladder.preset : 'progressive';
+  }
+
+  /**
+   * Handle hint requests (session reset, hint ladder)
+   */
+  async handleHintRequest(request, sendResponse) {
+    try {
+      switch (request.type) {
+        case 'resetHints':
+          await this.hintSystem.restoreSessions();
+          this.hintSystem.resetHintSession(request.problemSlug, request.problemTitle);
+          sendResponse({
+            success: true,
+            requestId: request.requestId
+          });
+          return;
+        case 'saveHintLadder': {
+          const validation = this.hintSystem.validateLadder(request.levels);
+          if (!validation.valid) {
+            throw new Error(validation.errors.join('. '));
+          }
+          await this.storageManager.saveHintLadder(request.preset, request.levels);
+          break;
+        }
+        case 'resetHintLadder':
+          await this.storageManager.resetHintLadder();
+          break;
+        case 'getHintLadder':
+          break;
+        default:
+          sendResponse({
+            error: `Unknown hint request: ${request.type}`,
+            errorCategory: 'validation',
+            requestId: request.requestId
+          });
+          return;
+      }
+
+      sendResponse({
+        success: true,
+        preset: await this.applyHintLadder(),
+        levels: this.hintSystem.getLadder(),
+        presets: this.hintSystem.getLadderPresets(),
+        requestId: request.requestId
+      });
+    } catch (error) {
+      console.error(`Hint request failed (${request.type}):`, error);
+      sendResponse({
+        success: false,
+        error: error.message,
+        requestId: request.requestId
+      });
+    }
+  }
+
+  /**
+   * Handle problem journal requests (list, view, delete, clear, export, activity)
+   */
+  async handleJournalRequest(request, sendResponse) {
+    try {
+      switch (request.type) {
+        case 'getJournal':
+          sendResponse({
+            success: true,
+            problems: await this.problemJournal.listProblems(),
+            requestId: request.requestId
+          });
+          return;
+        case 'getJournalProblem':
+          sendResponse({
+            success: true,
+            problem: await this.problemJournal.getProblem(request.problemSlug),
+            requestId: request.requestId
+          });
+          return;
+        case 'deleteJournalProblem':
+          await this.problemJournal.deleteProblem(request.problemSlug);
+          break;
+        case 'clearJournal':
+          await this.problemJournal.clear();
+          break;
+        case 'exportJournal':
+          sendResponse({
+            success: true,
+            journal: await this.problemJournal.exportJournal(),
+            requestId: request.requestId
+          });
+          return;
+        case 'journalActivity':
+          await this.problemJournal.recordActivity(request.problemSlug, request);
+          break;
+        default:
+          sendResponse({
+            error: `Unknown journal request: ${request.type}`,
+            errorCategory: 'validation',
+            requestId: request.requestId
+          });
+          return;
+      }
+
+      sendResponse({
+        success: true,
+        requestId: request.requestId
+      });
+    } catch (error) {
+      console.error(`Journal request failed (${request.type}):`, error);
+      sendResponse({
+        success: false,
+        error: error.message,
+        requestId: request.requestId
+      });
+    }
+  }
+
   /**
    * Handle security requests
    */
@@ -607,6 +1214,20 @@ class BackgroundService {
           });
           break;
           
+        case 'cancelRequest': {
+          const tabId = request._routing?.sender?.tabId;
+          const cancelledCount = request.requestId
+            ? Number(this.requestOrchestrator.cancelRequest(request.requestId))
+            : this.requestOrchestrator.cancelTabRequests(tabId);
+          sendResponse({
+            success: true,
+            cancelled: cancelledCount > 0,
+            cancelledCount: cancelledCount,
+            requestId: request.requestId
+          });
+          break;
+        }
+          
         default:
           sendResponse({
             error: `Unknown system request: ${request.type}`,
@@ -39,21 +39,46 @@ export class MessageRouter {
     this.addRoute('completion', 'ai');
     this.addRoute('explanation', 'ai');
     this.addRoute('optimization', 'ai');
+    this.addRoute('complexity', 'ai');
+    this.addRoute('testcases', 'ai');
     this.addRoute('hint', 'ai');
     this.addRoute('chatMessage', 'ai');
+    this.addRoute('interviewMessage', 'ai');
     
     this.addRoute('getConfiguration', 'config');
     this.addRoute('saveConfiguration', 'config');
     this.addRoute('testAPIConnection', 'config');
+    this.addRoute('listModels', 'config');
     this.addRoute('updateSetting', 'config');
     this.addRoute('getSettings', 'config');
+    this.addRoute('getProfiles', 'config');
+    this.addRoute('saveProfile', 'config');
+    this.addRoute('deleteProfile', 'config');
+    this.addRoute('setActiveProfile', 'config');
+    this.addRoute('setProfileAssignment', 'config');
+    this.addRoute('setFallbackChain', 'config');
+    this.addRoute('getPromptTemplates', 'config');
+    this.addRoute('savePromptTemplate', 'config');
+    this.addRoute('resetPromptTemplate', 'config');
+    this.addRoute('previewPromptTemplate', 'config');
     
     this.addRoute('resetHints', 'hints');
+    this.addRoute('getHintLadder', 'hints');
+    this.addRoute('saveHintLadder', 'hints');
+    this.addRoute('resetHintLadder', 'hints');
+    
+    this.addRoute('getJournal', 'journal');
+    this.addRoute('getJournalProblem', 'journal');
+    this.addRoute('deleteJournalProblem', 'journal');
+    this.addRoute('clearJournal', 'journal');
+    this.addRoute('exportJournal', 'journal');
+    this.addRoute('journalActivity', 'journal');
     
     this.addRoute('securityStatus', 'security');
     
     this.addRoute('ping', 'system');
     this.addRoute('getStats', 'system');
+    this.addRoute('cancelRequest', 'system');
   }
 
   /**
@@ -154,10 +179,27 @@ export class MessageRouter {
     
     switch (type) {
       case 'completion':
-      case 'explanation':
       case 'optimization':
       case 'hint':
         break;
+        
+      case 'complexity':
+        if (typeof request.currentCode !== 'string' || !request.currentCode.trim()) {
+          return { valid: false, error: 'Code is required for a complexity analysis' };
+        }
+        break;
+        
+      case 'testcases':
+        if (!(request.examples?.length > 0) && !(request.constraints?.length > 0)) {
+          return { valid: false, error: 'Problem examples or constraints are required for test cases' };
+        }
+        break;
+        
+      case 'explanation':
+        if (request.failure !== undefined && (typeof request.failure !== 'object' || request.failure === null)) {
+          return { valid: false, error: 'Failure details must be an object' };
+        }
+        break;
       
       case 'chatMessage':
         if (!request.message) {
@@ -165,6 +207,15 @@ export class MessageRouter {
         }
         break;
         
+      case 'interviewMessage':
+        if (!['start', 'message', 'scorecard'].includes(request.stage)) {
+          return { valid: false, error: 'Interview stage must be start, message or scorecard' };
+        }
+        if (request.stage === 'message' && (typeof request.message !== 'string' || !request.message.trim())) {
+          return { valid: false, error: 'Message is required for an interview reply' };
+        }
+        break;
+        
       case 'saveConfiguration':
         if (!request.config) {
           return { valid: false, error: 'Configuration is required for save request' };
@@ -177,9 +228,67 @@ export class MessageRouter {
         }
         break;
         
+      case 'listModels':
+        if (!request.config) {
+          return { valid: false, error: 'Configuration is required to list models' };
+        }
+        break;
+        
+      case 'saveProfile':
+        if (!request.name || !request.config) {
+          return { valid: false, error: 'Profile name and configuration are required' };
+        }
+        break;
+        
+      case 'deleteProfile':
+      case 'setActiveProfile':
+        if (!request.profileId) {
+          return { valid: false, error: 'Profile ID is required' };
+        }
+        break;
+        
+      case 'setProfileAssignment':
+        if (!request.requestType) {
+          return { valid: false, error: 'Request type is required for profile assignment' };
+        }
+        break;
+        
+      case 'setFallbackChain':
+        if (!Array.isArray(request.profileIds)) {
+          return { valid: false, error: 'Profile IDs must be an array' };
+        }
+        break;
+        
+      case 'savePromptTemplate':
+      case 'previewPromptTemplate':
+        if (!request.templateType || typeof request.template !== 'string') {
+          return { valid: false, error: 'Template type and template text are required' };
+        }
+        break;
+        
+      case 'getJournalProblem':
+      case 'deleteJournalProblem':
+      case 'journalActivity':
+        if (!request.problemSlug || typeof request.problemSlug !== 'string') {
+          return { valid: false, error: 'Problem slug is required' };
+        }
+        break;
+        
       case 'resetHints':
-        if (!request.problemTitle) {
-          return { valid: false, error: 'Problem title is required for hint reset' };
+        if (!request.problemSlug && !request.problemTitle) {
+          return { valid: false, error: 'Problem slug or title is required for hint reset' };
+        }
+        break;
+        
+      case 'saveHintLadder':
+        if (!Array.isArray(request.levels)) {
+          return { valid: false, error: 'Hint ladder levels are required' };
+        }
+        break;
+        
+      case 'cancelRequest':
+        if (request.requestId !== undefined && typeof request.requestId !== 'string') {
+          return { valid: false, error: 'Request ID must be a string' };
         }
         break;
     }
@@ -242,6 +351,12 @@ export class MessageRouter {
       case 'config':
         this.backgroundService.handleConfigRequest(request, sendResponse);
         break;
+      case 'hints':
+        this.backgroundService.handleHintRequest(request, sendResponse);
+        break;
+      case 'journal':
+        this.backgroundService.handleJournalRequest(request, sendResponse);
+        break;
       case 'security':
         this.backgroundService.handleSecurityRequest(request, sendResponse);
         break;
@@ -448,6 +563,8 @@ export class MessageRouter {
       completion: { requests: 10, window: 60000 },
       explanation: { requests: 5, window: 60000 },
       optimization: { requests: 5, window: 60000 },
+      complexity: { requests: 5, window: 60000 },
+      testcases: { requests: 5, window: 60000 },
       hint: { requests: 15, window: 60000 },
       default: { requests: 20, window: 60000 }
     };
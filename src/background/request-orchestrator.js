@@ -27,6 +27,82 @@ export class RequestOrchestrator {
     console.log('Request orchestrator initialized');
   }
 
+  /**
+   * Register an in-flight request for a tab.
+   * A new request supersedes any earlier request of the same type on that tab.
+   * @returns {{requestId: string, signal: AbortSignal}}
+   */
+  startRequest(request, tabId) {
+    this.requestId++;
+    const requestId = request.requestId || `req_${Date.now()}_${this.requestId}`;
+
+    this.getActiveRequests(tabId)
+      .filter(entry => entry.type === request.type && entry.requestId !== requestId)
+      .forEach(entry => this.cancelRequest(entry.requestId, 'superseded'));
+
+    const controller = new AbortController();
+    this.activeRequests.set(requestId, {
+      requestId,
+      tabId,
+      type: request.type,
+      controller,
+      startTime: Date.now(),
+      cancelReason: null
+    });
+
+    return { requestId, signal: controller.signal };
+  }
+
+  /**
+   * Stop tracking a request once its response has been sent
+   */
+  finishRequest(requestId) {
+    const entry = this.activeRequests.get(requestId);
+    this.activeRequests.delete(requestId);
+    return entry || null;
+  }
+
+  /**
+   * Abort an in-flight request
+   * @returns {boolean} True if a request was aborted
+   */
+  cancelRequest(requestId, reason = 'cancelled') {
+    const entry = this.activeRequests.get(requestId);
+    if (!entry || entry.cancelReason) {
+      return false;
+    }
+
+    entry.cancelReason = reason;
+    entry.controller.abort();
+    console.log(`Request ${requestId} ${reason}`);
+    return true;
+  }
+
+  /**
+   * Abort every in-flight request belonging to a tab
+   * @returns {number} Number of requests aborted
+   */
+  cancelTabRequests(tabId, reason = 'cancelled') {
+    return this.getActiveRequests(tabId)
+      .filter(entry => this.cancelRequest(entry.requestId, reason))
+      .length;
+  }
+
+  /**
+   * Get requests still running for a tab
+   */
+  getActiveRequests(tabId) {
+    return Array.from(this.activeRequests.values())
+      .filter(entry => entry.tabId === tabId && !entry.cancelReason);
+  }
+
+  /**
+   * Get the reason a request was aborted, or null if it was not
+   */
+  getCancelReason(requestId) {
+    return this.activeRequests.get(requestId)?.cancelReason || null;
+  }
+
   /**
    * Get orchestrator statistics
    */
@@ -44,6 +120,7 @@ export class RequestOrchestrator {
    */
   cleanup() {
     this.requestQueue = [];
+    this.activeRequests.forEach(entry => entry.controller.abort());
     this.activeRequests.clear();
     this.requestId = 0;
     this.isInitialized = false;
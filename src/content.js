@@ -25,6 +25,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
   
+  // Share the open problem's context (used by the popup chat)
+  if (message.type === 'getProblemContext' && orchestrator) {
+    sendResponse({ success: true, context: orchestrator.getProblemContext() });
+    return false;
+  }
+  
+  // Stream chunks are rendered by the orchestrator's own listener
+  if (message.type === 'streamChunk') {
+    return false;
+  }
+  
   // If orchestrator isn't ready yet, queue the message
   if (!isInitialized && orchestrator === null) {
     console.log('Content script initializing, message queued');
@@ -65,6 +76,35 @@ async function loadAndInitialize() {
     await import('./content/editor-integration.js');
     console.log('EditorIntegration loaded');
     
+    await import('./content/ghost-text-controller.js');
+    console.log('GhostTextController loaded');
+    
+    await import('./content/result-watcher.js');
+    console.log('ResultWatcher loaded');
+    
+    await import('./content/interview-panel.js');
+    console.log('InterviewPanel loaded');
+    
+    await import('./content/testcase-editor.js');
+    console.log('TestcaseEditor loaded');
+    
+    await import('./content/local-runner.js');
+    console.log('LocalRunner loaded');
+    
+    await import('./content/diff-view.js');
+    console.log('DiffView loaded');
+    
+    await import('./ui/markdown-renderer.js');
+    console.log('MarkdownRenderer loaded');
+    
+    // Core ContextManager is an ES module; expose it like the IIFE modules
+    const { ContextManager } = await import('./core/context-manager.js');
+    window.__LeetPilotContextManager = ContextManager;
+    console.log('ContextManager loaded');
+    
+    window.__LeetPilotCodeDiff = await import('./core/code-diff.js');
+    console.log('CodeDiff loaded');
+    
     // Wait a bit for global scope to be populated
     await new Promise(resolve => setTimeout(resolve, 50));
     
@@ -9,12 +9,52 @@
   const MonacoDetector = window.__LeetPilotMonacoDetector;
   const EditorIntegration = window.__LeetPilotEditorIntegration;
   const KeyboardHandler = window.__LeetPilotKeyboardHandler;
+  const ContextManager = window.__LeetPilotContextManager;
+  const GhostTextController = window.__LeetPilotGhostTextController;
+  const ResultWatcher = window.__LeetPilotResultWatcher;
+  const InterviewPanel = window.__LeetPilotInterviewPanel;
+  const TestcaseEditor = window.__LeetPilotTestcaseEditor;
+  const LocalRunner = window.__LeetPilotLocalRunner;
+  const DiffView = window.__LeetPilotDiffView;
+  const CodeDiff = window.__LeetPilotCodeDiff;
+  const MarkdownRenderer = window.__LeetPilotMarkdownRenderer;
+
+  // Responses that can propose changes to the code, shown as a diff against the editor
+  const DIFF_ACTIONS = ['explanation', 'optimization'];
+
+  // Editor languages a code block's fence is checked against before inserting it
+  const CODE_LANGUAGES = ['javascript', 'typescript', 'python', 'java', 'cpp', 'c', 'csharp', 'go', 'rust', 'kotlin', 'swift', 'ruby', 'php'];
+
+  // Settings (chrome.storage.local) that control completions while typing
+  const AUTO_COMPLETE_SETTINGS = ['autoComplete', 'autoCompleteDebounce', 'autoCompleteMinChars'];
+
+  // Minimum time between activity reports for the problem journal
+  const JOURNAL_ACTIVITY_INTERVAL = 60 * 1000;
 
   class ContentOrchestrator {
   constructor() {
     this.monacoDetector = new MonacoDetector();
     this.editorIntegration = null;
     this.keyboardHandler = new KeyboardHandler();
+    this.contextManager = ContextManager ? new ContextManager() : null;
+    this.ghostText = GhostTextController ? new GhostTextController() : null;
+    this.ghostCompletions = new Map(); // requestId -> { mode, content, ready }
+    this.finishedStreams = new Set(); // recent requestIds whose late stream chunks are ignored
+    this.autoCompleteListener = null;
+    this.resultWatcher = ResultWatcher ? new ResultWatcher() : null;
+    this.interviewPanel = InterviewPanel ? new InterviewPanel({
+      sendRequest: (payload) => chrome.runtime.sendMessage(payload),
+      getContext: () => this.getProblemContext(),
+      onOpen: (element) => {
+        this.injectPopupStyles();
+        this.setupDragging(element);
+      }
+    }) : null;
+    this.testcaseEditor = TestcaseEditor ? new TestcaseEditor({ bridge: this.ghostText }) : null;
+    this.localRunner = LocalRunner ? new LocalRunner({ bridge: this.ghostText }) : null;
+    this.errorFixListener = null;
+    this.activityListener = null;
+    this.lastActivityReport = 0;
     this.isInitialized = false;
   }
 
@@ -35,6 +75,9 @@
       // Set up listeners immediately (before Monaco detection)
       this.setupShortcutListener();
       this.setupCommandListener();
+      this.setupGhostTextListeners();
+      this.setupErrorExplanations();
+      this.setupJournalActivity();
       
       try {
         const editor = await this.monacoDetector.detectMonacoEditor();
@@ -42,6 +85,7 @@
         if (editor) {
           this.editorIntegration = new EditorIntegration(editor);
           await this.editorIntegration.initialize();
+          this.setupAutoComplete();
           console.log('LeetPilot content orchestrator initialization complete with Monaco');
         } else {
           console.warn('Monaco Editor not found - using fallback detection');
@@ -67,6 +111,9 @@
         console.log('Command triggered from background:', message.action);
         this.handleShortcutAction(message.action);
         sendResponse({ success: true });
+      } else if (message.type === 'streamChunk') {
+        this.handleStreamChunk(message);
+        return false;
       }
       return true; // Keep message channel open for async response
     });
@@ -85,7 +132,16 @@
     });
   }
 
-  async handleShortcutAction(action) {
+  async handleShortcutAction(action, options = {}) {
+    if (action === 'interview') {
+      this.toggleInterviewPanel();
+      return { success: true };
+    }
+
+    if (action === 'run') {
+      return await this.runExamples();
+    }
+
     const problemTitle = this.getProblemTitle();
     const language = this.getLanguage();
     let currentCode = '';
@@ -98,6 +154,19 @@
       currentCode = this.getCodeFromPage();
     }
 
+    // A complexity analysis has nothing to analyse without code
+    if (!currentCode && action === 'complexity') {
+      this.showToast('Write some code before analyzing its complexity.', 'warning');
+      return { success: false };
+    }
+
+    // Test cases are built from the problem's examples and constraints
+    const problemDetails = this.getProblemDetails();
+    if (action === 'testcases' && !problemDetails.examples?.length && !problemDetails.constraints?.length) {
+      this.showToast('Could not read the problem\'s examples or constraints to build test cases from.', 'warning');
+      return { success: false };
+    }
+
     // If still no code, warn but continue
     if (!currentCode) {
       console.warn('Could not retrieve code from editor');
@@ -114,6 +183,11 @@
       currentCode: currentCode,
       problemTitle: problemTitle,
       language: language,
+      ...problemDetails,
+      requestId: `${action}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      // Complexity analyses and test cases are JSON, which can't be shown until it is complete
+      stream: !['complexity', 'testcases'].includes(action),
+      regenerate: !!options.regenerate,
       context: {
         url: window.location.href,
         timestamp: Date.now()
@@ -121,25 +195,357 @@
     };
 
     try {
-      this.showToast(`Processing ${action}...`, 'loading');
+      this.showToast(`Processing ${action}...`, 'loading', {
+        onCancel: () => this.cancelRequest(request.requestId)
+      });
       
       const response = await chrome.runtime.sendMessage(request);
       console.log(`${action} response received:`, response);
       
-      if (response.error) {
+      if (response.cancelled) {
+        this.finishGhostCompletion(request.requestId, false);
+        this.finishStreamingDisplay(request.requestId, null);
+        // A superseded request was replaced by a newer one that owns the toast
+        if (response.reason !== 'superseded') {
+          this.showToast(`${action} cancelled`, 'info');
+        }
+      } else if (response.error) {
+        this.finishGhostCompletion(request.requestId, false);
+        this.finishStreamingDisplay(request.requestId, null);
         this.showToast(`${action} failed: ${response.error}`, 'error');
         this.showError(response.error);
+      } else if (action === 'completion' && await this.showGhostCompletion(request.requestId, response.suggestion)) {
+        this.finishGhostCompletion(request.requestId, true);
+        this.showToast('Tab to accept · Ctrl+→ next word · Esc to dismiss', 'success');
       } else {
-        this.showToast(`${action} completed!`, 'success');
-        this.displayResponse(action, response);
+        this.finishGhostCompletion(request.requestId, false);
+        this.showToast(response.cached ? `${action} loaded from cache` : `${action} completed!`, 'success');
+        if (response.cached) {
+          response.onRegenerate = () => this.handleShortcutAction(action, { regenerate: true });
+        }
+        if (!this.finishStreamingDisplay(request.requestId, response)) {
+          this.displayResponse(action, response);
+        }
       }
     } catch (error) {
       console.error(`${action} request failed:`, error);
+      this.finishGhostCompletion(request.requestId, false);
+      this.finishStreamingDisplay(request.requestId, null);
       this.showToast(`${action} failed: ${error.message}`, 'error');
       this.showError(error.message);
     }
   }
 
+  /**
+   * Open or hide the mock interview panel
+   */
+  toggleInterviewPanel() {
+    if (!this.interviewPanel) {
+      this.showToast('Mock interview is not available on this page', 'error');
+      return;
+    }
+    this.interviewPanel.toggle();
+  }
+
+  /**
+   * Run a JavaScript/TypeScript solution on the problem's examples in the local sandbox and show the results
+   */
+  async runExamples() {
+    const language = this.getLanguage();
+    if (!this.localRunner || !this.contextManager) {
+      this.showToast('Running examples locally is not available on this page', 'error');
+      return { success: false };
+    }
+    if (!this.localRunner.supports(language)) {
+      this.showToast('Examples can only be run locally for JavaScript and TypeScript solutions.', 'warning');
+      return { success: false };
+    }
+
+    const currentCode = this.editorIntegration ? this.editorIntegration.getCurrentCode() : this.getCodeFromPage();
+    if (!currentCode) {
+      this.showToast('Could not retrieve code. Please make sure the editor is loaded.', 'warning');
+      return { success: false };
+    }
+
+    const cases = this.contextManager.parseExampleCases(this.getProblemDetails().examples);
+    if (cases.length === 0) {
+      this.showToast('Could not read any examples with inputs that can be run locally.', 'warning');
+      return { success: false };
+    }
+
+    this.showToast(`Running ${cases.length} example${cases.length === 1 ? '' : 's'} locally...`, 'loading');
+    try {
+      const run = await this.localRunner.run(currentCode, language, cases);
+      const passed = run.results.filter(result => result.passed).length;
+      if (run.error) {
+        this.showToast(`Local run failed: ${run.error}`, 'error');
+      } else {
+        this.showToast(`${passed} of ${run.results.length} examples passed`, passed === run.results.length ? 'success' : 'warning');
+      }
+      this.displayResponse('run', { run });
+      return { success: true };
+    } catch (error) {
+      console.error('Local run failed:', error);
+      this.showToast(`Local run failed: ${error.message}`, 'error');
+      return { success: false };
+    }
+  }
+
+  /**
+   * Request completions while typing when the "Auto Code Complete" setting is on
+   */
+  async setupAutoComplete() {
+    if (!this.editorIntegration || this.autoCompleteListener) return;
+
+    const applySettings = (settings) => {
+      if (settings.autoComplete === false) {
+        this.editorIntegration.disableAutoTrigger();
+        return;
+      }
+
+      this.editorIntegration.enableAutoTrigger({
+        debounceMs: settings.autoCompleteDebounce,
+        minChars: settings.autoCompleteMinChars,
+        language: () => this.getLanguage()
+      }, () => this.handleAutoCompletion());
+    };
+
+    this.autoCompleteListener = (changes, areaName) => {
+      if (areaName === 'local' && AUTO_COMPLETE_SETTINGS.some(key => key in changes)) {
+        chrome.storage.local.get(AUTO_COMPLETE_SETTINGS).then(applySettings);
+      }
+    };
+    chrome.storage.onChanged.addListener(this.autoCompleteListener);
+
+    try {
+      applySettings(await chrome.storage.local.get(AUTO_COMPLETE_SETTINGS));
+    } catch (error) {
+      console.warn('Failed to load auto-complete settings:', error.message);
+    }
+  }
+
+  /**
+   * Send an auto-triggered completion request; results only ever appear as inline ghost text
+   */
+  async handleAutoCompletion() {
+    if (!this.ghostText || !(await this.ghostText.isAvailable())) return;
+
+    const request = {
+      type: 'completion',
+      currentCode: this.editorIntegration.getCurrentCode(),
+      cursorPosition: this.editorIntegration.getCursorPosition(),
+      problemTitle: this.getProblemTitle(),
+      language: this.getLanguage(),
+      ...this.getProblemDetails(),
+      requestId: `completion_auto_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      stream: true,
+      isAutoTriggered: true,
+      context: {
+        url: window.location.href,
+        timestamp: Date.now()
+      }
+    };
+
+    try {
+      const response = await chrome.runtime.sendMessage(request);
+
+      if (response?.rateLimited) {
+        this.editorIntegration.pauseAutoTrigger((response.retryAfter || 60) * 1000);
+      }
+
+      if (!response || response.cancelled || response.error || response.skipped) {
+        this.finishGhostCompletion(request.requestId, false);
+        return;
+      }
+
+      const shown = await this.showGhostCompletion(request.requestId, response.suggestion);
+      this.finishGhostCompletion(request.requestId, shown);
+    } catch (error) {
+      console.warn('Auto completion failed:', error.message);
+      this.finishGhostCompletion(request.requestId, false);
+    }
+  }
+
+  /**
+   * Explain failed runs and submissions automatically when the "Auto Error Fix" setting is on.
+   * It sends the code after every failed run, so it stays off until the user turns it on.
+   */
+  async setupErrorExplanations() {
+    if (!this.resultWatcher || this.errorFixListener) return;
+
+    const applySetting = (autoErrorFix) => {
+      if (autoErrorFix === true) {
+        this.resultWatcher.start(failure => this.handleRunFailure(failure));
+      } else {
+        this.resultWatcher.stop();
+      }
+    };
+
+    this.errorFixListener = (changes, areaName) => {
+      if (areaName === 'local' && 'autoErrorFix' in changes) {
+        applySetting(changes.autoErrorFix.newValue);
+      }
+    };
+    chrome.storage.onChanged.addListener(this.errorFixListener);
+
+    try {
+      const result = await chrome.storage.local.get(['autoErrorFix']);
+      applySetting(result.autoErrorFix);
+    } catch (error) {
+      console.warn('Failed to load auto error fix setting:', error.message);
+    }
+  }
+
+  /**
+   * Report typing on the problem page (at most once a minute) so the journal can track time spent
+   */
+  setupJournalActivity() {
+    if (this.activityListener) return;
+
+    this.activityListener = () => {
+      const problemSlug = this.getProblemSlug();
+      const now = Date.now();
+      if (!problemSlug || now - this.lastActivityReport < JOURNAL_ACTIVITY_INTERVAL) return;
+      this.lastActivityReport = now;
+
+      chrome.runtime.sendMessage({
+        type: 'journalActivity',
+        problemSlug: problemSlug,
+        problemTitle: this.getProblemTitle(),
+        language: this.getLanguage()
+      }).catch(error => console.warn('Failed to report activity:', error.message));
+    };
+    document.addEventListener('keydown', this.activityListener, true);
+  }
+
+  /**
+   * Ask for an explanation of a failed run, sending the scraped result along with the code
+   */
+  async handleRunFailure(failure, options = {}) {
+    const request = {
+      type: 'explanation',
+      currentCode: this.editorIntegration ? this.editorIntegration.getCurrentCode() : this.getCodeFromPage(),
+      problemTitle: this.getProblemTitle(),
+      language: this.getLanguage(),
+      ...this.getProblemDetails(),
+      failure: failure,
+      requestId: `explanation_auto_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      stream: true,
+      regenerate: !!options.regenerate,
+      isAutoTriggered: true,
+      context: {
+        url: window.location.href,
+        timestamp: Date.now()
+      }
+    };
+
+    try {
+      this.showToast(`${failure.status}: explaining what went wrong...`, 'loading', {
+        onCancel: () => this.cancelRequest(request.requestId)
+      });
+
+      const response = await chrome.runtime.sendMessage(request);
+
+      if (response.skipped) {
+        this.showToast(response.message || 'Error explanation skipped', 'info');
+      } else if (response.cancelled) {
+        this.finishStreamingDisplay(request.requestId, null);
+        if (response.reason !== 'superseded') {
+          this.showToast('Error explanation cancelled', 'info');
+        }
+      } else if (response.error) {
+        this.finishStreamingDisplay(request.requestId, null);
+        this.showToast(`Error explanation failed: ${response.error}`, 'error');
+      } else {
+        this.showToast(`Explained: ${failure.status}`, 'success');
+        if (response.cached) {
+          response.onRegenerate = () => this.handleRunFailure(failure, { regenerate: true });
+        }
+        if (!this.finishStreamingDisplay(request.requestId, response)) {
+          this.displayResponse('explanation', response);
+        }
+      }
+    } catch (error) {
+      console.error('Error explanation request failed:', error);
+      this.finishStreamingDisplay(request.requestId, null);
+      this.showToast(`Error explanation failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Get the open problem's context (title, description, code, language, slug)
+   */
+  getProblemContext() {
+    let context = null;
+
+    if (this.contextManager) {
+      const editorElement = this.editorIntegration?.monacoEditor ||
+                            document.querySelector('.monaco-editor');
+      context = this.contextManager.extractCodeContext(editorElement);
+    }
+
+    if (!context || context.editorNotFound) {
+      const problemInfo = this.contextManager ? this.contextManager.extractProblemStatement() : {};
+      context = {
+        problemTitle: problemInfo.title || '',
+        problemDescription: problemInfo.description || '',
+        ...this.getProblemDetails(),
+        currentCode: '',
+        language: this.getLanguage(),
+        timestamp: Date.now()
+      };
+    }
+
+    return {
+      problemTitle: context.problemTitle || this.getProblemTitle(),
+      problemDescription: context.problemDescription || '',
+      examples: context.examples || [],
+      constraints: context.constraints || [],
+      difficulty: context.difficulty || null,
+      topicTags: context.topicTags || [],
+      customTestcase: context.customTestcase || '',
+      lastResult: context.lastResult || null,
+      currentCode: context.currentCode || this.getCodeFromPage(),
+      language: context.language || this.getLanguage(),
+      problemSlug: this.getProblemSlug(),
+      url: window.location.href
+    };
+  }
+
+  /**
+   * Get the structured problem details sent along with each request
+   * (slug, description, examples, constraints, difficulty, tags, custom testcase, latest run result)
+   */
+  getProblemDetails() {
+    const details = { problemSlug: this.getProblemSlug() };
+    if (!this.contextManager) return details;
+
+    try {
+      const problemInfo = this.contextManager.extractProblemStatement();
+      return {
+        ...details,
+        problemDescription: problemInfo.description,
+        examples: problemInfo.examples,
+        constraints: problemInfo.constraints,
+        difficulty: problemInfo.difficulty,
+        topicTags: problemInfo.topicTags,
+        customTestcase: this.contextManager.extractCustomTestcase(),
+        lastResult: this.contextManager.extractLastResult()
+      };
+    } catch (error) {
+      console.warn('Could not extract problem details:', error.message);
+      return details;
+    }
+  }
+
+  /**
+   * Get the problem slug from the URL (e.g. "two-sum" for /problems/two-sum/)
+   */
+  getProblemSlug() {
+    const match = window.location.pathname.match(/\/problems\/([^/]+)/);
+    return match ? match[1] : null;
+  }
+
   getProblemTitle() {
     const titleElement = document.querySelector('[data-cy="question-title"]') ||
                         document.querySelector('.text-title-large') ||
@@ -241,6 +647,7 @@
       // Try to use EditorIntegration if available
       if (EditorIntegration && typeof EditorIntegration === 'function') {
         this.editorIntegration = new EditorIntegration(mockEditorElement);
+        this.setupAutoComplete();
         console.log('Fallback editor integration initialized');
       }
     } catch (e) {
@@ -300,19 +707,771 @@
     return '';
   }
 
+  /**
+   * Ask the background to abort an in-flight request
+   */
+  cancelRequest(requestId) {
+    this.markStreamFinished(requestId);
+    chrome.runtime.sendMessage({ type: 'cancelRequest', requestId })
+      .catch(error => console.warn('Failed to cancel request:', error.message));
+  }
+
+  /**
+   * Handle a partial response forwarded by the background while streaming.
+   * Completions stream into the editor as ghost text when the page's Monaco is reachable.
+   */
+  handleStreamChunk(message) {
+    const { action, requestId, content } = message;
+    if (!requestId || typeof content !== 'string') return;
+
+    // A chunk that arrives after the response was shown (or cancelled) would overwrite it
+    if (this.finishedStreams.has(requestId)) return;
+
+    if (action === 'completion' && this.ghostText) {
+      this.showGhostCompletion(requestId, content).then(shown => {
+        if (!shown && !this.finishedStreams.has(requestId)) {
+          this.renderStreamChunk(message);
+        }
+      });
+      return;
+    }
+
+    this.renderStreamChunk(message);
+  }
+
+  /**
+   * Stop accepting stream chunks for a request, remembering only the most recent ones
+   */
+  markStreamFinished(requestId) {
+    this.finishedStreams.add(requestId);
+    if (this.finishedStreams.size > 50) {
+      this.finishedStreams.delete(this.finishedStreams.values().next().value);
+    }
+  }
+
+  /**
+   * Render a partial response in the streaming popup
+   */
+  renderStreamChunk(message) {
+    const { action, requestId, content } = message;
+
+    let display = document.querySelector(`.leetpilot-response[data-request-id="${requestId}"]`);
+    if (!display) {
+      display = this.displayResponse(action, { [this.getResponseKey(action)]: '', requestId, streaming: true });
+    }
+
+    const contentElement = display.querySelector('.leetpilot-popup-content');
+    if (contentElement) {
+      this.renderMarkdown(contentElement, content);
+      contentElement.scrollTop = contentElement.scrollHeight;
+    }
+  }
+
+  /**
+   * Show a completion as inline ghost text (updating it while streaming).
+   * Resolves false when ghost text is unavailable and the popup should be used instead.
+   */
+  async showGhostCompletion(requestId, content) {
+    if (!this.ghostText || !content) return false;
+
+    const entry = this.ghostCompletions.get(requestId);
+    if (entry) {
+      switch (entry.mode) {
+        case 'pending':
+          entry.content = content;
+          return await entry.ready;
+        case 'ghost':
+          return await this.ghostText.show(content, { update: true });
+        case 'settled':
+          return true;
+        default:
+          return false;
+      }
+    }
+
+    this.injectPopupStyles();
+
+    const newEntry = { mode: 'pending', content: content };
+    newEntry.ready = this.ghostText.show(content).then(async shown => {
+      newEntry.mode = shown ? 'ghost' : 'popup';
+      // Catch up with chunks that arrived while the first one was rendering
+      if (shown && newEntry.content !== content) {
+        await this.ghostText.show(newEntry.content, { update: true });
+      }
+      return shown;
+    });
+    this.ghostCompletions.set(requestId, newEntry);
+    return await newEntry.ready;
+  }
+
+  /**
+   * Stop tracking a ghost text completion, removing it unless it should stay for the user to accept
+   */
+  finishGhostCompletion(requestId, keep) {
+    this.markStreamFinished(requestId);
+    const entry = this.ghostCompletions.get(requestId);
+    this.ghostCompletions.delete(requestId);
+
+    if (!keep && entry?.mode === 'ghost') {
+      this.ghostText.clear();
+    }
+  }
+
+  /**
+   * Stop streaming into ghost text the user has already accepted or dismissed
+   */
+  setupGhostTextListeners() {
+    if (!this.ghostText) return;
+
+    const settle = () => {
+      this.ghostCompletions.forEach(entry => {
+        entry.mode = 'settled';
+      });
+    };
+    this.ghostText.on('accepted', settle);
+    this.ghostText.on('dismissed', settle);
+  }
+
+  /**
+   * Replace streamed text with the final (filtered) response.
+   * Returns false when no streaming display exists for the request.
+   */
+  finishStreamingDisplay(requestId, response) {
+    this.markStreamFinished(requestId);
+    const display = document.querySelector(`.leetpilot-response[data-request-id="${requestId}"]`);
+    if (!display) return false;
+
+    display.classList.remove('leetpilot-streaming');
+
+    let hasDiff = false;
+    if (response) {
+      const contentElement = display.querySelector('.leetpilot-popup-content');
+      if (contentElement) {
+        this.renderMarkdown(contentElement, this.getResponseContent(response));
+        this.renderCodeBlockActions(contentElement);
+      }
+      hasDiff = this.renderCodeDiff(display, display.dataset.action, response);
+      this.renderHintLevel(display, response);
+      this.renderProviderAttribution(display, response);
+    }
+
+    // Suggested changes stay open until they have been applied or dismissed
+    if (!hasDiff) {
+      this.scheduleAutoClose(display, 30000);
+    }
+    return true;
+  }
+
+  /**
+   * Show how far along the problem's hint progression a hint is
+   */
+  renderHintLevel(display, response) {
+    if (!response.hintLevel) return;
+
+    const title = display.querySelector('.leetpilot-popup-title');
+    if (title) {
+      title.textContent = `Hint ${response.hintLevel} of ${response.maxHintLevel || response.hintLevel}`;
+    }
+  }
+
+  /**
+   * Show which provider answered, and which ones were skipped after failing
+   */
+  renderProviderAttribution(display, response) {
+    if (!response.provider) return;
+
+    const contentElement = display.querySelector('.leetpilot-popup-content');
+    if (!contentElement) return;
+
+    let attribution = display.querySelector('.leetpilot-provider-info');
+    if (!attribution) {
+      attribution = document.createElement('div');
+      attribution.className = 'leetpilot-provider-info';
+      contentElement.insertAdjacentElement('afterend', attribution);
+    }
+
+    const answeredBy = response.profileName || response.provider;
+    const model = response.model ? ` (${response.model})` : '';
+    attribution.textContent = `Answered by ${answeredBy}${model}`;
+
+    if (response.fallbackFrom?.length > 0) {
+      attribution.textContent += ` · fell back from ${response.fallbackFrom.join(', ')}`;
+      attribution.classList.add('leetpilot-provider-fallback');
+    }
+
+    if (response.cached) {
+      this.renderCacheControls(attribution, response);
+    }
+  }
+
+  /**
+   * Mark a response served from the cache and offer to ask the provider again
+   */
+  renderCacheControls(attribution, response) {
+    const badge = document.createElement('span');
+    badge.className = 'leetpilot-cached-badge';
+    badge.textContent = 'cached';
+    if (response.cachedAt) {
+      badge.title = `Saved ${new Date(response.cachedAt).toLocaleString()}`;
+    }
+    attribution.prepend(badge);
+
+    if (typeof response.onRegenerate !== 'function') return;
+
+    const regenerateBtn = document.createElement('button');
+    regenerateBtn.className = 'leetpilot-regenerate';
+    regenerateBtn.textContent = 'Regenerate';
+    regenerateBtn.title = 'Ask the provider again instead of using the cached answer';
+    regenerateBtn.addEventListener('click', () => {
+      const display = attribution.closest('.leetpilot-response');
+      if (display) this.removeDisplay(display);
+      response.onRegenerate();
+    });
+    attribution.appendChild(regenerateBtn);
+  }
+
+  /**
+   * Render response text as sanitized Markdown (plain text if the renderer isn't loaded)
+   */
+  renderMarkdown(element, text) {
+    if (MarkdownRenderer) {
+      element.style.whiteSpace = 'normal';
+      MarkdownRenderer.renderInto(element, text);
+    } else {
+      element.style.whiteSpace = 'pre-wrap';
+      element.textContent = text;
+    }
+  }
+
+  /**
+   * Add Copy, Insert at cursor and Replace selection buttons to each code block in rendered Markdown,
+   * flagging blocks whose fence language differs from the editor's
+   */
+  renderCodeBlockActions(contentElement) {
+    const blocks = contentElement.querySelectorAll('pre.leetpilot-code-block');
+    if (blocks.length === 0) return;
+
+    const editorLanguage = this.getEditorLanguage();
+
+    blocks.forEach(block => {
+      const code = block.textContent.replace(/\n$/, '');
+      const languageClass = Array.from(block.classList).find(className => className.startsWith('leetpilot-language-'));
+      const blockLanguage = languageClass ? languageClass.slice('leetpilot-language-'.length) : null;
+      const mismatch = this.isLanguageMismatch(blockLanguage, editorLanguage);
+
+      const toolbar = document.createElement('div');
+      toolbar.className = 'leetpilot-code-actions';
+
+      if (mismatch) {
+        const warning = document.createElement('span');
+        warning.className = 'leetpilot-code-language-warning';
+        warning.textContent = `${blockLanguage} code, but the editor is ${editorLanguage}`;
+        toolbar.appendChild(warning);
+      }
+
+      const addButton = (label, title, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'leetpilot-code-action';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        toolbar.appendChild(button);
+      };
+
+      addButton('Copy', 'Copy this code to the clipboard', () => this.copyCodeBlock(code));
+      addButton('Insert', 'Insert this code at the editor\'s cursor', () => this.insertCodeBlock(code, { mismatch }));
+      addButton('Replace selection', 'Replace the code selected in the editor with this code',
+        () => this.insertCodeBlock(code, { mismatch, replaceSelection: true }));
+
+      block.insertAdjacentElement('beforebegin', toolbar);
+    });
+  }
+
+  /**
+   * Get the editor's language as ContextManager names it ('python', 'cpp', ...)
+   */
+  getEditorLanguage() {
+    const editorElement = this.editorIntegration?.monacoEditor || document.querySelector('.monaco-editor');
+    if (this.contextManager && editorElement) {
+      try {
+        return this.contextManager.extractLanguage(editorElement);
+      } catch (error) {
+        console.warn('Could not detect the editor language:', error.message);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a code block is in a different language than the editor.
+   * Unlabelled blocks and pseudo-languages (text, bash) never mismatch, and JavaScript fits a TypeScript editor.
+   */
+  isLanguageMismatch(blockLanguage, editorLanguage) {
+    if (!blockLanguage || !editorLanguage || !CODE_LANGUAGES.includes(blockLanguage)) return false;
+    if (blockLanguage === 'javascript' && editorLanguage === 'typescript') return false;
+    return blockLanguage !== editorLanguage;
+  }
+
+  /**
+   * Copy a code block to the clipboard
+   */
+  async copyCodeBlock(code) {
+    try {
+      await navigator.clipboard.writeText(code);
+      this.showToast('Code copied to the clipboard', 'success');
+    } catch (error) {
+      console.warn('Failed to copy code:', error);
+      this.showToast('Could not copy the code', 'error');
+    }
+  }
+
+  /**
+   * Insert a code block at the editor's cursor, or in place of its selection, as one undoable edit
+   * where the page's Monaco is reachable (otherwise through the editor's textarea)
+   */
+  async insertCodeBlock(code, options = {}) {
+    const replaceSelection = !!options.replaceSelection;
+    let inserted = this.ghostText ? await this.ghostText.insertText(code, { replaceSelection }) : false;
+
+    if (!inserted && this.editorIntegration) {
+      inserted = replaceSelection
+        ? this.editorIntegration.replaceSelectedText(code)
+        : this.editorIntegration.insertTextAtCursor(code);
+    }
+
+    if (!inserted) {
+      this.showToast('Could not edit the code. Click into the editor and try again.', 'error');
+    } else if (options.mismatch) {
+      this.showToast('Inserted code in a different language than the editor\'s. Check it before running.', 'warning');
+    } else {
+      this.showToast(replaceSelection ? 'Replaced the selection (Ctrl+Z to undo)' : 'Inserted at the cursor (Ctrl+Z to undo)', 'success');
+    }
+    return inserted;
+  }
+
+  /**
+   * Get the response field that carries content for an action
+   */
+  getResponseKey(action) {
+    return action === 'completion' ? 'suggestion' : action;
+  }
+
+  /**
+   * Extract displayable content from an AI response
+   */
+  getResponseContent(response) {
+    return response.suggestion || response.explanation || response.optimization || response.hint || 'No response';
+  }
+
+  /**
+   * Remove a display after a delay
+   */
+  scheduleAutoClose(display, delay) {
+    setTimeout(() => {
+      if (display.parentElement) {
+        this.removeDisplay(display);
+      }
+    }, delay);
+  }
+
+  /**
+   * Remove a display, along with any editor lines it highlighted
+   */
+  removeDisplay(display) {
+    display.remove();
+    if (display.dataset.highlightedLines && this.ghostText) {
+      this.ghostText.clearLineHighlights();
+    }
+  }
+
+  /**
+   * Render a structured response as sections: summary, steps, code snippet and pitfalls
+   * (a completion has just its code and explanation)
+   */
+  renderResponseSections(display, sections) {
+    const contentElement = display.querySelector('.leetpilot-popup-content');
+    if (!contentElement) return;
+
+    contentElement.textContent = '';
+    contentElement.style.whiteSpace = 'normal';
+
+    const container = document.createElement('div');
+    container.className = 'leetpilot-sections';
+
+    const addHeading = (text) => {
+      const heading = document.createElement('h4');
+      heading.textContent = text;
+      container.appendChild(heading);
+    };
+
+    const addList = (tagName, items) => {
+      const list = document.createElement(tagName);
+      items.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+      });
+      container.appendChild(list);
+    };
+
+    [sections.summary, sections.explanation].filter(Boolean).forEach(text => {
+      const paragraph = document.createElement('p');
+      paragraph.className = 'leetpilot-section-summary';
+      paragraph.textContent = text;
+      container.appendChild(paragraph);
+    });
+
+    if (sections.steps?.length > 0) {
+      addHeading('Steps');
+      addList('ol', sections.steps);
+    }
+
+    if (sections.code) {
+      const pre = document.createElement('pre');
+      pre.className = 'leetpilot-section-code';
+      const code = document.createElement('code');
+      code.textContent = sections.code;
+      pre.appendChild(code);
+      container.appendChild(pre);
+    }
+
+    if (sections.pitfalls?.length > 0) {
+      addHeading('Pitfalls');
+      addList('ul', sections.pitfalls);
+    }
+
+    contentElement.appendChild(container);
+  }
+
+  /**
+   * Show the code a response suggests as a diff against the editor's code, with Apply buttons per hunk
+   * @returns {boolean} True if the response changes the code and the diff was shown
+   */
+  renderCodeDiff(display, action, response) {
+    if (!DiffView || !CodeDiff || !DIFF_ACTIONS.includes(action)) return false;
+
+    const contentElement = display.querySelector('.leetpilot-popup-content');
+    const currentCode = this.editorIntegration ? this.editorIntegration.getCurrentCode() : this.getCodeFromPage();
+    if (!contentElement || !currentCode) return false;
+
+    const suggestion = response.sections?.code ||
+      CodeDiff.findSuggestedCode(this.getResponseContent(response), currentCode)?.code;
+    if (!suggestion) return false;
+
+    // Suggestions are often just the changed function or loop, so the code around them is left alone
+    const hunks = CodeDiff.diffLines(currentCode, suggestion, { partial: true });
+    if (!hunks || hunks.length === 0) return false;
+
+    const diffView = new DiffView({ onApply: (hunk) => this.applyCodeHunk(hunk) });
+    contentElement.appendChild(diffView.render(hunks));
+    return true;
+  }
+
+  /**
+   * Apply one hunk of a suggested change to the editor, as a single undoable edit where Monaco is reachable
+   * @returns {Promise<boolean>} True if the editor was changed
+   */
+  async applyCodeHunk(hunk) {
+    const currentCode = this.editorIntegration ? this.editorIntegration.getCurrentCode() : this.getCodeFromPage();
+    const located = CodeDiff.applyHunk(currentCode, hunk);
+    if (!located) {
+      this.showToast('The code has changed since this suggestion was made, so this change no longer fits.', 'warning');
+      return false;
+    }
+
+    const text = hunk.newLines.join('\n');
+    let applied = this.ghostText ? await this.ghostText.replaceLines(located.start, located.end, text, hunk.oldLines) : false;
+
+    // Without the page's Monaco, edit through the editor's textarea: select the old lines and replace them
+    if (!applied && this.editorIntegration?.selectLines(located.start, located.end)) {
+      const lineCount = currentCode.split('\n').length;
+      const replacement = located.end < lineCount
+        ? hunk.newLines.map(line => `${line}\n`).join('')
+        : `${located.start > 0 && hunk.oldLines.length === 0 ? '\n' : ''}${text}`;
+      applied = hunk.oldLines.length === 0
+        ? this.editorIntegration.insertTextAtCursor(replacement)
+        : this.editorIntegration.replaceSelectedText(replacement);
+    }
+
+    if (!applied) {
+      this.showToast('Could not edit the code. Click into the editor and try again.', 'error');
+    }
+    return applied;
+  }
+
+  /**
+   * Render a complexity analysis as a table of loops and recursion,
+   * and highlight its bottleneck lines in the editor
+   */
+  renderComplexityAnalysis(display, analysis) {
+    const contentElement = display.querySelector('.leetpilot-popup-content');
+    if (!contentElement) return;
+
+    contentElement.textContent = '';
+    contentElement.style.whiteSpace = 'normal';
+
+    const container = document.createElement('div');
+    container.className = 'leetpilot-complexity';
+
+    const overall = document.createElement('div');
+    overall.className = 'leetpilot-complexity-overall';
+    [['Time', analysis.time], ['Space', analysis.space]].forEach(([label, value]) => {
+      const badge = document.createElement('span');
+      badge.className = 'leetpilot-complexity-badge';
+      badge.textContent = `${label}: ${value}`;
+      overall.appendChild(badge);
+    });
+    container.appendChild(overall);
+
+    if (analysis.summary) {
+      const summary = document.createElement('p');
+      summary.textContent = analysis.summary;
+      container.appendChild(summary);
+    }
+
+    const bottleneckLines = analysis.bottlenecks.map(bottleneck => bottleneck.line);
+
+    if (analysis.constructs.length > 0) {
+      const table = document.createElement('table');
+      const headerRow = table.createTHead().insertRow();
+      ['Lines', 'Construct', 'Time', 'Space', 'Why'].forEach(heading => {
+        const cell = document.createElement('th');
+        cell.textContent = heading;
+        headerRow.appendChild(cell);
+      });
+
+      const body = table.createTBody();
+      analysis.constructs.forEach(construct => {
+        const row = body.insertRow();
+        const containsBottleneck = bottleneckLines.some(line => line >= construct.startLine && line <= construct.endLine);
+        if (containsBottleneck) {
+          row.className = 'leetpilot-complexity-bottleneck';
+        }
+
+        const range = construct.endLine > construct.startLine
+          ? `${construct.startLine}–${construct.endLine}`
+          : `${construct.startLine}`;
+        [range, `${construct.kind}: ${construct.description}`, construct.time, construct.space, construct.justification]
+          .forEach(text => {
+            row.insertCell().textContent = text;
+          });
+      });
+      container.appendChild(table);
+    }
+
+    if (analysis.bottlenecks.length > 0) {
+      const heading = document.createElement('h4');
+      heading.textContent = 'Bottlenecks';
+      container.appendChild(heading);
+
+      const list = document.createElement('ul');
+      analysis.bottlenecks.forEach(bottleneck => {
+        const item = document.createElement('li');
+        item.textContent = `Line ${bottleneck.line}: ${bottleneck.reason}`;
+        list.appendChild(item);
+      });
+      container.appendChild(list);
+    }
+
+    contentElement.appendChild(container);
+
+    if (bottleneckLines.length > 0 && this.ghostText) {
+      display.dataset.highlightedLines = bottleneckLines.join(',');
+      this.ghostText.highlightLines(bottleneckLines).then(shown => {
+        // The popup may have closed while the bridge was loading
+        if (shown && !display.parentElement) {
+          this.ghostText.clearLineHighlights();
+        }
+      });
+    }
+  }
+
+  /**
+   * Render generated test inputs, each with a button to paste it into LeetCode's testcase box
+   */
+  renderTestcases(display, testcases) {
+    const contentElement = display.querySelector('.leetpilot-popup-content');
+    if (!contentElement) return;
+
+    contentElement.textContent = '';
+    contentElement.style.whiteSpace = 'normal';
+
+    const container = document.createElement('div');
+    container.className = 'leetpilot-testcases';
+
+    const createPasteButton = (label, inputs) => {
+      const button = document.createElement('button');
+      button.className = 'leetpilot-btn leetpilot-btn-accept';
+      button.textContent = label;
+      button.disabled = !this.testcaseEditor;
+      button.addEventListener('click', () => this.pasteTestcases(inputs));
+      return button;
+    };
+
+    testcases.cases.forEach(testcase => {
+      const item = document.createElement('div');
+      item.className = 'leetpilot-testcase';
+
+      const header = document.createElement('div');
+      header.className = 'leetpilot-testcase-header';
+      const category = document.createElement('span');
+      category.className = 'leetpilot-testcase-category';
+      category.textContent = testcase.category;
+      const reason = document.createElement('span');
+      reason.textContent = testcase.reason;
+      header.append(category, reason);
+
+      const input = document.createElement('pre');
+      input.className = 'leetpilot-testcase-input';
+      input.textContent = testcase.input;
+
+      item.append(header, input, createPasteButton('Paste', [testcase.input]));
+      container.appendChild(item);
+    });
+
+    if (this.testcaseEditor && testcases.cases.some(testcase => this.testcaseEditor.usesShorthand(testcase.input))) {
+      const note = document.createElement('p');
+      note.className = 'leetpilot-testcase-note';
+      note.textContent = 'Shorthands like [0]*100000 and [1..100000] are expanded to full arrays when pasted.';
+      container.appendChild(note);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'leetpilot-testcase-actions';
+    actions.appendChild(createPasteButton('Paste all', testcases.cases.map(testcase => testcase.input)));
+    container.appendChild(actions);
+
+    contentElement.appendChild(container);
+  }
+
+  /**
+   * Paste test inputs into LeetCode's testcase box, replacing its contents
+   */
+  async pasteTestcases(inputs) {
+    const count = inputs.length === 1 ? '1 test case' : `${inputs.length} test cases`;
+
+    switch (await this.testcaseEditor.paste(inputs)) {
+      case 'textarea':
+      case 'editor':
+        this.showToast(`Pasted ${count} into the testcase box`, 'success');
+        break;
+      case 'fields':
+        this.showToast('Pasted the test case into the selected case', 'success');
+        break;
+      case 'clipboard':
+        this.showToast(`Couldn't find the testcase box, so the ${count} ${inputs.length === 1 ? 'was' : 'were'} copied to the clipboard`, 'info');
+        break;
+      default:
+        this.showToast('Could not paste the test cases. Open the Testcase tab and try again.', 'error');
+    }
+  }
+
+  /**
+   * Render local run results: one row per example with its verdict, and expected vs. actual output on failure
+   */
+  renderRunResults(display, run) {
+    const contentElement = display.querySelector('.leetpilot-popup-content');
+    if (!contentElement) return;
+
+    contentElement.textContent = '';
+    contentElement.style.whiteSpace = 'normal';
+
+    const container = document.createElement('div');
+    container.className = 'leetpilot-run-results';
+
+    const format = (value) => {
+      try {
+        return JSON.stringify(value) ?? 'undefined';
+      } catch (error) {
+        return String(value);
+      }
+    };
+
+    const createOutput = (label, text, className) => {
+      const row = document.createElement('div');
+      row.className = `leetpilot-run-output ${className}`;
+      const name = document.createElement('span');
+      name.className = 'leetpilot-run-label';
+      name.textContent = label;
+      const value = document.createElement('pre');
+      value.textContent = text;
+      row.append(name, value);
+      return row;
+    };
+
+    if (run.error) {
+      const error = document.createElement('p');
+      error.className = 'leetpilot-run-error';
+      error.textContent = run.error;
+      container.appendChild(error);
+    }
+
+    run.results.forEach(result => {
+      const item = document.createElement('div');
+      item.className = 'leetpilot-run-case';
+
+      const verdict = result.passed === null ? 'ran' : result.passed ? 'passed' : 'failed';
+      const header = document.createElement('div');
+      header.className = 'leetpilot-run-header';
+      const badge = document.createElement('span');
+      badge.className = `leetpilot-run-verdict leetpilot-run-${verdict}`;
+      badge.textContent = verdict === 'ran' ? 'No expected output' : verdict === 'passed' ? 'Passed' : 'Failed';
+      const title = document.createElement('span');
+      title.textContent = `Example ${result.index + 1}`;
+      header.append(badge, title);
+      if (typeof result.time === 'number') {
+        const time = document.createElement('span');
+        time.className = 'leetpilot-run-time';
+        time.textContent = `${result.time.toFixed(1)} ms`;
+        header.appendChild(time);
+      }
+      item.appendChild(header);
+
+      item.appendChild(createOutput('Input', result.input, 'leetpilot-run-input'));
+      if (result.error) {
+        item.appendChild(createOutput('Error', result.error, 'leetpilot-run-actual'));
+      } else {
+        item.appendChild(createOutput('Output', format(result.output), result.passed === false ? 'leetpilot-run-actual' : ''));
+      }
+      if (result.hasExpected && !result.passed) {
+        item.appendChild(createOutput('Expected', format(result.expected), 'leetpilot-run-expected'));
+      }
+      if (result.diff) {
+        const note = document.createElement('p');
+        note.className = 'leetpilot-run-note';
+        note.textContent = `First difference at output${result.diff}`;
+        item.appendChild(note);
+      }
+      if (result.logs?.length > 0) {
+        item.appendChild(createOutput('Stdout', result.logs.join('\n'), 'leetpilot-run-logs'));
+      }
+
+      container.appendChild(item);
+    });
+
+    const note = document.createElement('p');
+    note.className = 'leetpilot-run-note';
+    note.textContent = `Ran ${run.functionName || 'the solution'} locally. Answers that may be in any order are compared as written.`;
+    container.appendChild(note);
+
+    contentElement.appendChild(container);
+  }
+
   displayResponse(action, response) {
     console.log('Displaying response for:', action, response);
     
     // Inject popup styles if not already present
     this.injectPopupStyles();
     
-    const content = response.suggestion || response.explanation || response.optimization || response.hint || 'No response';
+    const content = response.streaming || response.complexity || response.testcases || response.run || response.sections
+      ? ''
+      : this.getResponseContent(response);
     
     // Check if response already has a display - don't create duplicate
     const existingDisplay = document.querySelector('.leetpilot-response, .leetpilot-hint, .leetpilot-completion');
     if (existingDisplay) {
       console.log('Existing display found, removing before creating new one');
-      existingDisplay.remove();
+      this.removeDisplay(existingDisplay);
     }
 
     // Get action-specific icon and color
@@ -320,6 +1479,11 @@
     
     const display = document.createElement('div');
     display.className = 'leetpilot-response leetpilot-popup';
+    if (response.streaming) {
+      display.classList.add('leetpilot-streaming');
+      display.dataset.requestId = response.requestId;
+      display.dataset.action = action;
+    }
     display.innerHTML = `
       <div class="leetpilot-drag-handle">
         <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
@@ -336,9 +1500,7 @@
         </div>
         <button class="leetpilot-popup-close">×</button>
       </div>
-      <div class="leetpilot-popup-content" style="color: var(--leetpilot-text); font-size: 14px; line-height: 1.6; white-space: pre-wrap;">
-        ${content}
-      </div>
+      <div class="leetpilot-popup-content" style="color: var(--leetpilot-text); font-size: 14px; line-height: 1.6;"></div>
       <div class="leetpilot-resize-handle">
         <svg width="14" height="14" viewBox="0 0 14 14" fill="currentColor">
           <path d="M14 10V14H10V10H14ZM8 14V10H4V14H8ZM10 8V4H14V8H10ZM4 8V4H0V8H4Z"/>
@@ -346,12 +1508,26 @@
       </div>
     `;
     
+    // Response text is model output: it is rendered as sanitized Markdown, never interpolated as HTML
+    if (content) {
+      const contentElement = display.querySelector('.leetpilot-popup-content');
+      this.renderMarkdown(contentElement, content);
+      if (!response.streaming) {
+        this.renderCodeBlockActions(contentElement);
+      }
+    }
+    
     document.body.appendChild(display);
     
-    // Setup close button
+    // Setup close button - closing a display that is still streaming cancels the request
     const closeBtn = display.querySelector('.leetpilot-popup-close');
     if (closeBtn) {
-      closeBtn.addEventListener('click', () => display.remove());
+      closeBtn.addEventListener('click', () => {
+        if (display.classList.contains('leetpilot-streaming')) {
+          this.cancelRequest(display.dataset.requestId);
+        }
+        this.removeDisplay(display);
+      });
     }
     
     // Setup drag functionality
@@ -360,11 +1536,28 @@
     // Setup resize functionality
     this.setupResizing(display);
     
-    setTimeout(() => {
-      if (display.parentElement) {
-        display.remove();
+    // Streaming displays stay open until the stream finishes
+    if (!response.streaming) {
+      if (response.complexity) {
+        this.renderComplexityAnalysis(display, response.complexity);
+      } else if (response.testcases) {
+        this.renderTestcases(display, response.testcases);
+      } else if (response.run) {
+        this.renderRunResults(display, response.run);
+      } else if (response.sections) {
+        this.renderResponseSections(display, response.sections);
+      }
+      const hasDiff = this.renderCodeDiff(display, action, response);
+      this.renderHintLevel(display, response);
+      this.renderProviderAttribution(display, response);
+      // Test cases stay open until they have been pasted, run results until they have been read,
+      // and suggested changes until they have been applied or dismissed
+      if (!response.testcases && !response.run && !hasDiff) {
+        this.scheduleAutoClose(display, 30000);
       }
-    }, 30000);
+    }
+    
+    return display;
   }
 
   /**
@@ -387,6 +1580,21 @@
         title: 'Completion',
         headerBg: 'linear-gradient(135deg, #10b981 0%, #059669 100%)'
       },
+      complexity: {
+        icon: '<line x1="18" y1="20" x2="18" y2="10"/><line x1="12" y1="20" x2="12" y2="4"/><line x1="6" y1="20" x2="6" y2="14"/>',
+        title: 'Complexity Analysis',
+        headerBg: 'linear-gradient(135deg, #0d9488 0%, #0f766e 100%)'
+      },
+      testcases: {
+        icon: '<path d="M9 2v6L4 18a2 2 0 0 0 1.8 3h12.4a2 2 0 0 0 1.8-3L15 8V2"/><line x1="8" y1="2" x2="16" y2="2"/><line x1="6.5" y1="15" x2="17.5" y2="15"/>',
+        title: 'Edge-Case Tests',
+        headerBg: 'linear-gradient(135deg, #db2777 0%, #be185d 100%)'
+      },
+      run: {
+        icon: '<polygon points="5 3 19 12 5 21 5 3"/>',
+        title: 'Local Example Run',
+        headerBg: 'linear-gradient(135deg, #16a34a 0%, #15803d 100%)'
+      },
       optimisation: {
         icon: '<path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/>',
         title: 'Optimization',
@@ -494,7 +1702,7 @@
     });
   }
 
-  showToast(message, type = 'info') {
+  showToast(message, type = 'info', options = {}) {
     const existingToast = document.querySelector('.leetpilot-toast');
     if (existingToast) {
       existingToast.remove();
@@ -565,7 +1773,35 @@
       document.head.appendChild(style);
     }
     
-    toast.innerHTML = `<span style="font-size: 16px;">${icon}</span><span>${message}</span>`;
+    toast.innerHTML = `<span style="font-size: 16px;">${icon}</span><span class="leetpilot-toast-message"></span>`;
+    // Messages can carry provider error text, so they are never parsed as HTML
+    toast.querySelector('.leetpilot-toast-message').textContent = message;
+    
+    // Cancellable toasts stay until the request settles and replaces them
+    if (typeof options.onCancel === 'function') {
+      const cancelButton = document.createElement('button');
+      cancelButton.className = 'leetpilot-toast-cancel';
+      cancelButton.textContent = 'Cancel';
+      cancelButton.style.cssText = `
+        margin-left: auto;
+        background: rgba(255,255,255,0.2);
+        border: 1px solid rgba(255,255,255,0.6);
+        border-radius: 4px;
+        color: white;
+        font-size: 12px;
+        font-weight: 600;
+        padding: 4px 10px;
+        cursor: pointer;
+      `;
+      cancelButton.addEventListener('click', () => {
+        cancelButton.disabled = true;
+        cancelButton.textContent = 'Cancelling...';
+        options.onCancel();
+      });
+      toast.appendChild(cancelButton);
+      document.body.appendChild(toast);
+      return;
+    }
     
     document.body.appendChild(toast);
     
@@ -603,7 +1839,7 @@
         <button class="leetpilot-popup-close">×</button>
       </div>
       <div class="leetpilot-popup-content" style="color: var(--leetpilot-text);">
-        <p class="leetpilot-error-message" style="background: rgba(239, 68, 68, 0.1); border: 1px solid rgba(239, 68, 68, 0.2); padding: 12px; border-radius: 8px; font-size: 14px; margin: 0;">${message}</p>
+        <p class="leetpilot-error-message" style="background: rgba(239, 68, 68, 0.1); border: 1px solid rgba(239, 68, 68, 0.2); padding: 12px; border-radius: 8px; font-size: 14px; margin: 0;"></p>
       </div>
       <div class="leetpilot-resize-handle">
         <svg width="14" height="14" viewBox="0 0 14 14" fill="currentColor">
@@ -611,6 +1847,7 @@
         </svg>
       </div>
     `;
+    errorDisplay.querySelector('.leetpilot-error-message').textContent = message;
     
     document.body.appendChild(errorDisplay);
     
@@ -659,6 +1896,34 @@
         this.keyboardHandler.cleanup();
       }
       
+      if (this.errorFixListener) {
+        chrome.storage.onChanged.removeListener(this.errorFixListener);
+        this.errorFixListener = null;
+      }
+
+      if (this.activityListener) {
+        document.removeEventListener('keydown', this.activityListener, true);
+        this.activityListener = null;
+      }
+      
+      if (this.resultWatcher) {
+        this.resultWatcher.stop();
+      }
+
+      if (this.interviewPanel) {
+        this.interviewPanel.cleanup();
+      }
+      
+      if (this.autoCompleteListener) {
+        chrome.storage.onChanged.removeListener(this.autoCompleteListener);
+        this.autoCompleteListener = null;
+      }
+      
+      if (this.ghostText) {
+        this.ghostText.cleanup();
+      }
+      this.ghostCompletions.clear();
+      
       this.isInitialized = false;
     }
   }
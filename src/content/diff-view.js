@@ -0,0 +1,197 @@
+// LeetPilot Diff View
+// Shows a suggested code change as a side-by-side or inline diff against the editor's code, with per-hunk Apply
+
+// IIFE-based module pattern for Chrome content scripts
+(function() {
+  'use strict';
+
+  /**
+   * Diff View
+   * Renders hunks from the core code diff ({ oldStart, oldLines, newLines, before, after })
+   */
+  class DiffView {
+  /**
+   * @param {Object} options - { onApply(hunk) } applies a hunk to the editor, resolving to true on success
+   */
+  constructor(options = {}) {
+    this.onApply = options.onApply || null;
+    this.mode = 'split';
+  }
+
+  /**
+   * Build the diff element
+   * @param {Array} hunks - Changes to show, in editor order
+   * @returns {HTMLElement}
+   */
+  render(hunks) {
+    const container = document.createElement('div');
+    container.className = 'leetpilot-diff';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'leetpilot-diff-toolbar';
+
+    const summary = document.createElement('span');
+    summary.className = 'leetpilot-diff-summary';
+    summary.textContent = `Suggested change${hunks.length === 1 ? '' : 's'} to your code (${hunks.length} hunk${hunks.length === 1 ? '' : 's'})`;
+
+    const modeButton = document.createElement('button');
+    modeButton.className = 'leetpilot-btn leetpilot-diff-mode';
+
+    const applyAllButton = document.createElement('button');
+    applyAllButton.className = 'leetpilot-btn leetpilot-btn-accept';
+    applyAllButton.textContent = 'Apply all';
+    applyAllButton.disabled = !this.onApply;
+
+    toolbar.append(summary, modeButton, applyAllButton);
+    container.appendChild(toolbar);
+
+    const hunkElements = hunks.map((hunk, index) => this.renderHunk(hunk, index));
+    hunkElements.forEach(element => container.appendChild(element));
+
+    const showMode = () => {
+      modeButton.textContent = this.mode === 'split' ? 'Inline' : 'Side by side';
+      container.classList.toggle('leetpilot-diff-inline', this.mode === 'inline');
+    };
+    modeButton.addEventListener('click', () => {
+      this.mode = this.mode === 'split' ? 'inline' : 'split';
+      showMode();
+    });
+    showMode();
+
+    applyAllButton.addEventListener('click', async () => {
+      applyAllButton.disabled = true;
+      for (const element of hunkElements) {
+        const button = element.querySelector('.leetpilot-diff-apply');
+        if (!button.disabled) {
+          await element.apply();
+        }
+      }
+      // Hunks that could not be applied can be tried again
+      applyAllButton.disabled = !hunkElements.some(element => !element.classList.contains('leetpilot-diff-applied'));
+    });
+
+    return container;
+  }
+
+  /**
+   * Render one hunk in both layouts (CSS shows the selected one) with its Apply button
+   */
+  renderHunk(hunk, index) {
+    const element = document.createElement('div');
+    element.className = 'leetpilot-diff-hunk';
+
+    const header = document.createElement('div');
+    header.className = 'leetpilot-diff-hunk-header';
+    const location = document.createElement('span');
+    location.textContent = this.describeLocation(hunk, index);
+
+    const applyButton = document.createElement('button');
+    applyButton.className = 'leetpilot-btn leetpilot-btn-accept leetpilot-diff-apply';
+    applyButton.textContent = 'Apply';
+    applyButton.disabled = !this.onApply;
+    header.append(location, applyButton);
+
+    element.append(header, this.renderSplit(hunk), this.renderInline(hunk));
+
+    element.apply = async () => {
+      applyButton.disabled = true;
+      applyButton.textContent = 'Applying...';
+      const applied = await this.onApply(hunk);
+      applyButton.textContent = applied ? 'Applied' : 'Retry';
+      applyButton.disabled = applied;
+      element.classList.toggle('leetpilot-diff-applied', applied);
+    };
+    applyButton.addEventListener('click', () => element.apply());
+
+    return element;
+  }
+
+  /**
+   * Describe where a hunk is: "#2 · lines 4-7" (1-based, in the code as it was when diffed)
+   */
+  describeLocation(hunk, index) {
+    const first = hunk.oldStart + 1;
+    const last = hunk.oldStart + hunk.oldLines.length;
+    if (hunk.oldLines.length === 0) return `#${index + 1} · insert after line ${hunk.oldStart}`;
+    return `#${index + 1} · ${first === last ? `line ${first}` : `lines ${first}-${last}`}`;
+  }
+
+  /**
+   * Side-by-side table: current code on the left, suggestion on the right, changed lines paired in order
+   */
+  renderSplit(hunk) {
+    const table = document.createElement('table');
+    table.className = 'leetpilot-diff-split';
+
+    const addRow = (left, right) => {
+      const row = document.createElement('tr');
+      [left, right].forEach(cell => row.appendChild(this.createCell(cell)));
+      table.appendChild(row);
+    };
+
+    let lineNumber = hunk.oldStart - hunk.before.length + 1;
+    hunk.before.forEach(line => {
+      addRow({ text: line, number: lineNumber }, { text: line });
+      lineNumber++;
+    });
+
+    const rows = Math.max(hunk.oldLines.length, hunk.newLines.length);
+    for (let i = 0; i < rows; i++) {
+      const hasOld = i < hunk.oldLines.length;
+      const hasNew = i < hunk.newLines.length;
+      addRow(
+        hasOld ? { text: hunk.oldLines[i], number: lineNumber + i, type: 'removed' } : { type: 'empty' },
+        hasNew ? { text: hunk.newLines[i], type: 'added' } : { type: 'empty' }
+      );
+    }
+    lineNumber += hunk.oldLines.length;
+
+    hunk.after.forEach(line => {
+      addRow({ text: line, number: lineNumber }, { text: line });
+      lineNumber++;
+    });
+
+    return table;
+  }
+
+  /**
+   * Inline listing: removed lines followed by the lines that replace them
+   */
+  renderInline(hunk) {
+    const table = document.createElement('table');
+    table.className = 'leetpilot-diff-unified';
+
+    const addRow = (cell) => {
+      const row = document.createElement('tr');
+      row.appendChild(this.createCell(cell));
+      table.appendChild(row);
+    };
+
+    hunk.before.forEach(line => addRow({ text: line }));
+    hunk.oldLines.forEach(line => addRow({ text: line, type: 'removed' }));
+    hunk.newLines.forEach(line => addRow({ text: line, type: 'added' }));
+    hunk.after.forEach(line => addRow({ text: line }));
+
+    return table;
+  }
+
+  /**
+   * Create a code cell: { text, number, type } where type is 'added', 'removed', 'empty' or unchanged
+   */
+  createCell(cell) {
+    const element = document.createElement('td');
+    element.className = `leetpilot-diff-line${cell.type ? ` leetpilot-diff-${cell.type}` : ''}`;
+    if (cell.number) {
+      element.dataset.line = cell.number;
+    }
+    if (cell.text !== undefined) {
+      const marker = cell.type === 'added' ? '+ ' : cell.type === 'removed' ? '- ' : '  ';
+      element.textContent = marker + cell.text;
+    }
+    return element;
+  }
+  }
+
+  // Expose to global scope for content script compatibility
+  window.__LeetPilotDiffView = DiffView;
+})();
@@ -22,6 +22,17 @@
     this.lastCursorPosition = 0;
     this.isInitialized = false;
     
+    // Idle-typing completion trigger (off until enableAutoTrigger is called)
+    this.autoTrigger = {
+      enabled: false,
+      debounceMs: 1000,
+      minChars: 3,
+      language: 'javascript',
+      callback: null,
+      lastKey: null,
+      pausedUntil: 0
+    };
+    
     if (monacoEditor) {
       this.initialize();
     }
@@ -146,10 +157,132 @@
           content: currentContent,
           previousContent: this.lastContent
         });
+        
+        this.scheduleAutoTrigger();
       }
     }, 300);
   }
 
+  /**
+   * Request completions automatically once the user pauses typing
+   * @param {Object} options - { debounceMs, minChars, language (string or function returning one) }
+   * @param {Function} callback - Called with { code, cursorPosition } when a completion should be requested
+   */
+  enableAutoTrigger(options = {}, callback) {
+    Object.assign(this.autoTrigger, {
+      enabled: true,
+      debounceMs: Number(options.debounceMs) || this.autoTrigger.debounceMs,
+      minChars: Number.isInteger(options.minChars) ? options.minChars : this.autoTrigger.minChars,
+      language: options.language || this.autoTrigger.language,
+      callback: callback || this.autoTrigger.callback
+    });
+  }
+
+  /**
+   * Stop requesting completions while typing
+   */
+  disableAutoTrigger() {
+    this.autoTrigger.enabled = false;
+    clearTimeout(this._autoTriggerTimeout);
+  }
+
+  /**
+   * Hold off auto-triggering (e.g. after the background reports a rate limit)
+   */
+  pauseAutoTrigger(durationMs) {
+    this.autoTrigger.pausedUntil = Date.now() + durationMs;
+  }
+
+  /**
+   * Wait for an idle pause, then fire the auto-trigger callback if the cursor is somewhere worth completing
+   */
+  scheduleAutoTrigger() {
+    clearTimeout(this._autoTriggerTimeout);
+    if (!this.autoTrigger.enabled || !this.autoTrigger.callback) return;
+
+    this._autoTriggerTimeout = setTimeout(() => {
+      if (Date.now() < this.autoTrigger.pausedUntil || !this.isFocused()) return;
+
+      const code = this.getCurrentCode();
+      const cursorPosition = this.getCursorPosition();
+      if (!this.shouldAutoTrigger(code, cursorPosition)) return;
+
+      // Don't ask twice for the same code and cursor
+      const key = `${cursorPosition}:${code}`;
+      if (key === this.autoTrigger.lastKey) return;
+      this.autoTrigger.lastKey = key;
+
+      try {
+        this.autoTrigger.callback({ code, cursorPosition });
+      } catch (error) {
+        console.error('Error in auto-trigger callback:', error);
+      }
+    }, this.autoTrigger.debounceMs);
+  }
+
+  /**
+   * Check the text before the cursor: enough typed on the line, and not inside a comment or string
+   */
+  shouldAutoTrigger(code, cursorPosition) {
+    const beforeCursor = code.slice(0, cursorPosition);
+    const currentLine = beforeCursor.slice(beforeCursor.lastIndexOf('\n') + 1);
+
+    if (currentLine.trim().length < this.autoTrigger.minChars) {
+      return false;
+    }
+
+    const language = typeof this.autoTrigger.language === 'function'
+      ? this.autoTrigger.language()
+      : this.autoTrigger.language;
+    return !this.isInsideCommentOrString(beforeCursor, language || 'javascript');
+  }
+
+  /**
+   * Scan code up to the cursor and report whether it ends inside a comment or string literal
+   */
+  isInsideCommentOrString(beforeCursor, language = 'javascript') {
+    const hashComments = ['python', 'python3', 'ruby', 'bash', 'shell'].includes(language.toLowerCase());
+    let state = null; // null | 'line' | 'block' | a quote delimiter
+    let i = 0;
+
+    while (i < beforeCursor.length) {
+      const char = beforeCursor[i];
+      const next = beforeCursor.slice(i, i + 3);
+
+      if (state === 'line') {
+        if (char === '\n') state = null;
+      } else if (state === 'block') {
+        if (beforeCursor.startsWith('*/', i)) {
+          state = null;
+          i++;
+        }
+      } else if (state) {
+        if (char === '\\') {
+          i++;
+        } else if (beforeCursor.startsWith(state, i)) {
+          i += state.length - 1;
+          state = null;
+        } else if (char === '\n' && state.length === 1 && state !== '`') {
+          state = null;
+        }
+      } else if (hashComments ? char === '#' : beforeCursor.startsWith('//', i)) {
+        state = 'line';
+      } else if (!hashComments && beforeCursor.startsWith('/*', i)) {
+        state = 'block';
+        i++;
+      } else if (hashComments && (next === '"""' || next === "'''")) {
+        state = next;
+        i += 2;
+      } else if (char === '"' || char === "'" || char === '`') {
+        state = char;
+      }
+
+      i++;
+    }
+
+    return state !== null;
+  }
+
   /**
    * Handle focus events
    */
@@ -446,6 +579,22 @@
     return false;
   }
 
+  /**
+   * Select whole lines [start, end) (0-based), including the line break after the last one
+   */
+  selectLines(start, end) {
+    const textarea = this.monacoEditor.querySelector('textarea');
+    if (!textarea) return false;
+
+    const lines = textarea.value.split('\n');
+    if (start < 0 || end < start || end > lines.length) return false;
+
+    const offsetOf = (line) => lines.slice(0, line).reduce((offset, text) => offset + text.length + 1, 0);
+    textarea.setSelectionRange(offsetOf(start), Math.min(offsetOf(end), textarea.value.length));
+    textarea.focus();
+    return true;
+  }
+
   /**
    * Focus the editor
    */
@@ -574,6 +723,7 @@
       if (this._contentChangeTimeout) {
         clearTimeout(this._contentChangeTimeout);
       }
+      this.disableAutoTrigger();
 
       // Disconnect observers
       this.observers.forEach(observer => observer.disconnect());
@@ -0,0 +1,215 @@
+// LeetPilot Ghost Text Controller
+// Shows completions as inline ghost text, highlights lines, edits the code, fills the testcase editor and
+// compiles TypeScript, through the page-world Monaco bridge
+
+// IIFE-based module pattern for Chrome content scripts
+(function() {
+  'use strict';
+
+  const CONTENT_SOURCE = 'leetpilot-content';
+  const PAGE_SOURCE = 'leetpilot-page';
+
+  // Page scripts run in the page's JS world, where window.monaco is reachable
+  const PAGE_SCRIPTS = ['src/content/monaco-detector.js', 'src/content/monaco-ghost-text.js'];
+
+  // The TypeScript worker can take a while to start the first time
+  const COMPILE_TIMEOUT = 10000;
+
+  /**
+   * Ghost Text Controller
+   * Content-script side of the inline completion bridge
+   */
+  class GhostTextController {
+  constructor() {
+    this.bridgeReady = null;
+    this.pendingRequests = new Map(); // id -> resolve
+    this.messageId = 0;
+    this.responseTimeout = 1000;
+    this.listeners = { accepted: [], dismissed: [] };
+
+    this.messageHandler = (event) => this.handleBridgeMessage(event);
+    window.addEventListener('message', this.messageHandler);
+  }
+
+  /**
+   * Inject the page scripts once
+   */
+  injectBridge() {
+    if (this.bridgeReady) return this.bridgeReady;
+
+    this.bridgeReady = PAGE_SCRIPTS.reduce((previous, path) => previous.then(() => new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = chrome.runtime.getURL(path);
+      script.onload = () => {
+        script.remove();
+        resolve();
+      };
+      script.onerror = () => reject(new Error(`Failed to load ${path}`));
+      (document.head || document.documentElement).appendChild(script);
+    })), Promise.resolve()).catch(error => {
+      console.warn('Ghost text bridge unavailable:', error.message);
+      this.bridgeReady = null;
+      throw error;
+    });
+
+    return this.bridgeReady;
+  }
+
+  /**
+   * Check whether the page's Monaco editor can render ghost text
+   */
+  async isAvailable() {
+    return await this.send('pingGhostText');
+  }
+
+  /**
+   * Show a suggestion as ghost text at the cursor (update keeps the anchor while streaming)
+   * @returns {Promise<boolean>} False when the page's Monaco instance is not reachable
+   */
+  async show(suggestion, options = {}) {
+    const text = this.getInsertableText(suggestion);
+    if (!text) return false;
+
+    return await this.send('showGhostText', { text, update: !!options.update });
+  }
+
+  /**
+   * Remove any ghost text
+   */
+  async clear() {
+    await this.send('clearGhostText');
+  }
+
+  /**
+   * Highlight whole lines in the editor, scrolling the first one into view
+   * @param {number[]} lines - 1-based line numbers
+   * @returns {Promise<boolean>} False when the page's Monaco instance is not reachable
+   */
+  async highlightLines(lines) {
+    return await this.send('highlightLines', { lines });
+  }
+
+  /**
+   * Remove any line highlights
+   */
+  async clearLineHighlights() {
+    await this.send('clearLineHighlights');
+  }
+
+  /**
+   * Replace the text of a Monaco-based custom testcase editor
+   * @returns {Promise<boolean>} False when the page has no such editor
+   */
+  async setTestcaseText(text) {
+    return await this.send('setTestcaseText', { text });
+  }
+
+  /**
+   * Insert text at the code editor's cursor, or in place of its selection, as one undoable edit
+   * @returns {Promise<boolean>} False when the page's Monaco instance is not reachable
+   */
+  async insertText(text, options = {}) {
+    return await this.send('insertText', { text, replaceSelection: !!options.replaceSelection });
+  }
+
+  /**
+   * Replace lines [start, end) of the code editor (0-based) with text, as one undoable edit
+   * @param {Array<string>} expectedLines - The lines being replaced, which the editor must still have
+   * @returns {Promise<boolean>} False when the page's Monaco instance is not reachable or the lines differ
+   */
+  async replaceLines(start, end, text, expectedLines = null) {
+    return await this.send('replaceLines', { start, end, text, expected: expectedLines });
+  }
+
+  /**
+   * Compile TypeScript to JavaScript with the page's Monaco TypeScript service
+   * @returns {Promise<string|null>} Null when the page has no TypeScript support
+   */
+  async compileTypeScript(code) {
+    return (await this.send('compileTypeScript', { code }, COMPILE_TIMEOUT)) || null;
+  }
+
+  /**
+   * Register a callback for when the user accepts (Tab / Ctrl+Right) or dismisses (Esc) the ghost text
+   */
+  on(event, callback) {
+    if (this.listeners[event] && typeof callback === 'function') {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Strip Markdown code fences the model may wrap a completion in
+   */
+  getInsertableText(suggestion) {
+    const text = typeof suggestion === 'string' ? suggestion : suggestion?.suggestion || '';
+    const fenced = text.match(/```[\w+#-]*\n([\s\S]*?)(?:```|$)/);
+    return (fenced ? fenced[1] : text).replace(/\s+$/, '');
+  }
+
+  /**
+   * Send a command to the page bridge and wait for its result
+   */
+  async send(type, data = {}, timeout = this.responseTimeout) {
+    try {
+      await this.injectBridge();
+    } catch (error) {
+      return false;
+    }
+
+    const id = ++this.messageId;
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        resolve(false);
+      }, timeout);
+
+      this.pendingRequests.set(id, (shown) => {
+        clearTimeout(timer);
+        resolve(shown);
+      });
+
+      window.postMessage({ source: CONTENT_SOURCE, type, id, ...data }, window.location.origin);
+    });
+  }
+
+  /**
+   * Handle results and user events posted by the page bridge
+   */
+  handleBridgeMessage(event) {
+    if (event.source !== window || event.data?.source !== PAGE_SOURCE) return;
+
+    const { type, id, shown, partial, output } = event.data;
+    switch (type) {
+      case 'ghostTextResult':
+      case 'compileResult': {
+        const resolve = this.pendingRequests.get(id);
+        if (resolve) {
+          this.pendingRequests.delete(id);
+          resolve(type === 'compileResult' ? output : !!shown);
+        }
+        break;
+      }
+      case 'ghostTextAccepted':
+        this.listeners.accepted.forEach(callback => callback({ partial: !!partial }));
+        break;
+      case 'ghostTextDismissed':
+        this.listeners.dismissed.forEach(callback => callback());
+        break;
+    }
+  }
+
+  /**
+   * Cleanup resources
+   */
+  cleanup() {
+    window.removeEventListener('message', this.messageHandler);
+    this.pendingRequests.forEach(resolve => resolve(false));
+    this.pendingRequests.clear();
+    this.listeners = { accepted: [], dismissed: [] };
+  }
+  }
+
+  // Expose to global scope for content script compatibility
+  window.__LeetPilotGhostTextController = GhostTextController;
+})();
@@ -0,0 +1,519 @@
+// LeetPilot Interview Panel
+// Timed mock interview with an AI interviewer, ending in a scorecard
+
+// IIFE-based module pattern for Chrome content scripts
+(function() {
+  'use strict';
+
+  // Interview lengths offered when starting, in minutes
+  const DURATION_OPTIONS = [20, 30, 45, 60];
+  const DEFAULT_DURATION = 30;
+
+  // Remind the candidate to wrap up when this much time is left
+  const TIME_WARNING = 5 * 60 * 1000;
+
+  /**
+   * Interview Panel
+   * Runs a mock interview session: setup, a timed conversation, and the final scorecard
+   */
+  class InterviewPanel {
+  /**
+   * @param {Object} options - { sendRequest(payload), getContext(), onOpen(element) }
+   */
+  constructor(options = {}) {
+    this.sendRequest = options.sendRequest;
+    this.getContext = options.getContext || (() => ({}));
+    this.onOpen = options.onOpen;
+    this.element = null;
+    this.session = null;
+    this.timer = null;
+  }
+
+  /**
+   * Check whether the panel is on the page
+   */
+  isOpen() {
+    return !!this.element && this.element.isConnected;
+  }
+
+  /**
+   * Open the panel, or hide it (a running interview keeps its clock running)
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Show the panel in the state of the current session
+   */
+  open() {
+    if (this.isOpen()) return;
+
+    this.element = document.createElement('div');
+    this.element.className = 'leetpilot-popup leetpilot-interview-panel';
+    this.element.innerHTML = `
+      <div class="leetpilot-drag-handle">
+        <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+          <circle cx="4" cy="4" r="1.5"/><circle cx="12" cy="4" r="1.5"/>
+          <circle cx="4" cy="12" r="1.5"/><circle cx="12" cy="12" r="1.5"/>
+        </svg>
+      </div>
+      <div class="leetpilot-popup-header">
+        <h3 class="leetpilot-popup-title">Mock Interview</h3>
+        <span class="leetpilot-interview-timer"></span>
+        <button class="leetpilot-popup-close" title="Hide (the interview keeps running)">×</button>
+      </div>
+      <div class="leetpilot-popup-content leetpilot-interview-body"></div>
+    `;
+    this.element.querySelector('.leetpilot-popup-close').addEventListener('click', () => this.close());
+
+    document.body.appendChild(this.element);
+    this.onOpen?.(this.element);
+    this.render();
+  }
+
+  /**
+   * Hide the panel
+   */
+  close() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+
+  /**
+   * Render the view for the session's state
+   */
+  render() {
+    if (!this.isOpen()) return;
+
+    if (!this.session) {
+      this.renderSetup();
+    } else if (this.session.finished) {
+      this.renderScorecard();
+    } else {
+      this.renderConversation();
+    }
+    this.updateTimer();
+  }
+
+  /**
+   * Show the duration picker and the start button
+   */
+  renderSetup() {
+    const body = this.getBody();
+    body.innerHTML = '';
+
+    const intro = document.createElement('p');
+    intro.textContent = 'Practice this problem as a coding interview. The interviewer asks clarifying questions, probes your complexity analysis and challenges your approach, but never writes code for you.';
+    body.appendChild(intro);
+
+    const controls = document.createElement('div');
+    controls.className = 'leetpilot-interview-controls';
+
+    const durationSelect = document.createElement('select');
+    durationSelect.className = 'leetpilot-interview-duration';
+    DURATION_OPTIONS.forEach(minutes => {
+      const option = document.createElement('option');
+      option.value = minutes;
+      option.textContent = `${minutes} minutes`;
+      option.selected = minutes === DEFAULT_DURATION;
+      durationSelect.appendChild(option);
+    });
+
+    const startButton = document.createElement('button');
+    startButton.className = 'leetpilot-btn leetpilot-btn-accept';
+    startButton.textContent = 'Start Interview';
+    startButton.addEventListener('click', () => this.start(parseInt(durationSelect.value, 10)));
+
+    controls.appendChild(durationSelect);
+    controls.appendChild(startButton);
+    body.appendChild(controls);
+  }
+
+  /**
+   * Show the transcript, the reply box and the end button
+   */
+  renderConversation() {
+    const body = this.getBody();
+    const draft = body.querySelector('.leetpilot-interview-input')?.value || '';
+    body.innerHTML = '';
+
+    const transcript = document.createElement('div');
+    transcript.className = 'leetpilot-interview-transcript';
+    this.session.entries.forEach(entry => transcript.appendChild(this.createEntryElement(entry)));
+    if (this.session.pending) {
+      transcript.appendChild(this.createEntryElement({ role: 'note', content: 'Interviewer is typing...' }));
+    }
+    body.appendChild(transcript);
+
+    const input = document.createElement('textarea');
+    input.className = 'leetpilot-interview-input';
+    input.placeholder = 'Think out loud: questions, approach, complexity... (Enter to send, Shift+Enter for a new line)';
+    input.value = draft;
+    input.disabled = this.session.pending;
+    input.addEventListener('keydown', (event) => {
+      // Keep the editor's shortcuts from firing while typing here
+      event.stopPropagation();
+      if (event.key === 'Enter' && !event.shiftKey) {
+        event.preventDefault();
+        this.submitMessage(input);
+      }
+    });
+    body.appendChild(input);
+
+    const controls = document.createElement('div');
+    controls.className = 'leetpilot-interview-controls';
+
+    const sendButton = document.createElement('button');
+    sendButton.className = 'leetpilot-btn leetpilot-btn-accept';
+    sendButton.textContent = 'Send';
+    sendButton.disabled = this.session.pending;
+    sendButton.addEventListener('click', () => this.submitMessage(input));
+
+    const endButton = document.createElement('button');
+    endButton.className = 'leetpilot-btn leetpilot-btn-reject';
+    endButton.textContent = 'End & Get Scorecard';
+    endButton.disabled = this.session.pending;
+    endButton.addEventListener('click', () => this.finish());
+
+    controls.appendChild(sendButton);
+    controls.appendChild(endButton);
+    body.appendChild(controls);
+
+    transcript.scrollTop = transcript.scrollHeight;
+    if (!this.session.pending) {
+      input.focus();
+    }
+  }
+
+  /**
+   * Show the scorecard, or the raw feedback when it could not be parsed
+   */
+  renderScorecard() {
+    const body = this.getBody();
+    body.innerHTML = '';
+
+    const { scorecard, scorecardText, pending, error } = this.session;
+    if (pending) {
+      body.appendChild(this.createEntryElement({ role: 'note', content: 'Writing your scorecard...' }));
+      return;
+    }
+
+    if (scorecard) {
+      body.appendChild(this.createScorecardElement(scorecard));
+    } else {
+      const feedback = document.createElement('p');
+      feedback.className = error ? 'leetpilot-interview-error' : '';
+      feedback.textContent = error || scorecardText || 'No scorecard was returned.';
+      body.appendChild(feedback);
+    }
+
+    const controls = document.createElement('div');
+    controls.className = 'leetpilot-interview-controls';
+
+    if (error) {
+      const retryButton = document.createElement('button');
+      retryButton.className = 'leetpilot-btn leetpilot-btn-accept';
+      retryButton.textContent = 'Retry Scorecard';
+      retryButton.addEventListener('click', () => this.requestScorecard());
+      controls.appendChild(retryButton);
+    }
+
+    const newButton = document.createElement('button');
+    newButton.className = 'leetpilot-btn leetpilot-btn-reject';
+    newButton.textContent = 'New Interview';
+    newButton.addEventListener('click', () => {
+      this.session = null;
+      this.render();
+    });
+    controls.appendChild(newButton);
+    body.appendChild(controls);
+  }
+
+  /**
+   * Build the score table, verdict, strengths and improvements
+   */
+  createScorecardElement(scorecard) {
+    const container = document.createElement('div');
+    container.className = 'leetpilot-interview-scorecard';
+
+    const average = scorecard.scores.reduce((sum, { score }) => sum + score, 0) / scorecard.scores.length;
+    const heading = document.createElement('h4');
+    heading.textContent = `${scorecard.verdict || 'Overall'} · ${average.toFixed(1)} / 5`;
+    container.appendChild(heading);
+
+    if (scorecard.summary) {
+      const summary = document.createElement('p');
+      summary.textContent = scorecard.summary;
+      container.appendChild(summary);
+    }
+
+    const table = document.createElement('table');
+    scorecard.scores.forEach(({ label, score, comment }) => {
+      const row = table.insertRow();
+      row.insertCell().textContent = label;
+      row.insertCell().textContent = `${score} / 5`;
+      row.insertCell().textContent = comment;
+    });
+    container.appendChild(table);
+
+    [['Strengths', scorecard.strengths], ['To improve', scorecard.improvements]].forEach(([title, items]) => {
+      if (items.length === 0) return;
+
+      const listTitle = document.createElement('h5');
+      listTitle.textContent = title;
+      const list = document.createElement('ul');
+      items.forEach(item => {
+        const listItem = document.createElement('li');
+        listItem.textContent = item;
+        list.appendChild(listItem);
+      });
+      container.appendChild(listTitle);
+      container.appendChild(list);
+    });
+
+    return container;
+  }
+
+  /**
+   * Build a transcript line
+   */
+  createEntryElement(entry) {
+    const element = document.createElement('div');
+    element.className = `leetpilot-interview-entry leetpilot-interview-${entry.role}`;
+
+    if (entry.role !== 'note') {
+      const speaker = document.createElement('strong');
+      speaker.textContent = entry.role === 'assistant' ? 'Interviewer: ' : 'You: ';
+      element.appendChild(speaker);
+    }
+    element.appendChild(document.createTextNode(entry.content));
+    return element;
+  }
+
+  /**
+   * Start a new interview and ask for the interviewer's opening
+   */
+  start(minutes) {
+    this.session = {
+      durationMs: (minutes || DEFAULT_DURATION) * 60 * 1000,
+      startedAt: Date.now(),
+      entries: [],
+      pending: false,
+      turn: null,
+      warned: false,
+      finished: false,
+      scorecard: null,
+      scorecardText: '',
+      error: null
+    };
+
+    this.startTimer();
+    this.send('start');
+  }
+
+  /**
+   * Send the candidate's typed reply
+   */
+  submitMessage(input) {
+    const message = input.value.trim();
+    if (!message || this.session?.pending) return;
+
+    input.value = '';
+    this.send('message', message);
+  }
+
+  /**
+   * Send an interview turn and add the interviewer's reply to the transcript
+   */
+  async send(stage, message = '') {
+    const session = this.session;
+    const payload = this.createPayload(stage, message);
+
+    if (message) {
+      session.entries.push({ role: 'user', content: message });
+    }
+    session.pending = true;
+    this.render();
+
+    session.turn = this.request(payload).then(response => {
+      if (response.success) {
+        session.entries.push({ role: 'assistant', content: response.reply });
+      } else {
+        session.entries.push({ role: 'note', content: `Interviewer unavailable: ${response.error}` });
+      }
+    });
+    await session.turn;
+
+    // Once time is up, the scorecard request owns the pending state
+    if (this.session !== session || session.finished) return;
+
+    session.pending = false;
+    this.render();
+  }
+
+  /**
+   * End the interview: stop the clock and ask for the scorecard
+   */
+  finish() {
+    if (!this.session || this.session.finished) return;
+
+    this.stopTimer();
+    this.session.finished = true;
+    this.session.endedAt = Date.now();
+
+    // Show the result even if the panel was hidden when time ran out
+    if (!this.isOpen()) {
+      this.open();
+    }
+    this.requestScorecard();
+  }
+
+  /**
+   * Ask for the scorecard of the finished interview
+   */
+  async requestScorecard() {
+    const session = this.session;
+    session.pending = true;
+    session.error = null;
+    this.render();
+
+    // A reply still on its way belongs in the transcript being scored
+    await session.turn;
+    if (this.session !== session) return;
+
+    const response = await this.request(this.createPayload('scorecard'));
+    if (this.session !== session) return;
+
+    session.pending = false;
+    if (response.success) {
+      session.scorecard = response.scorecard || null;
+      session.scorecardText = response.reply || '';
+    } else {
+      session.error = `Could not get the scorecard: ${response.error}`;
+    }
+    this.render();
+  }
+
+  /**
+   * Build an interview request with the transcript so far and the problem as it is now
+   */
+  createPayload(stage, message = '') {
+    const session = this.session;
+    const endTime = session.endedAt || Date.now();
+
+    return {
+      type: 'interviewMessage',
+      stage: stage,
+      message: message,
+      history: session.entries.filter(entry => entry.role !== 'note'),
+      problemContext: this.getContext(),
+      elapsedMs: endTime - session.startedAt,
+      durationMs: session.durationMs,
+      requestId: `interview_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
+    };
+  }
+
+  /**
+   * Send a request, turning failures into an error response
+   */
+  async request(payload) {
+    try {
+      const response = await this.sendRequest(payload);
+      if (!response) {
+        return { success: false, error: 'No response from LeetPilot' };
+      }
+      return response.success ? response : { success: false, error: response.error || 'Request failed' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Tick the countdown every second
+   */
+  startTimer() {
+    this.stopTimer();
+    this.timer = setInterval(() => this.tick(), 1000);
+  }
+
+  /**
+   * Stop the countdown
+   */
+  stopTimer() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Warn when time is nearly up, and end the interview when it runs out
+   */
+  tick() {
+    const remaining = this.getRemaining();
+
+    if (remaining <= 0) {
+      this.finish();
+      return;
+    }
+
+    if (remaining <= TIME_WARNING && !this.session.warned) {
+      this.session.warned = true;
+      this.session.entries.push({ role: 'note', content: `${Math.ceil(remaining / 60000)} minutes left. Start wrapping up.` });
+      this.render();
+    }
+
+    this.updateTimer();
+  }
+
+  /**
+   * Get the time left in the interview
+   */
+  getRemaining() {
+    if (!this.session) return 0;
+    const endTime = this.session.endedAt || Date.now();
+    return this.session.durationMs - (endTime - this.session.startedAt);
+  }
+
+  /**
+   * Show the remaining time in the header
+   */
+  updateTimer() {
+    const timerElement = this.element?.querySelector('.leetpilot-interview-timer');
+    if (!timerElement) return;
+
+    if (!this.session || this.session.finished) {
+      timerElement.textContent = '';
+      return;
+    }
+
+    const seconds = Math.max(0, Math.ceil(this.getRemaining() / 1000));
+    timerElement.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    timerElement.classList.toggle('leetpilot-interview-timer-low', seconds * 1000 <= TIME_WARNING);
+  }
+
+  /**
+   * Get the panel's content area
+   */
+  getBody() {
+    return this.element.querySelector('.leetpilot-interview-body');
+  }
+
+  /**
+   * Cleanup resources
+   */
+  cleanup() {
+    this.stopTimer();
+    this.close();
+    this.session = null;
+  }
+  }
+
+  // Expose to global scope for content script compatibility
+  window.__LeetPilotInterviewPanel = InterviewPanel;
+})();
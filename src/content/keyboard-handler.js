@@ -20,7 +20,11 @@
       'ctrl+space': 'completion',
       'alt+e': 'explanation',
       'alt+o': 'optimization',
+      'alt+c': 'complexity',
+      'alt+t': 'testcases',
+      'alt+r': 'run',
       'alt+h': 'hint',
+      'alt+i': 'interview',
       'escape': 'dismiss',
       'tab': 'accept',
       'ctrl+shift+r': 'reset_hints'
@@ -148,7 +152,7 @@
     }
     
     // AI actions should work when we're on LeetCode
-    if (['completion', 'explanation', 'optimization', 'hint'].includes(action)) {
+    if (['completion', 'explanation', 'optimization', 'complexity', 'testcases', 'run', 'hint', 'interview'].includes(action)) {
       return window.location.href.includes('leetcode.com');
     }
     
@@ -0,0 +1,307 @@
+// LeetPilot Local Runner
+// Runs a JavaScript/TypeScript solution on the problem's examples in a sandboxed iframe, before using LeetCode's Run
+
+// IIFE-based module pattern for Chrome content scripts
+(function() {
+  'use strict';
+
+  const CONTENT_SOURCE = 'leetpilot-content';
+  const RUNNER_SOURCE = 'leetpilot-runner';
+
+  // Manifest sandbox page: opaque origin, no extension APIs, runs each solution in a worker
+  const RUNNER_PAGE = 'src/sandbox/code-runner.html';
+
+  // Time limit for each example, and for the sandbox page to load
+  const CASE_TIMEOUT = 2000;
+  const LOAD_TIMEOUT = 5000;
+
+  // Difference allowed between floating point answers, as LeetCode's judge allows
+  const FLOAT_TOLERANCE = 1e-5;
+
+  /**
+   * Local Runner
+   * Finds the solution function in the code, runs it on parsed examples and compares the results
+   */
+  class LocalRunner {
+  /**
+   * @param {Object} options - { bridge } the GhostTextController, which compiles TypeScript with the page's Monaco
+   */
+  constructor(options = {}) {
+    this.bridge = options.bridge || null;
+    this.frame = null;
+    this.frameReady = null;
+    this.pendingRuns = new Map(); // id -> resolve
+    this.messageId = 0;
+
+    this.messageHandler = (event) => this.handleRunnerMessage(event);
+    window.addEventListener('message', this.messageHandler);
+  }
+
+  /**
+   * Check whether solutions in a language can be run locally
+   */
+  supports(language) {
+    return ['javascript', 'typescript'].includes(String(language || '').trim().toLowerCase());
+  }
+
+  /**
+   * Find the solution function: the one documented by LeetCode's starter comment, else the first top-level one
+   * @returns {Object|null} { name, paramTypes, returnsVoid }
+   */
+  findSolution(code, language) {
+    const isTypeScript = String(language).trim().toLowerCase() === 'typescript';
+    const pattern = /^(?:\/\*\*([\s\S]*?)\*\/\s*)?(?:(?:var|let|const)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?function\s*\*?\s*\(([^)]*)\)|(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)\s*\(([^)]*)\)(\s*:\s*[^{]+)?)/gm;
+
+    let first = null;
+    for (const match of code.matchAll(pattern)) {
+      const [, doc, varName, varParams, fnName, fnParams, returnType] = match;
+      const solution = isTypeScript
+        ? this.parseTypedSignature(fnName || varName, fnParams ?? varParams, returnType)
+        : this.parseDocumentedSignature(varName || fnName, varParams ?? fnParams, doc);
+
+      if (doc && /@returns?\b/.test(doc)) return solution;
+      first = first || solution;
+    }
+    return first;
+  }
+
+  /**
+   * Read parameter types from a TypeScript signature: twoSum(nums: number[], target: number): number[]
+   */
+  parseTypedSignature(name, params, returnType) {
+    const paramTypes = this.splitParameters(params).map(param => {
+      const colon = param.indexOf(':');
+      return colon === -1 ? null : param.slice(colon + 1).replace(/=.*$/, '').trim();
+    });
+    return { name, paramTypes, returnsVoid: /^\s*:\s*void\s*$/.test(returnType || '') };
+  }
+
+  /**
+   * Read parameter types from LeetCode's JSDoc: @param {ListNode} head and @return {void}
+   */
+  parseDocumentedSignature(name, params, doc = '') {
+    const docTypes = new Map();
+    for (const [, type, paramName] of (doc || '').matchAll(/@param\s*\{([^}]*)\}\s*([A-Za-z_$][\w$]*)/g)) {
+      docTypes.set(paramName, type.trim());
+    }
+
+    const paramTypes = this.splitParameters(params).map(param => docTypes.get(param.replace(/=.*$/, '').trim()) || null);
+    return { name, paramTypes, returnsVoid: /@returns?\s*\{\s*void\s*\}/.test(doc || '') };
+  }
+
+  /**
+   * Split a parameter list at top-level commas
+   */
+  splitParameters(params) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < params.length; i++) {
+      const char = params[i];
+      if ('[{(<'.includes(char)) {
+        depth++;
+      } else if (']})>'.includes(char)) {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push(params.slice(start, i));
+        start = i + 1;
+      }
+    }
+    parts.push(params.slice(start));
+    return parts.map(part => part.trim()).filter(Boolean);
+  }
+
+  /**
+   * Run a solution on parsed example cases (from ContextManager.parseExampleCases)
+   * @returns {Promise<Object>} { functionName, results: [{ index, input, expected, output, error, passed, diff, time, logs }], error }
+   */
+  async run(code, language, cases) {
+    const solution = this.findSolution(code, language);
+    if (!solution) {
+      return { results: [], error: 'Could not find the solution function in the code' };
+    }
+
+    let source = code;
+    if (String(language).trim().toLowerCase() === 'typescript') {
+      source = this.bridge ? await this.bridge.compileTypeScript(code) : null;
+      if (source === null) {
+        return { functionName: solution.name, results: [], error: 'Could not compile the TypeScript code on this page' };
+      }
+    }
+
+    await this.ensureFrame();
+    const outcome = await this.post({
+      code: source,
+      functionName: solution.name,
+      paramTypes: solution.paramTypes,
+      returnsVoid: solution.returnsVoid,
+      cases: cases.map(testCase => ({ args: testCase.args })),
+      timeout: CASE_TIMEOUT
+    }, CASE_TIMEOUT * (cases.length + 1));
+
+    const results = cases.map((testCase, position) => {
+      const result = outcome.results?.find(item => item.index === position);
+      const base = { index: testCase.index, input: testCase.input, expected: testCase.expected, hasExpected: testCase.hasExpected };
+
+      if (!result) {
+        return {
+          ...base,
+          passed: false,
+          error: outcome.timedOut === position ? `Time limit exceeded (${CASE_TIMEOUT / 1000}s)` : 'Not run'
+        };
+      }
+      if (result.error) {
+        return { ...base, passed: false, error: result.error, time: result.time, logs: result.logs };
+      }
+
+      const diff = testCase.hasExpected ? this.findDifference(result.output, testCase.expected) : null;
+      return {
+        ...base,
+        output: result.output,
+        passed: testCase.hasExpected ? diff === null : null,
+        diff: diff,
+        time: result.time,
+        logs: result.logs
+      };
+    });
+
+    return { functionName: solution.name, results, error: outcome.error || null };
+  }
+
+  /**
+   * Find where an output first differs from the expected value
+   * @returns {string|null} A path such as "[2]" or "[1][0]" ("" for the whole value), or null when they match
+   */
+  findDifference(actual, expected, path = '') {
+    if (typeof actual === 'number' && typeof expected === 'number') {
+      const equal = Number.isInteger(expected)
+        ? actual === expected
+        : Math.abs(actual - expected) <= FLOAT_TOLERANCE * Math.max(1, Math.abs(expected));
+      return equal ? null : path;
+    }
+
+    if (Array.isArray(actual) && Array.isArray(expected)) {
+      const length = Math.max(actual.length, expected.length);
+      for (let i = 0; i < length; i++) {
+        if (i >= actual.length || i >= expected.length) return `${path}[${i}]`;
+        const difference = this.findDifference(actual[i], expected[i], `${path}[${i}]`);
+        if (difference !== null) return difference;
+      }
+      return null;
+    }
+
+    if (actual && expected && typeof actual === 'object' && typeof expected === 'object' &&
+        !Array.isArray(actual) && !Array.isArray(expected)) {
+      const keys = new Set([...Object.keys(actual), ...Object.keys(expected)]);
+      for (const key of keys) {
+        const difference = this.findDifference(actual[key], expected[key], `${path}.${key}`);
+        if (difference !== null) return difference;
+      }
+      return null;
+    }
+
+    return actual === expected ? null : path;
+  }
+
+  /**
+   * Add the hidden sandbox iframe once and wait for its page to load
+   */
+  ensureFrame() {
+    if (this.frameReady) return this.frameReady;
+
+    this.frameReady = new Promise((resolve, reject) => {
+      const frame = document.createElement('iframe');
+      frame.src = chrome.runtime.getURL(RUNNER_PAGE);
+      frame.style.display = 'none';
+      frame.setAttribute('aria-hidden', 'true');
+
+      const timer = setTimeout(() => {
+        this.onFrameReady = null;
+        reject(new Error('The local runner did not load'));
+      }, LOAD_TIMEOUT);
+
+      this.onFrameReady = () => {
+        clearTimeout(timer);
+        this.onFrameReady = null;
+        resolve();
+      };
+
+      this.frame = frame;
+      (document.body || document.documentElement).appendChild(frame);
+    }).catch(error => {
+      this.removeFrame();
+      throw error;
+    });
+
+    return this.frameReady;
+  }
+
+  /**
+   * Send a run request to the sandbox and wait for its result
+   */
+  post(request, timeout) {
+    const id = ++this.messageId;
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.pendingRuns.delete(id);
+        // The sandbox stops runaway workers itself; a missing answer means the page is stuck, so start over
+        this.removeFrame();
+        resolve({ results: [], error: 'The local runner stopped responding' });
+      }, timeout);
+
+      this.pendingRuns.set(id, (result) => {
+        clearTimeout(timer);
+        resolve(result);
+      });
+
+      // The sandbox page has an opaque origin, so it can only be addressed with '*'
+      this.frame.contentWindow.postMessage({ source: CONTENT_SOURCE, type: 'runCode', id, ...request }, '*');
+    });
+  }
+
+  /**
+   * Handle messages from the sandbox iframe
+   */
+  handleRunnerMessage(event) {
+    if (!this.frame || event.source !== this.frame.contentWindow || event.data?.source !== RUNNER_SOURCE) return;
+
+    const { type, id, ...result } = event.data;
+    switch (type) {
+      case 'runnerReady':
+        this.onFrameReady?.();
+        break;
+      case 'runResult': {
+        const resolve = this.pendingRuns.get(id);
+        if (resolve) {
+          this.pendingRuns.delete(id);
+          delete result.source;
+          resolve(result);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Remove the sandbox iframe, so the next run loads a fresh one
+   */
+  removeFrame() {
+    this.frame?.remove();
+    this.frame = null;
+    this.frameReady = null;
+  }
+
+  /**
+   * Cleanup resources
+   */
+  cleanup() {
+    window.removeEventListener('message', this.messageHandler);
+    this.pendingRuns.forEach(resolve => resolve({ results: [], error: 'Cancelled' }));
+    this.pendingRuns.clear();
+    this.removeFrame();
+  }
+  }
+
+  // Expose to global scope for content script compatibility
+  window.__LeetPilotLocalRunner = LocalRunner;
+})();
@@ -5,6 +5,9 @@
 (function() {
   'use strict';
 
+  // Container of LeetCode's custom testcase editor, a separate Monaco editor that is never the code editor
+  const TESTCASE_CONTAINER_SELECTOR = '[data-track-load="testcase"]';
+
   /**
    * Monaco Editor Detector
    * Detects and validates Monaco Editor instances on LeetCode
@@ -447,24 +450,24 @@
    * Try to get Monaco from window object (Monaco sometimes exposes itself)
    */
   detectFromWindow() {
+    const editor = this.getEditorFromWindow();
+    return editor ? editor.getDomNode() : null;
+  }
+
+  /**
+   * Get the page's Monaco code editor instance (only reachable from the page's own JS world)
+   */
+  getEditorFromWindow() {
     // Check if Monaco is available globally
     if (window.monaco) {
       try {
-        // Try to get active models/editors from Monaco
-        const models = window.monaco.editor.getModels();
-        if (models && models.length > 0) {
-          // Try to find the DOM element for this model
-          for (const model of models) {
-            const editor = window.monaco.editor.getEditors().find(e => e.getModel() === model);
-            if (editor && editor.getDomNode()) {
-              const domNode = editor.getDomNode();
-              const monacoContainer = domNode.closest('.monaco-editor');
-              if (monacoContainer) {
-                return domNode;
-              }
-            }
-          }
-        }
+        // Prefer the code editor with keyboard focus, then any code editor attached to a Monaco container.
+        // The testcase editor is skipped even when focused: edits computed from the code must not land in it.
+        const editors = window.monaco.editor.getEditors().filter(editor => {
+          const domNode = editor.getModel() && editor.getDomNode();
+          return domNode && domNode.closest('.monaco-editor') && !domNode.closest(TESTCASE_CONTAINER_SELECTOR);
+        });
+        return editors.find(editor => editor.hasTextFocus()) || editors[0] || null;
       } catch (e) {
         console.warn('Failed to detect Monaco from window object:', e);
       }
@@ -482,6 +485,8 @@
     }
   }
 
+  MonacoDetector.TESTCASE_CONTAINER_SELECTOR = TESTCASE_CONTAINER_SELECTOR;
+
   // Expose to global scope for content script compatibility
   window.__LeetPilotMonacoDetector = MonacoDetector;
 })();
\ No newline at end of file
@@ -0,0 +1,437 @@
+// LeetPilot Monaco Ghost Text (page world)
+// Renders inline completion ghost text and line highlights, and applies code edits, with the page's own Monaco instance
+
+// Injected as a page script: content scripts run in an isolated world and cannot reach window.monaco.
+// Talks to the content script's GhostTextController over window.postMessage.
+(function() {
+  'use strict';
+
+  if (window.__LeetPilotGhostTextBridge) return;
+
+  const CONTENT_SOURCE = 'leetpilot-content';
+  const PAGE_SOURCE = 'leetpilot-page';
+
+  /**
+   * Monaco Ghost Text Renderer
+   * Shows a suggestion greyed-out at the cursor: Tab accepts, Esc dismisses, Ctrl+Right accepts the next word
+   */
+  class MonacoGhostText {
+    constructor() {
+      this.monacoDetector = window.__LeetPilotMonacoDetector ? new window.__LeetPilotMonacoDetector() : null;
+      this.editor = null;
+      this.text = '';
+      this.position = null;
+      this.decorations = [];
+      this.viewZoneId = null;
+      this.isApplyingEdit = false;
+      this.disposables = [];
+    }
+
+    /**
+     * Get the page's Monaco code editor instance (never the testcase editor)
+     */
+    getEditor() {
+      if (this.monacoDetector) {
+        return this.monacoDetector.getEditorFromWindow();
+      }
+      return null;
+    }
+
+    /**
+     * Show ghost text at the cursor, or update the text of the suggestion already shown (streaming)
+     * @returns {boolean} True if the text was rendered
+     */
+    show(text, update = false) {
+      const editor = this.editor || this.getEditor();
+      if (!editor || !text) return false;
+
+      if (this.editor !== editor) {
+        this.clear();
+        this.editor = editor;
+        this.attachListeners();
+      }
+
+      // Streamed updates keep the original anchor; a fresh suggestion anchors at the cursor
+      if (!update || !this.position) {
+        this.position = editor.getPosition();
+      }
+      this.text = text;
+      this.render();
+      return true;
+    }
+
+    /**
+     * Draw the first line inline after the cursor and any further lines in a view zone below it
+     */
+    render() {
+      const monaco = window.monaco;
+      const [firstLine, ...otherLines] = this.text.split('\n');
+      const { lineNumber, column } = this.position;
+
+      this.decorations = this.editor.deltaDecorations(this.decorations, [{
+        range: new monaco.Range(lineNumber, column, lineNumber, column),
+        options: {
+          after: { content: firstLine, inlineClassName: 'leetpilot-ghost-text' },
+          showIfCollapsed: true
+        }
+      }]);
+
+      this.editor.changeViewZones(accessor => {
+        if (this.viewZoneId !== null) {
+          accessor.removeZone(this.viewZoneId);
+          this.viewZoneId = null;
+        }
+        if (otherLines.length === 0) return;
+
+        const domNode = document.createElement('div');
+        domNode.className = 'leetpilot-ghost-text leetpilot-ghost-text-block';
+        domNode.textContent = otherLines.join('\n');
+        this.viewZoneId = accessor.addZone({
+          afterLineNumber: lineNumber,
+          heightInLines: otherLines.length,
+          domNode: domNode
+        });
+      });
+    }
+
+    /**
+     * Insert text at the anchor and move the cursor after it
+     */
+    insert(text) {
+      const monaco = window.monaco;
+      const { lineNumber, column } = this.position;
+
+      this.isApplyingEdit = true;
+      try {
+        this.editor.executeEdits('leetpilot', [{
+          range: new monaco.Range(lineNumber, column, lineNumber, column),
+          text: text,
+          forceMoveMarkers: true
+        }]);
+        this.editor.pushUndoStop();
+      } finally {
+        this.isApplyingEdit = false;
+      }
+    }
+
+    /**
+     * Accept the whole suggestion
+     */
+    accept() {
+      if (!this.isActive()) return;
+
+      const text = this.text;
+      this.insert(text);
+      this.clear();
+      notify('ghostTextAccepted', { partial: false });
+    }
+
+    /**
+     * Accept the suggestion up to the end of its next word
+     */
+    acceptNextWord() {
+      if (!this.isActive()) return;
+
+      const match = this.text.match(/^(\s*[\w$]+|\s*[^\w\s]+|\s+)/);
+      const word = match ? match[0] : this.text;
+
+      this.insert(word);
+      this.text = this.text.slice(word.length);
+      this.position = this.editor.getPosition();
+
+      if (this.text) {
+        this.render();
+        notify('ghostTextAccepted', { partial: true });
+      } else {
+        this.clear();
+        notify('ghostTextAccepted', { partial: false });
+      }
+    }
+
+    /**
+     * Dismiss the suggestion without inserting anything
+     */
+    dismiss() {
+      if (!this.isActive()) return;
+
+      this.clear();
+      notify('ghostTextDismissed', {});
+    }
+
+    /**
+     * Remove ghost text and detach editor listeners
+     */
+    clear() {
+      if (this.editor) {
+        this.decorations = this.editor.deltaDecorations(this.decorations, []);
+        if (this.viewZoneId !== null) {
+          this.editor.changeViewZones(accessor => accessor.removeZone(this.viewZoneId));
+        }
+      }
+
+      this.disposables.forEach(disposable => disposable.dispose());
+      this.disposables = [];
+      this.viewZoneId = null;
+      this.editor = null;
+      this.text = '';
+      this.position = null;
+    }
+
+    /**
+     * Check if a suggestion is currently shown
+     */
+    isActive() {
+      return !!(this.editor && this.text);
+    }
+
+    /**
+     * Handle Tab / Esc / Ctrl+Right while ghost text is shown, and dismiss when the user moves on
+     */
+    attachListeners() {
+      const monaco = window.monaco;
+
+      this.disposables.push(this.editor.onKeyDown(event => {
+        if (!this.isActive()) return;
+
+        const isWordAccept = event.keyCode === monaco.KeyCode.RightArrow && (event.ctrlKey || event.metaKey);
+        if (event.keyCode === monaco.KeyCode.Tab && !event.shiftKey) {
+          this.accept();
+        } else if (event.keyCode === monaco.KeyCode.Escape) {
+          this.dismiss();
+        } else if (isWordAccept) {
+          this.acceptNextWord();
+        } else {
+          return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+      }));
+
+      this.disposables.push(this.editor.onDidChangeCursorPosition(event => {
+        if (this.isApplyingEdit || !this.position) return;
+        if (!event.position.equals(this.position)) {
+          this.dismiss();
+        }
+      }));
+
+      this.disposables.push(this.editor.onDidBlurEditorText(() => this.dismiss()));
+    }
+  }
+
+  /**
+   * Monaco Line Highlights
+   * Marks whole lines (e.g. complexity bottlenecks) in the editor and its overview ruler
+   */
+  class MonacoLineHighlights {
+    constructor(getEditor) {
+      this.getEditor = getEditor;
+      this.editor = null;
+      this.decorations = [];
+    }
+
+    /**
+     * Highlight the given lines, replacing any earlier highlights
+     * @returns {boolean} True if at least one line was highlighted
+     */
+    show(lines) {
+      this.clear();
+
+      const editor = this.getEditor();
+      const model = editor?.getModel();
+      if (!model || !Array.isArray(lines)) return false;
+
+      const lineNumbers = lines.filter(line => Number.isInteger(line) && line >= 1 && line <= model.getLineCount());
+      if (lineNumbers.length === 0) return false;
+
+      const monaco = window.monaco;
+      this.editor = editor;
+      this.decorations = editor.deltaDecorations([], lineNumbers.map(line => ({
+        range: new monaco.Range(line, 1, line, 1),
+        options: {
+          isWholeLine: true,
+          className: 'leetpilot-line-highlight',
+          linesDecorationsClassName: 'leetpilot-line-highlight-gutter',
+          overviewRuler: { color: '#f59e0b', position: monaco.editor.OverviewRulerLane.Right }
+        }
+      })));
+      editor.revealLineInCenterIfOutsideViewport(lineNumbers[0]);
+      return true;
+    }
+
+    /**
+     * Remove the highlights
+     */
+    clear() {
+      if (this.editor) {
+        this.decorations = this.editor.deltaDecorations(this.decorations, []);
+      }
+      this.editor = null;
+      this.decorations = [];
+    }
+  }
+
+  // Container of the custom testcase editor, which is a separate Monaco editor from the code editor
+  // (the detector's code editor lookup skips it)
+  const TESTCASE_CONTAINER_SELECTOR = window.__LeetPilotMonacoDetector?.TESTCASE_CONTAINER_SELECTOR;
+
+  /**
+   * Replace the text of the testcase editor, keeping it undoable
+   * @returns {boolean} True if the page has a Monaco-based testcase editor
+   */
+  function setTestcaseText(text) {
+    const editors = window.monaco?.editor?.getEditors?.() || [];
+    const editor = editors.find(candidate => candidate.getContainerDomNode()?.closest(TESTCASE_CONTAINER_SELECTOR));
+    const model = editor?.getModel();
+    if (!model || typeof text !== 'string') return false;
+
+    editor.executeEdits('leetpilot', [{ range: model.getFullModelRange(), text: text, forceMoveMarkers: true }]);
+    return true;
+  }
+
+  /**
+   * Replace whole lines of the code editor as a single undoable edit
+   * @param {number} start - 0-based index of the first line to replace
+   * @param {number} end - 0-based index after the last line to replace (start for a pure insertion)
+   * @param {Array<string>|null} expected - The lines being replaced, as they were when the edit was computed
+   * @returns {boolean} True if the edit was made
+   */
+  function replaceLines(editor, start, end, text, expected) {
+    const model = editor?.getModel();
+    if (!model || typeof text !== 'string' || !Number.isInteger(start) || !Number.isInteger(end)) return false;
+
+    const lineCount = model.getLineCount();
+    if (start < 0 || end < start || end > lineCount) return false;
+
+    // The range was computed from the code, so an editor whose lines differ there is not the one to change
+    if (Array.isArray(expected) && (expected.length !== end - start ||
+        expected.some((line, offset) => model.getLineContent(start + offset + 1).trimEnd() !== String(line).trimEnd()))) {
+      return false;
+    }
+
+    const monaco = window.monaco;
+    const lines = text.length > 0 ? text.split('\n') : [];
+    let range;
+    let replacement;
+    if (end < lineCount) {
+      // Up to the start of the next line, so deleted lines take their line breaks with them
+      range = new monaco.Range(start + 1, 1, end + 1, 1);
+      replacement = lines.map(line => `${line}\n`).join('');
+    } else if (start > 0) {
+      // Through the end of the file, from the end of the line before
+      range = new monaco.Range(start, model.getLineMaxColumn(start), lineCount, model.getLineMaxColumn(lineCount));
+      replacement = lines.map(line => `\n${line}`).join('');
+    } else {
+      range = model.getFullModelRange();
+      replacement = lines.join('\n');
+    }
+
+    editor.pushUndoStop();
+    editor.executeEdits('leetpilot', [{ range: range, text: replacement, forceMoveMarkers: true }]);
+    editor.pushUndoStop();
+    editor.revealLineInCenterIfOutsideViewport(Math.min(start + 1, model.getLineCount()));
+    return true;
+  }
+
+  /**
+   * Insert text at the cursor, or in place of the selection, as a single undoable edit
+   * @returns {boolean} True if the edit was made
+   */
+  function insertText(editor, text, replaceSelection) {
+    const selection = editor?.getSelection();
+    if (!selection || typeof text !== 'string') return false;
+
+    const monaco = window.monaco;
+    const position = selection.getPosition();
+    const range = replaceSelection
+      ? selection
+      : new monaco.Range(position.lineNumber, position.column, position.lineNumber, position.column);
+
+    editor.pushUndoStop();
+    editor.executeEdits('leetpilot', [{ range: range, text: text, forceMoveMarkers: true }]);
+    editor.pushUndoStop();
+    editor.focus();
+    return true;
+  }
+
+  /**
+   * Compile TypeScript to JavaScript with the TypeScript worker that ships with the page's Monaco
+   * @returns {Promise<string|null>} The emitted JavaScript, or null without TypeScript support
+   */
+  async function compileTypeScript(code) {
+    const monaco = window.monaco;
+    if (!monaco?.languages?.typescript?.getTypeScriptWorker || typeof code !== 'string') return null;
+
+    // A scratch model, so the emitted code is the current code even while the editor is being typed in
+    const uri = monaco.Uri.parse(`file:///leetpilot-run-${Date.now()}.ts`);
+    const model = monaco.editor.createModel(code, 'typescript', uri);
+    try {
+      const getWorker = await monaco.languages.typescript.getTypeScriptWorker();
+      const worker = await getWorker(uri);
+      const output = await worker.getEmitOutput(uri.toString());
+      return output.outputFiles.find(file => file.name.endsWith('.js'))?.text ?? null;
+    } finally {
+      model.dispose();
+    }
+  }
+
+  /**
+   * Post an event back to the content script
+   */
+  function notify(type, data) {
+    window.postMessage({ source: PAGE_SOURCE, type: type, ...data }, window.location.origin);
+  }
+
+  const ghostText = new MonacoGhostText();
+  const lineHighlights = new MonacoLineHighlights(() => ghostText.getEditor());
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.source !== CONTENT_SOURCE) return;
+
+    const { type, id, text, update, lines, code, start, end, expected, replaceSelection } = event.data;
+    try {
+      switch (type) {
+        case 'showGhostText':
+          notify('ghostTextResult', { id, shown: ghostText.show(text, !!update) });
+          break;
+        case 'clearGhostText':
+          ghostText.clear();
+          notify('ghostTextResult', { id, shown: false });
+          break;
+        case 'pingGhostText':
+          notify('ghostTextResult', { id, shown: !!ghostText.getEditor() });
+          break;
+        case 'highlightLines':
+          notify('ghostTextResult', { id, shown: lineHighlights.show(lines) });
+          break;
+        case 'clearLineHighlights':
+          lineHighlights.clear();
+          notify('ghostTextResult', { id, shown: false });
+          break;
+        case 'setTestcaseText':
+          notify('ghostTextResult', { id, shown: setTestcaseText(text) });
+          break;
+        case 'insertText':
+          notify('ghostTextResult', { id, shown: insertText(ghostText.getEditor(), text, !!replaceSelection) });
+          break;
+        case 'replaceLines':
+          notify('ghostTextResult', { id, shown: replaceLines(ghostText.getEditor(), start, end, text, expected) });
+          break;
+        case 'compileTypeScript':
+          compileTypeScript(code)
+            .then(output => notify('compileResult', { id, output }))
+            .catch(error => {
+              console.warn('LeetPilot TypeScript compile failed:', error);
+              notify('compileResult', { id, output: null });
+            });
+          break;
+      }
+    } catch (error) {
+      console.warn('LeetPilot ghost text failed:', error);
+      ghostText.clear();
+      notify('ghostTextResult', { id, shown: false });
+    }
+  });
+
+  window.__LeetPilotGhostTextBridge = true;
+})();
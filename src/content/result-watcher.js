@@ -0,0 +1,188 @@
+// LeetPilot Result Watcher
+// Watches LeetCode's result panel for failed runs and submissions
+
+// IIFE-based module pattern for Chrome content scripts
+(function() {
+  'use strict';
+
+  // Result headings LeetCode shows for runs ("Test Result" tab) and submissions
+  const RESULT_SELECTORS = [
+    '[data-e2e-locator="console-result"]',
+    '[data-e2e-locator="submission-result"]'
+  ];
+
+  const FAILURE_STATUSES = ['Wrong Answer', 'Runtime Error', 'Compile Error', 'Time Limit Exceeded'];
+
+  // Section labels in the result panel, mapped to the field they fill
+  const SECTION_LABELS = {
+    'Input': 'input',
+    'Last Executed Input': 'input',
+    'Output': 'output',
+    'Expected': 'expected',
+    'Expected Output': 'expected',
+    'Stdout': 'stdout'
+  };
+
+  const MAX_FIELD_LENGTH = 2000;
+
+  /**
+   * Result Watcher
+   * Detects Wrong Answer / Runtime Error / Compile Error / TLE results and scrapes the failing case
+   */
+  class ResultWatcher {
+  constructor() {
+    this.observer = null;
+    this.callback = null;
+    this.lastSignature = null;
+    this.checkDelay = 500;
+    this._checkTimeout = null;
+  }
+
+  /**
+   * Start watching; the callback receives the scraped failure once per distinct result
+   */
+  start(callback) {
+    this.callback = callback;
+    if (this.observer) return;
+
+    this.observer = new MutationObserver(() => {
+      clearTimeout(this._checkTimeout);
+      this._checkTimeout = setTimeout(() => this.check(), this.checkDelay);
+    });
+
+    this.observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
+
+    // Don't explain a result that was already on screen when watching started
+    this.lastSignature = this.getSignature(this.scrapeResult());
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    clearTimeout(this._checkTimeout);
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+
+  /**
+   * Scrape the result panel and report a new failure
+   */
+  check() {
+    const failure = this.scrapeResult();
+    const signature = this.getSignature(failure);
+
+    if (!failure || signature === this.lastSignature) return;
+    this.lastSignature = signature;
+
+    console.log('Failed run detected:', failure.status);
+    try {
+      this.callback?.(failure);
+    } catch (error) {
+      console.error('Error in result watcher callback:', error);
+    }
+  }
+
+  /**
+   * Find a failed result on the page and scrape its details
+   * @returns {Object|null} { status, errorMessage, input, output, expected, stdout }
+   */
+  scrapeResult() {
+    for (const selector of RESULT_SELECTORS) {
+      const statusElement = document.querySelector(selector);
+      const statusText = statusElement?.textContent?.trim() || '';
+      const status = FAILURE_STATUSES.find(candidate => statusText.startsWith(candidate));
+      if (!status) continue;
+
+      const panel = this.findResultPanel(statusElement);
+      return {
+        status: status,
+        errorMessage: this.extractErrorMessage(panel, statusElement),
+        ...this.extractSections(panel)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Walk up from the status heading to the panel that also holds the test case sections
+   */
+  findResultPanel(statusElement) {
+    let panel = statusElement.parentElement;
+    for (let depth = 0; panel && depth < 6; depth++) {
+      const text = panel.textContent || '';
+      if (/\b(Input|Last Executed Input)\b/.test(text) || panel.querySelector('.font-menlo, pre')) {
+        return panel;
+      }
+      panel = panel.parentElement;
+    }
+    return statusElement.parentElement || statusElement;
+  }
+
+  /**
+   * Read the labelled sections (Input, Output, Expected, Stdout) of the failing test case
+   */
+  extractSections(panel) {
+    const sections = {};
+
+    panel.querySelectorAll('div, span, h4, label').forEach(element => {
+      if (element.children.length > 0) return;
+
+      const field = SECTION_LABELS[element.textContent.trim()];
+      if (!field || sections[field]) return;
+
+      // The value follows the label, either as a sibling or as the label container's sibling
+      const valueElement = element.nextElementSibling || element.parentElement?.nextElementSibling;
+      const value = valueElement?.innerText ?? valueElement?.textContent;
+      if (value && value.trim()) {
+        sections[field] = this.truncate(value.trim());
+      }
+    });
+
+    return sections;
+  }
+
+  /**
+   * Read the compiler / runtime error message, usually shown in red below the status
+   */
+  extractErrorMessage(panel, statusElement) {
+    const candidates = panel.querySelectorAll('[class*="text-red"], [class*="error"], pre');
+    for (const candidate of candidates) {
+      if (candidate === statusElement || candidate.contains(statusElement) || statusElement.contains(candidate)) {
+        continue;
+      }
+
+      const text = (candidate.innerText ?? candidate.textContent ?? '').trim();
+      if (text && !FAILURE_STATUSES.includes(text)) {
+        return this.truncate(text);
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Identify a result so the same failure isn't reported twice
+   */
+  getSignature(failure) {
+    if (!failure) return null;
+    return [failure.status, failure.errorMessage, failure.input, failure.output, failure.expected].join('\u0000');
+  }
+
+  /**
+   * Keep scraped text within prompt-friendly bounds
+   */
+  truncate(text) {
+    return text.length > MAX_FIELD_LENGTH ? text.substring(0, MAX_FIELD_LENGTH) + '...' : text;
+  }
+  }
+
+  // Expose to global scope for content script compatibility
+  window.__LeetPilotResultWatcher = ResultWatcher;
+})();
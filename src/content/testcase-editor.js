@@ -0,0 +1,136 @@
+// LeetPilot Testcase Editor
+// Pastes generated test inputs into LeetCode's custom testcase box
+
+// IIFE-based module pattern for Chrome content scripts
+(function() {
+  'use strict';
+
+  // Plain textarea testcase boxes (older layouts)
+  const TEXTAREA_SELECTORS = ['[data-cy="testcase-editor"] textarea', 'textarea[class*="testcase"]'];
+
+  // One editable field per parameter of the selected case (current layout)
+  const FIELD_SELECTOR = '[data-e2e-locator="console-testcase-input"]';
+
+  // Longest array the [value]*count and [start..end] shorthands expand to
+  const MAX_EXPANDED_LENGTH = 100000;
+
+  /**
+   * Testcase Editor
+   * Writes test inputs (one line per parameter) into whichever testcase box the page has,
+   * falling back to the clipboard
+   */
+  class TestcaseEditor {
+  /**
+   * @param {Object} options - { bridge } the GhostTextController, which reaches a Monaco-based testcase editor
+   */
+  constructor(options = {}) {
+    this.bridge = options.bridge || null;
+  }
+
+  /**
+   * Expand the large-array shorthands: [0]*3 becomes [0,0,0] and [1..3] becomes [1,2,3]
+   */
+  expand(input) {
+    return input
+      .replace(/\[\s*([^\[\],*]+?)\s*\]\s*\*\s*(\d+)/g, (match, value, count) => (
+        `[${new Array(Math.min(Number(count), MAX_EXPANDED_LENGTH)).fill(value).join(',')}]`
+      ))
+      .replace(/\[\s*(-?\d+)\s*\.\.\s*(-?\d+)\s*\]/g, (match, start, end) => {
+        const first = Number(start);
+        const step = Number(end) >= first ? 1 : -1;
+        const length = Math.min(Math.abs(Number(end) - first) + 1, MAX_EXPANDED_LENGTH);
+        return `[${Array.from({ length }, (value, index) => first + index * step).join(',')}]`;
+      });
+  }
+
+  /**
+   * Check whether an input uses a shorthand that is expanded when pasting
+   */
+  usesShorthand(input) {
+    return this.expand(input) !== input;
+  }
+
+  /**
+   * Replace the testcase box's contents with the given cases
+   * @param {string[]} inputs - Test inputs, one line per parameter
+   * @returns {Promise<string|null>} Where they went: 'textarea', 'editor', 'fields', 'clipboard', or null on failure
+   */
+  async paste(inputs) {
+    const cases = inputs.map(input => this.expand(input));
+    const text = cases.join('\n');
+
+    const textarea = this.findTextarea();
+    if (textarea) {
+      this.setTextareaValue(textarea, text);
+      return 'textarea';
+    }
+
+    if (this.bridge && await this.bridge.setTestcaseText(text)) {
+      return 'editor';
+    }
+
+    // The per-parameter fields hold a single case
+    const fields = Array.from(document.querySelectorAll(FIELD_SELECTOR));
+    const lines = cases.length === 1 ? cases[0].split('\n') : [];
+    if (fields.length > 0 && lines.length === fields.length) {
+      fields.forEach((field, index) => this.setFieldValue(field, lines[index]));
+      return 'fields';
+    }
+
+    try {
+      await navigator.clipboard.writeText(text);
+      return 'clipboard';
+    } catch (error) {
+      console.warn('Failed to copy test cases:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Find a visible textarea testcase box
+   */
+  findTextarea() {
+    for (const selector of TEXTAREA_SELECTORS) {
+      const textarea = document.querySelector(selector);
+      if (textarea && !textarea.disabled && !textarea.readOnly) {
+        return textarea;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Set a textarea's value so the page's framework sees the change
+   */
+  setTextareaValue(textarea, value) {
+    const setter = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set;
+    setter.call(textarea, value);
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    textarea.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * Replace the text of one parameter field, as if typed
+   */
+  setFieldValue(field, value) {
+    const editable = field.isContentEditable
+      ? field
+      : field.querySelector('[contenteditable="true"], textarea, input') || field;
+
+    if (editable instanceof HTMLTextAreaElement) {
+      this.setTextareaValue(editable, value);
+      return;
+    }
+
+    editable.focus();
+    document.execCommand('selectAll');
+    if (!document.execCommand('insertText', false, value)) {
+      editable.textContent = value;
+      editable.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+  }
+  }
+
+  // Expose to global scope for content script compatibility
+  window.__LeetPilotTestcaseEditor = TestcaseEditor;
+})();
@@ -1,7 +1,8 @@
 // LeetPilot API Client
-// Handles secure communication with AI providers (OpenAI, Anthropic, Gemini, Custom)
+// Handles secure communication with AI providers (OpenAI, Anthropic, Gemini, Azure OpenAI, Custom, Ollama)
 
-import { StorageManager, SUPPORTED_PROVIDERS } from './storage-manager.js';
+import { StorageManager, SUPPORTED_PROVIDERS, isSecureProviderUrl } from './storage-manager.js';
+import { toProviderSchema } from './response-schemas.js';
 
 /**
  * AI Provider Communication Layer
@@ -20,6 +21,25 @@ export class AIProviderClient {
     if (config.provider === 'custom' && config.customApiUrl) {
       this.providerInfo = { ...this.providerInfo, apiUrl: config.customApiUrl };
     }
+
+    // For Ollama, the custom URL is the server's base URL
+    if (config.provider === 'ollama' && config.customApiUrl) {
+      this.providerInfo = { ...this.providerInfo, apiUrl: config.customApiUrl.replace(/\/+$/, '') };
+    }
+
+    // For Azure OpenAI, requests go to a deployment on the user's resource
+    if (config.provider === 'azure' && config.azure) {
+      this.providerInfo = { ...this.providerInfo, apiUrl: this.buildAzureChatUrl(config.azure) };
+    }
+  }
+
+  /**
+   * Build an Azure OpenAI chat completions URL from { resourceName, deploymentName, apiVersion }
+   */
+  buildAzureChatUrl(azure) {
+    const apiVersion = azure.apiVersion || this.providerInfo.defaultApiVersion;
+    return `https://${encodeURIComponent(azure.resourceName)}.openai.azure.com/openai/deployments/` +
+      `${encodeURIComponent(azure.deploymentName)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
   }
 
   /**
@@ -27,6 +47,11 @@ export class AIProviderClient {
    */
   async testConnection() {
     try {
+      // Ollama is checked through its model list so a model that is not pulled yet is reported as such
+      if (this.config.provider === 'ollama') {
+        return await this.testOllamaConnection();
+      }
+
       const testPrompt = "Hello, this is a connection test.";
       const response = await this.makeRequest(testPrompt, 'test');
       
@@ -46,64 +71,333 @@ export class AIProviderClient {
 
   /**
    * Make API request to the configured provider
+   * @param {string} prompt - Prompt to send
+   * @param {string} requestType - Request type (completion, hint, ...)
+   * @param {Object} options - { signal } to abort the underlying fetch, and an optional
+   *   { responseSchema } to get a JSON response through the provider's structured output
+   */
+  async makeRequest(prompt, requestType = 'completion', options = {}) {
+    // Enforce HTTPS, except for local model servers on loopback
+    if (!isSecureProviderUrl(this.providerInfo.apiUrl)) {
+      throw new Error('HTTPS is required for API communications (plain HTTP is only allowed for localhost)');
+    }
+
+    const signal = options.signal;
+    const responseSchema = options.responseSchema || null;
+
+    switch (this.config.provider) {
+      case 'openai':
+      case 'azure':
+        return await this.callOpenAI(prompt, requestType, signal, responseSchema);
+      case 'anthropic':
+        return await this.callAnthropic(prompt, requestType, signal, responseSchema);
+      case 'gemini':
+        return await this.callGemini(prompt, requestType, signal, responseSchema);
+      case 'custom':
+        // Custom endpoints vary in JSON mode support, so they rely on the prompt's format instructions
+        return await this.callCustomProvider(prompt, requestType, signal);
+      case 'ollama':
+        return await this.callOllama(prompt, requestType, signal, responseSchema);
+      default:
+        throw new Error(`Unsupported provider: ${this.config.provider}`);
+    }
+  }
+
+  /**
+   * Make a streaming API request, forwarding partial text as it arrives.
+   * Resolves with the same shape as makeRequest once the stream ends.
+   * @param {string} prompt - Prompt to send
+   * @param {string} requestType - Request type (completion, hint, ...)
+   * @param {Object} options - { onChunk(delta, content), signal }
    */
-  async makeRequest(prompt, requestType = 'completion') {
-    // Enforce HTTPS
-    if (!this.providerInfo.apiUrl.startsWith('https://')) {
-      throw new Error('HTTPS is required for API communications');
+  async makeStreamingRequest(prompt, requestType = 'completion', options = {}) {
+    // Enforce HTTPS, except for local model servers on loopback
+    if (!isSecureProviderUrl(this.providerInfo.apiUrl)) {
+      throw new Error('HTTPS is required for API communications (plain HTTP is only allowed for localhost)');
     }
 
+    const onChunk = typeof options.onChunk === 'function' ? options.onChunk : () => {};
+    const signal = options.signal;
+
     switch (this.config.provider) {
       case 'openai':
-        return await this.callOpenAI(prompt, requestType);
+      case 'azure':
+        return await this.streamOpenAI(prompt, requestType, onChunk, signal);
       case 'anthropic':
-        return await this.callAnthropic(prompt, requestType);
+        return await this.streamAnthropic(prompt, requestType, onChunk, signal);
       case 'gemini':
-        return await this.callGemini(prompt, requestType);
+        return await this.streamGemini(prompt, requestType, onChunk, signal);
       case 'custom':
-        return await this.callCustomProvider(prompt, requestType);
+        return await this.streamCustomProvider(prompt, requestType, onChunk, signal);
+      case 'ollama':
+        return await this.streamOllama(prompt, requestType, onChunk, signal);
       default:
         throw new Error(`Unsupported provider: ${this.config.provider}`);
     }
   }
 
   /**
-   * OpenAI API client
+   * List the models the provider offers through its model listing endpoint
+   * @param {Object} options - { signal } to abort the underlying fetch
+   * @returns {Promise<Array>} Models as { id, name, contextWindow }, sorted by id;
+   *   contextWindow is null when the provider does not report it
+   */
+  async listModels(options = {}) {
+    const url = this.getModelListUrl();
+    if (!isSecureProviderUrl(url)) {
+      throw new Error('HTTPS is required for API communications (plain HTTP is only allowed for localhost)');
+    }
+
+    const signal = options.signal;
+    let models;
+
+    switch (this.config.provider) {
+      case 'openai':
+      case 'custom':
+        models = await this.listOpenAIModels(url, signal);
+        break;
+      case 'anthropic':
+        models = await this.listAnthropicModels(url, signal);
+        break;
+      case 'gemini':
+        models = await this.listGeminiModels(url, signal);
+        break;
+      case 'ollama':
+        models = await this.listOllamaModelsWithContext(signal);
+        break;
+      default:
+        throw new Error(`${this.providerInfo.name} does not offer a model list`);
+    }
+
+    return models.sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Get the provider's model listing URL (without credentials, so it also serves as a cache key)
    */
-  async callOpenAI(prompt, requestType) {
+  getModelListUrl() {
+    switch (this.config.provider) {
+      case 'openai':
+        return 'https://api.openai.com/v1/models';
+      case 'anthropic':
+        return 'https://api.anthropic.com/v1/models';
+      case 'gemini':
+        return this.providerInfo.apiUrl;
+      case 'ollama':
+        return `${this.providerInfo.apiUrl}/api/tags`;
+      case 'custom':
+        // The configured URL is the chat completions endpoint; models sit next to it
+        return `${this.providerInfo.apiUrl.replace(/\/+$/, '').replace(/\/chat\/completions$/, '')}/models`;
+      default:
+        return this.providerInfo.apiUrl;
+    }
+  }
+
+  /**
+   * OpenAI-format model list (GET /models). OpenAI does not report context windows;
+   * compatible servers often do under one of several names.
+   */
+  async listOpenAIModels(url, signal) {
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: this.getOpenAIHeaders(),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw this.createHTTPError(response, errorData.error?.message || errorData.error);
+    }
+
+    const data = await response.json();
+    const models = (data.data || data.models || []).map(model => ({
+      id: model.id,
+      name: model.name || model.id,
+      contextWindow: model.context_length || model.context_window || model.max_model_len || null
+    })).filter(model => model.id);
+
+    // OpenAI lists every model on the account; keep the ones that can chat
+    if (this.config.provider === 'openai') {
+      return models.filter(model => !/embedding|whisper|tts|dall-e|moderation|davinci|babbage|transcribe/.test(model.id));
+    }
+    return models;
+  }
+
+  /**
+   * Anthropic model list (GET /v1/models)
+   */
+  async listAnthropicModels(url, signal) {
+    const response = await fetch(`${url}?limit=1000`, {
+      method: 'GET',
+      headers: {
+        'x-api-key': this.config.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw this.createHTTPError(response, errorData.error?.message);
+    }
+
+    const data = await response.json();
+    return (data.data || []).map(model => ({
+      id: model.id,
+      name: model.display_name || model.id,
+      contextWindow: model.max_input_tokens || null
+    }));
+  }
+
+  /**
+   * Gemini model list (models.list), keeping models that support generateContent
+   */
+  async listGeminiModels(url, signal) {
+    const response = await fetch(`${url}?pageSize=1000&key=${this.config.apiKey}`, {
+      method: 'GET',
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw this.createHTTPError(response, errorData.error?.message);
+    }
+
+    const data = await response.json();
+    return (data.models || [])
+      .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map(model => ({
+        id: model.name.replace(/^models\//, ''),
+        name: model.displayName || model.name,
+        contextWindow: model.inputTokenLimit || null
+      }));
+  }
+
+  /**
+   * Ollama model list with each model's context length from /api/show
+   */
+  async listOllamaModelsWithContext(signal) {
+    const models = await this.listOllamaModels(signal);
+
+    return Promise.all(models.map(async model => {
+      let contextWindow = null;
+      try {
+        const response = await fetch(`${this.providerInfo.apiUrl}/api/show`, {
+          method: 'POST',
+          headers: this.getOllamaHeaders(),
+          body: JSON.stringify({ model: model.name }),
+          signal
+        });
+        if (response.ok) {
+          // Reported per architecture, e.g. "llama.context_length"
+          const info = (await response.json()).model_info || {};
+          const key = Object.keys(info).find(name => name.endsWith('.context_length'));
+          contextWindow = key ? info[key] : null;
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.warn('Could not read Ollama model details:', model.name, error.message);
+      }
+
+      return {
+        id: model.name,
+        name: model.details?.parameter_size ? `${model.name} (${model.details.parameter_size})` : model.name,
+        contextWindow
+      };
+    }));
+  }
+
+  /**
+   * Normalize a prompt into a system prompt and message list.
+   * Accepts a plain string or a { system, messages } chat prompt.
+   */
+  normalizePrompt(prompt) {
+    if (typeof prompt === 'string') {
+      return { system: null, messages: [{ role: 'user', content: prompt }] };
+    }
+
+    return {
+      system: prompt?.system || null,
+      messages: Array.isArray(prompt?.messages) ? prompt.messages : []
+    };
+  }
+
+  /**
+   * Build an OpenAI-style message list (system prompt as the first message)
+   */
+  buildOpenAIMessages(prompt) {
+    const { system, messages } = this.normalizePrompt(prompt);
+    return system ? [{ role: 'system', content: system }, ...messages] : messages;
+  }
+
+  /**
+   * Build Gemini contents (Gemini names the assistant role "model")
+   */
+  buildGeminiContents(prompt) {
+    return this.normalizePrompt(prompt).messages.map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }]
+    }));
+  }
+
+  /**
+   * Name a request type's structured output (tool or schema name)
+   */
+  getResponseSchemaName(requestType) {
+    return `${requestType}_response`.replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
+
+  /**
+   * Headers for OpenAI-format requests; Azure OpenAI takes its key in an api-key header instead of Bearer
+   */
+  getOpenAIHeaders() {
+    if (this.config.provider === 'azure') {
+      return { 'Content-Type': 'application/json', 'api-key': this.config.apiKey };
+    }
+    return { 'Content-Type': 'application/json', 'Authorization': `Bearer ${this.config.apiKey}` };
+  }
+
+  /**
+   * OpenAI API client, also used for Azure OpenAI (a response schema uses strict json_schema output)
+   */
+  async callOpenAI(prompt, requestType, signal, responseSchema = null) {
     const url = this.providerInfo.apiUrl;
     
     const requestBody = {
       model: this.config.model,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
+      messages: this.buildOpenAIMessages(prompt),
       max_tokens: this.config.maxTokens,
       temperature: this.config.temperature
     };
 
+    if (responseSchema) {
+      requestBody.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: this.getResponseSchemaName(requestType),
+          schema: toProviderSchema(responseSchema, 'openai'),
+          strict: true
+        }
+      };
+    }
+
     const response = await fetch(url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.config.apiKey}`
-      },
-      body: JSON.stringify(requestBody)
+      headers: this.getOpenAIHeaders(),
+      body: JSON.stringify(requestBody),
+      signal
     });
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+      throw this.createHTTPError(response, errorData.error?.message);
     }
 
     const data = await response.json();
     
     return {
       content: data.choices?.[0]?.message?.content || '',
-      provider: 'openai',
+      provider: this.config.provider,
       model: this.config.model,
       usage: data.usage,
       outputTokens: data.usage?.completion_tokens || 0
@@ -111,23 +405,33 @@ export class AIProviderClient {
   }
 
   /**
-   * Anthropic API client
+   * Anthropic API client (a response schema becomes a tool the model is made to call)
    */
-  async callAnthropic(prompt, requestType) {
+  async callAnthropic(prompt, requestType, signal, responseSchema = null) {
     const url = this.providerInfo.apiUrl;
+    const { system, messages } = this.normalizePrompt(prompt);
     
     const requestBody = {
       model: this.config.model,
       max_tokens: this.config.maxTokens,
       temperature: this.config.temperature,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
+      messages: messages
     };
 
+    if (system) {
+      requestBody.system = system;
+    }
+
+    if (responseSchema) {
+      const toolName = this.getResponseSchemaName(requestType);
+      requestBody.tools = [{
+        name: toolName,
+        description: 'Record the response in a structured form.',
+        input_schema: toProviderSchema(responseSchema, 'anthropic')
+      }];
+      requestBody.tool_choice = { type: 'tool', name: toolName };
+    }
+
     const response = await fetch(url, {
       method: 'POST',
       headers: {
@@ -135,18 +439,22 @@ export class AIProviderClient {
         'x-api-key': this.config.apiKey,
         'anthropic-version': '2023-06-01'
       },
-      body: JSON.stringify(requestBody)
+      body: JSON.stringify(requestBody),
+      signal
     });
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+      throw this.createHTTPError(response, errorData.error?.message);
     }
 
     const data = await response.json();
+
+    // A structured response arrives as the tool call's input
+    const toolUse = data.content?.find(block => block.type === 'tool_use');
     
     return {
-      content: data.content?.[0]?.text || '',
+      content: toolUse ? JSON.stringify(toolUse.input) : data.content?.[0]?.text || '',
       provider: 'anthropic',
       model: this.config.model,
       usage: data.usage,
@@ -155,38 +463,41 @@ export class AIProviderClient {
   }
 
   /**
-   * Google Gemini API client
+   * Google Gemini API client (a response schema uses JSON output with responseSchema)
    */
-  async callGemini(prompt, requestType) {
+  async callGemini(prompt, requestType, signal, responseSchema = null) {
     const url = `${this.providerInfo.apiUrl}/${this.config.model}:generateContent?key=${this.config.apiKey}`;
     
     const requestBody = {
-      contents: [
-        {
-          parts: [
-            {
-              text: prompt
-            }
-          ]
-        }
-      ],
+      contents: this.buildGeminiContents(prompt),
       generationConfig: {
         temperature: this.config.temperature,
         maxOutputTokens: this.config.maxTokens
       }
     };
 
+    if (responseSchema) {
+      requestBody.generationConfig.responseMimeType = 'application/json';
+      requestBody.generationConfig.responseSchema = toProviderSchema(responseSchema, 'gemini');
+    }
+
+    const { system } = this.normalizePrompt(prompt);
+    if (system) {
+      requestBody.systemInstruction = { parts: [{ text: system }] };
+    }
+
     const response = await fetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(requestBody)
+      body: JSON.stringify(requestBody),
+      signal
     });
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+      throw this.createHTTPError(response, errorData.error?.message);
     }
 
     const data = await response.json();
@@ -203,17 +514,12 @@ export class AIProviderClient {
   /**
    * Custom provider API client (OpenAI-compatible and alternative formats)
    */
-  async callCustomProvider(prompt, requestType) {
+  async callCustomProvider(prompt, requestType, signal) {
     const url = this.providerInfo.apiUrl;
     
     const requestBody = {
       model: this.config.model,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
+      messages: this.buildOpenAIMessages(prompt),
       max_tokens: this.config.maxTokens,
       temperature: this.config.temperature
     };
@@ -224,9 +530,17 @@ export class AIProviderClient {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${this.config.apiKey}`
       },
-      body: JSON.stringify(requestBody)
+      body: JSON.stringify(requestBody),
+      signal
     });
 
+    return await this.parseCustomProviderResponse(response);
+  }
+
+  /**
+   * Parse a non-streaming custom provider response (OpenAI-compatible and alternative formats)
+   */
+  async parseCustomProviderResponse(response) {
     const data = await response.json();
     
     // Handle HTTP error responses first (including 401 Invalid apiKey)
@@ -245,7 +559,7 @@ export class AIProviderClient {
         errorData: data,
         errorMsg: errorMsg
       });
-      throw new Error(errorMsg);
+      throw this.createHTTPError(response, errorMsg);
     }
 
     // Handle non-standard response formats (e.g., {status, msg, body})
@@ -302,4 +616,477 @@ export class AIProviderClient {
       outputTokens: data.usage?.completion_tokens || 0
     };
   }
+
+  /**
+   * Ollama native chat client (a response schema is passed as the structured output format)
+   */
+  async callOllama(prompt, requestType, signal, responseSchema = null) {
+    const requestBody = this.buildOllamaRequest(prompt, false);
+
+    if (responseSchema) {
+      requestBody.format = toProviderSchema(responseSchema, 'ollama');
+    }
+
+    const response = await fetch(`${this.providerInfo.apiUrl}/api/chat`, {
+      method: 'POST',
+      headers: this.getOllamaHeaders(),
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    await this.throwIfOllamaFailed(response);
+
+    const data = await response.json();
+
+    return {
+      content: data.message?.content || '',
+      provider: 'ollama',
+      model: this.config.model,
+      usage: { prompt_tokens: data.prompt_eval_count, completion_tokens: data.eval_count },
+      outputTokens: data.eval_count || 0
+    };
+  }
+
+  /**
+   * Build an Ollama /api/chat request body (sampling settings go in options)
+   */
+  buildOllamaRequest(prompt, stream) {
+    return {
+      model: this.config.model,
+      messages: this.buildOpenAIMessages(prompt),
+      stream: stream,
+      options: {
+        num_predict: this.config.maxTokens,
+        temperature: this.config.temperature
+      }
+    };
+  }
+
+  /**
+   * Ollama needs no key; one is only sent for servers behind an authenticating proxy
+   */
+  getOllamaHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.apiKey) {
+      headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * List the models pulled on the Ollama server (/api/tags)
+   * @returns {Promise<Array>} Models as { name, size, modifiedAt, details }
+   */
+  async listOllamaModels(signal) {
+    if (!isSecureProviderUrl(this.providerInfo.apiUrl)) {
+      throw new Error('HTTPS is required for API communications (plain HTTP is only allowed for localhost)');
+    }
+
+    const response = await fetch(`${this.providerInfo.apiUrl}/api/tags`, {
+      method: 'GET',
+      headers: this.getOllamaHeaders(),
+      signal
+    });
+
+    await this.throwIfOllamaFailed(response);
+
+    const data = await response.json();
+    return (data.models || []).map(model => ({
+      name: model.name,
+      size: model.size,
+      modifiedAt: model.modified_at,
+      details: model.details || {}
+    }));
+  }
+
+  /**
+   * Check that the Ollama server is reachable and has the configured model pulled
+   */
+  async testOllamaConnection() {
+    let models;
+    try {
+      models = await this.listOllamaModels();
+    } catch (error) {
+      if (error.status) throw error;
+      throw new Error(`Could not reach Ollama at ${this.providerInfo.apiUrl}. Make sure it is running (ollama serve)`);
+    }
+
+    // Models without a tag are stored as ":latest"
+    const model = this.config.model;
+    const installed = models.some(candidate => candidate.name === model || candidate.name === `${model}:latest`);
+    if (!installed) {
+      throw new Error(`Model "${model}" is not installed. Run "ollama pull ${model}" first`);
+    }
+
+    return {
+      success: true,
+      message: `Successfully connected to ${this.providerInfo.name}`,
+      provider: this.config.provider
+    };
+  }
+
+  /**
+   * Throw a descriptive error for a failed Ollama response
+   */
+  async throwIfOllamaFailed(response) {
+    if (response.ok) return;
+
+    const errorData = await response.json().catch(() => ({}));
+
+    // Ollama answers 403 with an empty body to extension origins it was not started to allow
+    const message = errorData.error || (response.status === 403
+      ? 'Ollama refused the request. Start it with OLLAMA_ORIGINS=chrome-extension://* to allow the extension'
+      : null);
+    throw this.createHTTPError(response, message);
+  }
+
+  /**
+   * OpenAI and Azure OpenAI streaming client (server-sent events)
+   */
+  async streamOpenAI(prompt, requestType, onChunk, signal) {
+    const requestBody = {
+      model: this.config.model,
+      messages: this.buildOpenAIMessages(prompt),
+      max_tokens: this.config.maxTokens,
+      temperature: this.config.temperature,
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    const response = await fetch(this.providerInfo.apiUrl, {
+      method: 'POST',
+      headers: this.getOpenAIHeaders(),
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    await this.throwIfStreamFailed(response);
+
+    let content = '';
+    let usage;
+
+    await this.readEventStream(response, (event) => {
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onChunk(delta, content);
+      }
+      if (event.usage) {
+        usage = event.usage;
+      }
+    });
+
+    return {
+      content,
+      provider: this.config.provider,
+      model: this.config.model,
+      usage,
+      outputTokens: usage?.completion_tokens || 0
+    };
+  }
+
+  /**
+   * Anthropic streaming client (server-sent events)
+   */
+  async streamAnthropic(prompt, requestType, onChunk, signal) {
+    const { system, messages } = this.normalizePrompt(prompt);
+
+    const requestBody = {
+      model: this.config.model,
+      max_tokens: this.config.maxTokens,
+      temperature: this.config.temperature,
+      messages: messages,
+      stream: true
+    };
+
+    if (system) {
+      requestBody.system = system;
+    }
+
+    const response = await fetch(this.providerInfo.apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.config.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    await this.throwIfStreamFailed(response);
+
+    let content = '';
+    const usage = { input_tokens: 0, output_tokens: 0 };
+
+    await this.readEventStream(response, (event) => {
+      switch (event.type) {
+        case 'message_start':
+          usage.input_tokens = event.message?.usage?.input_tokens || 0;
+          break;
+        case 'content_block_delta':
+          if (event.delta?.text) {
+            content += event.delta.text;
+            onChunk(event.delta.text, content);
+          }
+          break;
+        case 'message_delta':
+          usage.output_tokens = event.usage?.output_tokens || usage.output_tokens;
+          break;
+        case 'error':
+          throw new Error(event.error?.message || 'Anthropic stream error');
+      }
+    });
+
+    usage.total_tokens = usage.input_tokens + usage.output_tokens;
+
+    return {
+      content,
+      provider: 'anthropic',
+      model: this.config.model,
+      usage,
+      outputTokens: usage.output_tokens
+    };
+  }
+
+  /**
+   * Google Gemini streaming client (streamGenerateContent with alt=sse)
+   */
+  async streamGemini(prompt, requestType, onChunk, signal) {
+    const url = `${this.providerInfo.apiUrl}/${this.config.model}:streamGenerateContent?alt=sse&key=${this.config.apiKey}`;
+
+    const requestBody = {
+      contents: this.buildGeminiContents(prompt),
+      generationConfig: {
+        temperature: this.config.temperature,
+        maxOutputTokens: this.config.maxTokens
+      }
+    };
+
+    const { system } = this.normalizePrompt(prompt);
+    if (system) {
+      requestBody.systemInstruction = { parts: [{ text: system }] };
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    await this.throwIfStreamFailed(response);
+
+    let content = '';
+    let usage;
+
+    await this.readEventStream(response, (event) => {
+      const delta = event.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (delta) {
+        content += delta;
+        onChunk(delta, content);
+      }
+      if (event.usageMetadata) {
+        usage = event.usageMetadata;
+      }
+    });
+
+    return {
+      content,
+      provider: 'gemini',
+      model: this.config.model,
+      usage: usage ? { ...usage, total_tokens: usage.totalTokenCount } : usage,
+      outputTokens: usage?.candidatesTokenCount || 0
+    };
+  }
+
+  /**
+   * Custom provider streaming client. Providers that ignore the stream flag
+   * and answer with plain JSON are parsed as a single chunk.
+   */
+  async streamCustomProvider(prompt, requestType, onChunk, signal) {
+    const requestBody = {
+      model: this.config.model,
+      messages: this.buildOpenAIMessages(prompt),
+      max_tokens: this.config.maxTokens,
+      temperature: this.config.temperature,
+      stream: true
+    };
+
+    const response = await fetch(this.providerInfo.apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.config.apiKey}`
+      },
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !contentType.includes('text/event-stream')) {
+      const result = await this.parseCustomProviderResponse(response);
+      onChunk(result.content, result.content);
+      return result;
+    }
+
+    let content = '';
+    let usage;
+
+    await this.readEventStream(response, (event) => {
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onChunk(delta, content);
+      }
+      if (event.usage) {
+        usage = event.usage;
+      }
+    });
+
+    if (!content.trim()) {
+      throw new Error('Custom provider returned empty content');
+    }
+
+    return {
+      content,
+      provider: 'custom',
+      model: this.config.model,
+      usage,
+      outputTokens: usage?.completion_tokens || 0
+    };
+  }
+
+  /**
+   * Ollama streaming client (newline-delimited JSON; the final line has done set and the token counts)
+   */
+  async streamOllama(prompt, requestType, onChunk, signal) {
+    const response = await fetch(`${this.providerInfo.apiUrl}/api/chat`, {
+      method: 'POST',
+      headers: this.getOllamaHeaders(),
+      body: JSON.stringify(this.buildOllamaRequest(prompt, true)),
+      signal
+    });
+
+    await this.throwIfOllamaFailed(response);
+
+    let content = '';
+    let usage;
+
+    await this.readJSONLines(response, (event) => {
+      if (event.error) {
+        throw new Error(event.error);
+      }
+
+      const delta = event.message?.content;
+      if (delta) {
+        content += delta;
+        onChunk(delta, content);
+      }
+      if (event.done) {
+        usage = { prompt_tokens: event.prompt_eval_count, completion_tokens: event.eval_count };
+      }
+    });
+
+    return {
+      content,
+      provider: 'ollama',
+      model: this.config.model,
+      usage,
+      outputTokens: usage?.completion_tokens || 0
+    };
+  }
+
+  /**
+   * Throw a descriptive error for a failed streaming response
+   */
+  async throwIfStreamFailed(response) {
+    if (response.ok) return;
+
+    const errorData = await response.json().catch(() => ({}));
+    throw this.createHTTPError(response, errorData.error?.message);
+  }
+
+  /**
+   * Build an error for a failed HTTP response, keeping the status for error categorization
+   */
+  createHTTPError(response, message) {
+    const error = new Error(message || `HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+
+    const retryAfter = parseInt(response.headers?.get?.('retry-after'), 10);
+    if (!isNaN(retryAfter)) {
+      error.retryAfter = retryAfter * 1000;
+    }
+    return error;
+  }
+
+  /**
+   * Read a server-sent events body and pass each JSON data payload to onEvent
+   */
+  async readEventStream(response, onEvent) {
+    await this.readLines(response, (line) => {
+      if (!line.startsWith('data:')) return;
+
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') return;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (error) {
+        console.warn('Skipping malformed stream event:', data);
+        return;
+      }
+      onEvent(event);
+    });
+  }
+
+  /**
+   * Read a newline-delimited JSON body and pass each object to onEvent
+   */
+  async readJSONLines(response, onEvent) {
+    await this.readLines(response, (line) => {
+      if (!line.trim()) return;
+
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        console.warn('Skipping malformed stream line:', line);
+        return;
+      }
+      onEvent(event);
+    });
+  }
+
+  /**
+   * Read a streamed body line by line
+   */
+  async readLines(response, processLine) {
+    if (!response.body) {
+      throw new Error('Streaming is not supported by this response');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    }
+
+    buffer += decoder.decode();
+    if (buffer) {
+      processLine(buffer);
+    }
+  }
 }
\ No newline at end of file
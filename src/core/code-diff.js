@@ -0,0 +1,221 @@
+// LeetPilot Code Diff
+// Finds the code blocks in a response and diffs them line by line against the editor's code
+
+// Unchanged lines shown around each change
+const CONTEXT_LINES = 3;
+
+// Above this many lines on each side (after trimming the common ends) the diff is not computed
+const MAX_DIFF_LINES = 2000;
+
+/**
+ * Extract the fenced code blocks from a response
+ * @returns {Array} [{ language, code }]
+ */
+export function extractCodeBlocks(text) {
+  if (typeof text !== 'string') return [];
+
+  const blocks = [];
+  for (const match of text.matchAll(/```([\w+#-]*)[^\n]*\n([\s\S]*?)```/g)) {
+    const code = match[2].replace(/\n$/, '');
+    if (code.trim()) {
+      blocks.push({ language: match[1].toLowerCase(), code });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Pick the code block that is most likely a change to the given code: the one sharing the most lines with it
+ */
+export function findSuggestedCode(text, currentCode) {
+  const blocks = extractCodeBlocks(text);
+  if (blocks.length === 0) return null;
+
+  const currentLines = new Set(splitLines(currentCode).map(line => line.trim()).filter(Boolean));
+  const score = (block) => splitLines(block.code).filter(line => currentLines.has(line.trim())).length;
+  return blocks.reduce((best, block) => (score(block) > score(best) ? block : best));
+}
+
+/**
+ * Diff two texts line by line into hunks of changes with surrounding context.
+ * A suggestion that is only a snippet of the code (options.partial) leaves the code before and after it
+ * alone, instead of showing it as deleted.
+ * @returns {Array|null} [{ oldStart, oldLines, newLines, before, after }] (oldStart is 0-based), or null when too large
+ */
+export function diffLines(oldText, newText, options = {}) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  // Trim the common ends, which are most of the file for a typical suggestion
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && sameLine(oldLines[prefix], newLines[prefix])) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+         sameLine(oldLines[oldLines.length - 1 - suffix], newLines[newLines.length - 1 - suffix])) {
+    suffix++;
+  }
+
+  const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+  const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+  if (oldMiddle.length > MAX_DIFF_LINES || newMiddle.length > MAX_DIFF_LINES) return null;
+
+  const operations = [
+    ...oldLines.slice(0, prefix).map(() => 'equal'),
+    ...diffOperations(oldMiddle, newMiddle),
+    ...oldLines.slice(oldLines.length - suffix).map(() => 'equal')
+  ];
+
+  return collectHunks(options.partial ? skipUncoveredCode(operations) : operations, oldLines, newLines);
+}
+
+/**
+ * Find where a hunk's old lines are in the code now, nearest to where they were when diffed
+ * (earlier hunks may have been applied since)
+ * @returns {number} 0-based line index, or -1 when the code no longer matches
+ */
+export function locateHunk(lines, hunk) {
+  const matchesAt = (index) => {
+    if (index < 0 || index + hunk.oldLines.length > lines.length) return false;
+    if (!hunk.oldLines.every((line, offset) => sameLine(lines[index + offset], line))) return false;
+    // Pure insertions are anchored by the lines around them
+    if (hunk.oldLines.length === 0) {
+      const beforeMatches = hunk.before.length === 0 || sameLine(lines[index - 1], hunk.before[hunk.before.length - 1]);
+      const afterMatches = hunk.after.length === 0 || sameLine(lines[index], hunk.after[0]);
+      return beforeMatches && afterMatches;
+    }
+    return true;
+  };
+
+  for (let distance = 0; distance <= lines.length; distance++) {
+    if (matchesAt(hunk.oldStart - distance)) return hunk.oldStart - distance;
+    if (distance > 0 && matchesAt(hunk.oldStart + distance)) return hunk.oldStart + distance;
+  }
+  return -1;
+}
+
+/**
+ * Apply a hunk to some code
+ * @returns {Object|null} { code, start, end } the new code and the replaced line range, or null when it no longer matches
+ */
+export function applyHunk(code, hunk) {
+  const lines = splitLines(code);
+  const start = locateHunk(lines, hunk);
+  if (start === -1) return null;
+
+  lines.splice(start, hunk.oldLines.length, ...hunk.newLines);
+  return { code: lines.join('\n'), start, end: start + hunk.oldLines.length };
+}
+
+function splitLines(text) {
+  return typeof text === 'string' && text.length > 0 ? text.replace(/\r\n?/g, '\n').split('\n') : [];
+}
+
+// Lines that differ only in trailing whitespace are the same line
+function sameLine(a, b) {
+  return a !== undefined && b !== undefined && a.trimEnd() === b.trimEnd();
+}
+
+/**
+ * Longest-common-subsequence edit script: 'equal', 'delete' (old line) or 'insert' (new line) per step
+ */
+function diffOperations(oldLines, newLines) {
+  const rows = oldLines.length + 1;
+  const columns = newLines.length + 1;
+  const lengths = new Uint32Array(rows * columns);
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] = sameLine(oldLines[i], newLines[j])
+        ? lengths[(i + 1) * columns + j + 1] + 1
+        : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && sameLine(oldLines[i], newLines[j])) {
+      operations.push('equal');
+      i++;
+      j++;
+    } else if (j < newLines.length && (i === oldLines.length || lengths[i * columns + j + 1] >= lengths[(i + 1) * columns + j])) {
+      operations.push('insert');
+      j++;
+    } else {
+      operations.push('delete');
+      i++;
+    }
+  }
+  return operations;
+}
+
+/**
+ * Group runs of changes into hunks; changes closer than two context windows share a hunk.
+ * Skipped lines (outside a partial suggestion) are unchanged lines that have no new counterpart.
+ */
+function collectHunks(operations, oldLines, newLines) {
+  const hunks = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  let current = null;
+  let equalRun = 0;
+
+  const closeHunk = () => {
+    if (!current) return;
+    current.after = oldLines.slice(current.oldStart + current.oldLines.length, current.oldStart + current.oldLines.length + CONTEXT_LINES);
+    hunks.push(current);
+    current = null;
+  };
+
+  operations.forEach(operation => {
+    if (operation === 'equal' || operation === 'skip') {
+      oldIndex++;
+      newIndex += operation === 'equal' ? 1 : 0;
+      equalRun++;
+      if (current && equalRun > CONTEXT_LINES * 2) {
+        closeHunk();
+      }
+      return;
+    }
+
+    if (!current) {
+      current = {
+        oldStart: oldIndex,
+        oldLines: [],
+        newLines: [],
+        before: oldLines.slice(Math.max(0, oldIndex - CONTEXT_LINES), oldIndex),
+        after: []
+      };
+    } else if (equalRun > 0) {
+      // Unchanged lines between two nearby changes become part of the hunk on both sides
+      current.oldLines.push(...oldLines.slice(oldIndex - equalRun, oldIndex));
+      current.newLines.push(...newLines.slice(newIndex - equalRun, newIndex));
+    }
+    equalRun = 0;
+
+    if (operation === 'delete') {
+      current.oldLines.push(oldLines[oldIndex++]);
+    } else {
+      current.newLines.push(newLines[newIndex++]);
+    }
+  });
+  closeHunk();
+
+  return hunks;
+}
+
+/**
+ * Mark the lines before a partial suggestion's first line and after its last one as skipped, not deleted
+ */
+function skipUncoveredCode(operations) {
+  const first = operations.findIndex(operation => operation !== 'delete');
+  if (first === -1) return operations;
+
+  let last = operations.length - 1;
+  while (operations[last] === 'delete') {
+    last--;
+  }
+  return operations.map((operation, index) => (index < first || index > last ? 'skip' : operation));
+}
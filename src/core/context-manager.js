@@ -1,6 +1,42 @@
 // LeetPilot Context Manager
 // Extracts and manages code context from Monaco Editor
 
+// An example input parameter starts with its name: "nums = [2,7,11,15]"
+const PARAMETER_NAME = /^\s*[A-Za-z_]\w*\s*=\s*/;
+
+/**
+ * Split an example's input ("nums = [2,7], target = 9") into its parameter values ("[2,7]", "9").
+ * Splits at top-level commas that start the next "name =", skipping over strings and brackets.
+ */
+export function splitExampleInput(input) {
+  const parts = [];
+  let depth = 0;
+  let inString = false;
+  let start = 0;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === '}' || char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0 && PARAMETER_NAME.test(input.slice(i + 1))) {
+      parts.push(input.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(input.slice(start));
+
+  return parts.map(part => part.replace(PARAMETER_NAME, '').trim());
+}
+
 /**
  * Context Manager for extracting and managing code context
  */
@@ -37,6 +73,12 @@ export class ContextManager {
       const context = {
         problemTitle: problemInfo.title,
         problemDescription: problemInfo.description,
+        examples: problemInfo.examples,
+        constraints: problemInfo.constraints,
+        difficulty: problemInfo.difficulty,
+        topicTags: problemInfo.topicTags,
+        customTestcase: this.extractCustomTestcase(),
+        lastResult: this.extractLastResult(),
         currentCode: currentCode,
         cursorPosition: cursorPosition,
         language: language,
@@ -65,6 +107,12 @@ export class ContextManager {
     return {
       problemTitle: '',
       problemDescription: '',
+      examples: [],
+      constraints: [],
+      difficulty: null,
+      topicTags: [],
+      customTestcase: '',
+      lastResult: null,
       currentCode: '',
       cursorPosition: 0,
       language: 'javascript',
@@ -337,7 +385,10 @@ export class ContextManager {
       
       // Method 2: Look for problem description
       let description = '';
+      let examples = [];
+      let constraints = [];
       const descriptionSelectors = [
+        '[data-track-load="description_content"]',
         '[data-cy="question-content"]',
         '.question-content',
         '.css-1jqueqk', // Common LeetCode description class
@@ -348,7 +399,15 @@ export class ContextManager {
       for (const selector of descriptionSelectors) {
         const descElement = document.querySelector(selector);
         if (descElement && descElement.textContent) {
-          description = descElement.textContent.trim();
+          examples = this.extractExamples(descElement);
+          constraints = this.extractConstraints(descElement);
+          
+          // Examples and constraints are sent separately, so keep only the statement itself
+          description = this.getElementText(descElement);
+          const exampleStart = description.search(/Example\s*1\s*:/);
+          if (examples.length > 0 && exampleStart > 0) {
+            description = description.substring(0, exampleStart).trim();
+          }
           // Limit description length to avoid overly long context
           if (description.length > 2000) {
             description = description.substring(0, 2000) + '...';
@@ -371,18 +430,184 @@ export class ContextManager {
       
       return {
         title: title || 'Unknown Problem',
-        description: description || 'Problem description not found'
+        description: description || 'Problem description not found',
+        examples: examples,
+        constraints: constraints,
+        difficulty: this.extractDifficulty(),
+        topicTags: this.extractTopicTags()
       };
       
     } catch (error) {
       console.error('Error extracting problem statement:', error);
       return {
         title: 'Unknown Problem',
-        description: 'Problem description not found'
+        description: 'Problem description not found',
+        examples: [],
+        constraints: [],
+        difficulty: null,
+        topicTags: []
       };
     }
   }
 
+  /**
+   * Get an element's text, keeping exponents readable (10<sup>4</sup> becomes 10^4)
+   */
+  getElementText(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('sup').forEach(sup => {
+      sup.replaceWith(`^${sup.textContent}`);
+    });
+    return (clone.innerText ?? clone.textContent ?? '').replace(/\u00a0/g, ' ').trim();
+  }
+
+  /**
+   * Extract the worked examples (input, output, explanation) from the description
+   */
+  extractExamples(descElement) {
+    const blocks = descElement.querySelectorAll('.example-block, pre');
+    const examples = [];
+
+    blocks.forEach(block => {
+      if (examples.length >= 5) return;
+
+      const text = this.getElementText(block);
+      const match = text.match(/Input:?\s*([\s\S]*?)\s*Output:?\s*([\s\S]*?)(?:\s*Explanation:?\s*([\s\S]*))?$/);
+      if (match) {
+        examples.push({
+          input: match[1].trim().substring(0, 500),
+          output: match[2].trim().substring(0, 500),
+          explanation: (match[3] || '').trim().substring(0, 500)
+        });
+      }
+    });
+
+    return examples;
+  }
+
+  /**
+   * Parse examples into argument values and expected outputs, to run a solution on them locally.
+   * Examples that aren't "name = value" lists of JSON literals (e.g. design problems) are left out.
+   * @returns {Array} [{ index, input, args, expected, hasExpected }]
+   */
+  parseExampleCases(examples = []) {
+    const parseLiteral = (text) => {
+      try {
+        return { valid: true, value: JSON.parse(text) };
+      } catch (error) {
+        return { valid: false };
+      }
+    };
+
+    const cases = [];
+    examples.forEach((example, index) => {
+      if (!example?.input || !PARAMETER_NAME.test(example.input)) return;
+
+      const args = splitExampleInput(example.input).map(parseLiteral);
+      if (args.some(arg => !arg.valid)) return;
+
+      const expected = parseLiteral(example.output || '');
+      cases.push({
+        index: index,
+        input: example.input,
+        args: args.map(arg => arg.value),
+        expected: expected.value,
+        hasExpected: expected.valid
+      });
+    });
+
+    return cases;
+  }
+
+  /**
+   * Extract the constraints list that follows the "Constraints:" heading
+   */
+  extractConstraints(descElement) {
+    const heading = Array.from(descElement.querySelectorAll('p, strong, b'))
+      .find(element => element.textContent.trim().startsWith('Constraints'));
+    if (!heading) return [];
+
+    // The list is the next <ul> after the heading's paragraph
+    let sibling = heading.closest('p') || heading;
+    while (sibling && sibling.tagName !== 'UL') {
+      sibling = sibling.nextElementSibling;
+    }
+    if (!sibling) return [];
+
+    return Array.from(sibling.querySelectorAll('li'))
+      .map(item => this.getElementText(item))
+      .filter(Boolean)
+      .slice(0, 15);
+  }
+
+  /**
+   * Extract the problem difficulty (Easy / Medium / Hard)
+   */
+  extractDifficulty() {
+    const difficultyElement = document.querySelector('[class*="text-difficulty-"]') ||
+                              document.querySelector('[diff]') ||
+                              document.querySelector('[data-degree]');
+    const text = difficultyElement?.textContent?.trim() || '';
+    return ['Easy', 'Medium', 'Hard'].find(level => text.startsWith(level)) || null;
+  }
+
+  /**
+   * Extract the problem's topic tags
+   */
+  extractTopicTags() {
+    const tags = Array.from(document.querySelectorAll('a[href*="/tag/"]'))
+      .map(link => link.textContent.trim())
+      .filter(Boolean);
+    return Array.from(new Set(tags)).slice(0, 10);
+  }
+
+  /**
+   * Extract the user's custom testcase input from the Testcase tab
+   */
+  extractCustomTestcase() {
+    const testcaseSelectors = [
+      '[data-e2e-locator="console-testcase-input"]',
+      '[data-track-load="testcase"] .view-lines',
+      '[data-cy="testcase-editor"] textarea',
+      'textarea[class*="testcase"]'
+    ];
+
+    for (const selector of testcaseSelectors) {
+      const elements = document.querySelectorAll(selector);
+      if (elements.length === 0) continue;
+
+      const text = Array.from(elements)
+        .map(element => (element.value ?? this.getElementText(element)).trim())
+        .filter(Boolean)
+        .join('\n');
+      if (text) {
+        return text.substring(0, 1000);
+      }
+    }
+
+    return '';
+  }
+
+  /**
+   * Extract the latest run or submission result shown in the result panel
+   * @returns {Object|null} { status, details }
+   */
+  extractLastResult() {
+    const statusElement = document.querySelector('[data-e2e-locator="submission-result"]') ||
+                          document.querySelector('[data-e2e-locator="console-result"]');
+    const status = statusElement?.textContent?.trim();
+    if (!status) return null;
+
+    // The status heading's container also holds runtime, error and test case details
+    const panel = statusElement.parentElement?.parentElement || statusElement.parentElement;
+    const details = panel ? this.getElementText(panel).replace(status, '').trim() : '';
+
+    return {
+      status: status,
+      details: details.substring(0, 1000)
+    };
+  }
+
   /**
    * Get cached context
    */
@@ -31,6 +31,15 @@ class ComprehensiveErrorHandler {
       [this.errorCategories.CONFIGURATION]: { maxRetries: 0, baseDelay: 0, maxDelay: 0 }
     };
 
+    // Failures worth replaying against the next provider in the fallback chain
+    this.fallbackCategories = new Set([
+      this.errorCategories.RATE_LIMIT,
+      this.errorCategories.QUOTA_EXCEEDED,
+      this.errorCategories.API_ERROR,
+      this.errorCategories.NETWORK,
+      this.errorCategories.TIMEOUT
+    ]);
+
     // Track retry attempts per request with timestamps
     this.retryAttempts = new Map(); // requestId -> { count, timestamp }
     
@@ -244,6 +253,21 @@ class ComprehensiveErrorHandler {
     };
   }
 
+  /**
+   * Check if a failure should be retried on another provider rather than surfaced
+   */
+  shouldFallback(error, context = {}) {
+    const httpStatus = error.status || context.httpStatus || null;
+
+    // Check the status first: rate limit messages often mention "tokens", which would read as an auth error
+    if (httpStatus === 429 || [500, 502, 503, 504].includes(httpStatus)) {
+      return true;
+    }
+
+    const errorInfo = this.categorizeError(error, context);
+    return this.fallbackCategories.has(errorInfo.category);
+  }
+
   /**
    * Check if error is network-related
    */
@@ -506,6 +530,38 @@ class ComprehensiveErrorHandler {
     }
   }
 
+  /**
+   * Run an operation against each provider in a fallback chain in order, moving on only for
+   * provider-side failures (see shouldFallback). A cancelled request is never replayed.
+   * @param {Array} providerChain - [{ profileId, name, config }] from StorageManager.retrieveProviderChain
+   * @param {Function} operation - Makes the request with one chain entry
+   * @param {AbortSignal} signal - The request's cancellation signal
+   * @returns {Promise<{response: *, answeredBy: Object, failedProviders: Array<string>}>}
+   */
+  async executeWithFallback(providerChain, operation, signal = null) {
+    const failedProviders = [];
+
+    for (let i = 0; i < providerChain.length; i++) {
+      const entry = providerChain[i];
+
+      try {
+        const response = await operation(entry);
+        return { response, answeredBy: entry, failedProviders };
+      } catch (error) {
+        const isLastProvider = i === providerChain.length - 1;
+        if (signal?.aborted || isLastProvider || !this.shouldFallback(error)) {
+          throw error;
+        }
+
+        const label = entry.name || entry.config.provider;
+        console.warn(`Provider ${label} failed, falling back to the next provider:`, error.message);
+        failedProviders.push(label);
+      }
+    }
+
+    throw new Error('No AI provider configured');
+  }
+
   /**
    * Handle rate limiting with exponential backoff
    */
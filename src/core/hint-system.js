@@ -1,51 +1,222 @@
 // LeetPilot Progressive Hint System
 // Manages multi-step hint requests with state preservation and educational progression
 
-/**
- * Progressive Hint System
- * Manages multi-step hint requests with state preservation and educational progression
- */
-export class ProgressiveHintSystem {
-  constructor() {
-    this.hintSessions = new Map(); // tabId -> session data
-    this.maxHintLevel = 4;
-    this.sessionTimeout = 30 * 60 * 1000; // 30 minutes session timeout
-    this.maxSessionsPerTab = 5; // Reduced to prevent memory bloat
-    
-    // Educational progression framework
-    this.hintProgression = {
-      1: {
+// Sessions are mirrored to chrome.storage.session so they survive service worker restarts
+const HINT_SESSIONS_KEY = 'leetpilot_hint_sessions';
+
+// Bounds for a user-defined hint ladder
+const HINT_LADDER_LIMITS = {
+  minLevels: 1,
+  maxLevels: 8,
+  typeLength: 40,
+  descriptionLength: 200,
+  guidanceLength: 1000,
+  minMaxLength: 50,
+  maxMaxLength: 2000
+};
+
+// Built-in ladders the user can start from; each level's guidance is sent to the model
+export const HINT_LADDER_PRESETS = {
+  progressive: {
+    label: 'Progressive (default)',
+    levels: [
+      {
         type: 'conceptual',
         description: 'High-level approach and problem understanding',
         maxLength: 200,
+        guidance: 'Focus on high-level problem understanding and general approach. Help the user understand what the problem is asking and what strategy might work.',
         keywords: ['approach', 'strategy', 'think about', 'consider', 'pattern']
       },
-      2: {
+      {
         type: 'structural',
         description: 'Algorithm structure and data organization',
         maxLength: 300,
+        guidance: 'Provide guidance on algorithm structure and data organization. Suggest what data structures or algorithmic patterns might be useful.',
         keywords: ['structure', 'organize', 'steps', 'breakdown', 'components']
       },
-      3: {
+      {
         type: 'implementation',
         description: 'Specific implementation guidance',
         maxLength: 400,
+        guidance: 'Give more specific implementation guidance. Help with the actual coding approach and key implementation details.',
         keywords: ['implement', 'code', 'function', 'method', 'technique']
       },
-      4: {
+      {
         type: 'optimization',
         description: 'Edge cases and optimization hints',
         maxLength: 500,
+        guidance: 'Address edge cases, optimizations, and advanced considerations. Help refine the solution for completeness and efficiency.',
         keywords: ['edge case', 'optimize', 'improve', 'efficiency', 'corner case']
       }
-    };
+    ]
+  },
+  socratic: {
+    label: 'Socratic questions only',
+    levels: [
+      {
+        type: 'clarifying',
+        description: 'Questions about what the problem asks',
+        maxLength: 200,
+        guidance: 'Respond only with one to three questions, never statements or answers. Ask questions that help the student restate the problem, its inputs, outputs and constraints in their own words.'
+      },
+      {
+        type: 'exploring',
+        description: 'Questions that lead toward an approach',
+        maxLength: 250,
+        guidance: 'Respond only with questions. Ask what simpler version of the problem they could solve, which example breaks a naive idea, and which data structures could help, without naming the answer.'
+      },
+      {
+        type: 'probing',
+        description: 'Questions about the current code',
+        maxLength: 300,
+        guidance: 'Respond only with questions. Point at a specific part of the student\'s code or reasoning and ask what it does on a tricky input, so they find the gap themselves.'
+      },
+      {
+        type: 'reflecting',
+        description: 'Questions about edge cases and complexity',
+        maxLength: 300,
+        guidance: 'Respond only with questions. Ask about edge cases, time and space complexity, and whether a different approach could do better.'
+      }
+    ]
+  },
+  interviewCoach: {
+    label: 'Interview coach',
+    levels: [
+      {
+        type: 'clarify',
+        description: 'Clarify requirements as in an interview',
+        maxLength: 250,
+        guidance: 'Act as a technical interviewer. Prompt the student to ask clarifying questions and state their assumptions, inputs, outputs and constraints before coding.'
+      },
+      {
+        type: 'brute-force',
+        description: 'Start from a brute-force approach',
+        maxLength: 300,
+        guidance: 'Nudge the student to describe a working brute-force approach first and to state its time and space complexity out loud.'
+      },
+      {
+        type: 'optimize',
+        description: 'Improve on the brute force',
+        maxLength: 350,
+        guidance: 'Point at the bottleneck of the brute force and hint at the pattern or data structure that removes it, the way an interviewer would when a candidate is stuck.'
+      },
+      {
+        type: 'test',
+        description: 'Walk through tests and edge cases',
+        maxLength: 350,
+        guidance: 'Ask the student to dry-run their code on the examples and on edge cases, and to explain the final complexity, as they would at the end of an interview.'
+      }
+    ]
+  }
+};
+
+/**
+ * Progressive Hint System
+ * Manages multi-step hint requests with state preservation and educational progression
+ */
+export class ProgressiveHintSystem {
+  constructor() {
+    this.hintSessions = new Map(); // problem slug -> session data
+    this.sessionTimeout = 30 * 60 * 1000; // 30 minutes session timeout
+    this.maxSessions = 20; // Reduced to prevent memory bloat
+    this.restorePromise = null;
+    
+    // Educational progression framework, replaced by the user's ladder through setLadder()
+    this.setLadder(null);
+  }
+
+  /**
+   * Use a hint ladder, falling back to the default progression when it is missing or invalid
+   * @param {Array<Object>|null} levels - { type, description, maxLength, guidance } per level
+   */
+  setLadder(levels) {
+    const ladder = levels && this.validateLadder(levels).valid
+      ? levels
+      : HINT_LADDER_PRESETS.progressive.levels;
+
+    this.hintProgression = {};
+    ladder.forEach((level, index) => {
+      this.hintProgression[index + 1] = {
+        type: level.type.trim(),
+        description: (level.description || '').trim(),
+        maxLength: Number(level.maxLength),
+        guidance: level.guidance.trim(),
+        keywords: Array.isArray(level.keywords) ? level.keywords : []
+      };
+    });
+    this.maxHintLevel = ladder.length;
+  }
+
+  /**
+   * Get the ladder in use, as a list of levels
+   */
+  getLadder() {
+    return Object.keys(this.hintProgression)
+      .sort((a, b) => a - b)
+      .map(level => ({ ...this.hintProgression[level] }));
+  }
+
+  /**
+   * Describe the built-in ladders
+   */
+  getLadderPresets() {
+    return Object.entries(HINT_LADDER_PRESETS).map(([id, { label, levels }]) => ({
+      id: id,
+      label: label,
+      levels: levels
+    }));
+  }
+
+  /**
+   * Validate a user-defined ladder
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validateLadder(levels) {
+    const errors = [];
+    const limits = HINT_LADDER_LIMITS;
+
+    if (!Array.isArray(levels) || levels.length < limits.minLevels || levels.length > limits.maxLevels) {
+      errors.push(`A hint ladder needs ${limits.minLevels} to ${limits.maxLevels} levels`);
+      return { valid: false, errors };
+    }
+
+    levels.forEach((level, index) => {
+      const label = `Level ${index + 1}`;
+      if (!level || typeof level !== 'object') {
+        errors.push(`${label} is not a valid level`);
+        return;
+      }
+
+      if (typeof level.type !== 'string' || !level.type.trim()) {
+        errors.push(`${label} needs a type`);
+      } else if (level.type.length > limits.typeLength) {
+        errors.push(`${label} type is too long (maximum ${limits.typeLength} characters)`);
+      }
+
+      if (level.description !== undefined && (typeof level.description !== 'string' || level.description.length > limits.descriptionLength)) {
+        errors.push(`${label} description must be at most ${limits.descriptionLength} characters`);
+      }
+
+      if (typeof level.guidance !== 'string' || !level.guidance.trim()) {
+        errors.push(`${label} needs guidance text`);
+      } else if (level.guidance.length > limits.guidanceLength) {
+        errors.push(`${label} guidance is too long (maximum ${limits.guidanceLength} characters)`);
+      }
+
+      const maxLength = Number(level.maxLength);
+      if (!Number.isInteger(maxLength) || maxLength < limits.minMaxLength || maxLength > limits.maxMaxLength) {
+        errors.push(`${label} max length must be between ${limits.minMaxLength} and ${limits.maxMaxLength}`);
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
   }
 
   /**
    * Get next hint level for a problem with enhanced logic
    */
-  getNextHintLevel(tabId, problemTitle) {
-    const sessionKey = `${tabId}_${this.normalizeTitle(problemTitle)}`;
+  getNextHintLevel(problemSlug, problemTitle) {
+    const sessionKey = this.getSessionKey(problemSlug, problemTitle);
     const session = this.hintSessions.get(sessionKey);
     
     if (!session) {
@@ -56,7 +227,7 @@ export class ProgressiveHintSystem {
     // Check if session has expired
     if (this.isSessionExpired(session)) {
       console.log('Hint session expired, starting fresh');
-      this.resetHintSession(tabId, problemTitle);
+      this.resetHintSession(problemSlug, problemTitle);
       return 1;
     }
     
@@ -75,8 +246,8 @@ export class ProgressiveHintSystem {
   /**
    * Update hint session state with enhanced context preservation
    */
-  updateHintSession(tabId, problemTitle, hintLevel, hintContent, context) {
-    const sessionKey = `${tabId}_${this.normalizeTitle(problemTitle)}`;
+  updateHintSession(problemSlug, problemTitle, hintLevel, hintContent, context) {
+    const sessionKey = this.getSessionKey(problemSlug, problemTitle);
     
     // Get existing session or create new one
     let session = this.hintSessions.get(sessionKey);
@@ -144,7 +315,8 @@ export class ProgressiveHintSystem {
     this.hintSessions.set(sessionKey, session);
     
     // Clean up old sessions
-    this.cleanupOldSessions(tabId);
+    this.cleanupOldSessions();
+    this.persistSessions();
     
     return session;
   }
@@ -152,8 +324,8 @@ export class ProgressiveHintSystem {
   /**
    * Get enhanced hint context for prompt engineering
    */
-  getHintContext(tabId, problemTitle) {
-    const session = this.getHintSession(tabId, problemTitle);
+  getHintContext(problemSlug, problemTitle) {
+    const session = this.getHintSession(problemSlug, problemTitle);
     
     if (!session || session.hints.length === 0) {
       return null;
@@ -187,8 +359,8 @@ export class ProgressiveHintSystem {
   /**
    * Enhanced hint session retrieval with validation
    */
-  getHintSession(tabId, problemTitle) {
-    const sessionKey = `${tabId}_${this.normalizeTitle(problemTitle)}`;
+  getHintSession(problemSlug, problemTitle) {
+    const sessionKey = this.getSessionKey(problemSlug, problemTitle);
     const session = this.hintSessions.get(sessionKey);
     
     if (!session) {
@@ -208,15 +380,16 @@ export class ProgressiveHintSystem {
   /**
    * Reset hint session with cleanup
    */
-  resetHintSession(tabId, problemTitle) {
-    const sessionKey = `${tabId}_${this.normalizeTitle(problemTitle)}`;
+  resetHintSession(problemSlug, problemTitle) {
+    const sessionKey = this.getSessionKey(problemSlug, problemTitle);
     const session = this.hintSessions.get(sessionKey);
     
     if (session) {
-      console.log(`Resetting hint session for ${problemTitle}, had ${session.hints.length} hints`);
+      console.log(`Resetting hint session for ${problemTitle || problemSlug}, had ${session.hints.length} hints`);
     }
     
     this.hintSessions.delete(sessionKey);
+    this.persistSessions();
   }
 
   /**
@@ -356,12 +529,17 @@ export class ProgressiveHintSystem {
       .substring(0, 50); // Limit length
   }
 
+  /**
+   * Get the session key for a problem: its slug, so the same problem continues across tabs
+   */
+  getSessionKey(problemSlug, problemTitle) {
+    return this.normalizeTitle(problemSlug || problemTitle);
+  }
+
   /**
    * Enhanced cleanup with better memory management
    */
-  cleanupOldSessions(tabId) {
-    const now = Date.now();
-    
+  cleanupOldSessions() {
     // Remove expired sessions first
     for (const [key, session] of this.hintSessions.entries()) {
       if (this.isSessionExpired(session)) {
@@ -370,13 +548,12 @@ export class ProgressiveHintSystem {
       }
     }
     
-    // Then limit sessions per tab
-    const tabSessions = Array.from(this.hintSessions.entries())
-      .filter(([key]) => key.startsWith(`${tabId}_`))
+    // Then keep only the most recently used sessions
+    const sessions = Array.from(this.hintSessions.entries())
       .sort(([, a], [, b]) => b.lastUpdated - a.lastUpdated);
     
-    if (tabSessions.length > this.maxSessionsPerTab) {
-      const sessionsToRemove = tabSessions.slice(this.maxSessionsPerTab);
+    if (sessions.length > this.maxSessions) {
+      const sessionsToRemove = sessions.slice(this.maxSessions);
       sessionsToRemove.forEach(([key]) => {
         console.log(`Removing old session to maintain limit: ${key}`);
         this.hintSessions.delete(key);
@@ -385,17 +562,94 @@ export class ProgressiveHintSystem {
   }
 
   /**
-   * Clear all sessions for a tab
+   * Clear all sessions
    */
-  clearTabSessions(tabId) {
-    const keysToRemove = Array.from(this.hintSessions.keys())
-      .filter(key => key.startsWith(`${tabId}_`));
+  clearAllSessions() {
+    const count = this.hintSessions.size;
+    this.hintSessions.clear();
+    this.persistSessions();
     
-    keysToRemove.forEach(key => {
-      this.hintSessions.delete(key);
-    });
-    
-    console.log(`Cleared ${keysToRemove.length} sessions for tab ${tabId}`);
+    console.log(`Cleared ${count} hint sessions`);
+  }
+
+  /**
+   * Get the storage area for sessions (chrome.storage.session needs Chrome 102+)
+   */
+  getStorageArea() {
+    return chrome.storage.session || chrome.storage.local;
+  }
+
+  /**
+   * Convert a session to plain JSON data (the concepts Set becomes an array)
+   */
+  serializeSession(session) {
+    return {
+      ...session,
+      progression: {
+        ...session.progression,
+        conceptsIntroduced: Array.from(session.progression?.conceptsIntroduced || [])
+      }
+    };
+  }
+
+  /**
+   * Rebuild a session from stored data
+   */
+  deserializeSession(data) {
+    const progression = data.progression || {};
+    return {
+      ...data,
+      progression: {
+        conceptsIntroduced: new Set(progression.conceptsIntroduced || []),
+        codeEvolution: Array.isArray(progression.codeEvolution) ? progression.codeEvolution : [],
+        userProgress: Array.isArray(progression.userProgress) ? progression.userProgress : []
+      }
+    };
+  }
+
+  /**
+   * Save all sessions to session storage
+   */
+  async persistSessions() {
+    try {
+      const data = {};
+      this.hintSessions.forEach((session, key) => {
+        data[key] = this.serializeSession(session);
+      });
+      await this.getStorageArea().set({ [HINT_SESSIONS_KEY]: data });
+    } catch (error) {
+      console.error('Failed to persist hint sessions:', error);
+    }
+  }
+
+  /**
+   * Load sessions saved before the service worker was restarted (only once)
+   */
+  restoreSessions() {
+    if (this.restorePromise) return this.restorePromise;
+
+    this.restorePromise = (async () => {
+      try {
+        const result = await this.getStorageArea().get([HINT_SESSIONS_KEY]);
+        const data = result[HINT_SESSIONS_KEY] || {};
+
+        Object.entries(data).forEach(([key, stored]) => {
+          // Sessions updated since the worker started are newer than the stored copy
+          if (this.hintSessions.has(key)) return;
+
+          const session = this.deserializeSession(stored);
+          if (!this.isSessionExpired(session) && this.validateSessionIntegrity(session)) {
+            this.hintSessions.set(key, session);
+          }
+        });
+
+        console.log(`Restored ${this.hintSessions.size} hint sessions`);
+      } catch (error) {
+        console.error('Failed to restore hint sessions:', error);
+      }
+    })();
+
+    return this.restorePromise;
   }
 
   /**
@@ -404,7 +658,6 @@ export class ProgressiveHintSystem {
   getHintStats() {
     const stats = {
       totalSessions: this.hintSessions.size,
-      sessionsByTab: new Map(),
       averageHintLevel: 0,
       averageProgressScore: 0,
       conceptsTracked: new Set(),
@@ -416,15 +669,7 @@ export class ProgressiveHintSystem {
     let totalProgress = 0;
     let sessionCount = 0;
     
-    for (const [key, session] of this.hintSessions.entries()) {
-      const tabId = key.split('_')[0];
-      
-      // Count sessions by tab
-      if (!stats.sessionsByTab.has(tabId)) {
-        stats.sessionsByTab.set(tabId, 0);
-      }
-      stats.sessionsByTab.set(tabId, stats.sessionsByTab.get(tabId) + 1);
-      
+    for (const session of this.hintSessions.values()) {
       // Aggregate statistics
       totalLevels += session.currentLevel;
       totalProgress += this.calculateProgressScore(session);
@@ -1,13 +1,17 @@
 // LeetPilot Core Modules Index
 // Exports all core functionality
 
-export { StorageManager, AIProviderConfig, SUPPORTED_PROVIDERS } from './storage-manager.js';
+export { StorageManager, AIProviderConfig, SUPPORTED_PROVIDERS, isLoopbackUrl, isSecureProviderUrl, validateAzureSettings, isAutoFeatureEnabled } from './storage-manager.js';
 export { SecurityMonitor } from './security-monitor.js';
 export { InputValidator } from './input-validator.js';
 export { ValidationUtils } from './validation-utils.js';
 export { ComprehensiveErrorHandler } from './error-handler.js';
 export { AIProviderClient } from './api-client.js';
 export { ContextManager } from './context-manager.js';
-export { HintSystem } from './hint-system.js';
+export { ProgressiveHintSystem } from './hint-system.js';
 export { PromptEngineer } from './prompt-engineer.js';
-export { RateLimiter } from './rate-limiter.js';
\ No newline at end of file
+export { RateLimiter } from './rate-limiter.js';
+export { ResponseCache } from './response-cache.js';
+export { ProblemJournal } from './problem-journal.js';
+export { RESPONSE_SCHEMAS, getResponseSchema, toProviderSchema, describeResponseSchema } from './response-schemas.js';
+export { extractCodeBlocks, findSuggestedCode, diffLines, locateHunk, applyHunk } from './code-diff.js';
\ No newline at end of file
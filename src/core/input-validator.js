@@ -204,7 +204,15 @@ export class InputValidator {
     return this._validateString(text, 'Selected text', this.maxLengths.userInput);
   }
 
-  validateAIResponse(response) {
+  /**
+   * Validate an AI response. With a response schema the response must be JSON matching it,
+   * and the sanitized result is the parsed object.
+   */
+  validateAIResponse(response, schema = null) {
+    if (schema) {
+      return this.validateStructuredAIResponse(response, schema);
+    }
+
     const result = { valid: false, errors: [], sanitized: null };
 
     if (typeof response !== 'string') {
@@ -227,6 +235,59 @@ export class InputValidator {
     return result;
   }
 
+  /**
+   * Validate a JSON AI response against a response schema.
+   * Text fields are shown as plain text, so markup in them is stripped rather than rejected.
+   */
+  validateStructuredAIResponse(response, schema) {
+    const result = { valid: false, errors: [], sanitized: null };
+
+    if (typeof response !== 'string') {
+      result.errors.push('AI response must be a string');
+      return result;
+    }
+
+    if (response.length > this.maxLengths.aiResponse) {
+      result.errors.push(`AI response too long (max ${this.maxLengths.aiResponse} characters)`);
+      return result;
+    }
+
+    const data = this.parseJSONResponse(response);
+    if (data === undefined) {
+      result.errors.push('AI response is not valid JSON');
+      return result;
+    }
+
+    const sanitized = this._validateSchemaValue(data, schema, 'response', result.errors);
+    result.valid = result.errors.length === 0;
+    result.sanitized = result.valid ? sanitized : null;
+    return result;
+  }
+
+  /**
+   * Parse JSON from a response, allowing a Markdown code fence or text around the object
+   * @returns {*} The parsed value, or undefined if there is none
+   */
+  parseJSONResponse(response) {
+    const candidates = [response.trim()];
+
+    const fenced = response.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) candidates.push(fenced[1].trim());
+
+    const start = response.indexOf('{');
+    const end = response.lastIndexOf('}');
+    if (start !== -1 && end > start) candidates.push(response.slice(start, end + 1));
+
+    for (const candidate of candidates) {
+      try {
+        return JSON.parse(candidate);
+      } catch {
+        // Try the next candidate
+      }
+    }
+    return undefined;
+  }
+
   validateURL(url) {
     const result = { valid: false, errors: [], sanitized: null };
 
@@ -276,6 +337,79 @@ export class InputValidator {
     return result;
   }
 
+  // Helper for schema validation: collects errors and returns the sanitized value.
+  // Supports the subset of JSON Schema used by response schemas; unknown properties are dropped.
+  _validateSchemaValue(value, schema, path, errors) {
+    switch (schema.type) {
+      case 'object': {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${path} must be an object`);
+          return null;
+        }
+
+        const sanitized = {};
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+          if (value[key] === undefined || value[key] === null) {
+            if ((schema.required || []).includes(key)) {
+              errors.push(`${path}.${key} is required`);
+            }
+            continue;
+          }
+          sanitized[key] = this._validateSchemaValue(value[key], propertySchema, `${path}.${key}`, errors);
+        }
+        return sanitized;
+      }
+
+      case 'array':
+        if (!Array.isArray(value)) {
+          errors.push(`${path} must be an array`);
+          return null;
+        }
+        return value
+          .slice(0, schema.maxItems ?? value.length)
+          .map((item, index) => this._validateSchemaValue(item, schema.items, `${path}[${index}]`, errors));
+
+      case 'string': {
+        if (typeof value !== 'string') {
+          errors.push(`${path} must be a string`);
+          return null;
+        }
+
+        const text = this.sanitizeAIResponse(value);
+        if (schema.enum && !schema.enum.includes(text)) {
+          errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+          return null;
+        }
+        return schema.maxLength && text.length > schema.maxLength
+          ? text.substring(0, schema.maxLength - 3) + '...'
+          : text;
+      }
+
+      case 'integer':
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+          errors.push(`${path} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+          return null;
+        }
+        if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+          errors.push(`${path} is out of range`);
+          return null;
+        }
+        return value;
+
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          errors.push(`${path} must be a boolean`);
+          return null;
+        }
+        return value;
+
+      default:
+        errors.push(`${path} has an unsupported schema type: ${schema.type}`);
+        return null;
+    }
+  }
+
   checkForDangerousContent(content, isCode = false) {
     const result = { safe: true, violations: [] };
 
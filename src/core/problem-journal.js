@@ -0,0 +1,232 @@
+// LeetPilot Problem Journal
+// Persistent per-problem history of hints, explanations, optimizations, code snapshots and time spent
+
+// Journal records are stored per problem slug under a single key
+const JOURNAL_KEY = 'leetpilot_problem_journal';
+const JOURNAL_LIMITS = {
+  problems: 30,
+  entriesPerProblem: 30,
+  contentLength: 3000,
+  codeLength: 6000
+};
+
+// Gaps between activity longer than this count as time away from the problem
+const IDLE_GAP = 5 * 60 * 1000;
+
+/**
+ * Problem Journal
+ * Records every request made on a LeetCode problem, keyed by problem slug
+ */
+export class ProblemJournal {
+  constructor() {
+    // Pending journal writes, run one at a time so concurrent updates don't overwrite each other
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Get all problem records
+   * @returns {Promise<Object>} Records by problem slug
+   */
+  async getJournal() {
+    try {
+      const result = await chrome.storage.local.get([JOURNAL_KEY]);
+      return result[JOURNAL_KEY] || {};
+    } catch (error) {
+      console.error('Failed to load problem journal:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save the journal, dropping the least recently active problems beyond the limit
+   */
+  async saveJournal(journal) {
+    const slugs = Object.keys(journal)
+      .sort((a, b) => journal[b].lastActive - journal[a].lastActive);
+    slugs.slice(JOURNAL_LIMITS.problems).forEach(slug => delete journal[slug]);
+
+    await chrome.storage.local.set({ [JOURNAL_KEY]: journal });
+  }
+
+  /**
+   * Run a write after any earlier one has finished
+   * @returns {Promise} Rejects if this write failed; later writes still run
+   */
+  enqueue(write) {
+    const run = this.writeQueue.then(write);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load, change and save the journal as one queued write
+   * @param {Function} change - Modifies the journal in place
+   */
+  update(change) {
+    return this.enqueue(async () => {
+      const journal = await this.getJournal();
+      change(journal);
+      await this.saveJournal(journal);
+    });
+  }
+
+  /**
+   * Get or create the record for a problem, refreshing its title, difficulty and language
+   */
+  getRecord(journal, slug, info = {}) {
+    const now = Date.now();
+    const record = journal[slug] || {
+      slug: slug,
+      title: '',
+      difficulty: null,
+      language: null,
+      firstSeen: now,
+      lastActive: now,
+      timeSpent: 0,
+      maxHintLevel: 0,
+      entries: []
+    };
+
+    record.title = info.problemTitle || record.title || slug;
+    record.difficulty = info.difficulty || record.difficulty;
+    record.language = info.language || record.language;
+    journal[slug] = record;
+    return record;
+  }
+
+  /**
+   * Add the time since the last activity, unless the user was away
+   */
+  trackTime(record, timestamp = Date.now()) {
+    const gap = timestamp - record.lastActive;
+    if (gap > 0 && gap <= IDLE_GAP) {
+      record.timeSpent += gap;
+    }
+    record.lastActive = Math.max(record.lastActive, timestamp);
+  }
+
+  /**
+   * Record that the user is working on a problem (typing in the editor)
+   */
+  async recordActivity(slug, info = {}) {
+    if (!slug) return;
+
+    try {
+      await this.update(journal => {
+        const record = this.getRecord(journal, slug, info);
+        this.trackTime(record);
+      });
+    } catch (error) {
+      console.error('Failed to record problem activity:', error);
+    }
+  }
+
+  /**
+   * Record a request and its response, with a snapshot of the code it was made on
+   * @param {Object} entry - { type, content, code, hintLevel, status, provider, model, cached }
+   */
+  async recordEntry(slug, info, entry) {
+    if (!slug) return;
+
+    try {
+      await this.update(journal => {
+        const record = this.getRecord(journal, slug, info);
+        this.trackTime(record);
+
+        // Keep a code snapshot only when the code changed since the previous one
+        const code = this.truncate(entry.code, JOURNAL_LIMITS.codeLength);
+        const previousSnapshot = [...record.entries].reverse().find(previous => previous.code !== null);
+        const codeChanged = !previousSnapshot || previousSnapshot.code !== code;
+
+        record.entries.push({
+          type: entry.type,
+          hintLevel: entry.hintLevel || null,
+          status: entry.status || null,
+          content: this.truncate(entry.content, JOURNAL_LIMITS.contentLength),
+          code: codeChanged ? code : null,
+          language: info.language || null,
+          provider: entry.provider || null,
+          model: entry.model || null,
+          cached: !!entry.cached,
+          timestamp: Date.now()
+        });
+        record.entries = record.entries.slice(-JOURNAL_LIMITS.entriesPerProblem);
+
+        if (entry.type === 'hint' && entry.hintLevel) {
+          record.maxHintLevel = Math.max(record.maxHintLevel, entry.hintLevel);
+        }
+      });
+    } catch (error) {
+      console.error('Failed to record journal entry:', error);
+    }
+  }
+
+  /**
+   * List problem summaries, most recently active first
+   */
+  async listProblems() {
+    const journal = await this.getJournal();
+
+    return Object.values(journal)
+      .sort((a, b) => b.lastActive - a.lastActive)
+      .map(record => this.summarize(record));
+  }
+
+  /**
+   * Summarize a record without its entries
+   */
+  summarize(record) {
+    const counts = {};
+    record.entries.forEach(entry => {
+      counts[entry.type] = (counts[entry.type] || 0) + 1;
+    });
+
+    const { entries, ...summary } = record;
+    return { ...summary, counts };
+  }
+
+  /**
+   * Get the full record for a problem
+   */
+  async getProblem(slug) {
+    const journal = await this.getJournal();
+    return journal[slug] || null;
+  }
+
+  /**
+   * Remove a problem's record
+   */
+  async deleteProblem(slug) {
+    await this.update(journal => {
+      delete journal[slug];
+    });
+  }
+
+  /**
+   * Remove all records
+   */
+  async clear() {
+    await this.enqueue(() => chrome.storage.local.remove(JOURNAL_KEY));
+  }
+
+  /**
+   * Export all records as a portable object
+   */
+  async exportJournal() {
+    const journal = await this.getJournal();
+
+    return {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      problems: Object.values(journal).sort((a, b) => b.lastActive - a.lastActive)
+    };
+  }
+
+  /**
+   * Keep stored text within the journal's bounds
+   */
+  truncate(text, maxLength) {
+    if (typeof text !== 'string') return '';
+    return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+  }
+}
@@ -1,6 +1,40 @@
 // LeetPilot Prompt Engineer
 // Generates educational prompts for different AI interactions
 
+import { HINT_LADDER_PRESETS } from './hint-system.js';
+import { getResponseSchema, describeResponseSchema } from './response-schemas.js';
+import { splitExampleInput } from './context-manager.js';
+
+// Placeholders every template can use
+const COMMON_PLACEHOLDERS = [
+  'PROBLEM_TITLE', 'PROBLEM_DESCRIPTION', 'EXAMPLES', 'CONSTRAINTS', 'LAST_RESULT', 'LANGUAGE', 'CURRENT_CODE'
+];
+
+// Templates users can override from the popup, with any placeholders only that template understands
+const EDITABLE_TEMPLATES = {
+  completion: { label: 'Completion', placeholders: [] },
+  explanation: { label: 'Explanation', placeholders: [] },
+  optimization: { label: 'Optimization', placeholders: [] },
+  progressiveHint: { label: 'Hint', placeholders: ['HINT_LEVEL', 'MAX_HINT_LEVEL', 'HINT_TYPE'] }
+};
+
+const MAX_TEMPLATE_LENGTH = 8000;
+
+// Categories of the mock interview scorecard, each scored from 1 to 5
+const INTERVIEW_SCORE_CATEGORIES = {
+  communication: 'Communication',
+  problemSolving: 'Problem solving',
+  complexity: 'Complexity analysis',
+  codeQuality: 'Code quality',
+  testing: 'Testing'
+};
+
+// The candidate's first turn, which asks the interviewer to open the interview
+const INTERVIEW_OPENING = 'I am ready. Please start the interview.';
+
+// Shown in place of a complete solution that can't be filtered down to an explanation
+const SOLUTION_WITHHELD = 'Let me guide you through the approach step by step instead of providing the complete solution.';
+
 /**
  * Prompt Engineering System
  * Creates educational prompts for code completion, explanations, optimizations, and hints
@@ -10,9 +44,45 @@ export class PromptEngineer {
     this.promptTemplates = {
       completion: this.getCompletionTemplate(),
       explanation: this.getExplanationTemplate(),
+      errorExplanation: this.getErrorExplanationTemplate(),
       optimization: this.getOptimizationTemplate(),
+      complexity: this.getComplexityTemplate(),
+      testcases: this.getTestcasesTemplate(),
       hint: this.getHintTemplate(),
-      progressiveHint: this.getProgressiveHintTemplate()
+      progressiveHint: this.getProgressiveHintTemplate(),
+      chat: this.getChatSystemTemplate(),
+      interview: this.getInterviewTemplate(),
+      interviewScorecard: this.getInterviewScorecardTemplate()
+    };
+
+    // Number of earlier chat messages sent along with each new message
+    this.maxChatHistory = 20;
+
+    // Hint ladder levels ({ type, maxLength, guidance }) that shape each hint
+    this.hintLadder = HINT_LADDER_PRESETS.progressive.levels;
+  }
+
+  /**
+   * Replace every {PLACEHOLDER} with its value, leaving unknown placeholders as they are
+   */
+  fillTemplate(template, values) {
+    return template.replace(/\{([A-Z_]+)\}/g, (match, name) => (
+      Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+    ));
+  }
+
+  /**
+   * Get the placeholder values shared by all templates
+   */
+  getTemplateValues(context = {}) {
+    return {
+      PROBLEM_TITLE: context.problemTitle || 'Coding Problem',
+      PROBLEM_DESCRIPTION: context.problemDescription || 'No description available',
+      EXAMPLES: this.formatExamples(context.examples),
+      CONSTRAINTS: this.formatConstraints(context.constraints),
+      LAST_RESULT: this.formatLastResult(context.lastResult, context.customTestcase),
+      LANGUAGE: context.language || 'Python',
+      CURRENT_CODE: context.currentCode || ''
     };
   }
 
@@ -20,51 +90,188 @@ export class PromptEngineer {
    * Create code completion prompt
    */
   createCompletionPrompt(context) {
-    const { problemTitle, problemDescription, currentCode, language } = context;
-    
-    return this.promptTemplates.completion
-      .replace('{PROBLEM_TITLE}', problemTitle || 'Coding Problem')
-      .replace('{PROBLEM_DESCRIPTION}', problemDescription || 'No description available')
-      .replace('{CURRENT_CODE}', currentCode || '')
-      .replace('{LANGUAGE}', language || 'Python');
+    return this.fillTemplate(this.promptTemplates.completion, this.getTemplateValues(context));
   }
 
   /**
    * Create explanation prompt
    */
   createExplanationPrompt(context) {
-    const { problemTitle, currentCode, language } = context;
-    
-    return this.promptTemplates.explanation
-      .replace('{PROBLEM_TITLE}', problemTitle || 'Coding Problem')
-      .replace('{CURRENT_CODE}', currentCode || '')
-      .replace('{LANGUAGE}', language || 'Python');
+    return this.fillTemplate(this.promptTemplates.explanation, this.getTemplateValues(context));
+  }
+
+  /**
+   * Create a prompt explaining why a LeetCode run or submission failed
+   * @param {Object} failure - { status, errorMessage, input, output, expected, stdout } scraped from the result panel
+   */
+  createErrorExplanationPrompt(context, failure = {}) {
+    const details = [
+      ['Error message', failure.errorMessage],
+      ['Failing input', failure.input],
+      ['Your output', failure.output],
+      ['Expected output', failure.expected],
+      ['Stdout', failure.stdout]
+    ]
+      .filter(([, value]) => value)
+      .map(([label, value]) => `${label}:\n${value}`)
+      .join('\n\n');
+
+    return this.fillTemplate(this.promptTemplates.errorExplanation, {
+      ...this.getTemplateValues(context),
+      RESULT_STATUS: failure.status || 'Failed',
+      FAILURE_DETAILS: details || 'No further details were shown.'
+    });
   }
 
   /**
    * Create optimization prompt
    */
   createOptimizationPrompt(context) {
-    const { problemTitle, currentCode, language } = context;
-    
-    return this.promptTemplates.optimization
-      .replace('{PROBLEM_TITLE}', problemTitle || 'Coding Problem')
-      .replace('{CURRENT_CODE}', currentCode || '')
-      .replace('{LANGUAGE}', language || 'Python');
+    return this.fillTemplate(this.promptTemplates.optimization, this.getTemplateValues(context));
+  }
+
+  /**
+   * Create a complexity analysis prompt, with the code's lines numbered so the model can point at them
+   */
+  createComplexityPrompt(context) {
+    const lines = (context.currentCode || '').split('\n');
+    const width = String(lines.length).length;
+    const numberedCode = lines
+      .map((line, index) => `${String(index + 1).padStart(width)} | ${line}`)
+      .join('\n');
+
+    return this.fillTemplate(this.promptTemplates.complexity, {
+      ...this.getTemplateValues(context),
+      NUMBERED_CODE: numberedCode
+    });
+  }
+
+  /**
+   * Tidy a schema-validated complexity analysis against the code it describes:
+   * line numbers outside the code are dropped, and ranges and bottlenecks are put in order
+   * @returns {Object} { time, space, constructs, bottlenecks, summary }
+   */
+  normalizeComplexityAnalysis(analysis, code = '') {
+    const lineCount = (code || '').split('\n').length;
+    const inCode = line => line >= 1 && line <= lineCount;
+
+    const constructs = analysis.constructs
+      .filter(construct => inCode(construct.startLine))
+      .map(construct => ({
+        ...construct,
+        endLine: Math.min(lineCount, Math.max(construct.startLine, construct.endLine))
+      }))
+      .sort((a, b) => a.startLine - b.startLine);
+
+    // One entry per line, in line order
+    const bottlenecks = [];
+    analysis.bottlenecks.forEach(bottleneck => {
+      if (inCode(bottleneck.line) && !bottlenecks.some(existing => existing.line === bottleneck.line)) {
+        bottlenecks.push(bottleneck);
+      }
+    });
+    bottlenecks.sort((a, b) => a.line - b.line);
+
+    return {
+      time: analysis.time,
+      space: analysis.space,
+      constructs: constructs,
+      bottlenecks: bottlenecks,
+      summary: analysis.summary
+    };
+  }
+
+  /**
+   * Format a complexity analysis as plain text (for the journal)
+   */
+  formatComplexityAnalysis(analysis) {
+    if (!analysis) return '';
+
+    const lines = [`Time: ${analysis.time} · Space: ${analysis.space}`];
+    if (analysis.summary) lines.push(analysis.summary);
+
+    analysis.constructs.forEach(construct => {
+      const range = construct.endLine > construct.startLine
+        ? `Lines ${construct.startLine}-${construct.endLine}`
+        : `Line ${construct.startLine}`;
+      lines.push(`${range} (${construct.kind}, ${construct.description}): time ${construct.time}, space ${construct.space}. ${construct.justification}`);
+    });
+
+    analysis.bottlenecks.forEach(bottleneck => {
+      lines.push(`Bottleneck at line ${bottleneck.line}: ${bottleneck.reason}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Create a prompt for edge-case test inputs, showing the examples in the testcase box format
+   */
+  createTestcasesPrompt(context) {
+    const exampleTestcases = (context.examples || [])
+      .map(example => this.formatExampleTestcase(example.input))
+      .filter(Boolean)
+      .join('\n\n');
+
+    return this.fillTemplate(this.promptTemplates.testcases, {
+      ...this.getTemplateValues(context),
+      EXAMPLE_TESTCASES: exampleTestcases || 'Not available'
+    });
+  }
+
+  /**
+   * Turn an example's input ("nums = [2,7], target = 9") into testcase box lines ("[2,7]\n9")
+   */
+  formatExampleTestcase(input) {
+    if (typeof input !== 'string' || !input.trim()) return '';
+
+    return splitExampleInput(input).join('\n');
+  }
+
+  /**
+   * Tidy schema-validated test cases: one trimmed line per parameter, dropping duplicates and
+   * cases whose line count doesn't match the examples' parameter count
+   * @returns {Object} { cases: [{ category, input, reason }], parameterCount }
+   */
+  normalizeTestcases(data, examples = []) {
+    const exampleInput = examples.find(example => example?.input)?.input;
+    const parameterCount = exampleInput ? this.formatExampleTestcase(exampleInput).split('\n').length : null;
+
+    const cases = [];
+    data.cases.forEach(testcase => {
+      const lines = testcase.input.split('\n').map(line => line.trim()).filter(Boolean);
+      const input = lines.join('\n');
+      if (lines.length === 0 || (parameterCount && lines.length !== parameterCount)) return;
+      if (cases.some(existing => existing.input === input)) return;
+
+      cases.push({ category: testcase.category, input: input, reason: testcase.reason });
+    });
+
+    return { cases, parameterCount };
+  }
+
+  /**
+   * Format test cases as plain text (for the journal)
+   */
+  formatTestcases(testcases) {
+    if (!testcases) return '';
+
+    return testcases.cases
+      .map(testcase => `${testcase.category}: ${testcase.reason}\n${testcase.input}`)
+      .join('\n\n');
   }
 
   /**
    * Create progressive hint prompt
    */
   createProgressiveHintPrompt(context, hintLevel, hintContext) {
-    const { problemTitle, problemDescription, currentCode, language } = context;
-    
-    let prompt = this.promptTemplates.progressiveHint
-      .replace('{PROBLEM_TITLE}', problemTitle || 'Coding Problem')
-      .replace('{PROBLEM_DESCRIPTION}', problemDescription || 'No description available')
-      .replace('{CURRENT_CODE}', currentCode || '')
-      .replace('{LANGUAGE}', language || 'Python')
-      .replace('{HINT_LEVEL}', hintLevel.toString());
+    const ladderLevel = this.hintLadder[hintLevel - 1];
+    let prompt = this.fillTemplate(this.promptTemplates.progressiveHint, {
+      ...this.getTemplateValues(context),
+      HINT_LEVEL: hintLevel.toString(),
+      MAX_HINT_LEVEL: this.hintLadder.length.toString(),
+      HINT_TYPE: ladderLevel?.type || 'general'
+    });
 
     // Add previous hints context if available
     if (hintContext && hintContext.previousHints && hintContext.previousHints.length > 0) {
@@ -82,18 +289,339 @@ export class PromptEngineer {
     return prompt;
   }
 
+  /**
+   * Create a multi-turn chat prompt: a system prompt built from the problem
+   * context plus the recent conversation and the new user message
+   * @returns {{system: string, messages: Array<{role: string, content: string}>}}
+   */
+  createChatPrompt(context = {}, history = [], message = '') {
+    const { problemTitle, currentCode, language } = context;
+
+    const system = this.fillTemplate(this.promptTemplates.chat, {
+      ...this.getTemplateValues(context),
+      PROBLEM_TITLE: problemTitle || 'No problem open',
+      CURRENT_CODE: currentCode || '(no code yet)',
+      LANGUAGE: language || 'Unknown'
+    });
+
+    const messages = (Array.isArray(history) ? history : [])
+      .filter(entry => entry && (entry.role === 'user' || entry.role === 'assistant') && typeof entry.content === 'string')
+      .slice(-this.maxChatHistory)
+      .map(entry => ({ role: entry.role, content: entry.content }));
+
+    messages.push({ role: 'user', content: message });
+
+    return { system, messages };
+  }
+
+  /**
+   * Create a mock interview turn: the interviewer system prompt plus the conversation so far.
+   * Without a message the interviewer opens the interview.
+   * @param {Object} timing - { elapsedMs, durationMs }
+   * @returns {{system: string, messages: Array<{role: string, content: string}>}}
+   */
+  createInterviewPrompt(context = {}, history = [], message = '', timing = {}) {
+    const system = this.fillTemplate(this.promptTemplates.interview, {
+      ...this.getTemplateValues(context),
+      CURRENT_CODE: context.currentCode || '(no code yet)',
+      ...this.getInterviewTiming(timing)
+    });
+
+    // The interviewer speaks first, but providers expect the conversation to open with a user turn
+    const messages = this.getInterviewHistory(history);
+    if (messages[0]?.role === 'assistant') {
+      messages.unshift({ role: 'user', content: INTERVIEW_OPENING });
+    }
+    messages.push({ role: 'user', content: message || INTERVIEW_OPENING });
+
+    return { system, messages };
+  }
+
+  /**
+   * Create the prompt that grades a finished mock interview from its transcript and final code
+   * @returns {{system: string, messages: Array<{role: string, content: string}>}}
+   */
+  createInterviewScorecardPrompt(context = {}, history = [], timing = {}) {
+    const system = this.fillTemplate(this.promptTemplates.interviewScorecard, {
+      ...this.getTemplateValues(context),
+      CURRENT_CODE: context.currentCode || '(no code written)',
+      ...this.getInterviewTiming(timing)
+    });
+
+    const transcript = this.getInterviewHistory(history)
+      .map(entry => `${entry.role === 'assistant' ? 'Interviewer' : 'Candidate'}: ${entry.content}`)
+      .join('\n\n');
+
+    return {
+      system,
+      messages: [{ role: 'user', content: `Interview transcript:\n\n${transcript || '(the candidate did not say anything)'}` }]
+    };
+  }
+
+  /**
+   * Keep the valid, most recent turns of an interview
+   */
+  getInterviewHistory(history) {
+    return (Array.isArray(history) ? history : [])
+      .filter(entry => entry && (entry.role === 'user' || entry.role === 'assistant') && typeof entry.content === 'string')
+      .slice(-this.maxChatHistory * 2)
+      .map(entry => ({ role: entry.role, content: entry.content }));
+  }
+
+  /**
+   * Get the elapsed and planned interview minutes for a prompt
+   */
+  getInterviewTiming({ elapsedMs = 0, durationMs = 0 } = {}) {
+    return {
+      ELAPSED_MINUTES: Math.round(Math.max(0, elapsedMs) / 60000).toString(),
+      DURATION_MINUTES: Math.round(Math.max(0, durationMs) / 60000).toString()
+    };
+  }
+
+  /**
+   * Turn an interview response into the reply to show and, for the last stage, the parsed scorecard
+   * @returns {{reply: string, scorecard: Object|null}}
+   */
+  processInterviewResponse(content, stage) {
+    if (stage === 'scorecard') {
+      return { reply: this.sanitizeContent(content), scorecard: this.parseInterviewScorecard(content) };
+    }
+
+    const filtered = this.filterResponse(content, 'interview');
+    return { reply: this.sanitizeContent(filtered.content), scorecard: null };
+  }
+
+  /**
+   * Parse the scorecard the model returned as JSON
+   * @returns {Object|null} { scores: [{ category, label, score, comment }], strengths, improvements, verdict, summary }
+   */
+  parseInterviewScorecard(content) {
+    const match = typeof content === 'string' ? content.match(/\{[\s\S]*\}/) : null;
+    if (!match) return null;
+
+    let data;
+    try {
+      data = JSON.parse(match[0]);
+    } catch (error) {
+      return null;
+    }
+
+    const scores = Object.entries(INTERVIEW_SCORE_CATEGORIES)
+      .map(([category, label]) => {
+        const entry = data.scores?.[category];
+        const score = Math.round(Number(entry?.score ?? entry));
+        if (!Number.isFinite(score)) return null;
+
+        return {
+          category: category,
+          label: label,
+          score: Math.min(5, Math.max(1, score)),
+          comment: typeof entry?.comment === 'string' ? entry.comment : ''
+        };
+      })
+      .filter(Boolean);
+
+    if (scores.length === 0) return null;
+
+    const toList = value => (Array.isArray(value) ? value : [])
+      .filter(item => typeof item === 'string' && item.trim())
+      .slice(0, 5);
+
+    return {
+      scores: scores,
+      strengths: toList(data.strengths),
+      improvements: toList(data.improvements),
+      verdict: typeof data.verdict === 'string' ? data.verdict : '',
+      summary: typeof data.summary === 'string' ? data.summary : ''
+    };
+  }
+
+  /**
+   * Describe the user-editable templates: label, default text and allowed placeholders
+   */
+  getEditableTemplates() {
+    return Object.entries(EDITABLE_TEMPLATES).map(([type, { label, placeholders }]) => ({
+      type: type,
+      label: label,
+      defaultTemplate: this.getDefaultTemplate(type),
+      placeholders: [...COMMON_PLACEHOLDERS, ...placeholders]
+    }));
+  }
+
+  /**
+   * Get the built-in text of a template
+   */
+  getDefaultTemplate(type) {
+    const defaults = {
+      completion: () => this.getCompletionTemplate(),
+      explanation: () => this.getExplanationTemplate(),
+      optimization: () => this.getOptimizationTemplate(),
+      progressiveHint: () => this.getProgressiveHintTemplate()
+    };
+
+    return defaults[type] ? defaults[type]() : null;
+  }
+
+  /**
+   * Use the user's template overrides, falling back to the defaults for missing or invalid ones
+   * @param {Object} overrides - Template text by template type
+   */
+  setCustomTemplates(overrides = {}) {
+    Object.keys(EDITABLE_TEMPLATES).forEach(type => {
+      const override = overrides[type];
+      const useOverride = typeof override === 'string' && this.validateTemplate(type, override).valid;
+      this.promptTemplates[type] = useOverride ? override : this.getDefaultTemplate(type);
+    });
+  }
+
+  /**
+   * Validate a template override: unknown placeholders are errors, a missing {CURRENT_CODE} is a warning
+   * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+   */
+  validateTemplate(type, template) {
+    const result = { valid: false, errors: [], warnings: [] };
+
+    if (!EDITABLE_TEMPLATES[type]) {
+      result.errors.push(`Unknown template type: ${type}`);
+      return result;
+    }
+
+    if (typeof template !== 'string' || !template.trim()) {
+      result.errors.push('Template cannot be empty');
+      return result;
+    }
+
+    if (template.length > MAX_TEMPLATE_LENGTH) {
+      result.errors.push(`Template is too long (maximum ${MAX_TEMPLATE_LENGTH} characters)`);
+    }
+
+    const allowed = [...COMMON_PLACEHOLDERS, ...EDITABLE_TEMPLATES[type].placeholders];
+    const used = Array.from(template.matchAll(/\{([A-Z_]+)\}/g), match => match[1]);
+    const unknown = Array.from(new Set(used.filter(name => !allowed.includes(name))));
+    if (unknown.length > 0) {
+      result.errors.push(`Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.map(name => `{${name}}`).join(', ')}`);
+    }
+
+    if (!used.includes('CURRENT_CODE')) {
+      result.warnings.push('Template does not include {CURRENT_CODE}, so the student\'s code will not be sent');
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Render a template against a problem context, as it would be sent
+   */
+  previewTemplate(type, template, context = {}) {
+    const preview = new PromptEngineer();
+    preview.setCustomTemplates({ [type]: template });
+    preview.setHintLadder(this.hintLadder);
+
+    switch (type) {
+      case 'completion':
+        return preview.createCompletionPrompt(context);
+      case 'explanation':
+        return preview.createExplanationPrompt(context);
+      case 'optimization':
+        return preview.createOptimizationPrompt(context);
+      case 'progressiveHint':
+        return preview.createProgressiveHintPrompt(context, context.hintLevel || 1);
+      default:
+        throw new Error(`Unknown template type: ${type}`);
+    }
+  }
+
+  /**
+   * Use the user's hint ladder for level guidance
+   * @param {Array<Object>|null} levels - { type, maxLength, guidance } per level
+   */
+  setHintLadder(levels) {
+    this.hintLadder = Array.isArray(levels) && levels.length > 0 ? levels : HINT_LADDER_PRESETS.progressive.levels;
+  }
+
   /**
    * Get hint level specific guidance
    */
   getHintLevelGuidance(level) {
-    const guidance = {
-      1: "Focus on high-level problem understanding and general approach. Help the user understand what the problem is asking and what strategy might work.",
-      2: "Provide guidance on algorithm structure and data organization. Suggest what data structures or algorithmic patterns might be useful.",
-      3: "Give more specific implementation guidance. Help with the actual coding approach and key implementation details.",
-      4: "Address edge cases, optimizations, and advanced considerations. Help refine the solution for completeness and efficiency."
-    };
+    const ladderLevel = this.hintLadder[level - 1] || this.hintLadder[0];
+    return `${ladderLevel.guidance} Keep the hint under ${ladderLevel.maxLength} characters.`;
+  }
+
+  /**
+   * Ask for a request type's structured (JSON) response format at the end of its prompt.
+   * Complexity and test case prompts already describe their format.
+   */
+  addResponseFormat(prompt, requestType) {
+    const schema = getResponseSchema(requestType);
+    if (!schema || ['complexity', 'testcases'].includes(requestType)) return prompt;
+
+    return `${prompt}\n\n${describeResponseSchema(schema)}`;
+  }
+
+  /**
+   * Filter a schema-validated structured response field by field:
+   * the code and steps are checked for complete solutions, and hints never keep code
+   * @returns {{sections: Object, filtered: boolean, reason: string|null}}
+   */
+  filterStructuredResponse(sections, responseType) {
+    const result = { sections: { ...sections }, filtered: false, reason: null };
+
+    const text = Object.values(sections).flat().join('\n');
+    if (this.containsInappropriateContent(text)) {
+      const apology = 'I apologize, but I cannot provide that type of response. Let me help you with your coding problem in an educational way.';
+      result.filtered = true;
+      result.reason = 'Contains inappropriate content';
+      result.sections = responseType === 'completion'
+        ? { code: '', explanation: apology }
+        : { summary: apology, steps: [], code: '', pitfalls: [] };
+      return result;
+    }
+
+    if (responseType === 'hint' && sections.code) {
+      result.filtered = true;
+      result.reason = 'Contains code - hints guide without code';
+      result.sections.code = '';
+    } else if (this.containsCompleteSolution(sections.code || '')) {
+      result.filtered = true;
+      result.reason = 'Contains complete solution - filtered for educational purposes';
+      result.sections.code = '';
+    }
+
+    // A solution can also be written out in the steps, in one step or spread across several
+    const steps = sections.steps || [];
+    if (this.containsCompleteSolution(steps.join('\n'))) {
+      const educationalSteps = steps.map(step => this.extractEducationalContent(step));
+      result.filtered = true;
+      result.reason = 'Contains complete solution - filtered for educational purposes';
+      result.sections.steps = this.containsCompleteSolution(educationalSteps.join('\n'))
+        ? [SOLUTION_WITHHELD]
+        : educationalSteps;
+    }
+
+    return result;
+  }
 
-    return guidance[level] || guidance[1];
+  /**
+   * Format a structured response as plain text (completions are just their code)
+   */
+  formatStructuredResponse(sections, responseType) {
+    if (responseType === 'completion') {
+      return sections.code;
+    }
+
+    const parts = [sections.summary];
+    if (sections.steps.length > 0) {
+      parts.push(sections.steps.map((step, index) => `${index + 1}. ${step}`).join('\n'));
+    }
+    if (sections.code) {
+      parts.push('```\n' + sections.code + '\n```');
+    }
+    if (sections.pitfalls.length > 0) {
+      parts.push('Pitfalls:\n' + sections.pitfalls.map(pitfall => `- ${pitfall}`).join('\n'));
+    }
+
+    return parts.filter(Boolean).join('\n\n');
   }
 
   /**
@@ -113,6 +641,13 @@ export class PromptEngineer {
       result.content = this.extractEducationalContent(content);
     }
 
+    // The interviewer never writes code for the candidate (applied after the solution filter, not instead of it)
+    if (responseType === 'interview' && /```/.test(result.content)) {
+      result.filtered = true;
+      result.reason = 'Contains code - the interviewer only asks and comments';
+      result.content = result.content.replace(/```[\s\S]*?(?:```|$)/g, '[Code removed - describe your approach instead]');
+    }
+
     // Check for inappropriate content
     if (this.containsInappropriateContent(content)) {
       result.filtered = true;
@@ -160,7 +695,7 @@ export class PromptEngineer {
       .replace(/function\s+\w+\s*\([^)]*\)\s*\{[\s\S]*?\}/gi, '[Implementation details removed for educational purposes]')
       .replace(/def\s+\w+\s*\([^)]*\):[\s\S]*?(?=\n\n|\n[A-Z]|$)/gi, '[Implementation details removed for educational purposes]');
 
-    return educational.trim() || 'Let me guide you through the approach step by step instead of providing the complete solution.';
+    return educational.trim() || SOLUTION_WITHHELD;
   }
 
   /**
@@ -187,6 +722,51 @@ export class PromptEngineer {
     return sanitized.trim();
   }
 
+  /**
+   * Format the problem's worked examples for a prompt
+   * @param {Array<{input: string, output: string, explanation: string}>} examples
+   */
+  formatExamples(examples) {
+    if (!Array.isArray(examples) || examples.length === 0) {
+      return 'Not available';
+    }
+
+    return examples.map((example, index) => {
+      const lines = [`Example ${index + 1}:`, `Input: ${example.input}`, `Output: ${example.output}`];
+      if (example.explanation) {
+        lines.push(`Explanation: ${example.explanation}`);
+      }
+      return lines.join('\n');
+    }).join('\n\n');
+  }
+
+  /**
+   * Format the problem's constraints as a bullet list
+   */
+  formatConstraints(constraints) {
+    if (!Array.isArray(constraints) || constraints.length === 0) {
+      return 'Not available';
+    }
+
+    return constraints.map(constraint => `- ${constraint}`).join('\n');
+  }
+
+  /**
+   * Format the latest run result, and the custom testcase it ran on, for a prompt
+   * @param {Object|null} lastResult - { status, details }
+   */
+  formatLastResult(lastResult, customTestcase = '') {
+    const parts = [];
+    if (lastResult && lastResult.status) {
+      parts.push(lastResult.details ? `${lastResult.status}\n${lastResult.details}` : lastResult.status);
+    }
+    if (customTestcase) {
+      parts.push(`Custom testcase input:\n${customTestcase}`);
+    }
+
+    return parts.length > 0 ? parts.join('\n\n') : 'Not run yet';
+  }
+
   /**
    * Get completion prompt template
    */
@@ -195,6 +775,10 @@ export class PromptEngineer {
 
 Problem: {PROBLEM_TITLE}
 Description: {PROBLEM_DESCRIPTION}
+Examples:
+{EXAMPLES}
+Constraints:
+{CONSTRAINTS}
 Language: {LANGUAGE}
 Current Code:
 {CURRENT_CODE}
@@ -228,6 +812,32 @@ Provide a clear explanation that covers:
 Focus on helping the student understand the underlying concepts.`;
   }
 
+  /**
+   * Get failed-run explanation prompt template
+   */
+  getErrorExplanationTemplate() {
+    return `You are an educational coding assistant. The student's solution just failed on LeetCode.
+
+Problem: {PROBLEM_TITLE}
+Language: {LANGUAGE}
+Result: {RESULT_STATUS}
+
+{FAILURE_DETAILS}
+
+Constraints:
+{CONSTRAINTS}
+
+Student's code:
+{CURRENT_CODE}
+
+Explain why this run failed:
+1. What this result means
+2. Which part of the code causes it, tracing the failing input where one is given
+3. What the student should check or change, as guidance rather than corrected code
+
+Keep the explanation focused on this failure.`;
+  }
+
   /**
    * Get optimization prompt template
    */
@@ -236,6 +846,8 @@ Focus on helping the student understand the underlying concepts.`;
 
 Problem: {PROBLEM_TITLE}
 Language: {LANGUAGE}
+Constraints:
+{CONSTRAINTS}
 Current Code:
 {CURRENT_CODE}
 
@@ -248,6 +860,54 @@ Analyze the code and suggest optimizations focusing on:
 Explain your suggestions educationally, helping the student understand why each optimization matters.`;
   }
 
+  /**
+   * Get complexity analysis prompt template
+   */
+  getComplexityTemplate() {
+    return `You are an educational coding assistant analysing the time and space complexity of a student's code.
+
+Problem: {PROBLEM_TITLE}
+Language: {LANGUAGE}
+Constraints:
+{CONSTRAINTS}
+Code (each line is prefixed with its line number):
+{NUMBERED_CODE}
+
+Analyse the code as written, not an ideal solution:
+1. Give the overall time and space complexity in Big-O notation, in terms of the input sizes from the constraints.
+2. For every loop and every recursive function, give the lines it spans, its own time and space cost, and a short justification (how many times it runs and why).
+3. List the bottleneck lines: the lines that dominate the running time or memory, with the reason for each.
+
+Use the line numbers shown, never count lines yourself. Do not suggest rewritten code.
+
+Respond with only a JSON object, no other text:
+{"time": "O(...)", "space": "O(...)", "constructs": [{"kind": "loop | recursion", "startLine": 1, "endLine": 1, "description": "...", "time": "O(...)", "space": "O(...)", "justification": "..."}], "bottlenecks": [{"line": 1, "reason": "..."}], "summary": "..."}`;
+  }
+
+  /**
+   * Get edge-case test inputs prompt template
+   */
+  getTestcasesTemplate() {
+    return `You are an educational coding assistant helping a student test their solution with tricky inputs.
+
+Problem: {PROBLEM_TITLE}
+Description: {PROBLEM_DESCRIPTION}
+Examples:
+{EXAMPLES}
+Constraints:
+{CONSTRAINTS}
+
+LeetCode's testcase box takes one line per function parameter, in order, with only the value on each line (no parameter names). The examples look like this in the box:
+{EXAMPLE_TESTCASES}
+
+Write up to 8 test inputs that are likely to break a solution: empty or minimum-size inputs, maximum-size inputs, duplicates, negative values and zero, and other boundaries from the constraints. Every input must satisfy the constraints.
+
+Write each value exactly as LeetCode does: [1,2,3] for arrays, "abc" for strings, [[1,2],[3,4]] for matrices. Large arrays may use the shorthand [value]*count (for example [0]*100000) or [start..end] for a range (for example [1..100000]); it is expanded before pasting.
+
+Respond with only a JSON object, no other text:
+{"cases": [{"category": "empty | minimum | maximum | duplicates | negative | boundary | special", "input": "value of the first parameter\\nvalue of the second parameter", "reason": "..."}]}`;
+  }
+
   /**
    * Get progressive hint template
    */
@@ -256,11 +916,17 @@ Explain your suggestions educationally, helping the student understand why each
 
 Problem: {PROBLEM_TITLE}
 Description: {PROBLEM_DESCRIPTION}
+Examples:
+{EXAMPLES}
+Constraints:
+{CONSTRAINTS}
 Language: {LANGUAGE}
 Current Code:
 {CURRENT_CODE}
+Latest run result:
+{LAST_RESULT}
 
-This is hint level {HINT_LEVEL} of 4. Provide an educational hint that:
+This is hint level {HINT_LEVEL} of {MAX_HINT_LEVEL} ({HINT_TYPE}). Provide an educational hint that:
 1. Builds on previous understanding
 2. Guides toward the solution without giving it away
 3. Encourages critical thinking
@@ -269,6 +935,77 @@ This is hint level {HINT_LEVEL} of 4. Provide an educational hint that:
 Keep the hint concise but educational, appropriate for this progression level.`;
   }
 
+  /**
+   * Get chat system prompt template
+   */
+  getChatSystemTemplate() {
+    return `You are LeetPilot, an educational coding assistant chatting with a student who is working on a coding problem.
+
+Problem: {PROBLEM_TITLE}
+Description: {PROBLEM_DESCRIPTION}
+Examples:
+{EXAMPLES}
+Constraints:
+{CONSTRAINTS}
+Language: {LANGUAGE}
+Student's current code:
+{CURRENT_CODE}
+Latest run result:
+{LAST_RESULT}
+
+Answer the student's questions in the context of this problem and their code. Guide their understanding with explanations, questions and small examples rather than handing over a complete solution. Keep answers concise and refer back to earlier messages in the conversation when relevant.`;
+  }
+
+  /**
+   * Get mock interview system prompt template
+   */
+  getInterviewTemplate() {
+    return `You are a technical interviewer at a top tech company running a {DURATION_MINUTES}-minute mock coding interview. {ELAPSED_MINUTES} minutes have passed.
+
+Problem: {PROBLEM_TITLE}
+Description: {PROBLEM_DESCRIPTION}
+Examples:
+{EXAMPLES}
+Constraints:
+{CONSTRAINTS}
+Language: {LANGUAGE}
+Candidate's current code:
+{CURRENT_CODE}
+
+Run the interview the way a real interviewer would:
+1. Open by presenting the problem briefly and inviting the candidate to ask clarifying questions.
+2. Answer clarifying questions precisely, but only with what the problem statement supports.
+3. Before coding, make the candidate explain their approach and its time and space complexity.
+4. Challenge the approach: ask about edge cases, bottlenecks and alternatives, and push back on vague or incorrect claims.
+5. While they code, ask about specific lines of their current code, and ask them to walk through an example.
+6. Pace the interview for the remaining time; move on when the candidate is stuck on one phase for too long.
+
+Never write code, pseudo-code or the solution for the candidate, even if asked. Keep each turn short: one or two questions or comments, like a spoken conversation.`;
+  }
+
+  /**
+   * Get mock interview scorecard prompt template
+   */
+  getInterviewScorecardTemplate() {
+    return `You are a technical interviewer writing the feedback for a {DURATION_MINUTES}-minute mock coding interview that lasted {ELAPSED_MINUTES} minutes.
+
+Problem: {PROBLEM_TITLE}
+Description: {PROBLEM_DESCRIPTION}
+Language: {LANGUAGE}
+Candidate's final code:
+{CURRENT_CODE}
+
+Grade the candidate from the transcript and their final code. Score each category from 1 (poor) to 5 (excellent):
+- communication: clarifying questions and explaining their thinking
+- problemSolving: reaching a correct, efficient approach
+- complexity: analysing time and space complexity correctly
+- codeQuality: correctness, readability and structure of the code
+- testing: walking through examples and edge cases
+
+Respond with only a JSON object, no other text:
+{"scores": {"communication": {"score": 3, "comment": "..."}, "problemSolving": {"score": 3, "comment": "..."}, "complexity": {"score": 3, "comment": "..."}, "codeQuality": {"score": 3, "comment": "..."}, "testing": {"score": 3, "comment": "..."}}, "strengths": ["..."], "improvements": ["..."], "verdict": "Strong hire | Hire | Lean hire | Lean no hire | No hire", "summary": "..."}`;
+  }
+
   /**
    * Get hint prompt template (basic)
    */
@@ -10,6 +10,8 @@ export class RateLimiter {
       completion: { requests: 10, window: 60000 }, // 10 requests per minute
       explanation: { requests: 5, window: 60000 },  // 5 requests per minute
       optimization: { requests: 5, window: 60000 }, // 5 requests per minute
+      complexity: { requests: 5, window: 60000 },   // 5 requests per minute
+      testcases: { requests: 5, window: 60000 },    // 5 requests per minute
       hint: { requests: 15, window: 60000 },        // 15 requests per minute
       default: { requests: 20, window: 60000 }      // 20 requests per minute total
     };
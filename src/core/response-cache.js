@@ -0,0 +1,193 @@
+// LeetPilot Response Cache
+// IndexedDB-backed cache of AI responses, so unchanged code isn't sent to the provider twice
+
+const DB_NAME = 'leetpilot-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+
+// Only whole-code requests are cached; completions and hints depend on cursor and hint progress.
+// Complexity isn't cached: its line-by-line breakdown cites line numbers, which normalized keys ignore
+const CACHEABLE_TYPES = ['explanation', 'optimization', 'testcases'];
+
+/**
+ * Response Cache
+ * Stores responses keyed by a hash of provider, model, request type, problem and normalized code
+ */
+export class ResponseCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 200;
+    this.ttl = options.ttl ?? 24 * 60 * 60 * 1000;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Set how long entries stay valid (0 disables the cache)
+   */
+  setTTL(ttl) {
+    this.ttl = Math.max(0, Number(ttl) || 0);
+  }
+
+  /**
+   * Check if the cache is enabled
+   */
+  isEnabled() {
+    return this.ttl > 0 && typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Check if a request's response may be served from the cache
+   */
+  isCacheable(request) {
+    return this.isEnabled() && CACHEABLE_TYPES.includes(request.type);
+  }
+
+  /**
+   * Build the cache key for a request answered by the given provider config and prompt template
+   * @param {string} format - Response format ('text' or 'json'), since structured responses are stored differently
+   * @returns {Promise<string>} Hex SHA-256 digest
+   */
+  async createKey(request, config, template = '', format = 'text') {
+    // A failed-run explanation depends on the failure, not just the code
+    const failure = request.failure
+      ? [request.failure.status, request.failure.errorMessage, request.failure.input, request.failure.expected]
+      : null;
+
+    const source = JSON.stringify([
+      config.provider || '',
+      config.model || '',
+      request.type || '',
+      (request.problemTitle || '').trim(),
+      this.normalizeCode(request.currentCode),
+      failure,
+      template || '',
+      format
+    ]);
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Normalize code so whitespace-only edits still hit the cache
+   */
+  normalizeCode(code) {
+    return (code || '')
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map(line => line.replace(/\s+$/, ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Get a cached response, or null when missing or expired
+   * @returns {Promise<Object|null>} { key, response, createdAt }
+   */
+  async get(key) {
+    if (!this.isEnabled()) return null;
+
+    try {
+      const entry = await this.runTransaction('readonly', store => store.get(key));
+      if (!entry) return null;
+
+      if (Date.now() - entry.createdAt > this.ttl) {
+        await this.runTransaction('readwrite', store => store.delete(key));
+        return null;
+      }
+
+      return entry;
+    } catch (error) {
+      console.warn('Response cache read failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a response and evict expired and excess entries
+   */
+  async set(key, response) {
+    if (!this.isEnabled()) return;
+
+    try {
+      await this.runTransaction('readwrite', store => store.put({
+        key: key,
+        response: response,
+        createdAt: Date.now()
+      }));
+      await this.prune();
+    } catch (error) {
+      console.warn('Response cache write failed:', error);
+    }
+  }
+
+  /**
+   * Remove expired entries, then the oldest entries beyond maxEntries
+   */
+  async prune() {
+    let excess = (await this.runTransaction('readonly', store => store.count())) - this.maxEntries;
+    const expiredBefore = Date.now() - this.ttl;
+
+    await this.runTransaction('readwrite', store => {
+      const cursorRequest = store.index('createdAt').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+
+        if (excess > 0 || cursor.value.createdAt < expiredBefore) {
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        }
+      };
+    });
+  }
+
+  /**
+   * Remove all cached responses
+   */
+  async clear() {
+    await this.runTransaction('readwrite', store => store.clear());
+  }
+
+  /**
+   * Open (and create on first use) the cache database
+   */
+  openDatabase() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      this.dbPromise = null;
+      throw error;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run an operation in a transaction, resolving with its request's result once committed
+   */
+  async runTransaction(mode, operation) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
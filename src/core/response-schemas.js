@@ -0,0 +1,177 @@
+// LeetPilot Response Schemas
+// JSON schemas of the structured (JSON) answers request types can ask the provider for
+
+// A single Big-O bound, e.g. "O(n log n)"
+const BIG_O = { type: 'string', maxLength: 60 };
+
+// Complexity analysis: overall bounds, one entry per loop or recursion, and the bottleneck lines
+const COMPLEXITY_SCHEMA = {
+  type: 'object',
+  properties: {
+    time: BIG_O,
+    space: BIG_O,
+    constructs: {
+      type: 'array',
+      maxItems: 12,
+      items: {
+        type: 'object',
+        properties: {
+          kind: { type: 'string', enum: ['loop', 'recursion'] },
+          startLine: { type: 'integer', minimum: 1 },
+          endLine: { type: 'integer', minimum: 1 },
+          description: { type: 'string', maxLength: 200 },
+          time: BIG_O,
+          space: BIG_O,
+          justification: { type: 'string', maxLength: 500 }
+        },
+        required: ['kind', 'startLine', 'endLine', 'description', 'time', 'space', 'justification'],
+        additionalProperties: false
+      }
+    },
+    bottlenecks: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          line: { type: 'integer', minimum: 1 },
+          reason: { type: 'string', maxLength: 300 }
+        },
+        required: ['line', 'reason'],
+        additionalProperties: false
+      }
+    },
+    summary: { type: 'string', maxLength: 600 }
+  },
+  required: ['time', 'space', 'constructs', 'bottlenecks', 'summary'],
+  additionalProperties: false
+};
+
+// Edge-case test inputs, each written as LeetCode's testcase box expects (one line per parameter)
+const TESTCASES_SCHEMA = {
+  type: 'object',
+  properties: {
+    cases: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', enum: ['empty', 'minimum', 'maximum', 'duplicates', 'negative', 'boundary', 'special'] },
+          input: { type: 'string', maxLength: 2000 },
+          reason: { type: 'string', maxLength: 300 }
+        },
+        required: ['category', 'input', 'reason'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['cases'],
+  additionalProperties: false
+};
+
+// A completion: the code to insert at the cursor and what it does
+const COMPLETION_SCHEMA = {
+  type: 'object',
+  properties: {
+    code: { type: 'string', maxLength: 3000, description: 'The code to insert at the cursor, without Markdown fences' },
+    explanation: { type: 'string', maxLength: 500, description: 'One or two sentences on what the code does and why' }
+  },
+  required: ['code', 'explanation'],
+  additionalProperties: false
+};
+
+/**
+ * Build the sectioned schema (summary, steps, code snippet, pitfalls) shared by the prose request types
+ */
+function createSectionedSchema(codeDescription) {
+  return {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', maxLength: 1000, description: 'The answer in one or two sentences' },
+      steps: {
+        type: 'array',
+        maxItems: 10,
+        items: { type: 'string', maxLength: 600 },
+        description: 'The explanation or guidance, one step per item'
+      },
+      code: { type: 'string', maxLength: 3000, description: codeDescription },
+      pitfalls: {
+        type: 'array',
+        maxItems: 6,
+        items: { type: 'string', maxLength: 300 },
+        description: 'Mistakes and edge cases to watch out for'
+      }
+    },
+    required: ['summary', 'steps', 'code', 'pitfalls'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Response schemas by request type
+ */
+export const RESPONSE_SCHEMAS = {
+  completion: COMPLETION_SCHEMA,
+  explanation: createSectionedSchema('A short excerpt of the student\'s code the explanation refers to, or an empty string'),
+  optimization: createSectionedSchema('A short snippet illustrating the main optimization (never a complete solution), or an empty string'),
+  hint: createSectionedSchema('Always an empty string: hints never include code'),
+  complexity: COMPLEXITY_SCHEMA,
+  testcases: TESTCASES_SCHEMA
+};
+
+// Keywords the InputValidator enforces itself, which not every provider's structured output accepts
+const VALIDATION_ONLY_KEYWORDS = ['maxLength', 'maxItems', 'minimum', 'maximum'];
+
+/**
+ * Get the schema a request type's response must follow, or null for free-text responses
+ */
+export function getResponseSchema(requestType) {
+  return RESPONSE_SCHEMAS[requestType] || null;
+}
+
+/**
+ * Convert a response schema to the dialect a provider's structured output accepts.
+ * Gemini uses upper-case types and does not accept additionalProperties.
+ */
+export function toProviderSchema(schema, provider) {
+  const converted = {};
+
+  Object.entries(schema).forEach(([keyword, value]) => {
+    if (VALIDATION_ONLY_KEYWORDS.includes(keyword)) return;
+    if (provider === 'gemini' && keyword === 'additionalProperties') return;
+
+    switch (keyword) {
+      case 'properties':
+        converted.properties = Object.fromEntries(
+          Object.entries(value).map(([name, propertySchema]) => [name, toProviderSchema(propertySchema, provider)])
+        );
+        break;
+      case 'items':
+        converted.items = toProviderSchema(value, provider);
+        break;
+      case 'type':
+        converted.type = provider === 'gemini' ? value.toUpperCase() : value;
+        break;
+      default:
+        converted[keyword] = value;
+    }
+  });
+
+  return converted;
+}
+
+/**
+ * Describe a response schema's fields for a prompt, for providers without a native JSON mode
+ */
+export function describeResponseSchema(schema) {
+  const describeType = fieldSchema => (
+    fieldSchema.type === 'array' ? `array of ${fieldSchema.items.type}s` : fieldSchema.type
+  );
+
+  const fields = Object.entries(schema.properties).map(([name, fieldSchema]) => (
+    `- ${name} (${describeType(fieldSchema)})${fieldSchema.description ? `: ${fieldSchema.description}` : ''}`
+  ));
+
+  return `Respond with only a JSON object, no other text, with these fields:\n${fields.join('\n')}`;
+}
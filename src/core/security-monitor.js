@@ -2,6 +2,7 @@
 // Monitors for data leakage prevention and enforces data locality
 
 import { ValidationUtils } from './validation-utils.js';
+import { isLoopbackUrl } from './storage-manager.js';
 
 /**
  * Security Monitor for data locality enforcement and leakage prevention
@@ -26,6 +27,7 @@ class SecurityMonitor {
       'api.openai.com',
       'api.anthropic.com',
       'generativelanguage.googleapis.com',
+      'openai.azure.com',
       'leetcode.com'
     ];
     
@@ -345,6 +347,12 @@ class SecurityMonitor {
         return true;
       }
       
+      // Local model servers (Ollama, or an OpenAI-compatible server on localhost) are the
+      // one exception to HTTPS: loopback traffic never leaves the machine
+      if (isLoopbackUrl(url) && ['http:', 'https:'].includes(new URL(url).protocol)) {
+        return true;
+      }
+      
       // For custom providers, allow any HTTPS domain
       // This is safe because:
       // 1. We enforce HTTPS in the input validator
@@ -353,14 +361,12 @@ class SecurityMonitor {
       try {
         const urlObj = new URL(url);
         if (urlObj.protocol === 'https:' && urlObj.hostname && urlObj.hostname.length > 0) {
-          // Additional security: don't allow localhost or private IPs for custom providers
-          // unless explicitly in development mode
+          // Additional security: don't allow private network IPs for custom providers
+          // (loopback is allowed above)
           const hostname = urlObj.hostname.toLowerCase();
           
-          // Block localhost and private IP ranges for security
-          if (hostname === 'localhost' || 
-              hostname === '127.0.0.1' || 
-              hostname.startsWith('192.168.') ||
+          // Block private IP ranges for security
+          if (hostname.startsWith('192.168.') ||
               hostname.startsWith('10.') ||
               hostname.startsWith('172.16.') ||
               hostname.startsWith('172.17.') ||
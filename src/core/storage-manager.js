@@ -34,14 +34,115 @@ const SUPPORTED_PROVIDERS = {
     minKeyLength: 10,
     defaultModel: 'gpt-3.5-turbo',
     apiUrl: null // Will be set by user
+  },
+  ollama: {
+    name: 'Ollama (Local)',
+    keyPrefix: null,
+    minKeyLength: 0,
+    requiresApiKey: false, // A key is only sent when the server sits behind an authenticating proxy
+    defaultModel: 'llama3.1',
+    apiUrl: 'http://localhost:11434' // Server base URL, overridable per configuration
+  },
+  azure: {
+    name: 'Azure OpenAI',
+    keyPrefix: null,
+    keyPattern: /^[a-zA-Z0-9]+$/, // 32-character hex keys, or the newer 84-character alphanumeric ones
+    minKeyLength: 32,
+    defaultModel: 'gpt-4o', // Informational; requests go to the configured deployment
+    defaultApiVersion: '2024-10-21',
+    apiUrl: null // Built from the resource and deployment names
+  }
+};
+
+// Azure OpenAI settings: resource (subdomain) and deployment names, and a dated api-version
+const AZURE_RESOURCE_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9-]{0,62}$/;
+const AZURE_DEPLOYMENT_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,63}$/;
+const AZURE_API_VERSION_PATTERN = /^\d{4}-\d{2}-\d{2}(-preview)?$/;
+
+/**
+ * Validate Azure OpenAI settings ({ resourceName, deploymentName, apiVersion })
+ * @returns {string[]} Validation errors
+ */
+function validateAzureSettings(azure) {
+  const errors = [];
+
+  if (!azure?.resourceName || !AZURE_RESOURCE_NAME_PATTERN.test(azure.resourceName)) {
+    errors.push('Azure resource name is required and may only contain letters, numbers and hyphens');
+  }
+  if (!azure?.deploymentName || !AZURE_DEPLOYMENT_NAME_PATTERN.test(azure.deploymentName)) {
+    errors.push('Azure deployment name is required and may only contain letters, numbers, dots, hyphens and underscores');
+  }
+  if (azure?.apiVersion && !AZURE_API_VERSION_PATTERN.test(azure.apiVersion)) {
+    errors.push('Azure api-version must look like 2024-10-21 or 2024-10-01-preview');
+  }
+
+  return errors;
+}
+
+// Hosts on this machine; the only ones a provider URL may reach over plain HTTP
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * Check whether a URL points at a local server on the loopback interface
+ */
+function isLoopbackUrl(url) {
+  try {
+    return LOOPBACK_HOSTS.includes(new URL(url).hostname.toLowerCase());
+  } catch (error) {
+    return false;
   }
+}
+
+/**
+ * Check whether a provider URL is safe to send prompts and keys to:
+ * HTTPS anywhere, or plain HTTP to a local model server on loopback
+ */
+function isSecureProviderUrl(url) {
+  try {
+    const protocol = new URL(url).protocol;
+    return protocol === 'https:' || (protocol === 'http:' && isLoopbackUrl(url));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Settings for automatic features that are off until the user turns them on
+// (Auto Error Fix sends the code after every failed run); the others are on unless turned off
+const OPT_IN_FEATURES = ['autoErrorFix'];
+
+/**
+ * Check whether an automatic feature is on, given its stored setting (undefined when never set)
+ */
+function isAutoFeatureEnabled(featureName, value) {
+  return OPT_IN_FEATURES.includes(featureName) ? value === true : value !== false;
+}
+
+// Named provider profiles, the active profile and per-request-type assignments
+const PROFILES_KEY = 'leetpilot_provider_profiles';
+const PROFILE_REQUEST_TYPES = ['completion', 'explanation', 'optimization', 'complexity', 'testcases', 'hint', 'chat'];
+
+// Chat threads are stored per problem under a single key
+const CHAT_HISTORY_KEY = 'leetpilot_chat_history';
+const CHAT_HISTORY_LIMITS = {
+  messagesPerThread: 50,
+  threads: 25
 };
 
+// Model lists fetched from providers, by model listing URL and API key fingerprint
+const MODEL_CACHE_KEY = 'leetpilot_model_cache';
+const MODEL_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+// User overrides of the prompt templates, by template type
+const PROMPT_TEMPLATES_KEY = 'leetpilot_prompt_templates';
+
+// The user's hint ladder: the preset it came from and its levels
+const HINT_LADDER_KEY = 'leetpilot_hint_ladder';
+
 /**
  * Configuration data model
  */
 class AIProviderConfig {
-  constructor(provider, apiKey, model = null, maxTokens = 1000, temperature = 0.7, customApiUrl = null, tokenTotalBudget = null) {
+  constructor(provider, apiKey, model = null, maxTokens = 1000, temperature = 0.7, customApiUrl = null, tokenTotalBudget = null, azure = null) {
     this.provider = provider;
     this.apiKey = apiKey;
     this.model = model || SUPPORTED_PROVIDERS[provider]?.defaultModel || '';
@@ -49,6 +150,7 @@ class AIProviderConfig {
     this.temperature = temperature;
     this.customApiUrl = customApiUrl;
     this.tokenTotalBudget = tokenTotalBudget;
+    this.azure = azure; // { resourceName, deploymentName, apiVersion } for Azure OpenAI
     this.timestamp = Date.now();
   }
 
@@ -64,7 +166,8 @@ class AIProviderConfig {
     }
 
     // Validate API key only if checkApiKey is true and apiKey is provided
-    if (checkApiKey) {
+    const keyIsOptional = SUPPORTED_PROVIDERS[this.provider]?.requiresApiKey === false;
+    if (checkApiKey && !(keyIsOptional && !this.apiKey)) {
       if (!this.apiKey || typeof this.apiKey !== 'string') {
         errors.push('API key is required');
       } else {
@@ -79,26 +182,34 @@ class AIProviderConfig {
           if (this.provider !== 'custom' && providerInfo.keyPrefix && !this.apiKey.startsWith(providerInfo.keyPrefix)) {
             errors.push(`Invalid API key format for ${providerInfo.name}`);
           }
+
+          // Check the key's characters for providers without a prefix (Azure)
+          if (providerInfo.keyPattern && !providerInfo.keyPattern.test(this.apiKey)) {
+            errors.push(`Invalid API key format for ${providerInfo.name}`);
+          }
         }
       }
     }
 
-    // Validate custom API URL for custom providers
-    if (this.provider === 'custom') {
-      if (!this.customApiUrl || typeof this.customApiUrl !== 'string') {
-        errors.push('Custom API URL is required for custom providers');
-      } else {
-        try {
-          const url = new URL(this.customApiUrl);
-          if (!url.protocol.startsWith('https')) {
-            errors.push('Custom API URL must use HTTPS');
-          }
-        } catch (e) {
-          errors.push('Invalid custom API URL format');
+    // Validate custom API URL for custom providers (optional for Ollama, which defaults to localhost)
+    if (this.provider === 'custom' && (!this.customApiUrl || typeof this.customApiUrl !== 'string')) {
+      errors.push('Custom API URL is required for custom providers');
+    } else if ((this.provider === 'custom' || this.provider === 'ollama') && this.customApiUrl) {
+      try {
+        new URL(this.customApiUrl);
+        if (!isSecureProviderUrl(this.customApiUrl)) {
+          errors.push('Custom API URL must use HTTPS (plain HTTP is only allowed for localhost)');
         }
+      } catch (e) {
+        errors.push('Invalid custom API URL format');
       }
     }
 
+    // Validate resource, deployment and api-version for Azure OpenAI
+    if (this.provider === 'azure') {
+      errors.push(...validateAzureSettings(this.azure));
+    }
+
     // Validate model
     if (this.model && typeof this.model !== 'string') {
       errors.push('Model must be a string');
@@ -134,6 +245,7 @@ class AIProviderConfig {
       maxTokens: this.maxTokens,
       temperature: this.temperature,
       customApiUrl: this.customApiUrl,
+      azure: this.azure,
       tokenTotalBudget: this.tokenTotalBudget,
       timestamp: this.timestamp,
       apiKey: this.apiKey ? '[REDACTED]' : null
@@ -287,29 +399,19 @@ class StorageManager {
         throw new Error('Configuration validation failed: ' + validationErrors.join(', '));
       }
 
-      // Ensure encryption is initialized
-      if (!this.encryptionKey) {
-        await this.initializeEncryption();
-      }
-
-      // Encrypt the API key
-      const encryptedApiKey = await EncryptionUtils.encrypt(config.apiKey, this.encryptionKey);
+      const storageData = await this.encryptConfiguration(config);
 
-      // Prepare data for storage (without plain text API key)
-      const storageData = {
-        provider: config.provider,
-        encryptedApiKey: encryptedApiKey,
-        model: config.model,
-        maxTokens: config.maxTokens,
-        temperature: config.temperature,
-        customApiUrl: config.customApiUrl,
-        tokenTotalBudget: config.tokenTotalBudget,
-        timestamp: config.timestamp
-      };
+      // Keep the active profile in sync with the configuration being edited
+      const profileStore = await this.getProfileStore();
+      const activeProfile = profileStore.profiles[profileStore.activeProfileId];
+      if (activeProfile) {
+        profileStore.profiles[activeProfile.id] = { ...activeProfile, ...storageData };
+      }
 
       // Store configuration
       await chrome.storage.local.set({
         aiProviderConfig: storageData,
+        [PROFILES_KEY]: profileStore,
         lastConfigUpdate: Date.now()
       });
 
@@ -327,25 +429,62 @@ class StorageManager {
    */
   async retrieveConfiguration() {
     try {
-      const result = await chrome.storage.local.get(['aiProviderConfig', 'encryptionKey']);
+      const result = await chrome.storage.local.get(['aiProviderConfig']);
       
       if (!result.aiProviderConfig) {
         return null;
       }
 
-      if (!this.encryptionKey && result.encryptionKey) {
-        this.encryptionKey = result.encryptionKey;
+      return await this.decryptConfiguration(result.aiProviderConfig);
+
+    } catch (error) {
+      console.error('Failed to retrieve configuration:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Encrypt a configuration into its storage form (without plain text API key)
+   */
+  async encryptConfiguration(config) {
+    // Ensure encryption is initialized
+    if (!this.encryptionKey) {
+      await this.initializeEncryption();
+    }
+
+    const encryptedApiKey = await EncryptionUtils.encrypt(config.apiKey, this.encryptionKey);
+
+    return {
+      provider: config.provider,
+      encryptedApiKey: encryptedApiKey,
+      model: config.model,
+      maxTokens: config.maxTokens,
+      temperature: config.temperature,
+      customApiUrl: config.customApiUrl,
+      azure: config.azure,
+      tokenTotalBudget: config.tokenTotalBudget,
+      timestamp: config.timestamp
+    };
+  }
+
+  /**
+   * Decrypt a stored configuration into an AIProviderConfig
+   */
+  async decryptConfiguration(config) {
+    try {
+      if (!this.encryptionKey) {
+        const result = await chrome.storage.local.get(['encryptionKey']);
+        this.encryptionKey = result.encryptionKey || null;
       }
 
       if (!this.encryptionKey) {
         throw new Error('Encryption key not available');
       }
 
-      const config = result.aiProviderConfig;
-      
       const decryptedApiKey = await EncryptionUtils.decrypt(config.encryptedApiKey, this.encryptionKey);
       
-      if (!decryptedApiKey) {
+      // Providers without a required key (Ollama) may be stored with no key at all
+      if (config.encryptedApiKey && !decryptedApiKey) {
         console.error('Decryption returned null. Config:', { 
           hasEncryptedKey: !!config.encryptedApiKey,
           hasEncryptionKey: !!this.encryptionKey 
@@ -355,23 +494,259 @@ class StorageManager {
 
       const aiConfig = new AIProviderConfig(
         config.provider,
-        decryptedApiKey,
+        decryptedApiKey || '',
         config.model,
         config.maxTokens,
         config.temperature,
         config.customApiUrl,
-        config.tokenTotalBudget
+        config.tokenTotalBudget,
+        config.azure || null
       );
       aiConfig.timestamp = config.timestamp;
 
       return aiConfig;
 
     } catch (error) {
-      console.error('Failed to retrieve configuration:', error);
+      console.error('Failed to decrypt configuration:', error);
       throw error;
     }
   }
 
+  /**
+   * Get the stored profile data, migrating a legacy single configuration into a "Default" profile
+   */
+  async getProfileStore() {
+    const result = await chrome.storage.local.get([PROFILES_KEY, 'aiProviderConfig']);
+    const store = result[PROFILES_KEY] || { profiles: {}, activeProfileId: null, assignments: {} };
+    store.fallbackChain = store.fallbackChain || [];
+
+    if (Object.keys(store.profiles).length === 0 && result.aiProviderConfig) {
+      const id = 'default';
+      store.profiles[id] = { ...result.aiProviderConfig, id: id, name: 'Default' };
+      store.activeProfileId = id;
+      await chrome.storage.local.set({ [PROFILES_KEY]: store });
+    }
+
+    return store;
+  }
+
+  /**
+   * List profiles without key material, with the active profile and request type assignments
+   */
+  async listProfiles() {
+    const store = await this.getProfileStore();
+
+    return {
+      profiles: Object.values(store.profiles).map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        provider: profile.provider,
+        model: profile.model,
+        customApiUrl: profile.customApiUrl,
+        azure: profile.azure,
+        isActive: profile.id === store.activeProfileId
+      })),
+      activeProfileId: store.activeProfileId,
+      assignments: { ...store.assignments },
+      fallbackChain: store.fallbackChain.slice(),
+      requestTypes: PROFILE_REQUEST_TYPES.slice()
+    };
+  }
+
+  /**
+   * Create or update a named profile with its own encrypted API key
+   * @returns {string} The profile id
+   */
+  async saveProfile(name, config, profileId = null) {
+    if (!(config instanceof AIProviderConfig)) {
+      throw new Error('Invalid configuration object');
+    }
+
+    const profileName = typeof name === 'string' ? name.trim() : '';
+    if (!profileName) {
+      throw new Error('Profile name is required');
+    }
+
+    const validationErrors = config.validate();
+    if (validationErrors.length > 0) {
+      throw new Error('Configuration validation failed: ' + validationErrors.join(', '));
+    }
+
+    const store = await this.getProfileStore();
+    const id = profileId || `profile_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const storageData = await this.encryptConfiguration(config);
+
+    store.profiles[id] = { ...storageData, id: id, name: profileName.substring(0, 50) };
+
+    const updates = { [PROFILES_KEY]: store };
+    if (store.activeProfileId === id) {
+      updates.aiProviderConfig = storageData;
+      updates.lastConfigUpdate = Date.now();
+    }
+
+    await chrome.storage.local.set(updates);
+    console.log('Profile saved:', profileName, config.getSanitized());
+    return id;
+  }
+
+  /**
+   * Retrieve and decrypt a profile's configuration
+   */
+  async retrieveProfile(profileId) {
+    const store = await this.getProfileStore();
+    const profile = store.profiles[profileId];
+    return profile ? await this.decryptConfiguration(profile) : null;
+  }
+
+  /**
+   * Delete a profile and any request type assignments that point at it
+   */
+  async deleteProfile(profileId) {
+    const store = await this.getProfileStore();
+    if (!store.profiles[profileId]) {
+      return false;
+    }
+
+    delete store.profiles[profileId];
+    Object.keys(store.assignments).forEach(type => {
+      if (store.assignments[type] === profileId) {
+        delete store.assignments[type];
+      }
+    });
+    store.fallbackChain = store.fallbackChain.filter(id => id !== profileId);
+    const wasActive = store.activeProfileId === profileId;
+    if (wasActive) {
+      store.activeProfileId = null;
+    }
+
+    // Without profiles left, the active configuration goes too: requests must not keep using the
+    // deleted key, and getProfileStore() must not migrate it back into a "Default" profile
+    const remainingIds = Object.keys(store.profiles);
+    if (remainingIds.length === 0) {
+      await chrome.storage.local.remove(['aiProviderConfig', 'lastConfigUpdate']);
+    }
+
+    await chrome.storage.local.set({ [PROFILES_KEY]: store });
+
+    // Fall back to another profile so requests don't keep using the deleted one
+    if (wasActive && remainingIds.length > 0) {
+      await this.setActiveProfile(remainingIds[0]);
+    }
+    return true;
+  }
+
+  /**
+   * Make a profile the active configuration
+   */
+  async setActiveProfile(profileId) {
+    const store = await this.getProfileStore();
+    const profile = store.profiles[profileId];
+    if (!profile) {
+      throw new Error('Profile not found');
+    }
+
+    const { id, name, ...storageData } = profile;
+    store.activeProfileId = profileId;
+
+    await chrome.storage.local.set({
+      [PROFILES_KEY]: store,
+      aiProviderConfig: storageData,
+      lastConfigUpdate: Date.now()
+    });
+    return true;
+  }
+
+  /**
+   * Assign a profile to a request type (null falls back to the active profile)
+   */
+  async setProfileAssignment(requestType, profileId) {
+    if (!PROFILE_REQUEST_TYPES.includes(requestType)) {
+      throw new Error(`Unknown request type: ${requestType}`);
+    }
+
+    const store = await this.getProfileStore();
+    if (profileId && !store.profiles[profileId]) {
+      throw new Error('Profile not found');
+    }
+
+    if (profileId) {
+      store.assignments[requestType] = profileId;
+    } else {
+      delete store.assignments[requestType];
+    }
+
+    await chrome.storage.local.set({ [PROFILES_KEY]: store });
+    return true;
+  }
+
+  /**
+   * Retrieve the configuration to use for a request type: its assigned profile, else the active one
+   */
+  async retrieveConfigurationForRequest(requestType) {
+    const store = await this.getProfileStore();
+    const assignedId = store.assignments[requestType];
+
+    if (assignedId && store.profiles[assignedId]) {
+      return await this.decryptConfiguration(store.profiles[assignedId]);
+    }
+
+    return await this.retrieveConfiguration();
+  }
+
+  /**
+   * Set the ordered list of profiles to try when a provider fails
+   */
+  async setFallbackChain(profileIds) {
+    if (!Array.isArray(profileIds)) {
+      throw new Error('Fallback chain must be an array of profile ids');
+    }
+
+    const store = await this.getProfileStore();
+    const unknownId = profileIds.find(id => !store.profiles[id]);
+    if (unknownId) {
+      throw new Error('Profile not found');
+    }
+
+    store.fallbackChain = Array.from(new Set(profileIds));
+
+    await chrome.storage.local.set({ [PROFILES_KEY]: store });
+    return true;
+  }
+
+  /**
+   * Retrieve the providers to try for a request type, in order: the configuration it would normally use,
+   * then each profile in the fallback chain
+   * @returns {Array<{profileId: string|null, name: string|null, config: AIProviderConfig}>}
+   */
+  async retrieveProviderChain(requestType) {
+    const store = await this.getProfileStore();
+    const assignedId = store.assignments[requestType];
+    const primaryId = assignedId && store.profiles[assignedId] ? assignedId : store.activeProfileId;
+
+    const chain = [];
+    const primaryConfig = await this.retrieveConfigurationForRequest(requestType);
+    if (primaryConfig) {
+      chain.push({
+        profileId: primaryId || null,
+        name: store.profiles[primaryId]?.name || null,
+        config: primaryConfig
+      });
+    }
+
+    for (const profileId of store.fallbackChain) {
+      const profile = store.profiles[profileId];
+      if (!profile || profileId === primaryId) continue;
+
+      chain.push({
+        profileId: profileId,
+        name: profile.name,
+        config: await this.decryptConfiguration(profile)
+      });
+    }
+
+    return chain;
+  }
+
   /**
    * Clear all stored user data (for uninstall cleanup)
    */
@@ -414,6 +789,7 @@ class StorageManager {
       if (updates.maxTokens !== undefined) currentConfig.maxTokens = updates.maxTokens;
       if (updates.temperature !== undefined) currentConfig.temperature = updates.temperature;
       if (updates.customApiUrl !== undefined) currentConfig.customApiUrl = updates.customApiUrl;
+      if (updates.azure !== undefined) currentConfig.azure = updates.azure;
 
       // Handle tokenTotalBudget update
       const needsBudgetSave = updates.tokenTotalBudget !== undefined &&
@@ -473,6 +849,7 @@ class StorageManager {
         maxTokens: config.maxTokens,
         temperature: config.temperature,
         customApiUrl: config.customApiUrl,
+        azure: config.azure,
         tokenTotalBudget: config.tokenTotalBudget,
         timestamp: config.timestamp
       };
@@ -520,6 +897,10 @@ class StorageManager {
       return { valid: false, error: 'Unsupported provider' };
     }
 
+    if (providerInfo.requiresApiKey === false && !apiKey) {
+      return { valid: true };
+    }
+
     if (!apiKey || typeof apiKey !== 'string') {
       return { valid: false, error: 'API key is required' };
     }
@@ -533,6 +914,10 @@ class StorageManager {
       return { valid: false, error: `Invalid API key format for ${providerInfo.name}` };
     }
 
+    if (providerInfo.keyPattern && !providerInfo.keyPattern.test(apiKey)) {
+      return { valid: false, error: `Invalid API key format for ${providerInfo.name}` };
+    }
+
     return { valid: true };
   }
 
@@ -566,6 +951,182 @@ class StorageManager {
     }
   }
 
+  /**
+   * Get the saved chat thread for a problem
+   */
+  async getChatHistory(problemKey) {
+    try {
+      const result = await chrome.storage.local.get([CHAT_HISTORY_KEY]);
+      const threads = result[CHAT_HISTORY_KEY] || {};
+      return threads[problemKey]?.messages || [];
+    } catch (error) {
+      console.error('Failed to load chat history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save the chat thread for a problem, keeping only the most recent messages and threads
+   */
+  async saveChatHistory(problemKey, messages, problemTitle = '') {
+    try {
+      const result = await chrome.storage.local.get([CHAT_HISTORY_KEY]);
+      const threads = result[CHAT_HISTORY_KEY] || {};
+
+      threads[problemKey] = {
+        problemTitle: problemTitle,
+        messages: messages.slice(-CHAT_HISTORY_LIMITS.messagesPerThread),
+        updatedAt: Date.now()
+      };
+
+      // Drop the least recently used threads beyond the limit
+      const keys = Object.keys(threads)
+        .sort((a, b) => threads[b].updatedAt - threads[a].updatedAt);
+      keys.slice(CHAT_HISTORY_LIMITS.threads).forEach(key => delete threads[key]);
+
+      await chrome.storage.local.set({ [CHAT_HISTORY_KEY]: threads });
+      return true;
+    } catch (error) {
+      console.error('Failed to save chat history:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the chat thread for a problem
+   */
+  async clearChatHistory(problemKey) {
+    try {
+      const result = await chrome.storage.local.get([CHAT_HISTORY_KEY]);
+      const threads = result[CHAT_HISTORY_KEY] || {};
+      delete threads[problemKey];
+      await chrome.storage.local.set({ [CHAT_HISTORY_KEY]: threads });
+      return true;
+    } catch (error) {
+      console.error('Failed to clear chat history:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a cached model list if it was fetched within the cache lifetime
+   * @param {string} listUrl - The provider's model listing URL
+   * @param {string} apiKey - The key the list was fetched with (empty for local servers)
+   * @returns {Promise<Object|null>} { models, fetchedAt } or null
+   */
+  async getCachedModels(listUrl, apiKey) {
+    try {
+      const result = await chrome.storage.local.get([MODEL_CACHE_KEY]);
+      const entry = (result[MODEL_CACHE_KEY] || {})[await this.getModelCacheKey(listUrl, apiKey)];
+      return entry && Date.now() - entry.fetchedAt < MODEL_CACHE_TTL ? entry : null;
+    } catch (error) {
+      console.error('Failed to load cached models:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache a provider's model list, dropping expired lists
+   */
+  async cacheModels(listUrl, apiKey, models) {
+    try {
+      const result = await chrome.storage.local.get([MODEL_CACHE_KEY]);
+      const cache = result[MODEL_CACHE_KEY] || {};
+
+      Object.keys(cache).forEach(key => {
+        if (Date.now() - cache[key].fetchedAt >= MODEL_CACHE_TTL) delete cache[key];
+      });
+      cache[await this.getModelCacheKey(listUrl, apiKey)] = { models, fetchedAt: Date.now() };
+
+      await chrome.storage.local.set({ [MODEL_CACHE_KEY]: cache });
+      return true;
+    } catch (error) {
+      console.error('Failed to cache models:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Key a model list by its URL and a fingerprint of the API key, since a different key
+   * (another account or project) can see different models. The key itself is never stored.
+   */
+  async getModelCacheKey(listUrl, apiKey) {
+    if (!apiKey) return listUrl;
+
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+    const fingerprint = Array.from(new Uint8Array(digest).slice(0, 8))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+    return `${listUrl}#${fingerprint}`;
+  }
+
+  /**
+   * Get the user's prompt template overrides
+   * @returns {Promise<Object>} Template text by template type
+   */
+  async getPromptTemplates() {
+    try {
+      const result = await chrome.storage.local.get([PROMPT_TEMPLATES_KEY]);
+      return result[PROMPT_TEMPLATES_KEY] || {};
+    } catch (error) {
+      console.error('Failed to load prompt templates:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save an override for one prompt template
+   */
+  async savePromptTemplate(type, template) {
+    const templates = await this.getPromptTemplates();
+    templates[type] = template;
+    await chrome.storage.local.set({ [PROMPT_TEMPLATES_KEY]: templates });
+  }
+
+  /**
+   * Remove the override for one prompt template, or for all of them when no type is given
+   */
+  async resetPromptTemplate(type = null) {
+    if (!type) {
+      await chrome.storage.local.remove(PROMPT_TEMPLATES_KEY);
+      return;
+    }
+
+    const templates = await this.getPromptTemplates();
+    delete templates[type];
+    await chrome.storage.local.set({ [PROMPT_TEMPLATES_KEY]: templates });
+  }
+
+  /**
+   * Get the user's hint ladder
+   * @returns {Promise<Object|null>} { preset, levels }, or null when the default ladder is used
+   */
+  async getHintLadder() {
+    try {
+      const result = await chrome.storage.local.get([HINT_LADDER_KEY]);
+      return result[HINT_LADDER_KEY] || null;
+    } catch (error) {
+      console.error('Failed to load hint ladder:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the user's hint ladder
+   */
+  async saveHintLadder(preset, levels) {
+    await chrome.storage.local.set({
+      [HINT_LADDER_KEY]: { preset: preset || 'custom', levels: levels }
+    });
+  }
+
+  /**
+   * Go back to the default hint ladder
+   */
+  async resetHintLadder() {
+    await chrome.storage.local.remove(HINT_LADDER_KEY);
+  }
+
   /**
    * Check storage health and integrity
    */
@@ -599,4 +1160,4 @@ class StorageManager {
 }
 
 // Export for use in other modules
-export { StorageManager, AIProviderConfig, SUPPORTED_PROVIDERS };
\ No newline at end of file
+export { StorageManager, AIProviderConfig, SUPPORTED_PROVIDERS, isLoopbackUrl, isSecureProviderUrl, validateAzureSettings, isAutoFeatureEnabled };
\ No newline at end of file
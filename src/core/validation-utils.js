@@ -1,7 +1,7 @@
 // LeetPilot Validation Utilities
 // Consolidated validation logic to eliminate duplication
 
-import { SUPPORTED_PROVIDERS } from './storage-manager.js';
+import { SUPPORTED_PROVIDERS, isSecureProviderUrl, validateAzureSettings } from './storage-manager.js';
 
 /**
  * Consolidated validation utilities
@@ -16,6 +16,10 @@ export class ValidationUtils {
       return { valid: false, error: 'Unsupported provider' };
     }
 
+    if (providerInfo.requiresApiKey === false && !apiKey) {
+      return { valid: true };
+    }
+
     if (!apiKey || typeof apiKey !== 'string') {
       return { valid: false, error: 'API key is required' };
     }
@@ -29,6 +33,10 @@ export class ValidationUtils {
       return { valid: false, error: `Invalid API key format for ${providerInfo.name}` };
     }
 
+    if (providerInfo.keyPattern && !providerInfo.keyPattern.test(apiKey)) {
+      return { valid: false, error: `Invalid API key format for ${providerInfo.name}` };
+    }
+
     return { valid: true };
   }
 
@@ -54,8 +62,8 @@ export class ValidationUtils {
       sanitized.apiKey = config.apiKey;
     }
 
-    // Validate custom API URL for custom providers
-    if (config.provider === 'custom') {
+    // Validate custom API URL for custom providers (optional for Ollama, which defaults to localhost)
+    if (config.provider === 'custom' || (config.provider === 'ollama' && config.customApiUrl)) {
       const urlValidation = this.validateCustomURL(config.customApiUrl);
       if (!urlValidation.valid) {
         errors.push(urlValidation.error);
@@ -64,6 +72,20 @@ export class ValidationUtils {
       }
     }
 
+    // Validate resource, deployment and api-version for Azure OpenAI
+    if (config.provider === 'azure') {
+      const azureErrors = validateAzureSettings(config.azure);
+      if (azureErrors.length > 0) {
+        errors.push(...azureErrors);
+      } else {
+        sanitized.azure = {
+          resourceName: config.azure.resourceName,
+          deploymentName: config.azure.deploymentName,
+          apiVersion: config.azure.apiVersion || SUPPORTED_PROVIDERS.azure.defaultApiVersion
+        };
+      }
+    }
+
     // Validate model
     if (config.model) {
       const modelValidation = this.validateModel(config.model);
@@ -110,9 +132,9 @@ export class ValidationUtils {
     }
 
     try {
-      const urlObj = new URL(url);
-      if (!urlObj.protocol.startsWith('https')) {
-        return { valid: false, error: 'Custom API URL must use HTTPS' };
+      new URL(url);
+      if (!isSecureProviderUrl(url)) {
+        return { valid: false, error: 'Custom API URL must use HTTPS (plain HTTP is only allowed for localhost)' };
       }
       return { valid: true, sanitized: url.trim() };
     } catch (e) {
@@ -0,0 +1,255 @@
+// LeetPilot Code Runner (sandboxed page)
+// Runs the user's solution on example inputs in a worker, away from LeetCode's page and the extension
+
+// Loaded in a hidden iframe as a manifest sandbox page: it has an opaque origin and no extension APIs.
+// The content script's LocalRunner posts run requests; each run gets a fresh worker that is
+// terminated when a case takes too long, so an infinite loop can't hang the tab.
+(function() {
+  'use strict';
+
+  const CONTENT_SOURCE = 'leetpilot-content';
+  const RUNNER_SOURCE = 'leetpilot-runner';
+
+  // The only page that embeds this runner (this page's own origin is opaque)
+  const PARENT_ORIGIN = 'https://leetcode.com';
+
+  /**
+   * Worker entry point (serialized into a blob, so it can't use anything from this file's scope).
+   * Converts arguments to LeetCode's ListNode / TreeNode types by their declared type,
+   * calls the solution once per case and posts each result as it finishes.
+   */
+  function runnerWorker() {
+    // Node classes as LeetCode defines them for JavaScript
+    function ListNode(val, next) {
+      this.val = val === undefined ? 0 : val;
+      this.next = next === undefined ? null : next;
+    }
+
+    function TreeNode(val, left, right) {
+      this.val = val === undefined ? 0 : val;
+      this.left = left === undefined ? null : left;
+      this.right = right === undefined ? null : right;
+    }
+
+    // Stop serializing cyclic or runaway structures
+    const MAX_NODES = 100000;
+
+    function toList(values) {
+      const dummy = new ListNode();
+      let tail = dummy;
+      (values || []).forEach(value => {
+        tail.next = new ListNode(value);
+        tail = tail.next;
+      });
+      return dummy.next;
+    }
+
+    // Level order with nulls for missing children: [1,null,2]
+    function toTree(values) {
+      if (!values || values.length === 0 || values[0] === null) return null;
+
+      const root = new TreeNode(values[0]);
+      const queue = [root];
+      let index = 1;
+      while (queue.length > 0 && index < values.length) {
+        const node = queue.shift();
+        [node.left, node.right] = [0, 1].map(() => {
+          const value = values[index++];
+          if (value === undefined || value === null) return null;
+          const child = new TreeNode(value);
+          queue.push(child);
+          return child;
+        });
+      }
+      return root;
+    }
+
+    function fromList(head) {
+      const values = [];
+      for (let node = head; node && values.length < MAX_NODES; node = node.next) {
+        values.push(node.val);
+      }
+      return values;
+    }
+
+    function fromTree(root) {
+      const values = [];
+      const queue = [root];
+      while (queue.length > 0 && values.length < MAX_NODES) {
+        const node = queue.shift();
+        values.push(node ? node.val : null);
+        if (node) {
+          queue.push(node.left, node.right);
+        }
+      }
+      while (values.length > 0 && values[values.length - 1] === null) {
+        values.pop();
+      }
+      return values;
+    }
+
+    // Convert a parsed example value to the parameter's declared type ("ListNode | null", "TreeNode[]", ...)
+    function toArgument(value, type) {
+      if (!type) return value;
+
+      const baseType = type.replace(/\|\s*null|null\s*\|/g, '').replace(/^Array<(.+)>$/, '$1[]').trim();
+      if (baseType.endsWith('[]') && Array.isArray(value)) {
+        return value.map(item => toArgument(item, baseType.slice(0, -2)));
+      }
+      if (baseType === 'ListNode') return toList(value);
+      if (baseType === 'TreeNode') return toTree(value);
+      return value;
+    }
+
+    // Convert a returned value back to the form LeetCode prints
+    function toOutput(value) {
+      if (value === undefined) return null;
+      if (Array.isArray(value)) return value.map(toOutput);
+      if (value instanceof Set || value instanceof Map) return toOutput(Array.from(value));
+      if (value && typeof value === 'object' && 'val' in value && 'next' in value) return fromList(value);
+      if (value && typeof value === 'object' && 'val' in value && 'left' in value) return fromTree(value);
+      if (typeof value === 'bigint') return Number(value);
+      return value;
+    }
+
+    function formatLog(value) {
+      if (typeof value === 'string') return value;
+      try {
+        return JSON.stringify(toOutput(value));
+      } catch (error) {
+        return String(value);
+      }
+    }
+
+    function post(message) {
+      try {
+        self.postMessage(message);
+      } catch (error) {
+        // Values that can't be cloned (functions, class instances with methods) are sent as text
+        self.postMessage({ ...message, output: String(message.output) });
+      }
+    }
+
+    self.onmessage = (event) => {
+      const { code, functionName, paramTypes, returnsVoid, cases } = event.data;
+
+      let logs = [];
+      ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+        console[method] = (...values) => {
+          if (logs.length < 50) {
+            logs.push(values.map(formatLog).join(' '));
+          }
+        };
+      });
+
+      let solution;
+      try {
+        solution = new Function('ListNode', 'TreeNode',
+          `${code}\n;return typeof ${functionName} === 'function' ? ${functionName} : undefined;`
+        )(ListNode, TreeNode);
+      } catch (error) {
+        post({ type: 'loadError', error: `${error.name}: ${error.message}` });
+        return;
+      }
+      if (!solution) {
+        post({ type: 'loadError', error: `${functionName} is not a function` });
+        return;
+      }
+
+      cases.forEach((testCase, index) => {
+        logs = [];
+        const args = testCase.args.map((value, position) => toArgument(value, paramTypes[position]));
+        const start = performance.now();
+        try {
+          const returned = solution(...args);
+          post({
+            type: 'caseResult',
+            index: index,
+            output: toOutput(returnsVoid ? args[0] : returned),
+            time: performance.now() - start,
+            logs: logs
+          });
+        } catch (error) {
+          post({
+            type: 'caseResult',
+            index: index,
+            error: `${error && error.name || 'Error'}: ${error && error.message || error}`,
+            time: performance.now() - start,
+            logs: logs
+          });
+        }
+      });
+
+      post({ type: 'done' });
+    };
+  }
+
+  const workerUrl = URL.createObjectURL(
+    new Blob([`(${runnerWorker.toString()})();`], { type: 'text/javascript' })
+  );
+
+  /**
+   * Run a solution on its cases, timing out a case that takes longer than request.timeout
+   * @returns {Promise<Object>} { results, error, timedOut } timedOut is the index of the case that was stopped
+   */
+  function run(request) {
+    return new Promise(resolve => {
+      const worker = new Worker(workerUrl);
+      const results = [];
+      let timer = null;
+
+      const finish = (outcome = {}) => {
+        clearTimeout(timer);
+        worker.terminate();
+        resolve({ results, ...outcome });
+      };
+
+      // Each case gets the full time limit, counted from when the previous one finished
+      const restartTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => finish({ timedOut: results.length }), request.timeout);
+      };
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+        switch (message.type) {
+          case 'caseResult':
+            results.push(message);
+            restartTimer();
+            break;
+          case 'loadError':
+            finish({ error: message.error });
+            break;
+          case 'done':
+            finish();
+            break;
+        }
+      };
+
+      worker.onerror = (event) => {
+        event.preventDefault();
+        finish({ error: event.message || 'The solution could not be run' });
+      };
+
+      worker.postMessage({
+        code: request.code,
+        functionName: request.functionName,
+        paramTypes: request.paramTypes || [],
+        returnsVoid: !!request.returnsVoid,
+        cases: request.cases
+      });
+      restartTimer();
+    });
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window.parent || event.data?.source !== CONTENT_SOURCE || event.data.type !== 'runCode') return;
+
+    const { id } = event.data;
+    run(event.data).then(result => {
+      window.parent.postMessage({ source: RUNNER_SOURCE, type: 'runResult', id, ...result }, PARENT_ORIGIN);
+    });
+  });
+
+  window.parent.postMessage({ source: RUNNER_SOURCE, type: 'runnerReady' }, PARENT_ORIGIN);
+})();
@@ -1,6 +1,10 @@
 // LeetPilot Hint Display
 // Handles the display of progressive hints with educational progression
 
+import './markdown-renderer.js';
+
+const MarkdownRenderer = window.__LeetPilotMarkdownRenderer;
+
 /**
  * Hint Display Manager
  * Handles the display of progressive hints with educational progression
@@ -275,27 +279,8 @@ export class HintDisplay {
     const hintContent = document.createElement('div');
     hintContent.className = 'leetpilot-hint-content';
 
-    // Format hint text with better structure
-    const paragraphs = hint.split('\n\n');
-    paragraphs.forEach(paragraph => {
-      if (paragraph.trim()) {
-        const p = document.createElement('p');
-
-        // Check if paragraph contains code-like content
-        if (paragraph.includes('`') || paragraph.includes('function') || paragraph.includes('def ')) {
-          const pre = document.createElement('pre');
-          pre.style.background = '#2d2d30';
-          pre.style.padding = '8px';
-          pre.style.borderRadius = '4px';
-          pre.style.fontSize = '12px';
-          pre.textContent = paragraph.trim();
-          hintContent.appendChild(pre);
-        } else {
-          p.textContent = paragraph.trim();
-          hintContent.appendChild(p);
-        }
-      }
-    });
+    // Hints are model output: rendered as sanitized Markdown, never as raw HTML
+    MarkdownRenderer.renderInto(hintContent, hint || '');
 
     return hintContent;
   }
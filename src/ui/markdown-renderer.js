@@ -0,0 +1,377 @@
+// LeetPilot Markdown Renderer
+// Renders AI responses as sanitized HTML: headings, lists, tables, quotes, inline code and highlighted code blocks
+
+// IIFE-based module pattern, so content scripts, the popup's ES modules and tests can all load it.
+// Every piece of response text is escaped while rendering; the allowlist sanitizer then removes
+// anything else that could run script, as a second line of defence.
+(function() {
+  'use strict';
+
+  // Elements the renderer produces, with the attributes each may keep
+  const ALLOWED_TAGS = {
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    p: [], br: [], hr: [], blockquote: [],
+    ul: [], ol: ['start'], li: [],
+    strong: [], em: [], del: [], code: ['class'], pre: ['class'], span: ['class'],
+    a: ['href', 'title'],
+    table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align'],
+    div: ['class']
+  };
+
+  // Elements removed together with their content (everything else unknown is unwrapped to its text)
+  const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math', 'form', 'textarea', 'select'];
+
+  // Link targets that can't run script
+  const SAFE_URL = /^(?:https?:|mailto:)/i;
+
+  // Classes the renderer uses; no page classes can be borrowed
+  const SAFE_CLASS = /^leetpilot-[\w-]+$/;
+
+  // Keywords highlighted per language (fence names are mapped through LANGUAGE_ALIASES)
+  const KEYWORDS = {
+    javascript: 'async await break case catch class const continue default delete do else export extends false finally for function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield',
+    typescript: 'abstract any as async await boolean break case catch class const continue default delete do else enum export extends false finally for function if implements import in instanceof interface keyof let never new null number of private protected public readonly return static string super switch this throw true try type typeof undefined unknown var void while yield',
+    python: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield',
+    java: 'abstract boolean break byte case catch char class continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true try var void while',
+    cpp: 'auto bool break case catch char class const continue default delete do double else enum false float for if inline int long namespace new nullptr private protected public return short signed sizeof static struct switch template this throw true try typedef typename unsigned using vector virtual void while',
+    c: 'auto break case char const continue default do double else enum extern float for if int long return short signed sizeof static struct switch typedef union unsigned void while NULL',
+    csharp: 'bool break case catch class const continue default do double else false finally float for foreach if in int interface long new null out private protected public return static string struct switch this throw true try using var void while',
+    go: 'break case chan const continue default defer else false for func go if import int interface map nil package range return select string struct switch true type var',
+    rust: 'as break const continue crate else enum false fn for if impl in let loop match mod mut pub ref return self Self static struct trait true type use where while',
+    kotlin: 'break class continue do else false for fun if in interface is null object return this throw true try val var when while',
+    swift: 'break case class continue default defer else enum false for func guard if in init let nil return self struct switch true var while'
+  };
+
+  const LANGUAGE_ALIASES = {
+    js: 'javascript', jsx: 'javascript', ts: 'typescript', tsx: 'typescript', py: 'python', python3: 'python',
+    'c++': 'cpp', cc: 'cpp', 'c#': 'csharp', cs: 'csharp', golang: 'go', rs: 'rust', kt: 'kotlin'
+  };
+
+  // Languages whose line comments start with # rather than //
+  const HASH_COMMENT_LANGUAGES = ['python'];
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Markdown Renderer
+   * Static helpers: render(text) to sanitized HTML, renderInto(element, text), sanitize(html), highlight(code, language)
+   */
+  class MarkdownRenderer {
+  /**
+   * Render Markdown to sanitized HTML
+   */
+  static render(text) {
+    if (typeof text !== 'string' || !text) return '';
+    return MarkdownRenderer.sanitize(MarkdownRenderer.renderBlocks(text.replace(/\r\n?/g, '\n')));
+  }
+
+  /**
+   * Replace an element's content with rendered Markdown
+   */
+  static renderInto(element, text) {
+    element.innerHTML = MarkdownRenderer.render(text);
+    element.classList.add('leetpilot-markdown');
+    return element;
+  }
+
+  /**
+   * Render block-level Markdown; all text goes through escapeHtml or renderInline
+   */
+  static renderBlocks(text) {
+    const lines = text.split('\n');
+    const html = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        html.push(`<p>${paragraph.map(line => MarkdownRenderer.renderInline(line.trim())).join('<br>')}</p>`);
+        paragraph = [];
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Fenced code block (an unclosed fence, e.g. while streaming, runs to the end)
+      const fence = line.match(/^\s*(```+|~~~+)\s*([\w+#-]*)/);
+      if (fence) {
+        flushParagraph();
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        html.push(MarkdownRenderer.renderCodeBlock(code.join('\n'), fence[2]));
+        continue;
+      }
+
+      if (!line.trim()) {
+        flushParagraph();
+        continue;
+      }
+
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        flushParagraph();
+        html.push(`<h${heading[1].length}>${MarkdownRenderer.renderInline(heading[2])}</h${heading[1].length}>`);
+        continue;
+      }
+
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flushParagraph();
+        html.push('<hr>');
+        continue;
+      }
+
+      // Table: a header row followed by a |---|:---:| delimiter row
+      if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+        flushParagraph();
+        const rows = [line];
+        const delimiter = lines[i + 1];
+        i += 2;
+        while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+          rows.push(lines[i]);
+          i++;
+        }
+        i--;
+        html.push(MarkdownRenderer.renderTable(rows, delimiter));
+        continue;
+      }
+
+      if (/^\s{0,3}>/.test(line)) {
+        flushParagraph();
+        const quote = [];
+        while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+          quote.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+          i++;
+        }
+        i--;
+        html.push(`<blockquote>${MarkdownRenderer.renderBlocks(quote.join('\n'))}</blockquote>`);
+        continue;
+      }
+
+      const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+/);
+      if (listItem) {
+        flushParagraph();
+        i = MarkdownRenderer.renderList(lines, i, html);
+        continue;
+      }
+
+      paragraph.push(line);
+    }
+    flushParagraph();
+
+    return html.join('');
+  }
+
+  /**
+   * Render a (possibly nested) list starting at lines[start]
+   * @returns {number} Index of the list's last line
+   */
+  static renderList(lines, start, html) {
+    const itemPattern = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+    const first = lines[start].match(itemPattern);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+
+    html.push(ordered ? (startNumber !== 1 ? `<ol start="${startNumber}">` : '<ol>') : '<ul>');
+    let i = start;
+    let open = false;
+    while (i < lines.length) {
+      const match = lines[i].match(itemPattern);
+      if (match && match[1].length === indent && /\d/.test(match[2]) === ordered) {
+        if (open) html.push('</li>');
+        html.push(`<li>${MarkdownRenderer.renderInline(match[3])}`);
+        open = true;
+      } else if (match && match[1].length > indent) {
+        i = MarkdownRenderer.renderList(lines, i, html);
+      } else if (!match && lines[i].trim() && /^\s+/.test(lines[i]) && open) {
+        // Continuation line of the current item
+        html.push(` ${MarkdownRenderer.renderInline(lines[i].trim())}`);
+      } else {
+        break;
+      }
+      i++;
+    }
+    if (open) html.push('</li>');
+    html.push(ordered ? '</ol>' : '</ul>');
+    return i - 1;
+  }
+
+  /**
+   * Render a pipe table; the delimiter row sets each column's alignment
+   */
+  static renderTable(rows, delimiter) {
+    const splitRow = (row) => row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    const alignments = splitRow(delimiter).map(cell => {
+      if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+      if (cell.endsWith(':')) return 'right';
+      if (cell.startsWith(':')) return 'left';
+      return null;
+    });
+
+    const renderRow = (row, tag) => {
+      const cells = splitRow(row);
+      return `<tr>${alignments.map((align, index) => (
+        `<${tag}${align ? ` align="${align}"` : ''}>${MarkdownRenderer.renderInline(cells[index] || '')}</${tag}>`
+      )).join('')}</tr>`;
+    };
+
+    const [header, ...body] = rows;
+    return `<table><thead>${renderRow(header, 'th')}</thead><tbody>${body.map(row => renderRow(row, 'td')).join('')}</tbody></table>`;
+  }
+
+  /**
+   * Render inline Markdown: code spans, links, bold, italic and strikethrough
+   */
+  static renderInline(text) {
+    // Code spans first, so their contents are left as written
+    const parts = text.split(/(`+)([\s\S]*?[^`])\1(?!`)/);
+    let html = '';
+    for (let i = 0; i < parts.length; i += 3) {
+      html += MarkdownRenderer.renderEmphasis(parts[i]);
+      if (i + 2 < parts.length) {
+        html += `<code>${escapeHtml(parts[i + 2].trim())}</code>`;
+      }
+    }
+    return html;
+  }
+
+  /**
+   * Render links and emphasis in text without code spans
+   */
+  static renderEmphasis(text) {
+    return escapeHtml(text)
+      .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (match, label, url, title) => {
+        if (!SAFE_URL.test(url.replace(/&amp;/g, '&'))) return label;
+        return `<a href="${url}"${title ? ` title="${title}"` : ''}>${label}</a>`;
+      })
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+      .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\w)/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+  }
+
+  /**
+   * Render a fenced code block with its language's highlighting
+   */
+  static renderCodeBlock(code, fenceLanguage) {
+    const language = MarkdownRenderer.normalizeLanguage(fenceLanguage);
+    const languageClass = language ? ` leetpilot-language-${language}` : '';
+    return `<pre class="leetpilot-code-block${languageClass}"><code>${MarkdownRenderer.highlight(code, language)}</code></pre>`;
+  }
+
+  /**
+   * Map a fence name (js, py, c++) to the language it highlights as
+   * @returns {string|null}
+   */
+  static normalizeLanguage(name) {
+    const language = String(name || '').toLowerCase();
+    const normalized = LANGUAGE_ALIASES[language] || language;
+    return KEYWORDS[normalized] ? normalized : (normalized.replace(/[^\w-]/g, '') || null);
+  }
+
+  /**
+   * Highlight code as escaped HTML with spans for comments, strings, numbers and keywords
+   */
+  static highlight(code, language) {
+    const keywords = KEYWORDS[language];
+    if (!keywords) return escapeHtml(code);
+
+    const keywordSet = new Set(keywords.split(' '));
+    const lineComment = HASH_COMMENT_LANGUAGES.includes(language) ? '#[^\\n]*' : '\\/\\/[^\\n]*';
+    const token = new RegExp([
+      `(${lineComment}|\\/\\*[\\s\\S]*?(?:\\*\\/|$))`,
+      '("""[\\s\\S]*?(?:"""|$)|\'\'\'[\\s\\S]*?(?:\'\'\'|$)|"(?:\\\\.|[^"\\\\\\n])*"?|\'(?:\\\\.|[^\'\\\\\\n])*\'?|`(?:\\\\.|[^`\\\\])*`?)',
+      '(\\b\\d[\\d_]*(?:\\.\\d+)?(?:e[+-]?\\d+)?\\b|\\b0x[\\da-f]+\\b)',
+      '([A-Za-z_$][\\w$]*)'
+    ].join('|'), 'gi');
+
+    let html = '';
+    let last = 0;
+    for (const match of code.matchAll(token)) {
+      html += escapeHtml(code.slice(last, match.index));
+      const [text, comment, string, number, word] = match;
+      if (comment) {
+        html += `<span class="leetpilot-hl-comment">${escapeHtml(text)}</span>`;
+      } else if (string) {
+        html += `<span class="leetpilot-hl-string">${escapeHtml(text)}</span>`;
+      } else if (number) {
+        html += `<span class="leetpilot-hl-number">${escapeHtml(text)}</span>`;
+      } else if (word && keywordSet.has(word)) {
+        html += `<span class="leetpilot-hl-keyword">${escapeHtml(text)}</span>`;
+      } else {
+        html += escapeHtml(text);
+      }
+      last = match.index + text.length;
+    }
+    return html + escapeHtml(code.slice(last));
+  }
+
+  /**
+   * Keep only allowlisted elements and attributes: dropped elements lose their content,
+   * other unknown elements are replaced by their text, and links must be http(s) or mailto
+   */
+  static sanitize(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const clean = (parent) => {
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          node.remove();
+          return;
+        }
+
+        const tag = node.tagName.toLowerCase();
+        if (DROPPED_TAGS.includes(tag)) {
+          node.remove();
+          return;
+        }
+
+        clean(node);
+
+        const allowedAttributes = ALLOWED_TAGS[tag];
+        if (!allowedAttributes) {
+          node.replaceWith(...node.childNodes);
+          return;
+        }
+
+        Array.from(node.attributes).forEach(attribute => {
+          const name = attribute.name.toLowerCase();
+          const value = attribute.value.trim();
+          const allowed = allowedAttributes.includes(name) &&
+            (name !== 'href' || SAFE_URL.test(value)) &&
+            (name !== 'class' || value.split(/\s+/).every(className => SAFE_CLASS.test(className))) &&
+            (name !== 'align' || ['left', 'center', 'right'].includes(value)) &&
+            (name !== 'start' || /^\d+$/.test(value));
+          if (!allowed) {
+            node.removeAttribute(attribute.name);
+          }
+        });
+
+        if (tag === 'a') {
+          node.setAttribute('target', '_blank');
+          node.setAttribute('rel', 'noopener noreferrer');
+        }
+      });
+    };
+
+    clean(template.content);
+    return template.innerHTML;
+  }
+  }
+
+  // Expose to global scope for content script compatibility
+  window.__LeetPilotMarkdownRenderer = MarkdownRenderer;
+})();
@@ -1,12 +1,17 @@
 // LeetPilot Popup Manager
 // Manages the popup interface for configuration and settings
 
+import './markdown-renderer.js';
+
+const MarkdownRenderer = window.__LeetPilotMarkdownRenderer;
+
 export class PopupManager {
   constructor() {
     this.isInitialized = false;
     this.storageManager = null;
     this.inputValidator = null;
     this.pendingRequestCallback = null; // For caution modal callbacks
+    this.modelListProvider = null; // Provider whose models are loaded into the model field
   }
 
   /**
@@ -48,6 +53,11 @@ export class PopupManager {
         // Continue initialization even if config loading fails
       }
       
+      // Load saved provider profiles (non-blocking)
+      this.loadProfiles().catch(error => {
+        console.log('Profile loading failed:', error);
+      });
+      
       this.isInitialized = true;
       console.log('Popup manager initialized successfully');
       
@@ -192,6 +202,7 @@ export class PopupManager {
     const testButton = document.getElementById('testButton');
     const saveConfigButton = document.getElementById('saveConfig');
     const testConnectionButton = document.getElementById('testConnection');
+    const loadModelsButton = document.getElementById('loadModels');
 
     if (form) {
       form.addEventListener('submit', (e) => {
@@ -212,12 +223,20 @@ export class PopupManager {
       });
     }
 
+    if (loadModelsButton) {
+      loadModelsButton.addEventListener('click', () => {
+        this.loadModels();
+      });
+    }
+
     if (providerSelect) {
       providerSelect.addEventListener('change', () => {
         this.updateProviderInfo();
         this.updateModelPlaceholder();
         this.validateAPIKeyFormat();
         this.toggleCustomProviderFields();
+        this.toggleAzureProviderFields();
+        this.clearModelOptions();
       });
     }
 
@@ -238,6 +257,298 @@ export class PopupManager {
         this.testAPIConnection();
       });
     }
+
+    this.setupProfileHandlers();
+  }
+
+  /**
+   * Setup provider profile picker handlers
+   */
+  setupProfileHandlers() {
+    const profileSelect = document.getElementById('profileSelect');
+    const saveProfileButton = document.getElementById('saveProfile');
+    const deleteProfileButton = document.getElementById('deleteProfile');
+
+    if (profileSelect) {
+      profileSelect.addEventListener('change', () => {
+        if (profileSelect.value) {
+          this.switchProfile(profileSelect.value);
+        }
+      });
+    }
+
+    if (saveProfileButton) {
+      saveProfileButton.addEventListener('click', () => {
+        this.saveProfile();
+      });
+    }
+
+    if (deleteProfileButton) {
+      deleteProfileButton.addEventListener('click', () => {
+        this.deleteProfile();
+      });
+    }
+  }
+
+  /**
+   * Load saved provider profiles from the background
+   */
+  async loadProfiles() {
+    const response = await this.sendMessageToBackground({ type: 'getProfiles' });
+    if (response?.success) {
+      this.renderProfiles(response);
+    }
+  }
+
+  /**
+   * Render the profile picker and the per-request-type assignment selects
+   */
+  renderProfiles(data) {
+    const { profiles = [], activeProfileId = null, assignments = {}, requestTypes = [], fallbackChain = [] } = data;
+    this.profiles = profiles;
+    this.renderFallbackChain(profiles, fallbackChain);
+
+    const profileSelect = document.getElementById('profileSelect');
+    const profileNameInput = document.getElementById('profileName');
+    if (profileSelect) {
+      profileSelect.innerHTML = '';
+
+      if (profiles.length === 0) {
+        profileSelect.appendChild(new Option('No saved profiles', ''));
+      } else if (!activeProfileId) {
+        profileSelect.appendChild(new Option('Select a profile...', ''));
+      }
+
+      profiles.forEach(profile => {
+        const label = `${profile.name} (${profile.provider}${profile.model ? ' · ' + profile.model : ''})`;
+        profileSelect.appendChild(new Option(label, profile.id, false, profile.id === activeProfileId));
+      });
+    }
+
+    const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+    if (profileNameInput && activeProfile) {
+      profileNameInput.value = activeProfile.name;
+    }
+
+    const assignmentsContainer = document.getElementById('profileAssignments');
+    if (!assignmentsContainer || profiles.length === 0) return;
+
+    assignmentsContainer.innerHTML = '';
+    requestTypes.forEach(requestType => {
+      const label = document.createElement('label');
+      label.setAttribute('for', `assign-${requestType}`);
+      label.textContent = requestType;
+
+      const select = document.createElement('select');
+      select.id = `assign-${requestType}`;
+      select.className = 'form-select';
+      select.appendChild(new Option('Active profile', ''));
+      profiles.forEach(profile => {
+        select.appendChild(new Option(profile.name, profile.id, false, assignments[requestType] === profile.id));
+      });
+
+      select.addEventListener('change', () => {
+        this.assignProfile(requestType, select.value);
+      });
+
+      assignmentsContainer.appendChild(label);
+      assignmentsContainer.appendChild(select);
+    });
+  }
+
+  /**
+   * Render the ordered fallback list with reorder/remove controls and the "add" picker
+   */
+  renderFallbackChain(profiles, fallbackChain) {
+    this.fallbackChain = fallbackChain.slice();
+
+    const chainContainer = document.getElementById('fallbackChain');
+    const addSelect = document.getElementById('fallbackAdd');
+    if (!chainContainer || !addSelect) return;
+
+    chainContainer.innerHTML = '';
+    this.fallbackChain.forEach((profileId, index) => {
+      const profile = profiles.find(candidate => candidate.id === profileId);
+      if (!profile) return;
+
+      const item = document.createElement('div');
+      item.className = 'fallback-item';
+
+      const label = document.createElement('span');
+      label.textContent = `${index + 1}. ${profile.name} (${profile.provider})`;
+      item.appendChild(label);
+
+      const controls = [
+        { text: '↑', title: 'Try earlier', disabled: index === 0, offset: -1 },
+        { text: '↓', title: 'Try later', disabled: index === this.fallbackChain.length - 1, offset: 1 },
+        { text: '×', title: 'Remove from fallbacks', offset: 0 }
+      ];
+      controls.forEach(control => {
+        const button = document.createElement('button');
+        button.className = 'profile-action';
+        button.textContent = control.text;
+        button.title = control.title;
+        button.disabled = !!control.disabled;
+        button.addEventListener('click', () => {
+          const chain = this.fallbackChain.slice();
+          chain.splice(index, 1);
+          if (control.offset !== 0) {
+            chain.splice(index + control.offset, 0, profileId);
+          }
+          this.setFallbackChain(chain);
+        });
+        item.appendChild(button);
+      });
+
+      chainContainer.appendChild(item);
+    });
+
+    addSelect.innerHTML = '';
+    addSelect.appendChild(new Option(profiles.length > 0 ? 'Add a fallback profile...' : 'Save a profile to use it as a fallback', ''));
+    profiles
+      .filter(profile => !this.fallbackChain.includes(profile.id))
+      .forEach(profile => addSelect.appendChild(new Option(profile.name, profile.id)));
+
+    addSelect.onchange = () => {
+      if (addSelect.value) {
+        this.setFallbackChain([...this.fallbackChain, addSelect.value]);
+      }
+    };
+  }
+
+  /**
+   * Save the fallback order
+   */
+  async setFallbackChain(profileIds) {
+    try {
+      const response = await this.sendMessageToBackground({ type: 'setFallbackChain', profileIds });
+      if (response?.success) {
+        this.renderProfiles(response);
+      } else {
+        this.showStatus('Failed to update fallbacks: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    } catch (error) {
+      this.showStatus('Failed to update fallbacks: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Make a profile active and load it into the form
+   */
+  async switchProfile(profileId) {
+    try {
+      const response = await this.sendMessageToBackground({ type: 'setActiveProfile', profileId });
+      if (!response?.success) {
+        this.showStatus('Failed to switch profile: ' + (response?.error || 'Unknown error'), 'error');
+        return;
+      }
+
+      this.renderProfiles(response);
+      await this.loadConfiguration();
+      this.updateMainPageStatus();
+
+      const activeProfile = response.profiles.find(profile => profile.id === profileId);
+      this.showStatus(`Switched to profile "${activeProfile?.name || profileId}"`, 'success');
+    } catch (error) {
+      this.showStatus('Failed to switch profile: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Save the current form as a named profile (updates the selected profile if the name matches)
+   */
+  async saveProfile() {
+    const profileNameInput = document.getElementById('profileName');
+    const name = profileNameInput?.value?.trim();
+    if (!name) {
+      this.showStatus('Please enter a profile name', 'error');
+      return;
+    }
+
+    const formConfig = await this.getCurrentFormConfig();
+    const providerSelect = document.getElementById('provider');
+    const config = formConfig || {
+      // Masked key: the background keeps the key already stored for the profile
+      provider: providerSelect?.value,
+      apiKey: null,
+      model: document.getElementById('model')?.value?.trim() || null,
+      maxTokens: parseInt(document.getElementById('maxTokens')?.value) || 1000,
+      temperature: parseFloat(document.getElementById('temperature')?.value) || 0.7,
+      customApiUrl: document.getElementById('customApiUrl')?.value?.trim() || null,
+      azure: this.getAzureFormSettings()
+    };
+
+    if (!config.provider) {
+      this.showStatus('Please select an AI provider', 'error');
+      return;
+    }
+
+    const existingProfile = (this.profiles || []).find(profile => profile.name === name);
+    const selectedProfileId = document.getElementById('profileSelect')?.value || null;
+
+    try {
+      const response = await this.sendMessageToBackground({
+        type: 'saveProfile',
+        name: name,
+        profileId: existingProfile?.id || null,
+        sourceProfileId: selectedProfileId,
+        config: config,
+        activate: true
+      });
+
+      if (response?.success) {
+        this.renderProfiles(response);
+        await this.loadConfiguration();
+        this.updateMainPageStatus();
+        this.showStatus(`Profile "${name}" saved`, 'success');
+      } else {
+        this.showStatus('Failed to save profile: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    } catch (error) {
+      this.showStatus('Failed to save profile: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Delete the selected profile
+   */
+  async deleteProfile() {
+    const profileId = document.getElementById('profileSelect')?.value;
+    if (!profileId) {
+      this.showStatus('Select a profile to delete', 'error');
+      return;
+    }
+
+    try {
+      const response = await this.sendMessageToBackground({ type: 'deleteProfile', profileId });
+      if (response?.success) {
+        this.renderProfiles(response);
+        this.showStatus('Profile deleted', 'success');
+      } else {
+        this.showStatus('Failed to delete profile: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    } catch (error) {
+      this.showStatus('Failed to delete profile: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Assign a profile to a request type ('' falls back to the active profile)
+   */
+  async assignProfile(requestType, profileId) {
+    try {
+      const response = await this.sendMessageToBackground({
+        type: 'setProfileAssignment',
+        requestType: requestType,
+        profileId: profileId || null
+      });
+
+      if (!response?.success) {
+        this.showStatus('Failed to assign profile: ' + (response?.error || 'Unknown error'), 'error');
+      }
+    } catch (error) {
+      this.showStatus('Failed to assign profile: ' + error.message, 'error');
+    }
   }
 
   setupTabNavigation() {
@@ -257,11 +568,16 @@ export class PopupManager {
             panel.classList.add('active');
           }
         });
+
+        if (tabName === 'history') {
+          this.loadHistory();
+        }
       });
     });
 
     this.setupDarkModeToggle();
     this.setupChatHandlers();
+    this.setupHistoryHandlers();
     this.setupSettingsHandlers();
     this.updateMainPageStatus();
   }
@@ -355,6 +671,18 @@ export class PopupManager {
     const chatInput = document.getElementById('chatInput');
     const chatSend = document.getElementById('chatSend');
     const chatMessages = document.getElementById('chatMessages');
+    const chatClear = document.getElementById('chatClear');
+
+    // Conversation state for the problem open in the active tab
+    this.chatThread = {
+      key: 'general',
+      problemContext: null,
+      messages: []
+    };
+
+    this.loadChatThread().catch(error => {
+      console.log('Could not load chat thread:', error);
+    });
 
     const sendMessage = async () => {
       if (!chatInput || !chatSend || !chatMessages) return;
@@ -365,57 +693,46 @@ export class PopupManager {
       chatSend.disabled = true;
       chatInput.disabled = true;
 
-      const emptyChat = chatMessages.querySelector('.empty-chat');
-      if (emptyChat) {
-        emptyChat.remove();
-      }
+      this.appendChatMessage('user', message);
+      chatInput.value = '';
 
-      const userMessage = document.createElement('div');
-      userMessage.className = 'chat-message user';
-      userMessage.textContent = message;
-      chatMessages.appendChild(userMessage);
+      // Refresh the problem context so the assistant sees the latest code
+      const problemContext = await this.getActiveProblemContext();
+      if (problemContext) {
+        this.chatThread.problemContext = problemContext;
+      }
 
-      chatInput.value = '';
-      chatMessages.scrollTop = chatMessages.scrollHeight;
+      const history = this.chatThread.messages.slice();
+      this.chatThread.messages.push({ role: 'user', content: message, timestamp: Date.now() });
 
       try {
         const response = await this.sendMessageToBackground({
           type: 'chatMessage',
-          message: message
+          message: message,
+          history: history,
+          problemContext: this.chatThread.problemContext
         });
 
         console.log('Chat response received:', response);
-        console.log('Response has reply:', !!response?.reply);
-        console.log('Response reply value:', response?.reply);
 
         if (response?.error) {
-          const errorMessage = document.createElement('div');
-          errorMessage.className = 'chat-message assistant';
-          errorMessage.textContent = 'Error: ' + response.error;
-          chatMessages.appendChild(errorMessage);
-          chatMessages.scrollTop = chatMessages.scrollHeight;
+          // Keep failed turns out of the stored conversation
+          this.chatThread.messages.pop();
+          this.appendChatMessage('assistant', 'Error: ' + response.error);
         } else if (response?.reply) {
-          const assistantMessage = document.createElement('div');
-          assistantMessage.className = 'chat-message assistant';
-          assistantMessage.textContent = response.reply;
-          chatMessages.appendChild(assistantMessage);
-          chatMessages.scrollTop = chatMessages.scrollHeight;
+          this.chatThread.messages.push({ role: 'assistant', content: response.reply, timestamp: Date.now() });
+          this.appendChatMessage('assistant', response.reply);
+          await this.saveChatThread();
         } else {
           // Log the full response to debug
           console.error('Unexpected response format:', JSON.stringify(response));
-          const errorMessage = document.createElement('div');
-          errorMessage.className = 'chat-message assistant';
-          errorMessage.textContent = 'Sorry, I could not process your request. (No reply in response)';
-          chatMessages.appendChild(errorMessage);
-          chatMessages.scrollTop = chatMessages.scrollHeight;
+          this.chatThread.messages.pop();
+          this.appendChatMessage('assistant', 'Sorry, I could not process your request. (No reply in response)');
         }
       } catch (error) {
         console.error('Chat error:', error);
-        const errorMessage = document.createElement('div');
-        errorMessage.className = 'chat-message assistant';
-        errorMessage.textContent = 'Error: ' + error.message;
-        chatMessages.appendChild(errorMessage);
-        chatMessages.scrollTop = chatMessages.scrollHeight;
+        this.chatThread.messages.pop();
+        this.appendChatMessage('assistant', 'Error: ' + error.message);
       } finally {
         chatSend.disabled = false;
         chatInput.disabled = false;
@@ -434,6 +751,319 @@ export class PopupManager {
         }
       });
     }
+
+    if (chatClear) {
+      chatClear.addEventListener('click', () => {
+        this.clearChatThread();
+      });
+    }
+  }
+
+  /**
+   * Load the saved conversation for the problem open in the active tab
+   */
+  async loadChatThread() {
+    const problemContext = await this.getActiveProblemContext();
+
+    this.chatThread.problemContext = problemContext;
+    this.chatThread.key = problemContext?.problemSlug || 'general';
+    this.chatThread.messages = this.storageManager
+      ? await this.storageManager.getChatHistory(this.chatThread.key)
+      : [];
+
+    const chatContext = document.getElementById('chatContext');
+    if (chatContext) {
+      chatContext.textContent = problemContext?.problemTitle
+        ? `Chatting about: ${problemContext.problemTitle}`
+        : 'Open a LeetCode problem to chat about it';
+    }
+
+    this.chatThread.messages.forEach(entry => {
+      this.appendChatMessage(entry.role, entry.content);
+    });
+  }
+
+  /**
+   * Persist the current conversation
+   */
+  async saveChatThread() {
+    if (!this.storageManager) return;
+
+    await this.storageManager.saveChatHistory(
+      this.chatThread.key,
+      this.chatThread.messages,
+      this.chatThread.problemContext?.problemTitle || ''
+    );
+  }
+
+  /**
+   * Clear the current conversation from the view and from storage
+   */
+  async clearChatThread() {
+    this.chatThread.messages = [];
+
+    const chatMessages = document.getElementById('chatMessages');
+    if (chatMessages) {
+      chatMessages.innerHTML = `
+        <div class="empty-chat">
+          <div class="empty-chat-icon">&#128172;</div>
+          <div class="empty-chat-text">Start a conversation with the AI model</div>
+        </div>
+      `;
+    }
+
+    if (this.storageManager) {
+      await this.storageManager.clearChatHistory(this.chatThread.key);
+    }
+  }
+
+  /**
+   * Append a chat bubble to the conversation view
+   */
+  appendChatMessage(role, content) {
+    const chatMessages = document.getElementById('chatMessages');
+    if (!chatMessages) return;
+
+    const emptyChat = chatMessages.querySelector('.empty-chat');
+    if (emptyChat) {
+      emptyChat.remove();
+    }
+
+    const messageElement = document.createElement('div');
+    messageElement.className = `chat-message ${role === 'user' ? 'user' : 'assistant'}`;
+    // The user's own messages are shown as typed; replies are rendered as sanitized Markdown
+    if (role === 'user') {
+      messageElement.textContent = content;
+    } else {
+      MarkdownRenderer.renderInto(messageElement, content);
+    }
+    chatMessages.appendChild(messageElement);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  /**
+   * Setup the History tab: browse, export and delete the per-problem journal
+   */
+  setupHistoryHandlers() {
+    document.getElementById('historyBack')?.addEventListener('click', () => this.loadHistory());
+    document.getElementById('historyExportJson')?.addEventListener('click', () => this.exportHistory('json'));
+    document.getElementById('historyExportMarkdown')?.addEventListener('click', () => this.exportHistory('markdown'));
+
+    document.getElementById('historyClear')?.addEventListener('click', async () => {
+      if (!confirm('Delete the history of all problems?')) return;
+      await this.sendMessageToBackground({ type: 'clearJournal' }).catch(() => null);
+      this.loadHistory();
+    });
+
+    document.getElementById('historyDelete')?.addEventListener('click', async () => {
+      if (!this.historySlug || !confirm('Delete the history of this problem?')) return;
+      await this.sendMessageToBackground({ type: 'deleteJournalProblem', problemSlug: this.historySlug }).catch(() => null);
+      this.loadHistory();
+    });
+  }
+
+  /**
+   * Show the list of problems in the journal
+   */
+  async loadHistory() {
+    this.historySlug = null;
+    document.getElementById('historyOverview').style.display = 'block';
+    document.getElementById('historyDetail').style.display = 'none';
+
+    const response = await this.sendMessageToBackground({ type: 'getJournal' }).catch(() => null);
+    const problems = response?.success ? response.problems : [];
+
+    const historyList = document.getElementById('historyList');
+    historyList.innerHTML = '';
+
+    const totalTime = problems.reduce((total, problem) => total + problem.timeSpent, 0);
+    document.getElementById('historySummary').textContent = problems.length > 0
+      ? `${problems.length} problem${problems.length === 1 ? '' : 's'} · ${this.formatDuration(totalTime)}`
+      : 'No problems yet';
+
+    if (problems.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = 'Hints, explanations and optimizations you ask for on a problem show up here.';
+      historyList.appendChild(empty);
+      return;
+    }
+
+    problems.forEach(problem => {
+      const item = this.createHistorySummary(problem);
+      item.addEventListener('click', () => this.showHistoryProblem(problem.slug));
+      historyList.appendChild(item);
+    });
+  }
+
+  /**
+   * Build the summary card of a problem: title, difficulty, request counts and time spent
+   */
+  createHistorySummary(problem, element = document.createElement('div')) {
+    element.className = 'history-item';
+    element.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.className = 'history-title';
+    title.textContent = problem.difficulty ? `${problem.title} (${problem.difficulty})` : problem.title;
+
+    const counts = Object.entries(problem.counts || {})
+      .map(([type, count]) => `${count} ${type}${count === 1 ? '' : 's'}`);
+    if (problem.maxHintLevel > 0) {
+      counts.push(`hint level ${problem.maxHintLevel}`);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = [
+      ...counts,
+      this.formatDuration(problem.timeSpent),
+      new Date(problem.lastActive).toLocaleDateString()
+    ].join(' · ');
+
+    element.append(title, meta);
+    return element;
+  }
+
+  /**
+   * Show one problem's timeline of requests and code snapshots
+   */
+  async showHistoryProblem(slug) {
+    const response = await this.sendMessageToBackground({ type: 'getJournalProblem', problemSlug: slug }).catch(() => null);
+    const problem = response?.problem;
+    if (!problem) return;
+
+    this.historySlug = slug;
+    document.getElementById('historyOverview').style.display = 'none';
+    document.getElementById('historyDetail').style.display = 'block';
+
+    const counts = {};
+    problem.entries.forEach(entry => {
+      counts[entry.type] = (counts[entry.type] || 0) + 1;
+    });
+    this.createHistorySummary({ ...problem, counts }, document.getElementById('historyDetailHeader'));
+
+    const historyEntries = document.getElementById('historyEntries');
+    historyEntries.innerHTML = '';
+
+    [...problem.entries].reverse().forEach(entry => {
+      const element = document.createElement('div');
+      element.className = 'history-entry';
+
+      const label = [entry.type.charAt(0).toUpperCase() + entry.type.slice(1)];
+      if (entry.hintLevel) label.push(`level ${entry.hintLevel}`);
+      if (entry.status) label.push(entry.status);
+      if (entry.cached) label.push('cached');
+
+      const title = document.createElement('div');
+      title.className = 'history-title';
+      title.textContent = label.join(' · ');
+
+      const meta = document.createElement('div');
+      meta.className = 'history-meta';
+      meta.textContent = [new Date(entry.timestamp).toLocaleString(), entry.model || entry.provider]
+        .filter(Boolean)
+        .join(' · ');
+
+      const content = document.createElement('div');
+      content.className = 'history-entry-content';
+      content.textContent = entry.content;
+
+      element.append(title, meta, content);
+
+      if (entry.code) {
+        const snapshot = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = `Code snapshot${entry.language ? ` (${entry.language})` : ''}`;
+        const code = document.createElement('pre');
+        code.textContent = entry.code;
+        snapshot.append(summary, code);
+        element.appendChild(snapshot);
+      }
+
+      historyEntries.appendChild(element);
+    });
+  }
+
+  /**
+   * Download the whole journal as JSON or Markdown
+   */
+  async exportHistory(format) {
+    const response = await this.sendMessageToBackground({ type: 'exportJournal' }).catch(() => null);
+    if (!response?.success) {
+      this.showSettingsStatus('Failed to export history', 'error');
+      return;
+    }
+
+    const isMarkdown = format === 'markdown';
+    const content = isMarkdown
+      ? this.formatJournalMarkdown(response.journal)
+      : JSON.stringify(response.journal, null, 2);
+
+    const blob = new Blob([content], { type: isMarkdown ? 'text/markdown' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `leetpilot-history-${Date.now()}.${isMarkdown ? 'md' : 'json'}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Format the exported journal as a readable Markdown document
+   */
+  formatJournalMarkdown(journal) {
+    const lines = ['# LeetPilot history', '', `Exported ${journal.exportedAt}`];
+
+    journal.problems.forEach(problem => {
+      lines.push('', `## ${problem.title}`, '');
+      lines.push(`- Problem: https://leetcode.com/problems/${problem.slug}/`);
+      if (problem.difficulty) lines.push(`- Difficulty: ${problem.difficulty}`);
+      lines.push(`- Time spent: ${this.formatDuration(problem.timeSpent)}`);
+      if (problem.maxHintLevel > 0) lines.push(`- Highest hint level: ${problem.maxHintLevel}`);
+
+      problem.entries.forEach(entry => {
+        const label = [entry.type, entry.hintLevel ? `level ${entry.hintLevel}` : null, entry.status]
+          .filter(Boolean)
+          .join(', ');
+        lines.push('', `### ${label} (${new Date(entry.timestamp).toLocaleString()})`, '', entry.content);
+        if (entry.code) {
+          lines.push('', '```' + (entry.language || ''), entry.code, '```');
+        }
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Format a duration in milliseconds as minutes / hours
+   */
+  formatDuration(ms) {
+    const minutes = Math.round((ms || 0) / 60000);
+    if (minutes < 1) return '<1 min';
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  }
+
+  /**
+   * Ask the content script in the active LeetCode tab for the problem context
+   */
+  async getActiveProblemContext() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab?.id || !tab.url || !tab.url.includes('leetcode.com')) {
+        return null;
+      }
+
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'getProblemContext' });
+      return response?.success ? response.context : null;
+    } catch (error) {
+      console.log('Could not get problem context from active tab:', error.message);
+      return null;
+    }
   }
 
   setupSettingsHandlers() {
@@ -442,6 +1072,7 @@ export class PopupManager {
       toggleAutoHint: 'autoHint',
       toggleAutoErrorFix: 'autoErrorFix',
       toggleAutoOptimize: 'autoOptimize',
+      toggleStructuredOutput: 'structuredOutput',
       toggleNotifications: 'notifications',
       toggleSound: 'sound'
     };
@@ -449,6 +1080,12 @@ export class PopupManager {
     // Load settings from background
     this.loadSettings(toggles);
 
+    this.setupNumberSettings({
+      autoCompleteDebounce: { min: 300, max: 5000 },
+      autoCompleteMinChars: { min: 0, max: 20 },
+      cacheTtlHours: { min: 0, max: 720 }
+    });
+
     Object.entries(toggles).forEach(([toggleId, settingKey]) => {
       const toggle = document.getElementById(toggleId);
       if (toggle) {
@@ -474,6 +1111,9 @@ export class PopupManager {
       }
     });
 
+    this.setupHintLadderEditor();
+    this.setupPromptTemplateEditor();
+
     const resetSettings = document.getElementById('resetSettings');
     if (resetSettings) {
       resetSettings.addEventListener('click', () => {
@@ -508,6 +1148,408 @@ export class PopupManager {
     }
   }
 
+  /**
+   * Setup the hint ladder editor: start from a preset, then edit, add or remove levels
+   */
+  setupHintLadderEditor() {
+    const presetSelect = document.getElementById('hintLadderPreset');
+    if (!presetSelect) return;
+
+    this.hintLadderPresets = [];
+    this.hintLadderLevels = [];
+
+    presetSelect.addEventListener('change', () => {
+      const preset = this.hintLadderPresets.find(candidate => candidate.id === presetSelect.value);
+      if (preset) {
+        this.renderHintLadder(preset.levels.map(level => ({ ...level })));
+      }
+    });
+
+    document.getElementById('hintLadderAddLevel')?.addEventListener('click', () => {
+      this.hintLadderLevels = this.readHintLadder();
+      this.hintLadderLevels.push({ type: '', description: '', maxLength: 300, guidance: '' });
+      presetSelect.value = 'custom';
+      this.renderHintLadder(this.hintLadderLevels);
+    });
+    document.getElementById('hintLadderSave')?.addEventListener('click', () => {
+      this.saveHintLadder();
+    });
+    document.getElementById('hintLadderReset')?.addEventListener('click', () => {
+      this.resetHintLadder();
+    });
+
+    this.loadHintLadder();
+  }
+
+  /**
+   * Load the hint ladder in use and the built-in presets
+   */
+  async loadHintLadder() {
+    const response = await this.sendMessageToBackground({ type: 'getHintLadder' }).catch(() => null);
+    if (response?.success) {
+      this.showHintLadder(response);
+    }
+  }
+
+  /**
+   * Fill the preset picker and the level list from a hint ladder response
+   */
+  showHintLadder({ preset, levels, presets }) {
+    this.hintLadderPresets = presets || [];
+
+    const presetSelect = document.getElementById('hintLadderPreset');
+    presetSelect.innerHTML = '';
+    [...this.hintLadderPresets, { id: 'custom', label: 'Custom' }].forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      presetSelect.appendChild(option);
+    });
+
+    presetSelect.value = this.hintLadderPresets.some(candidate => candidate.id === preset) ? preset : 'custom';
+    this.renderHintLadder(levels || []);
+  }
+
+  /**
+   * Render one editable card per level
+   */
+  renderHintLadder(levels) {
+    this.hintLadderLevels = levels;
+
+    const list = document.getElementById('hintLadderLevels');
+    list.innerHTML = '';
+    this.renderHintLadderValidation(null);
+
+    levels.forEach((level, index) => {
+      const card = document.createElement('div');
+      card.className = 'hint-ladder-level';
+
+      const header = document.createElement('div');
+      header.className = 'hint-ladder-level-header';
+      header.textContent = `Level ${index + 1}`;
+
+      const removeButton = document.createElement('button');
+      removeButton.className = 'hint-ladder-remove';
+      removeButton.textContent = '×';
+      removeButton.title = 'Remove this level';
+      removeButton.disabled = levels.length <= 1;
+      removeButton.addEventListener('click', () => {
+        const remaining = this.readHintLadder();
+        remaining.splice(index, 1);
+        document.getElementById('hintLadderPreset').value = 'custom';
+        this.renderHintLadder(remaining);
+      });
+      header.appendChild(removeButton);
+      card.appendChild(header);
+
+      const row = document.createElement('div');
+      row.className = 'hint-ladder-level-row';
+      row.appendChild(this.createHintLadderField('input', 'type', level.type, 'Type, e.g. conceptual'));
+      const maxLength = this.createHintLadderField('input', 'maxLength', level.maxLength, 'Max length');
+      maxLength.type = 'number';
+      maxLength.min = 50;
+      maxLength.max = 2000;
+      maxLength.style.width = '90px';
+      maxLength.title = 'Maximum hint length in characters';
+      row.appendChild(maxLength);
+      card.appendChild(row);
+
+      card.appendChild(this.createHintLadderField('input', 'description', level.description, 'Short description'));
+      card.appendChild(this.createHintLadderField('textarea', 'guidance', level.guidance, 'Guidance sent to the model for this level'));
+
+      list.appendChild(card);
+    });
+
+    const addButton = document.getElementById('hintLadderAddLevel');
+    if (addButton) {
+      addButton.disabled = levels.length >= 8;
+    }
+  }
+
+  /**
+   * Create a level field; editing it turns the ladder into a custom one
+   */
+  createHintLadderField(tagName, field, value, placeholder) {
+    const element = document.createElement(tagName);
+    element.className = 'form-input';
+    element.dataset.field = field;
+    element.placeholder = placeholder;
+    element.value = value ?? '';
+    element.style.marginBottom = tagName === 'textarea' ? '0' : '6px';
+    element.addEventListener('input', () => {
+      document.getElementById('hintLadderPreset').value = 'custom';
+    });
+    return element;
+  }
+
+  /**
+   * Read the levels back from the editor
+   */
+  readHintLadder() {
+    return Array.from(document.querySelectorAll('#hintLadderLevels .hint-ladder-level')).map((card, index) => {
+      const read = field => card.querySelector(`[data-field="${field}"]`).value;
+      return {
+        ...this.hintLadderLevels[index],
+        type: read('type').trim(),
+        description: read('description').trim(),
+        maxLength: parseInt(read('maxLength'), 10),
+        guidance: read('guidance').trim()
+      };
+    });
+  }
+
+  /**
+   * Show hint ladder errors
+   */
+  renderHintLadderValidation(error) {
+    const validationElement = document.getElementById('hintLadderValidation');
+    if (!validationElement) return;
+
+    validationElement.textContent = error || '';
+    validationElement.className = error ? 'template-validation error' : 'template-validation';
+  }
+
+  /**
+   * Save the edited ladder
+   */
+  async saveHintLadder() {
+    const response = await this.sendMessageToBackground({
+      type: 'saveHintLadder',
+      preset: document.getElementById('hintLadderPreset').value,
+      levels: this.readHintLadder()
+    }).catch(error => ({ success: false, error: error.message }));
+
+    if (!response?.success) {
+      this.renderHintLadderValidation(response?.error || 'Could not save the hint ladder');
+      return;
+    }
+
+    this.showHintLadder(response);
+    this.showSettingsStatus('Hint ladder saved', 'success');
+  }
+
+  /**
+   * Go back to the default ladder
+   */
+  async resetHintLadder() {
+    if (!confirm('Reset the hint ladder to the default four levels?')) return;
+
+    const response = await this.sendMessageToBackground({ type: 'resetHintLadder' })
+      .catch(error => ({ success: false, error: error.message }));
+
+    if (!response?.success) {
+      this.showSettingsStatus(`Hint ladder not reset: ${response?.error || 'unknown error'}`, 'error');
+      return;
+    }
+
+    this.showHintLadder(response);
+    this.showSettingsStatus('Hint ladder reset to default', 'success');
+  }
+
+  /**
+   * Setup the prompt template editor: pick a template, edit, validate, preview, save or reset it
+   */
+  setupPromptTemplateEditor() {
+    const templateSelect = document.getElementById('templateSelect');
+    const templateEditor = document.getElementById('templateEditor');
+    if (!templateSelect || !templateEditor) return;
+
+    this.promptTemplates = [];
+
+    templateSelect.addEventListener('change', () => this.showPromptTemplate(templateSelect.value));
+
+    let validateTimeout = null;
+    templateEditor.addEventListener('input', () => {
+      clearTimeout(validateTimeout);
+      validateTimeout = setTimeout(() => this.previewPromptTemplate(false), 300);
+    });
+
+    document.getElementById('templatePreviewButton')?.addEventListener('click', () => {
+      this.previewPromptTemplate(true);
+    });
+    document.getElementById('templateSave')?.addEventListener('click', () => {
+      this.savePromptTemplate();
+    });
+    document.getElementById('templateReset')?.addEventListener('click', () => {
+      this.resetPromptTemplate();
+    });
+
+    this.loadPromptTemplates();
+  }
+
+  /**
+   * Load the editable templates and the user's overrides
+   */
+  async loadPromptTemplates(selectedType = null) {
+    const response = await this.sendMessageToBackground({ type: 'getPromptTemplates' }).catch(() => null);
+    if (!response?.success) return;
+
+    this.promptTemplates = response.templates;
+
+    const templateSelect = document.getElementById('templateSelect');
+    templateSelect.innerHTML = '';
+    this.promptTemplates.forEach(({ type, label, template }) => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = template !== null ? `${label} (customized)` : label;
+      templateSelect.appendChild(option);
+    });
+
+    templateSelect.value = selectedType || this.promptTemplates[0]?.type || '';
+    this.showPromptTemplate(templateSelect.value);
+  }
+
+  /**
+   * Put a template in the editor, with its placeholders as insertable chips
+   */
+  showPromptTemplate(type) {
+    const entry = this.promptTemplates.find(template => template.type === type);
+    if (!entry) return;
+
+    const templateEditor = document.getElementById('templateEditor');
+    templateEditor.value = entry.template ?? entry.defaultTemplate;
+
+    const placeholderList = document.getElementById('templatePlaceholders');
+    placeholderList.innerHTML = '';
+    entry.placeholders.forEach(name => {
+      const chip = document.createElement('button');
+      chip.className = 'template-placeholder';
+      chip.textContent = `{${name}}`;
+      chip.title = 'Insert at cursor';
+      chip.addEventListener('click', () => {
+        templateEditor.setRangeText(chip.textContent, templateEditor.selectionStart, templateEditor.selectionEnd, 'end');
+        templateEditor.focus();
+        templateEditor.dispatchEvent(new Event('input'));
+      });
+      placeholderList.appendChild(chip);
+    });
+
+    this.renderTemplateValidation(null);
+    document.getElementById('templatePreview').style.display = 'none';
+  }
+
+  /**
+   * Validate the edited template and, when asked, render it against the open problem
+   */
+  async previewPromptTemplate(showPreview) {
+    const templateType = document.getElementById('templateSelect').value;
+    const template = document.getElementById('templateEditor').value;
+
+    const response = await this.sendMessageToBackground({
+      type: 'previewPromptTemplate',
+      templateType: templateType,
+      template: template,
+      context: showPreview ? (await this.getActiveProblemContext() || {}) : {}
+    }).catch(error => ({ success: false, error: error.message }));
+
+    if (!response?.success) {
+      this.renderTemplateValidation({ errors: [response?.error || 'Could not validate template'], warnings: [] });
+      return;
+    }
+
+    this.renderTemplateValidation(response.validation);
+
+    const previewElement = document.getElementById('templatePreview');
+    if (showPreview && response.prompt) {
+      previewElement.textContent = response.prompt;
+      previewElement.style.display = 'block';
+    } else if (!response.prompt) {
+      previewElement.style.display = 'none';
+    }
+  }
+
+  /**
+   * Show template errors, or warnings when the template is valid
+   */
+  renderTemplateValidation(validation) {
+    const validationElement = document.getElementById('templateValidation');
+    if (!validationElement) return;
+
+    if (validation?.errors?.length > 0) {
+      validationElement.textContent = validation.errors.join('. ');
+      validationElement.className = 'template-validation error';
+    } else if (validation?.warnings?.length > 0) {
+      validationElement.textContent = validation.warnings.join('. ');
+      validationElement.className = 'template-validation warning';
+    } else {
+      validationElement.textContent = '';
+      validationElement.className = 'template-validation';
+    }
+  }
+
+  /**
+   * Save the edited template as an override
+   */
+  async savePromptTemplate() {
+    const templateType = document.getElementById('templateSelect').value;
+    const response = await this.sendMessageToBackground({
+      type: 'savePromptTemplate',
+      templateType: templateType,
+      template: document.getElementById('templateEditor').value
+    }).catch(error => ({ success: false, error: error.message }));
+
+    if (!response?.success) {
+      this.showSettingsStatus(`Template not saved: ${response?.error || 'unknown error'}`, 'error');
+      return;
+    }
+
+    await this.loadPromptTemplates(templateType);
+    this.renderTemplateValidation(response.validation);
+    this.showSettingsStatus('Prompt template saved', 'success');
+  }
+
+  /**
+   * Drop the override and go back to the built-in template
+   */
+  async resetPromptTemplate() {
+    const templateType = document.getElementById('templateSelect').value;
+    if (!confirm('Reset this template to the built-in default?')) return;
+
+    const response = await this.sendMessageToBackground({
+      type: 'resetPromptTemplate',
+      templateType: templateType
+    }).catch(error => ({ success: false, error: error.message }));
+
+    if (!response?.success) {
+      this.showSettingsStatus(`Template not reset: ${response?.error || 'unknown error'}`, 'error');
+      return;
+    }
+
+    await this.loadPromptTemplates(templateType);
+    this.showSettingsStatus('Prompt template reset to default', 'success');
+  }
+
+  /**
+   * Load and save numeric settings (input id matches the setting key), clamped to their range
+   */
+  async setupNumberSettings(ranges) {
+    const response = await this.sendMessageToBackground({ type: 'getSettings' }).catch(() => null);
+    const settings = response?.settings || {};
+
+    Object.entries(ranges).forEach(([settingKey, { min, max }]) => {
+      const input = document.getElementById(settingKey);
+      if (!input) return;
+
+      if (typeof settings[settingKey] === 'number') {
+        input.value = settings[settingKey];
+      }
+
+      input.addEventListener('change', () => {
+        const parsed = parseInt(input.value, 10);
+        const value = Math.min(max, Math.max(min, isNaN(parsed) ? min : parsed));
+        input.value = value;
+
+        this.sendMessageToBackground({
+          type: 'updateSetting',
+          setting: settingKey,
+          value: value
+        }).catch(error => {
+          console.error(`Failed to update setting ${settingKey}:`, error);
+        });
+      });
+    });
+  }
+
   async loadSettings(toggles) {
     try {
       const response = await this.sendMessageToBackground({ type: 'getSettings' });
@@ -581,7 +1623,8 @@ export class PopupManager {
         const tokenTotalBudgetInput = document.getElementById('tokenTotalBudget');
         
         if (providerSelect) providerSelect.value = config.provider;
-        if (apiKeyInput) apiKeyInput.value = '••••••••••••••••••••••••••••••••';
+        // Ollama may be configured without a key; leave the field empty rather than masked
+        if (apiKeyInput) apiKeyInput.value = config.apiKey ? '••••••••••••••••••••••••••••••••' : '';
         if (modelInput) modelInput.value = config.model || '';
         if (maxTokensInput) maxTokensInput.value = config.maxTokens || '';
         if (temperatureInput) temperatureInput.value = config.temperature || '';
@@ -590,13 +1633,23 @@ export class PopupManager {
         // Update token usage display
         this.updateTokenUsage();
         
-        if (config.provider === 'custom' && config.customApiUrl && customApiUrlInput) {
+        if ((config.provider === 'custom' || config.provider === 'ollama') && config.customApiUrl && customApiUrlInput) {
           customApiUrlInput.value = config.customApiUrl;
         }
+
+        if (config.provider === 'azure' && config.azure) {
+          document.getElementById('azureResourceName').value = config.azure.resourceName || '';
+          document.getElementById('azureDeploymentName').value = config.azure.deploymentName || '';
+          document.getElementById('azureApiVersion').value = config.azure.apiVersion || '';
+        }
         
         this.updateProviderInfo();
         this.updateModelPlaceholder();
         this.toggleCustomProviderFields();
+        this.toggleAzureProviderFields();
+        if (this.modelListProvider !== config.provider) {
+          this.clearModelOptions();
+        }
         
         // Hide setup guide if configuration exists
         const setupGuide = document.getElementById('setupGuide');
@@ -630,6 +1683,7 @@ export class PopupManager {
     const maxTokens = parseInt(maxTokensInput?.value) || 1000;
     const temperature = parseFloat(temperatureInput?.value) || 0.7;
     const customApiUrl = customApiUrlInput?.value?.trim();
+    const azure = this.getAzureFormSettings();
     // Handle tokenTotalBudget: empty/NaN → null (no limit), explicit number → that number
     const tokenTotalBudgetValue = tokenTotalBudgetInput?.value?.trim();
     let tokenTotalBudget = tokenTotalBudgetValue && !isNaN(parseInt(tokenTotalBudgetValue))
@@ -657,7 +1711,9 @@ export class PopupManager {
       }
     }
 
-    if (!apiKey || apiKey.length < 10) {
+    // Ollama runs locally and needs no key
+    const apiKeyIsOptional = provider === 'ollama';
+    if (!apiKeyIsOptional && (!apiKey || apiKey.length < 10)) {
       this.showStatus('Please enter a valid API key', 'error');
       return;
     }
@@ -669,7 +1725,8 @@ export class PopupManager {
         model: model,
         maxTokens: maxTokens,
         temperature: temperature,
-        customApiUrl: customApiUrl
+        customApiUrl: customApiUrl,
+        azure: azure
       });
 
       if (!configValidation.valid) {
@@ -700,6 +1757,7 @@ export class PopupManager {
           maxTokens: maxTokens,
           temperature: temperature,
           customApiUrl: customApiUrl || null,
+          azure: azure,
           tokenTotalBudget: tokenTotalBudget ?? null
         }
       });
@@ -712,9 +1770,10 @@ export class PopupManager {
         if (setupGuide) setupGuide.style.display = 'none';
         if (testButton) testButton.style.display = 'block';
         
-        if (apiKeyInput) apiKeyInput.value = '••••••••••••••••••••••••••••••••';
+        if (apiKeyInput && apiKey) apiKeyInput.value = '••••••••••••••••••••••••••••••••';
         
         this.updateMainPageStatus();
+        this.loadProfiles().catch(error => console.log('Profile refresh failed:', error));
         
         // Only auto-test if user entered a new API key (not masked)
         // This prevents reloading stale/invalid API keys from storage
@@ -834,6 +1893,7 @@ export class PopupManager {
       maxTokens: parseInt(maxTokensInput?.value) || 1000,
       temperature: parseFloat(temperatureInput?.value) || 0.7,
       customApiUrl: customApiUrlInput?.value?.trim() || null,
+      azure: this.getAzureFormSettings(),
       tokenTotalBudget: (() => {
         const value = tokenTotalBudgetInput?.value?.trim();
         return value && !isNaN(parseInt(value)) ? parseInt(value) : null;
@@ -907,6 +1967,16 @@ export class PopupManager {
           name: 'Custom Provider (OpenAI Compatible)',
           defaultModel: 'gpt-3.5-turbo',
           apiUrl: null
+        },
+        ollama: {
+          name: 'Ollama (Local)',
+          defaultModel: 'llama3.1',
+          apiUrl: 'http://localhost:11434'
+        },
+        azure: {
+          name: 'Azure OpenAI',
+          defaultModel: 'gpt-4o',
+          apiUrl: 'https://{resource}.openai.azure.com'
         }
       };
       
@@ -918,6 +1988,13 @@ export class PopupManager {
         if (provider === 'custom') {
           infoHtml += `Compatible with OpenAI API format<br>`;
           infoHtml += `Requires custom API base URL`;
+        } else if (provider === 'azure') {
+          infoHtml += `Uses your resource's deployment and its api-key<br>`;
+          infoHtml += `API URL: ${providerData.apiUrl}`;
+        } else if (provider === 'ollama') {
+          infoHtml += `Runs models on your machine, no API key needed<br>`;
+          infoHtml += `Default server: ${providerData.apiUrl}<br>`;
+          infoHtml += `Start Ollama with OLLAMA_ORIGINS=chrome-extension://*`;
         } else {
           infoHtml += `Default Model: ${providerData.defaultModel}<br>`;
           infoHtml += `API URL: ${providerData.apiUrl}`;
@@ -943,10 +2020,28 @@ export class PopupManager {
     if (!providerSelect || !customProviderFields) return;
     
     const provider = providerSelect.value;
+    const isOllama = provider === 'ollama';
+
+    // Ollama reuses the URL field for its (optional) server address, and needs no key
+    const urlLabel = document.getElementById('customApiUrlLabel');
+    const urlHelp = document.getElementById('customApiUrlHelp');
+    const apiKeyLabel = document.getElementById('apiKeyLabel');
+    const apiKeyInput = document.getElementById('apiKey');
+    if (urlLabel) urlLabel.textContent = isOllama ? 'Ollama Server URL' : 'Custom API URL';
+    if (urlHelp) {
+      urlHelp.textContent = isOllama
+        ? 'Leave empty for http://localhost:11434'
+        : 'OpenAI-compatible API endpoint (HTTPS, or HTTP on localhost)';
+    }
+    if (customApiUrlInput) {
+      customApiUrlInput.placeholder = isOllama ? 'http://localhost:11434' : 'https://api.example.com/v1/chat/completions';
+    }
+    if (apiKeyLabel) apiKeyLabel.textContent = isOllama ? 'API Key (optional)' : 'API Key';
+    if (apiKeyInput) apiKeyInput.placeholder = isOllama ? 'Only needed behind an authenticating proxy' : 'Enter your API key';
     
-    if (provider === 'custom') {
+    if (provider === 'custom' || isOllama) {
       customProviderFields.style.display = 'block';
-      if (customApiUrlInput) customApiUrlInput.required = true;
+      if (customApiUrlInput) customApiUrlInput.required = !isOllama;
     } else {
       customProviderFields.style.display = 'none';
       if (customApiUrlInput) {
@@ -957,6 +2052,41 @@ export class PopupManager {
     }
   }
 
+  /**
+   * Toggle Azure OpenAI fields (resource, deployment and api-version) visibility
+   */
+  toggleAzureProviderFields() {
+    const providerSelect = document.getElementById('provider');
+    const azureProviderFields = document.getElementById('azureProviderFields');
+
+    if (!providerSelect || !azureProviderFields) return;
+
+    const isAzure = providerSelect.value === 'azure';
+    azureProviderFields.style.display = isAzure ? 'block' : 'none';
+
+    // The deployment decides the model, so there is no list to pick from
+    const loadModelsButton = document.getElementById('loadModels');
+    if (loadModelsButton) loadModelsButton.disabled = isAzure;
+
+    ['azureResourceName', 'azureDeploymentName'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.required = isAzure;
+    });
+  }
+
+  /**
+   * Read the Azure OpenAI fields, or null when another provider is selected
+   */
+  getAzureFormSettings() {
+    if (document.getElementById('provider')?.value !== 'azure') return null;
+
+    return {
+      resourceName: document.getElementById('azureResourceName')?.value?.trim() || '',
+      deploymentName: document.getElementById('azureDeploymentName')?.value?.trim() || '',
+      apiVersion: document.getElementById('azureApiVersion')?.value?.trim() || null
+    };
+  }
+
   /**
    * Validate custom API URL format
    */
@@ -971,11 +2101,17 @@ export class PopupManager {
     if (customApiUrl) {
       try {
         const url = new URL(customApiUrl);
+        const isLoopback = ['localhost', '127.0.0.1'].includes(url.hostname);
+        const isOllama = document.getElementById('provider')?.value === 'ollama';
         
-        if (!url.protocol.startsWith('https')) {
-          urlValidation.textContent = '⚠ API URL should use HTTPS for security';
+        if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLoopback)) {
+          urlValidation.textContent = '⚠ API URL must use HTTPS (plain HTTP is only allowed for localhost)';
           urlValidation.className = 'validation-feedback invalid';
           urlValidation.style.display = 'block';
+        } else if (isOllama) {
+          urlValidation.textContent = '✓ Valid server URL';
+          urlValidation.className = 'validation-feedback valid';
+          urlValidation.style.display = 'block';
         } else if (!customApiUrl.includes('/chat/completions') && !customApiUrl.includes('/v1/')) {
           urlValidation.textContent = 'ℹ Make sure this is the correct OpenAI-compatible endpoint';
           urlValidation.className = 'validation-feedback invalid';
@@ -1125,13 +2261,19 @@ export class PopupManager {
         openai: { defaultModel: 'gpt-4' },
         anthropic: { defaultModel: 'claude-3-sonnet-20240229' },
         gemini: { defaultModel: 'gemini-pro' },
-        custom: { defaultModel: 'gpt-3.5-turbo' }
+        custom: { defaultModel: 'gpt-3.5-turbo' },
+        ollama: { defaultModel: 'llama3.1' },
+        azure: { defaultModel: 'gpt-4o' }
       };
       
       const defaultModel = providers[provider]?.defaultModel;
       
       if (provider === 'custom') {
         modelInput.placeholder = 'e.g., gpt-3.5-turbo, gpt-4, llama-2-7b-chat';
+      } else if (provider === 'ollama') {
+        modelInput.placeholder = 'e.g., llama3.1, qwen2.5-coder, deepseek-r1 (must be pulled)';
+      } else if (provider === 'azure') {
+        modelInput.placeholder = 'The model your deployment runs, e.g., gpt-4o';
       } else if (defaultModel) {
         modelInput.placeholder = `e.g., ${defaultModel}`;
       } else {
@@ -1142,6 +2284,107 @@ export class PopupManager {
     }
   }
 
+  /**
+   * Fetch the provider's models and offer them in the model field.
+   * The first load may come from the cache; loading again for the same provider refreshes it.
+   */
+  async loadModels() {
+    const button = document.getElementById('loadModels');
+    const provider = document.getElementById('provider')?.value;
+
+    if (!provider) {
+      this.showStatus('Please select an AI provider', 'error');
+      return;
+    }
+
+    const config = await this.getCurrentFormConfig() || {
+      // Masked key: the background uses the stored key
+      provider: provider,
+      apiKey: null,
+      model: document.getElementById('model')?.value?.trim() || null,
+      customApiUrl: document.getElementById('customApiUrl')?.value?.trim() || null,
+      azure: this.getAzureFormSettings()
+    };
+    const refresh = this.modelListProvider === provider;
+
+    if (button) {
+      button.disabled = true;
+      button.textContent = 'Loading...';
+    }
+
+    try {
+      const response = await this.sendMessageToBackground({ type: 'listModels', config, refresh });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Unknown error');
+      }
+
+      this.renderModelOptions(response.models);
+      this.modelListProvider = provider;
+
+      const status = document.getElementById('modelListStatus');
+      if (status) {
+        const fetched = new Date(response.fetchedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+        status.textContent = response.models.length > 0
+          ? `${response.models.length} models, fetched ${fetched}. Type in the model field to search.`
+          : 'The provider returned no models';
+        status.style.display = 'block';
+      }
+    } catch (error) {
+      this.showStatus('Failed to load models: ' + error.message, 'error');
+    } finally {
+      if (button) {
+        button.disabled = false;
+        button.textContent = this.modelListProvider === provider ? 'Refresh' : 'Load models';
+      }
+    }
+  }
+
+  /**
+   * Offer models as searchable suggestions for the model field, with their context window
+   * @param {Array} models - { id, name, contextWindow } from the provider
+   */
+  renderModelOptions(models) {
+    const datalist = document.getElementById('modelOptions');
+    const modelInput = document.getElementById('model');
+    if (!datalist || !modelInput) return;
+
+    datalist.replaceChildren(...models.map(model => {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.label = [
+        model.name && model.name !== model.id ? model.name : '',
+        model.contextWindow ? `${this.formatContextWindow(model.contextWindow)} context` : ''
+      ].filter(Boolean).join(' · ');
+      return option;
+    }));
+    modelInput.setAttribute('list', 'modelOptions');
+  }
+
+  /**
+   * Drop the loaded model list (it belongs to the previously selected provider)
+   */
+  clearModelOptions() {
+    const datalist = document.getElementById('modelOptions');
+    const status = document.getElementById('modelListStatus');
+    const button = document.getElementById('loadModels');
+
+    if (datalist) datalist.replaceChildren();
+    document.getElementById('model')?.removeAttribute('list');
+    if (status) status.style.display = 'none';
+    if (button) button.textContent = 'Load models';
+    this.modelListProvider = null;
+  }
+
+  /**
+   * Format a context window size, e.g. 128000 -> "128K", 1048576 -> "1M"
+   */
+  formatContextWindow(tokens) {
+    if (tokens >= 1000000) {
+      return `${Number((tokens / 1000000).toFixed(1))}M`;
+    }
+    return `${Math.round(tokens / 1000)}K`;
+  }
+
   /**
    * Load build information
    */
@@ -1211,6 +2454,7 @@ export class PopupManager {
         maxTokens: config.maxTokens,
         temperature: config.temperature,
         customApiUrl: config.customApiUrl,
+        azure: config.azure || null,
         // Theme Settings
         theme: {
           darkMode: isDarkMode
@@ -1253,7 +2497,7 @@ export class PopupManager {
       const text = await file.text();
       const importData = JSON.parse(text);
 
-      if (!importData.provider || !importData.apiKey) {
+      if (!importData.provider || (!importData.apiKey && importData.provider !== 'ollama')) {
         this.showSettingsStatus('Invalid configuration file: missing required fields', 'error');
         return;
       }
@@ -1264,7 +2508,8 @@ export class PopupManager {
         model: importData.model || null,
         maxTokens: importData.maxTokens || 1000,
         temperature: importData.temperature || 0.7,
-        customApiUrl: importData.customApiUrl || null
+        customApiUrl: importData.customApiUrl || null,
+        azure: importData.azure || null
       };
 
       const response = await this.sendMessageToBackground({
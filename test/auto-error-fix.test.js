@@ -0,0 +1,69 @@
+// Auto Error Fix Tests
+// Tests that automatic error explanations stay off until the user turns them on
+
+const { isAutoFeatureEnabled } = require('../src/core/storage-manager.js');
+
+// The orchestrator reads its collaborators from window when the script loads
+class FakeResultWatcher {
+  constructor() {
+    this.start = jest.fn();
+    this.stop = jest.fn();
+  }
+}
+
+window.__LeetPilotMonacoDetector = class {};
+window.__LeetPilotKeyboardHandler = class {};
+window.__LeetPilotResultWatcher = FakeResultWatcher;
+require('../src/content/content-orchestrator.js');
+
+const ContentOrchestrator = window.__LeetPilotContentOrchestrator;
+
+describe('Auto Error Fix', () => {
+  let storageListeners;
+
+  beforeEach(() => {
+    storageListeners = [];
+    chrome.storage.onChanged = { addListener: jest.fn(listener => storageListeners.push(listener)) };
+  });
+
+  describe('Content script', () => {
+    async function setUpWithSetting(settings) {
+      chrome.storage.local.get.mockResolvedValue(settings);
+      const orchestrator = new ContentOrchestrator();
+      await orchestrator.setupErrorExplanations();
+      return orchestrator;
+    }
+
+    test('should not watch run results when the setting was never set', async () => {
+      const orchestrator = await setUpWithSetting({});
+
+      expect(orchestrator.resultWatcher.start).not.toHaveBeenCalled();
+      expect(orchestrator.resultWatcher.stop).toHaveBeenCalled();
+    });
+
+    test('should watch run results once the setting is turned on, and stop when turned off', async () => {
+      const orchestrator = await setUpWithSetting({ autoErrorFix: true });
+      expect(orchestrator.resultWatcher.start).toHaveBeenCalledTimes(1);
+
+      storageListeners.forEach(listener => listener({ autoErrorFix: { newValue: false } }, 'local'));
+      expect(orchestrator.resultWatcher.stop).toHaveBeenCalled();
+    });
+  });
+
+  describe('Background', () => {
+    test('should skip automatic explanations when the setting was never set', async () => {
+      require('../src/background/background-service.js');
+      chrome.storage.local.get.mockResolvedValue({});
+
+      await expect(self.leetPilotBackgroundService.isFeatureEnabled('autoErrorFix')).resolves.toBe(false);
+      expect(isAutoFeatureEnabled('autoErrorFix', undefined)).toBe(false);
+      expect(isAutoFeatureEnabled('autoErrorFix', false)).toBe(false);
+      expect(isAutoFeatureEnabled('autoErrorFix', true)).toBe(true);
+    });
+
+    test('should keep other automatic features on unless turned off', () => {
+      expect(isAutoFeatureEnabled('autoHint', undefined)).toBe(true);
+      expect(isAutoFeatureEnabled('autoHint', false)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+// Code Diff Tests
+// Tests that suggested code is diffed into hunks that apply cleanly to the editor's code
+
+const { extractCodeBlocks, findSuggestedCode, diffLines, applyHunk } = require('../src/core/code-diff.js');
+
+// Build numbered lines, so a change anywhere is easy to spot
+function numberedLines(count, prefix = 'line') {
+  return Array.from({ length: count }, (_, index) => `${prefix} ${index + 1}`);
+}
+
+// Apply hunks one after another, failing the test if one no longer matches
+function applyAll(code, hunks) {
+  return hunks.reduce((current, hunk) => {
+    const result = applyHunk(current, hunk);
+    expect(result).not.toBeNull();
+    return result.code;
+  }, code);
+}
+
+describe('Code Diff', () => {
+  describe('Code blocks', () => {
+    test('should extract fenced code blocks with their language', () => {
+      const blocks = extractCodeBlocks('Try this:\n\n```Python\nx = 1\n```\n\nor\n\n```\ny = 2\n```');
+
+      expect(blocks).toEqual([
+        { language: 'python', code: 'x = 1' },
+        { language: '', code: 'y = 2' }
+      ]);
+    });
+
+    test('should pick the block sharing the most lines with the current code', () => {
+      const current = 'def solve(nums):\n    seen = set()\n    return False';
+      const response = 'Example:\n```python\nprint(1)\n```\nFix:\n```python\ndef solve(nums):\n    seen = {}\n    return False\n```';
+
+      expect(findSuggestedCode(response, current).code).toContain('seen = {}');
+    });
+  });
+
+  describe('Hunks', () => {
+    test('should split distant changes into hunks that apply in any order', () => {
+      const oldLines = numberedLines(30);
+      const newLines = [...oldLines];
+      newLines.splice(2, 1, 'changed 3', 'added after 3');
+      newLines[26] = 'changed 26';
+      const oldText = oldLines.join('\n');
+      const newText = newLines.join('\n');
+
+      const hunks = diffLines(oldText, newText);
+
+      expect(hunks).toHaveLength(2);
+      expect(hunks[0].oldStart).toBe(2);
+      expect(hunks[0].oldLines).toEqual(['line 3']);
+      expect(hunks[0].newLines).toEqual(['changed 3', 'added after 3']);
+      expect(hunks[0].before).toEqual(['line 1', 'line 2']);
+      expect(hunks[1].oldLines).toEqual(['line 26']);
+      expect(applyAll(oldText, hunks)).toBe(newText);
+      // The second hunk is found even though the first one moved it down a line
+      expect(applyAll(oldText, [...hunks].reverse())).toBe(newText);
+    });
+
+    test('should leave the code around a partial suggestion alone', () => {
+      const oldText = [
+        'class Solution:',
+        '    def twoSum(self, nums, target):',
+        '        for i in range(len(nums)):',
+        '            for j in range(len(nums)):',
+        '                if nums[i] + nums[j] == target:',
+        '                    return [i, j]',
+        '',
+        '    def helper(self):',
+        '        pass'
+      ].join('\n');
+      const snippet = [
+        '        for i in range(len(nums)):',
+        '            for j in range(i + 1, len(nums)):',
+        '                if nums[i] + nums[j] == target:'
+      ].join('\n');
+
+      const hunks = diffLines(oldText, snippet, { partial: true });
+
+      expect(hunks).toHaveLength(1);
+      expect(hunks[0].oldLines).toEqual(['            for j in range(len(nums)):']);
+      expect(hunks[0].newLines).toEqual(['            for j in range(i + 1, len(nums)):']);
+      expect(applyAll(oldText, hunks)).toBe(oldText.replace('for j in range(len(nums))', 'for j in range(i + 1, len(nums))'));
+    });
+
+    test('should show the code outside a full suggestion as deleted', () => {
+      const hunks = diffLines('a\nb\nc\nd', 'b\nc');
+
+      expect(hunks.map(hunk => hunk.oldLines)).toEqual([['a', 'b', 'c', 'd']]);
+    });
+
+    test('should anchor an insertion-only hunk by the lines around it', () => {
+      const oldText = ['return x', 'if a:', '    pass', 'if b:', '    pass'].join('\n');
+      const newText = ['return x', 'if a:', '    pass', '# check b', 'if b:', '    pass'].join('\n');
+
+      const [hunk] = diffLines(oldText, newText);
+
+      expect(hunk.oldLines).toEqual([]);
+      expect(hunk.newLines).toEqual(['# check b']);
+      expect(applyHunk(oldText, hunk)).toEqual({ code: newText, start: 3, end: 3 });
+      // With a line added above, the insertion still goes between its anchors
+      expect(applyHunk(`import os\n${oldText}`, hunk).code).toBe(`import os\n${newText}`);
+    });
+
+    test('should not apply a hunk whose lines have changed since', () => {
+      const [hunk] = diffLines('a\nb\nc', 'a\nB\nc');
+
+      expect(applyHunk('a\nx\nc', hunk)).toBeNull();
+    });
+
+    test('should ignore trailing whitespace and line ending differences', () => {
+      expect(diffLines('a  \r\nb\r\n', 'a\nb\n')).toEqual([]);
+    });
+  });
+
+  describe('Size limit', () => {
+    test('should not diff code that differs in more lines than the limit', () => {
+      const oldText = numberedLines(2001, 'old').join('\n');
+      const newText = numberedLines(2001, 'new').join('\n');
+
+      expect(diffLines(oldText, newText)).toBeNull();
+    });
+
+    test('should still diff long code when its unchanged ends are trimmed', () => {
+      const oldLines = numberedLines(5000);
+      const newLines = [...oldLines];
+      newLines[2500] = 'changed';
+
+      const hunks = diffLines(oldLines.join('\n'), newLines.join('\n'));
+
+      expect(hunks).toHaveLength(1);
+      expect(hunks[0].oldStart).toBe(2500);
+    });
+  });
+});
@@ -490,3 +490,111 @@ describe('Comprehensive Error Handler', () => {
     });
   });
 });
+
+describe('Provider Fallback', () => {
+  // The fallback chain is tested against the real handler, which both background implementations use
+  const { ComprehensiveErrorHandler: ExtensionErrorHandler } = require('../src/core/error-handler.js');
+
+  const providerChain = [
+    { profileId: 'main', name: 'Main', config: { provider: 'openai' } },
+    { profileId: 'backup', name: 'Backup', config: { provider: 'anthropic' } },
+    { profileId: 'local', name: '', config: { provider: 'ollama' } }
+  ];
+
+  let errorHandler;
+
+  beforeEach(() => {
+    errorHandler = new ExtensionErrorHandler();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorHandler.destroy();
+    console.warn.mockRestore();
+  });
+
+  function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  describe('Which errors fall back', () => {
+    test.each([
+      [429, 'Rate limit reached for tokens per min'],
+      [500, 'Internal server error'],
+      [502, 'Bad gateway'],
+      [503, 'Service unavailable'],
+      [504, 'Gateway timeout']
+    ])('should fall back on HTTP %i', (status, message) => {
+      expect(errorHandler.shouldFallback(httpError(status, message))).toBe(true);
+    });
+
+    test.each([
+      [401, 'Invalid API key'],
+      [400, 'Invalid request: messages is required']
+    ])('should not fall back on HTTP %i', (status, message) => {
+      expect(errorHandler.shouldFallback(httpError(status, message))).toBe(false);
+    });
+
+    test('should fall back on network errors and exceeded quotas', () => {
+      expect(errorHandler.shouldFallback(new Error('Failed to fetch'))).toBe(true);
+      expect(errorHandler.shouldFallback(new Error('Monthly quota exceeded'))).toBe(true);
+    });
+  });
+
+  describe('Fallback chain', () => {
+    test('should answer with the first provider without falling back', async () => {
+      const operation = jest.fn().mockResolvedValue('hint');
+
+      const result = await errorHandler.executeWithFallback(providerChain, operation);
+
+      expect(result).toEqual({ response: 'hint', answeredBy: providerChain[0], failedProviders: [] });
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report the providers that failed before one answered', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(httpError(429, 'Rate limit exceeded'))
+        .mockRejectedValueOnce(httpError(503, 'Service unavailable'))
+        .mockResolvedValueOnce('hint');
+
+      const result = await errorHandler.executeWithFallback(providerChain, operation);
+
+      expect(result.answeredBy).toBe(providerChain[2]);
+      // A profile without a name is reported by its provider
+      expect(result.failedProviders).toEqual(['Main', 'Backup']);
+      expect(operation.mock.calls.map(([entry]) => entry.profileId)).toEqual(['main', 'backup', 'local']);
+    });
+
+    test('should stop at an error the next provider would also get', async () => {
+      const error = httpError(401, 'Invalid API key');
+      const operation = jest.fn().mockRejectedValue(error);
+
+      await expect(errorHandler.executeWithFallback(providerChain, operation)).rejects.toBe(error);
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop when the request was cancelled', async () => {
+      const controller = new AbortController();
+      const operation = jest.fn().mockImplementation(async () => {
+        controller.abort();
+        throw httpError(503, 'Service unavailable');
+      });
+
+      await expect(errorHandler.executeWithFallback(providerChain, operation, controller.signal))
+        .rejects.toThrow('Service unavailable');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should throw the last provider\'s error when every provider fails', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(httpError(429, 'Rate limit exceeded'))
+        .mockRejectedValueOnce(httpError(500, 'Internal server error'))
+        .mockRejectedValueOnce(httpError(502, 'Bad gateway'));
+
+      await expect(errorHandler.executeWithFallback(providerChain, operation)).rejects.toThrow('Bad gateway');
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+  });
+});
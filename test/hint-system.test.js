@@ -0,0 +1,159 @@
+// Progressive Hint System Tests
+// Tests that hint sessions survive a service worker restart through storage and that custom ladders are checked
+
+const { ProgressiveHintSystem, HINT_LADDER_PRESETS } = require('../src/core/hint-system.js');
+
+describe('Progressive Hint System', () => {
+  let storageData;
+
+  beforeEach(() => {
+    storageData = {};
+    chrome.storage.local.get.mockImplementation(async (keys) => {
+      return Object.fromEntries([].concat(keys).filter(name => name in storageData).map(name => [name, storageData[name]]));
+    });
+    chrome.storage.local.set.mockImplementation(async (items) => {
+      Object.assign(storageData, JSON.parse(JSON.stringify(items)));
+    });
+  });
+
+  function giveHints(hintSystem) {
+    hintSystem.updateHintSession('two-sum', 'Two Sum', 1, 'Think about which approach avoids checking every pair.', {
+      currentCode: 'def twoSum(self, nums, target):\n    pass',
+      language: 'python'
+    });
+    hintSystem.updateHintSession('two-sum', 'Two Sum', 2, 'Consider a hash map from value to index.', {
+      currentCode: 'def twoSum(self, nums, target):\n    seen = {}\n    for i, n in enumerate(nums):\n        pass',
+      language: 'python'
+    });
+  }
+
+  describe('Session storage', () => {
+    test('should restore a session after a restart', async () => {
+      const before = new ProgressiveHintSystem();
+      giveHints(before);
+      await before.persistSessions();
+
+      const after = new ProgressiveHintSystem();
+      await after.restoreSessions();
+
+      const session = after.getHintSession('two-sum', 'Two Sum');
+      expect(session).not.toBeNull();
+      expect(session.hints.map(hint => hint.level)).toEqual([1, 2]);
+      expect(after.getNextHintLevel('two-sum', 'Two Sum')).toBe(3);
+    });
+
+    test('should restore the introduced concepts as a Set', async () => {
+      const before = new ProgressiveHintSystem();
+      giveHints(before);
+      await before.persistSessions();
+      const concepts = Array.from(before.getHintSession('two-sum', 'Two Sum').progression.conceptsIntroduced);
+
+      const after = new ProgressiveHintSystem();
+      await after.restoreSessions();
+
+      const restored = after.getHintSession('two-sum', 'Two Sum').progression.conceptsIntroduced;
+      expect(concepts.length).toBeGreaterThan(0);
+      expect(restored).toBeInstanceOf(Set);
+      expect(Array.from(restored)).toEqual(concepts);
+    });
+
+    test('should keep the code evolution', async () => {
+      const before = new ProgressiveHintSystem();
+      giveHints(before);
+      await before.persistSessions();
+      const codeEvolution = before.getHintSession('two-sum', 'Two Sum').progression.codeEvolution;
+
+      const after = new ProgressiveHintSystem();
+      await after.restoreSessions();
+
+      // The code at the first hint is the initial code, so only the later change is tracked
+      expect(codeEvolution.map(step => step.hintLevel)).toEqual([2]);
+      expect(after.getHintSession('two-sum', 'Two Sum').progression.codeEvolution).toEqual(codeEvolution);
+    });
+
+    test('should drop sessions that expired while stored', async () => {
+      const before = new ProgressiveHintSystem();
+      giveHints(before);
+      before.updateHintSession('valid-parentheses', 'Valid Parentheses', 1, 'Think about a stack.', {});
+      before.getHintSession('two-sum', 'Two Sum').lastUpdated = Date.now() - before.sessionTimeout - 1000;
+      await before.persistSessions();
+
+      const after = new ProgressiveHintSystem();
+      await after.restoreSessions();
+
+      expect(after.getHintSession('two-sum', 'Two Sum')).toBeNull();
+      expect(after.getHintSession('valid-parentheses', 'Valid Parentheses')).not.toBeNull();
+    });
+
+    test('should keep a session updated before the stored ones were restored', async () => {
+      const before = new ProgressiveHintSystem();
+      giveHints(before);
+      await before.persistSessions();
+
+      const after = new ProgressiveHintSystem();
+      after.updateHintSession('two-sum', 'Two Sum', 1, 'Start over with a brute force idea.', {});
+      await after.restoreSessions();
+
+      expect(after.getHintSession('two-sum', 'Two Sum').hints).toHaveLength(1);
+    });
+  });
+
+  describe('Hint ladders', () => {
+    let hintSystem;
+
+    beforeEach(() => {
+      hintSystem = new ProgressiveHintSystem();
+    });
+
+    function level(overrides = {}) {
+      return { type: 'conceptual', description: 'The approach', maxLength: 200, guidance: 'Name the pattern, nothing more.', ...overrides };
+    }
+
+    test('should accept every built-in ladder', () => {
+      Object.values(HINT_LADDER_PRESETS).forEach(({ levels }) => {
+        expect(hintSystem.validateLadder(levels)).toEqual({ valid: true, errors: [] });
+      });
+    });
+
+    test('should reject a ladder with too few or too many levels', () => {
+      expect(hintSystem.validateLadder([]).errors).toEqual(['A hint ladder needs 1 to 8 levels']);
+      expect(hintSystem.validateLadder(Array.from({ length: 9 }, () => level())).valid).toBe(false);
+      expect(hintSystem.validateLadder(null).valid).toBe(false);
+    });
+
+    test('should report each invalid field with its level', () => {
+      const result = hintSystem.validateLadder([
+        level(),
+        level({ type: ' ', guidance: '', maxLength: 10 }),
+        level({ type: 'x'.repeat(41), description: 'x'.repeat(201), guidance: 'x'.repeat(1001), maxLength: 250.5 })
+      ]);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Level 2 needs a type',
+        'Level 2 needs guidance text',
+        'Level 2 max length must be between 50 and 2000',
+        'Level 3 type is too long (maximum 40 characters)',
+        'Level 3 description must be at most 200 characters',
+        'Level 3 guidance is too long (maximum 1000 characters)',
+        'Level 3 max length must be between 50 and 2000'
+      ]);
+    });
+
+    test('should reject a level that is not an object', () => {
+      expect(hintSystem.validateLadder([level(), 'hint']).errors).toEqual(['Level 2 is not a valid level']);
+    });
+
+    test('should use a valid ladder and ignore an invalid one', () => {
+      hintSystem.setLadder([level({ type: '  nudge ', maxLength: '150' }), level({ type: 'pseudocode' })]);
+
+      expect(hintSystem.maxHintLevel).toBe(2);
+      expect(hintSystem.getLadder()[0]).toMatchObject({ type: 'nudge', maxLength: 150, keywords: [] });
+
+      hintSystem.setLadder([level({ guidance: '' })]);
+
+      expect(hintSystem.maxHintLevel).toBe(HINT_LADDER_PRESETS.progressive.levels.length);
+      expect(hintSystem.getLadder()[0].type).toBe('conceptual');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// Input Validator Tests
+// Tests that structured (JSON) AI responses are parsed, checked against their schema and sanitized
+
+const { InputValidator } = require('../src/core/input-validator.js');
+const { getResponseSchema } = require('../src/core/response-schemas.js');
+
+const bottleneckSchema = getResponseSchema('complexity').properties.bottlenecks.items;
+
+describe('Input Validator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new InputValidator();
+  });
+
+  describe('JSON parsing', () => {
+    test('should parse a bare JSON object', () => {
+      expect(validator.parseJSONResponse('{"a": 1}')).toEqual({ a: 1 });
+    });
+
+    test('should parse JSON in a Markdown code fence', () => {
+      expect(validator.parseJSONResponse('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+      expect(validator.parseJSONResponse('```\n{"a": [1, 2]}\n```')).toEqual({ a: [1, 2] });
+    });
+
+    test('should parse a JSON object with text around it', () => {
+      expect(validator.parseJSONResponse('Here is the analysis: {"a": {"b": 2}} Hope it helps!')).toEqual({ a: { b: 2 } });
+    });
+
+    test('should return undefined when there is no JSON', () => {
+      expect(validator.parseJSONResponse('The loop runs in O(n) time.')).toBeUndefined();
+      expect(validator.parseJSONResponse('{not json}')).toBeUndefined();
+    });
+  });
+
+  describe('Structured responses', () => {
+    test('should accept a response matching its schema', () => {
+      const result = validator.validateAIResponse(
+        'Sure!\n```json\n{"line": 4, "reason": "Nested loop over the array"}\n```',
+        bottleneckSchema
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.sanitized).toEqual({ line: 4, reason: 'Nested loop over the array' });
+    });
+
+    test('should reject a response that is not JSON', () => {
+      const result = validator.validateStructuredAIResponse('The bottleneck is line 4.', bottleneckSchema);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('AI response is not valid JSON');
+      expect(result.sanitized).toBeNull();
+    });
+
+    test('should reject a response missing a required field', () => {
+      const result = validator.validateStructuredAIResponse('{"line": 4}', bottleneckSchema);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('response.reason is required');
+      expect(result.sanitized).toBeNull();
+    });
+
+    test('should reject integers that are out of range or not whole', () => {
+      expect(validator.validateStructuredAIResponse('{"line": 0, "reason": "x"}', bottleneckSchema).errors)
+        .toContain('response.line is out of range');
+      expect(validator.validateStructuredAIResponse('{"line": 2.5, "reason": "x"}', bottleneckSchema).errors)
+        .toContain('response.line must be an integer');
+    });
+
+    test('should reject a value outside its enum', () => {
+      const schema = getResponseSchema('testcases');
+      const result = validator.validateStructuredAIResponse(
+        JSON.stringify({ cases: [{ category: 'huge', input: '[1]', reason: 'x' }] }),
+        schema
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/^response\.cases\[0\]\.category must be one of: empty, minimum/);
+    });
+
+    test('should report where a nested value has the wrong type', () => {
+      const result = validator.validateStructuredAIResponse('{"cases": {"category": "empty"}}', getResponseSchema('testcases'));
+
+      expect(result.errors).toEqual(['response.cases must be an array']);
+    });
+
+    test('should keep only the first maxItems array items', () => {
+      const steps = Array.from({ length: 15 }, (_, index) => `Step ${index + 1}`);
+      const result = validator.validateStructuredAIResponse(
+        JSON.stringify({ summary: 'Use a hash map', steps, code: '', pitfalls: [] }),
+        getResponseSchema('explanation')
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.sanitized.steps).toEqual(steps.slice(0, 10));
+    });
+
+    test('should shorten strings longer than maxLength', () => {
+      const result = validator.validateStructuredAIResponse(
+        JSON.stringify({ line: 1, reason: 'a'.repeat(400) }),
+        bottleneckSchema
+      );
+
+      expect(result.sanitized.reason).toHaveLength(300);
+      expect(result.sanitized.reason.endsWith('...')).toBe(true);
+    });
+
+    test('should drop properties the schema does not define', () => {
+      const result = validator.validateStructuredAIResponse(
+        '{"line": 3, "reason": "Sorting", "severity": "high", "__proto__": {"polluted": true}}',
+        bottleneckSchema
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.sanitized).toEqual({ line: 3, reason: 'Sorting' });
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+});
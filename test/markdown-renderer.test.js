@@ -0,0 +1,143 @@
+// Markdown Renderer Tests
+// Tests that AI responses render as Markdown and that HTML payloads in them are neutralized
+
+require('../src/ui/markdown-renderer.js');
+
+const MarkdownRenderer = window.__LeetPilotMarkdownRenderer;
+
+// Parse rendered HTML so tests can inspect the resulting elements
+function renderToElement(markdown) {
+  const container = document.createElement('div');
+  container.innerHTML = MarkdownRenderer.render(markdown);
+  return container;
+}
+
+// Collect every event-handler attribute and script-capable URL left in a rendered tree
+function findActiveContent(container) {
+  const findings = [];
+  container.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(attribute => {
+      if (/^on/i.test(attribute.name)) findings.push(`${element.tagName} ${attribute.name}`);
+      if (/^\s*(javascript|data|vbscript):/i.test(attribute.value)) findings.push(`${element.tagName} ${attribute.name}=${attribute.value}`);
+    });
+  });
+  container.querySelectorAll('script, iframe, object, embed, style, svg, img, form').forEach(element => {
+    findings.push(element.tagName);
+  });
+  return findings;
+}
+
+describe('MarkdownRenderer', () => {
+  describe('Markdown', () => {
+    test('should render headings, paragraphs and emphasis', () => {
+      const container = renderToElement('## Approach\n\nUse a **hash map** and *one* pass.');
+
+      expect(container.querySelector('h2').textContent).toBe('Approach');
+      expect(container.querySelector('p strong').textContent).toBe('hash map');
+      expect(container.querySelector('p em').textContent).toBe('one');
+    });
+
+    test('should render ordered, unordered and nested lists', () => {
+      const container = renderToElement('1. First\n2. Second\n   - detail\n3. Third\n\n- a\n- b');
+
+      const ordered = container.querySelector('ol');
+      expect(ordered.children).toHaveLength(3);
+      expect(ordered.querySelector('li ul li').textContent).toBe('detail');
+      expect(container.querySelectorAll(':scope > ul > li')).toHaveLength(2);
+    });
+
+    test('should keep inline code as written', () => {
+      const container = renderToElement('Call `map.get(**key**)` first');
+
+      expect(container.querySelector('code').textContent).toBe('map.get(**key**)');
+      expect(container.querySelector('strong')).toBeNull();
+    });
+
+    test('should render tables with column alignment', () => {
+      const container = renderToElement('| Approach | Time |\n|:---|---:|\n| Brute force | O(n^2) |\n| Hash map | O(n) |');
+
+      expect(Array.from(container.querySelectorAll('th')).map(cell => cell.textContent)).toEqual(['Approach', 'Time']);
+      expect(container.querySelectorAll('tbody tr')).toHaveLength(2);
+      expect(container.querySelector('td:last-child').getAttribute('align')).toBe('right');
+    });
+
+    test('should highlight fenced code by its language', () => {
+      const container = renderToElement('```js\n// find pairs\nconst seen = new Map(); return "done";\n```');
+      const block = container.querySelector('pre.leetpilot-code-block');
+
+      expect(block.classList.contains('leetpilot-language-javascript')).toBe(true);
+      expect(block.textContent).toBe('// find pairs\nconst seen = new Map(); return "done";');
+      expect(block.querySelector('.leetpilot-hl-comment').textContent).toBe('// find pairs');
+      expect(Array.from(block.querySelectorAll('.leetpilot-hl-keyword')).map(span => span.textContent)).toEqual(['const', 'new', 'return']);
+      expect(block.querySelector('.leetpilot-hl-string').textContent).toBe('"done"');
+    });
+
+    test('should use # comments for Python', () => {
+      const container = renderToElement('```python\nx = a // b  # floor\n```');
+
+      expect(container.querySelector('.leetpilot-hl-comment').textContent).toBe('# floor');
+    });
+
+    test('should render an unclosed fence while streaming', () => {
+      const container = renderToElement('Here:\n```java\nint x = 1;');
+
+      expect(container.querySelector('pre code').textContent).toBe('int x = 1;');
+    });
+  });
+
+  describe('Sanitizing', () => {
+    test('should show raw HTML in responses as text', () => {
+      const container = renderToElement('<script>alert(1)</script> and <img src=x onerror="alert(1)">');
+
+      expect(findActiveContent(container)).toEqual([]);
+      expect(container.textContent).toContain('<script>alert(1)</script>');
+    });
+
+    test('should not run script or event handlers from code blocks, tables or headings', () => {
+      const payloads = [
+        '# <svg onload=alert(1)>',
+        '```html\n<script>alert(1)</script>\n```',
+        '| a |\n|---|\n| <iframe src="javascript:alert(1)"></iframe> |',
+        '`<img src=x onerror=alert(1)>`',
+        '**<a href="javascript:alert(1)">bold</a>**'
+      ];
+
+      payloads.forEach(payload => {
+        expect(findActiveContent(renderToElement(payload))).toEqual([]);
+      });
+    });
+
+    test('should drop links to script URLs but keep http links', () => {
+      const container = renderToElement('[safe](https://leetcode.com/problems/two-sum/) [bad](javascript:alert(1)) [data](data:text/html,x)');
+      const links = container.querySelectorAll('a');
+
+      expect(links).toHaveLength(1);
+      expect(links[0].getAttribute('href')).toBe('https://leetcode.com/problems/two-sum/');
+      expect(links[0].getAttribute('rel')).toBe('noopener noreferrer');
+      expect(container.textContent).toContain('bad');
+    });
+
+    test('should not let link titles or URLs break out of their attributes', () => {
+      const container = renderToElement('[x](https://a.com/"onmouseover="alert(1) "t" onclick="alert(1)")');
+
+      expect(findActiveContent(container)).toEqual([]);
+    });
+
+    test('should remove disallowed elements and attributes from HTML', () => {
+      const html = MarkdownRenderer.sanitize(
+        '<p onclick="alert(1)" style="color:red">text<script>alert(1)</script></p>' +
+        '<img src=x onerror=alert(1)><a href=" javascript:alert(1)">link</a>' +
+        '<div class="leetpilot-ok page-class"><iframe srcdoc="<script>alert(1)</script>"></iframe>kept</div>' +
+        '<custom-element onfocus="alert(1)"><b>unwrapped</b></custom-element>'
+      );
+      const container = document.createElement('div');
+      container.innerHTML = html;
+
+      expect(findActiveContent(container)).toEqual([]);
+      expect(container.querySelector('p').attributes).toHaveLength(0);
+      expect(container.querySelector('a').hasAttribute('href')).toBe(false);
+      expect(container.querySelector('div').hasAttribute('class')).toBe(false);
+      expect(container.textContent).toBe('textlinkkeptunwrapped');
+    });
+  });
+});
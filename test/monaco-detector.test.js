@@ -0,0 +1,67 @@
+// Monaco Detector Tests
+// Tests that the code editor is found among the page's Monaco editors, and never the testcase editor
+
+require('../src/content/monaco-detector.js');
+
+const MonacoDetector = window.__LeetPilotMonacoDetector;
+
+// Build a fake Monaco editor mounted in the page, optionally inside a container
+function createEditor(name, { container = null, focused = false } = {}) {
+  const host = document.createElement('div');
+  const domNode = document.createElement('div');
+  domNode.className = 'monaco-editor';
+  host.appendChild(domNode);
+  (container || document.body).appendChild(host);
+
+  return {
+    name: name,
+    getModel: () => ({}),
+    getDomNode: () => domNode,
+    hasTextFocus: () => focused
+  };
+}
+
+describe('Monaco Detector', () => {
+  let testcaseContainer;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    testcaseContainer = document.createElement('div');
+    testcaseContainer.setAttribute('data-track-load', 'testcase');
+    document.body.appendChild(testcaseContainer);
+  });
+
+  afterEach(() => {
+    delete window.monaco;
+  });
+
+  function setEditors(editors) {
+    window.monaco = { editor: { getEditors: () => editors } };
+  }
+
+  test('should find no editor without the page\'s Monaco', () => {
+    expect(new MonacoDetector().getEditorFromWindow()).toBeNull();
+  });
+
+  test('should prefer the focused code editor', () => {
+    setEditors([createEditor('first'), createEditor('second', { focused: true })]);
+
+    expect(new MonacoDetector().getEditorFromWindow().name).toBe('second');
+  });
+
+  test('should skip the testcase editor even when it has focus', () => {
+    // Edits computed from the code must not land in the testcase editor, whichever editor was used last
+    setEditors([
+      createEditor('testcase', { container: testcaseContainer, focused: true }),
+      createEditor('code')
+    ]);
+
+    expect(new MonacoDetector().getEditorFromWindow().name).toBe('code');
+  });
+
+  test('should find no editor when only the testcase editor is mounted', () => {
+    setEditors([createEditor('testcase', { container: testcaseContainer })]);
+
+    expect(new MonacoDetector().getEditorFromWindow()).toBeNull();
+  });
+});
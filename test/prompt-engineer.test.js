@@ -0,0 +1,39 @@
+// Prompt Engineer Tests
+// Tests that free-text responses are filtered before they are shown
+
+const { PromptEngineer } = require('../src/core/prompt-engineer.js');
+
+describe('Prompt Engineer', () => {
+  let promptEngineer;
+
+  beforeEach(() => {
+    promptEngineer = new PromptEngineer();
+  });
+
+  describe('Response filtering', () => {
+    test('should pass through a response without code', () => {
+      const result = promptEngineer.filterResponse('Think about which values you have already seen.', 'hint');
+
+      expect(result).toEqual({ content: 'Think about which values you have already seen.', filtered: false, reason: null });
+    });
+
+    test('should remove code blocks from interviewer replies', () => {
+      const result = promptEngineer.filterResponse('Consider this:\n```python\nseen = set()\n```\nWhat is its cost?', 'interview');
+
+      expect(result.filtered).toBe(true);
+      expect(result.content).toBe('Consider this:\n[Code removed - describe your approach instead]\nWhat is its cost?');
+    });
+
+    test('should keep a complete solution outside code fences out of interviewer replies', () => {
+      const reply = 'Here is how I would do it:\ndef twoSum(nums, target):\n    seen = {}\n    return []\n\n' +
+        'And a helper:\n```python\nx = 1\n```';
+
+      const result = promptEngineer.filterResponse(reply, 'interview');
+
+      expect(result.filtered).toBe(true);
+      expect(result.content).not.toContain('def twoSum');
+      expect(result.content).not.toContain('x = 1');
+      expect(promptEngineer.containsCompleteSolution(result.content)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// Provider Profile Tests
+// Tests that profiles are stored, switched and deleted without leaving their keys behind
+
+// API keys are encrypted with the Web Crypto API, which jsdom doesn't provide
+Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true });
+global.TextEncoder = require('util').TextEncoder;
+global.TextDecoder = require('util').TextDecoder;
+
+const { StorageManager, AIProviderConfig } = require('../src/core/storage-manager.js');
+
+describe('Provider Profiles', () => {
+  let storageData;
+  let storageManager;
+
+  beforeEach(async () => {
+    storageData = {};
+    chrome.storage.local.get.mockImplementation(async (keys) => {
+      const names = keys === null ? Object.keys(storageData) : [].concat(keys);
+      return Object.fromEntries(names.filter(name => name in storageData).map(name => [name, storageData[name]]));
+    });
+    chrome.storage.local.set.mockImplementation(async (items) => {
+      Object.assign(storageData, JSON.parse(JSON.stringify(items)));
+    });
+    chrome.storage.local.remove.mockImplementation(async (keys) => {
+      [].concat(keys).forEach(key => delete storageData[key]);
+    });
+
+    storageManager = new StorageManager();
+    await storageManager.initializeEncryption();
+  });
+
+  function createConfig(apiKey = 'sk-test-1234567890abcdefghijklmnop') {
+    return new AIProviderConfig('openai', apiKey, 'gpt-4o-mini');
+  }
+
+  test('should keep the active configuration in sync with the active profile', async () => {
+    const id = await storageManager.saveProfile('Main', createConfig());
+    await storageManager.setActiveProfile(id);
+
+    const config = await storageManager.retrieveConfiguration();
+    expect(config.apiKey).toBe('sk-test-1234567890abcdefghijklmnop');
+    expect(JSON.stringify(storageData)).not.toContain('sk-test-1234567890abcdefghijklmnop');
+  });
+
+  test('should switch to another profile when the active one is deleted', async () => {
+    const mainId = await storageManager.saveProfile('Main', createConfig());
+    const backupId = await storageManager.saveProfile('Backup', createConfig('sk-backup-1234567890abcdefghijklm'));
+    await storageManager.setActiveProfile(mainId);
+
+    await storageManager.deleteProfile(mainId);
+
+    const { profiles, activeProfileId } = await storageManager.listProfiles();
+    expect(profiles.map(profile => profile.id)).toEqual([backupId]);
+    expect(activeProfileId).toBe(backupId);
+    expect((await storageManager.retrieveConfiguration()).apiKey).toBe('sk-backup-1234567890abcdefghijklm');
+  });
+
+  test('should remove the active configuration with the last profile', async () => {
+    const id = await storageManager.saveProfile('Main', createConfig());
+    await storageManager.setActiveProfile(id);
+
+    await expect(storageManager.deleteProfile(id)).resolves.toBe(true);
+
+    expect((await storageManager.listProfiles()).profiles).toEqual([]);
+    await expect(storageManager.retrieveProviderChain('hint')).resolves.toEqual([]);
+    await expect(storageManager.retrieveConfiguration()).resolves.toBeNull();
+    expect(storageData.aiProviderConfig).toBeUndefined();
+    expect(storageData.lastConfigUpdate).toBeUndefined();
+  });
+
+  test('should migrate a configuration saved before profiles into a Default profile', async () => {
+    await storageManager.storeAPIKey(createConfig());
+    delete storageData.leetpilot_provider_profiles;
+
+    const { profiles } = await storageManager.listProfiles();
+
+    expect(profiles).toHaveLength(1);
+    expect(profiles[0]).toMatchObject({ id: 'default', name: 'Default', provider: 'openai', isActive: true });
+  });
+});
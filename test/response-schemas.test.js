@@ -0,0 +1,138 @@
+// Response Schema Tests
+// Tests that response schemas convert to each provider's dialect and that structured responses are filtered
+
+const { RESPONSE_SCHEMAS, getResponseSchema, toProviderSchema } = require('../src/core/response-schemas.js');
+const { PromptEngineer } = require('../src/core/prompt-engineer.js');
+
+// Collect every value of a keyword anywhere in a schema
+function collectKeyword(schema, keyword) {
+  const values = [];
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (keyword in node) values.push(node[keyword]);
+    Object.values(node.properties || {}).forEach(visit);
+    visit(node.items);
+  };
+  visit(schema);
+  return values;
+}
+
+const COMPLETE_SOLUTION = 'def twoSum(self, nums, target):\n    seen = {}\n    for i, n in enumerate(nums):\n        seen[n] = i\n    return []';
+
+describe('Response Schemas', () => {
+  describe('Provider dialects', () => {
+    test('should only have schemas for structured request types', () => {
+      expect(getResponseSchema('hint')).toBe(RESPONSE_SCHEMAS.hint);
+      expect(getResponseSchema('chat')).toBeNull();
+    });
+
+    test.each(['openai', 'anthropic', 'ollama'])('should keep JSON Schema types and closed objects for %s', (provider) => {
+      const converted = toProviderSchema(getResponseSchema('complexity'), provider);
+
+      expect(converted.type).toBe('object');
+      expect(converted.additionalProperties).toBe(false);
+      expect(converted.properties.constructs.items.properties.startLine.type).toBe('integer');
+      expect(converted.properties.constructs.items.additionalProperties).toBe(false);
+    });
+
+    test('should use upper-case types and drop additionalProperties for Gemini', () => {
+      const converted = toProviderSchema(getResponseSchema('complexity'), 'gemini');
+
+      expect(converted.type).toBe('OBJECT');
+      expect(converted.properties.constructs.type).toBe('ARRAY');
+      expect(converted.properties.constructs.items.properties.startLine.type).toBe('INTEGER');
+      expect(collectKeyword(converted, 'additionalProperties')).toEqual([]);
+    });
+
+    test.each(['openai', 'anthropic', 'gemini', 'ollama'])('should leave length and range limits to the validator for %s', (provider) => {
+      const converted = toProviderSchema(getResponseSchema('complexity'), provider);
+
+      ['maxLength', 'maxItems', 'minimum', 'maximum'].forEach(keyword => {
+        expect(collectKeyword(converted, keyword)).toEqual([]);
+      });
+    });
+
+    test('should keep required fields, enums and descriptions', () => {
+      const converted = toProviderSchema(getResponseSchema('testcases'), 'gemini');
+      const caseSchema = converted.properties.cases.items;
+
+      expect(converted.required).toEqual(['cases']);
+      expect(caseSchema.required).toEqual(['category', 'input', 'reason']);
+      expect(caseSchema.properties.category.enum).toContain('boundary');
+      expect(toProviderSchema(getResponseSchema('hint'), 'openai').properties.code.description).toMatch(/never include code/);
+    });
+
+    test('should not change the shared schema', () => {
+      const before = JSON.stringify(RESPONSE_SCHEMAS);
+
+      toProviderSchema(getResponseSchema('explanation'), 'gemini');
+
+      expect(JSON.stringify(RESPONSE_SCHEMAS)).toBe(before);
+    });
+  });
+
+  describe('Structured response filtering', () => {
+    let promptEngineer;
+
+    beforeEach(() => {
+      promptEngineer = new PromptEngineer();
+    });
+
+    function sections(overrides = {}) {
+      return { summary: 'Track what you have seen.', steps: ['Walk the array once.'], code: '', pitfalls: [], ...overrides };
+    }
+
+    test('should pass through a response without code', () => {
+      const result = promptEngineer.filterStructuredResponse(sections(), 'explanation');
+
+      expect(result.filtered).toBe(false);
+      expect(result.sections).toEqual(sections());
+    });
+
+    test('should clear any code from a hint', () => {
+      const result = promptEngineer.filterStructuredResponse(sections({ code: 'seen = set()' }), 'hint');
+
+      expect(result.filtered).toBe(true);
+      expect(result.sections.code).toBe('');
+      expect(result.sections.steps).toEqual(['Walk the array once.']);
+    });
+
+    test('should keep a short snippet but clear a complete solution in the code', () => {
+      const snippet = promptEngineer.filterStructuredResponse(sections({ code: 'seen[n] = i' }), 'optimization');
+      const solution = promptEngineer.filterStructuredResponse(sections({ code: COMPLETE_SOLUTION }), 'optimization');
+
+      expect(snippet.filtered).toBe(false);
+      expect(snippet.sections.code).toBe('seen[n] = i');
+      expect(solution.filtered).toBe(true);
+      expect(solution.sections.code).toBe('');
+    });
+
+    test('should remove a complete solution written in one of the steps', () => {
+      const steps = ['Use a hash map.', `Then write:\n${COMPLETE_SOLUTION}`];
+
+      const result = promptEngineer.filterStructuredResponse(sections({ steps }), 'explanation');
+
+      expect(result.filtered).toBe(true);
+      expect(result.sections.steps[0]).toBe('Use a hash map.');
+      expect(promptEngineer.containsCompleteSolution(result.sections.steps.join('\n'))).toBe(false);
+    });
+
+    test('should remove a complete solution spread across several steps', () => {
+      const steps = ['def twoSum(self, nums, target):', 'Loop and fill a dictionary.', 'return [seen[target - n], i]'];
+
+      const result = promptEngineer.filterStructuredResponse(sections({ steps }), 'optimization');
+
+      expect(result.filtered).toBe(true);
+      expect(result.sections.steps.join('\n')).not.toContain('def twoSum');
+      expect(promptEngineer.containsCompleteSolution(result.sections.steps.join('\n'))).toBe(false);
+    });
+
+    test('should replace every section of an inappropriate response', () => {
+      const result = promptEngineer.filterStructuredResponse(sections({ pitfalls: ['Just copy the editorial'] }), 'hint');
+
+      expect(result.filtered).toBe(true);
+      expect(result.sections.steps).toEqual([]);
+      expect(result.sections.summary).toMatch(/cannot provide/);
+    });
+  });
+});
@@ -394,3 +394,73 @@ describe('Integration Tests', () => {
     expect(domainCheck).toBe(false); // Domain is blocked
   });
 });
+
+describe('Local Model Servers', () => {
+  const { isLoopbackUrl, isSecureProviderUrl } = require('../src/core/storage-manager.js');
+  const { SecurityMonitor: ExtensionSecurityMonitor } = require('../src/core/security-monitor.js');
+  const manifest = require('../manifest.json');
+
+  const loopbackUrls = [
+    'http://localhost:11434',
+    'http://localhost:11434/api/chat',
+    'http://LOCALHOST:8080/v1',
+    'http://127.0.0.1',
+    'http://127.0.0.1:1234/v1/chat/completions'
+  ];
+  // Hosts that only look local, private network addresses, and IPv6 loopback (not in the manifest)
+  const nonLoopbackUrls = [
+    'http://localhost.evil.com',
+    'http://localhost.evil.com:11434/api/chat',
+    'http://127.0.0.1.evil.com',
+    'http://evil.com/?host=localhost',
+    'http://192.168.1.5:11434',
+    'http://10.0.0.2',
+    'http://[::1]:11434',
+    'http://0.0.0.0:11434'
+  ];
+
+  let securityMonitor;
+
+  beforeAll(() => {
+    // The real monitor starts periodic checks on construction
+    jest.useFakeTimers();
+    securityMonitor = new ExtensionSecurityMonitor();
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  test.each(loopbackUrls)('should allow plain HTTP to %s', (url) => {
+    expect(isLoopbackUrl(url)).toBe(true);
+    expect(isSecureProviderUrl(url)).toBe(true);
+    expect(securityMonitor.isDomainAllowed(url)).toBe(true);
+  });
+
+  test.each(nonLoopbackUrls)('should reject plain HTTP to %s', (url) => {
+    expect(isLoopbackUrl(url)).toBe(false);
+    expect(isSecureProviderUrl(url)).toBe(false);
+    expect(securityMonitor.isDomainAllowed(url)).toBe(false);
+  });
+
+  test('should still block HTTPS to private network addresses', () => {
+    expect(isSecureProviderUrl('https://192.168.1.5')).toBe(true);
+    expect(securityMonitor.isDomainAllowed('https://192.168.1.5')).toBe(false);
+  });
+
+  test('should reject invalid URLs and other protocols', () => {
+    expect(isSecureProviderUrl('not a url')).toBe(false);
+    expect(isSecureProviderUrl('ftp://localhost/')).toBe(false);
+    expect(isLoopbackUrl('')).toBe(false);
+  });
+
+  test('should only allow loopback hosts the extension has host permissions for', () => {
+    const permittedHosts = manifest.host_permissions
+      .filter(permission => permission.startsWith('http://'))
+      .map(permission => new URL(permission.replace(/\*$/, '')).hostname);
+
+    expect(permittedHosts.sort()).toEqual(['127.0.0.1', 'localhost']);
+    permittedHosts.forEach(host => expect(isLoopbackUrl(`http://${host}:11434`)).toBe(true));
+    expect(manifest.content_security_policy.extension_pages).toContain('http://localhost:* http://127.0.0.1:*');
+  });
+});